@@ -0,0 +1,466 @@
+/**
+ * Tests for the admin ingestion flow
+ * Tests LLM proposals, the review queue lifecycle and admin authentication
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Mock @huggingface/inference BEFORE importing service
+const mockChatCompletion = jest.fn();
+jest.mock("@huggingface/inference", () => {
+  return {
+    InferenceClient: jest.fn().mockImplementation(() => ({
+      chatCompletion: mockChatCompletion,
+    })),
+  };
+});
+
+// Mock neo4j-driver
+jest.mock("neo4j-driver", () => {
+  const mockSession = {
+    executeRead: jest.fn(),
+    executeWrite: jest.fn(),
+    close: jest.fn(),
+  };
+
+  const mockDriver = {
+    session: jest.fn(() => mockSession),
+    verifyAuthentication: jest.fn().mockResolvedValue(undefined),
+    close: jest.fn().mockResolvedValue(undefined),
+  };
+
+  return {
+    driver: jest.fn(() => mockDriver),
+    auth: {
+      basic: jest.fn((user, pass) => ({ user, pass })),
+    },
+    session: { READ: "READ", WRITE: "WRITE" },
+    int: jest.fn((value) => value),
+  };
+});
+
+jest.mock("@xenova/transformers", () => ({
+  pipeline: jest.fn(() => {
+    const {
+      createNormalizedEmbedding,
+    } = require("./helpers/chatbotChat.helpers");
+    return jest.fn(() =>
+      Promise.resolve({ data: createNormalizedEmbedding() }),
+    );
+  }),
+}));
+
+const {
+  createNormalizedEmbedding,
+  createRes,
+  mockNeo4jSearchResults,
+} = require("./helpers/chatbotChat.helpers");
+
+const llmContent = (content) => ({
+  choices: [{ message: { content: JSON.stringify(content) } }],
+});
+
+const candidateSkills = () =>
+  mockNeo4jSearchResults(
+    ["skill-html", "skill-css"].map((id) => ({
+      node: { id, name: `Canonical ${id}`, type: "Skill" },
+      embedding: createNormalizedEmbedding(),
+    })),
+  );
+
+describe("Admin ingestion flow", () => {
+  let service;
+  let mockSession;
+  let tmpDir;
+
+  const createAdminReq = (overrides = {}) => ({
+    operatorId: "alice",
+    params: {},
+    query: {},
+    body: {},
+    ...overrides,
+  });
+
+  // Queue a proposal through the handler and return it
+  const submitProposal = async () => {
+    mockSession.executeRead
+      .mockResolvedValueOnce(candidateSkills())
+      .mockResolvedValueOnce(mockNeo4jSearchResults([{ id: "skill-html" }]));
+    mockChatCompletion.mockResolvedValueOnce(
+      llmContent({
+        objectiveSkills: [{ name: "CSS Grid", existingNodeId: null }],
+        prerequisiteSkills: [
+          { name: "HTML", existingNodeId: "skill-html" },
+          { name: "CSS", existingNodeId: "skill-css" },
+          { name: "Box model", existingNodeId: "invented-id" },
+        ],
+        notes: "Grid layout tutorial",
+      }),
+    );
+
+    const res = createRes();
+    await service.adminCreateIngestionProposal(
+      createAdminReq({
+        body: { url: "https://css-tricks.com/grid", title: "A Guide to Grid" },
+      }),
+      res,
+    );
+    return res.json.mock.calls[0][0];
+  };
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "perk-ingestion-"));
+    process.env.INGESTION_STORE_PATH = path.join(tmpDir, "proposals.json");
+    process.env.ADMIN_AUDIT_LOG_PATH = path.join(tmpDir, "audit.log");
+    process.env.NEO4J_ADMIN_USER = "admin";
+    process.env.NEO4J_ADMIN_PASSWORD = "admin-pass";
+
+    jest.resetModules();
+    service = require("../services/service");
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    delete process.env.INGESTION_STORE_PATH;
+    delete process.env.ADMIN_AUDIT_LOG_PATH;
+    delete process.env.NEO4J_ADMIN_USER;
+    delete process.env.NEO4J_ADMIN_PASSWORD;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    // Each test supplies its own graph: force the search index to reload
+    require("../services/embeddings/searchService").invalidateSearchIndex();
+    const neo4j = require("neo4j-driver");
+    mockSession = neo4j.driver().session();
+  });
+
+  describe("Proposals", () => {
+    test("should return a structured proposal with terminal prerequisites only", async () => {
+      const proposal = await submitProposal();
+
+      expect(proposal.status).toBe("pending");
+      expect(proposal.createdBy).toBe("alice");
+      expect(proposal.objectiveSkills).toEqual([
+        expect.objectContaining({ name: "CSS Grid", existing: false }),
+      ]);
+      // skill-html is a prerequisite of skill-css, so only skill-css remains;
+      // the invented id is treated as a new skill
+      expect(proposal.prerequisiteSkills).toEqual([
+        { id: "skill-css", name: "Canonical skill-css", existing: true },
+        expect.objectContaining({ name: "Box model", existing: false }),
+      ]);
+      expect(proposal.prerequisiteSkills[1].id).not.toBe("invented-id");
+      expect(proposal.notes).toBe("Grid layout tutorial");
+    });
+
+    test("should propose parameterized, merge-only Cypher", async () => {
+      const proposal = await submitProposal();
+
+      expect(proposal.proposedCypher).toMatch(
+        /^MERGE \(u:URL \{name: \$url\}\)/,
+      );
+      expect(proposal.proposedCypher).toContain("MERGE (u)-[r:TEACHES]->(s)");
+      expect(proposal.proposedCypher).toContain(
+        "MERGE (s)-[r:IS_PREREQUISITE_TO]->(u)",
+      );
+      expect(proposal.proposedCypher).not.toContain("css-tricks");
+      expect(proposal.proposedCypher).not.toMatch(/DELETE|REMOVE|DETACH/);
+      expect(proposal.proposedParams).toEqual(
+        expect.objectContaining({
+          url: "https://css-tricks.com/grid",
+          title: "A Guide to Grid",
+        }),
+      );
+    });
+
+    test("should never execute the proposed Cypher automatically", async () => {
+      await submitProposal();
+
+      expect(mockSession.executeWrite).not.toHaveBeenCalled();
+    });
+
+    test("should return 400 for an invalid URL", async () => {
+      const res = createRes();
+      await service.adminCreateIngestionProposal(
+        createAdminReq({ body: { url: "javascript:alert(1)", title: "x" } }),
+        res,
+      );
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(mockChatCompletion).not.toHaveBeenCalled();
+    });
+
+    test("should return 400 when title is missing", async () => {
+      const res = createRes();
+      await service.adminCreateIngestionProposal(
+        createAdminReq({ body: { url: "https://example.com" } }),
+        res,
+      );
+
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    test("should return 500 when the LLM response is not JSON", async () => {
+      mockSession.executeRead.mockResolvedValueOnce(candidateSkills());
+      mockChatCompletion.mockResolvedValueOnce({
+        choices: [{ message: { content: "not json" } }],
+      });
+
+      const res = createRes();
+      await service.adminCreateIngestionProposal(
+        createAdminReq({ body: { url: "https://example.com", title: "x" } }),
+        res,
+      );
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ error: "Ingestion proposal failed" }),
+      );
+    });
+  });
+
+  describe("Review lifecycle", () => {
+    test("should approve then execute a proposal with admin credentials", async () => {
+      const proposal = await submitProposal();
+      const req = createAdminReq({ params: { proposalId: proposal.id } });
+
+      const approveRes = createRes();
+      await service.adminApproveIngestionProposal(req, approveRes);
+      expect(approveRes.json.mock.calls[0][0].status).toBe("approved");
+
+      const mockTx = { run: jest.fn() };
+      mockSession.executeWrite.mockImplementationOnce(async (work) => {
+        work(mockTx);
+        return mockNeo4jSearchResults([
+          { urlId: "url-1", taught: 1, prerequisites: 2 },
+        ]);
+      });
+
+      const executeRes = createRes();
+      await service.adminExecuteIngestionProposal(req, executeRes);
+
+      const executed = executeRes.json.mock.calls[0][0];
+      expect(executed.status).toBe("executed");
+      expect(mockTx.run).toHaveBeenCalledWith(
+        proposal.proposedCypher,
+        proposal.proposedParams,
+      );
+
+      const neo4j = require("neo4j-driver");
+      expect(neo4j.auth.basic).toHaveBeenCalledWith("admin", "admin-pass");
+      expect(executed.history.map((entry) => entry.action)).toEqual([
+        "proposed",
+        "approved",
+        "executing",
+        "executed",
+      ]);
+    });
+
+    test("should execute a proposal only once when execute is called twice at once", async () => {
+      const proposal = await submitProposal();
+      const req = createAdminReq({ params: { proposalId: proposal.id } });
+      await service.adminApproveIngestionProposal(req, createRes());
+      mockSession.executeWrite.mockResolvedValue(
+        mockNeo4jSearchResults([
+          { urlId: "url-1", taught: 1, prerequisites: 2 },
+        ]),
+      );
+
+      const [first, second] = [createRes(), createRes()];
+      await Promise.all([
+        service.adminExecuteIngestionProposal(req, first),
+        service.adminExecuteIngestionProposal(req, second),
+      ]);
+
+      expect(mockSession.executeWrite).toHaveBeenCalledTimes(1);
+      expect(first.json.mock.calls[0][0].status).toBe("executed");
+      expect(second.status).toHaveBeenCalledWith(409);
+    });
+
+    test("should move a proposal back to approved when execution fails", async () => {
+      const proposal = await submitProposal();
+      const req = createAdminReq({ params: { proposalId: proposal.id } });
+      await service.adminApproveIngestionProposal(req, createRes());
+      mockSession.executeWrite.mockRejectedValueOnce(new Error("Neo4j down"));
+
+      const res = createRes();
+      await service.adminExecuteIngestionProposal(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      const getRes = createRes();
+      await service.adminGetIngestionProposal(req, getRes);
+      const failed = getRes.json.mock.calls[0][0];
+      expect(failed.status).toBe("approved");
+      expect(failed.history.at(-1)).toEqual(
+        expect.objectContaining({
+          action: "execution_failed",
+          error: "Neo4j down",
+        }),
+      );
+    });
+
+    test("should load the store once for concurrent first requests", async () => {
+      const storePath = process.env.INGESTION_STORE_PATH;
+      process.env.INGESTION_STORE_PATH = path.join(tmpDir, "fresh.json");
+      try {
+        let proposalStore;
+        jest.isolateModules(() => {
+          proposalStore = require("../services/admin/proposalStore");
+        });
+
+        await Promise.all([
+          proposalStore.createProposal({ url: "https://a.example" }, "alice"),
+          proposalStore.createProposal({ url: "https://b.example" }, "bob"),
+        ]);
+
+        expect(await proposalStore.listProposals()).toHaveLength(2);
+      } finally {
+        process.env.INGESTION_STORE_PATH = storePath;
+      }
+    });
+
+    test("should refuse to execute a pending proposal", async () => {
+      const proposal = await submitProposal();
+
+      const res = createRes();
+      await service.adminExecuteIngestionProposal(
+        createAdminReq({ params: { proposalId: proposal.id } }),
+        res,
+      );
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(mockSession.executeWrite).not.toHaveBeenCalled();
+    });
+
+    test("should reject a proposal with a reason", async () => {
+      const proposal = await submitProposal();
+
+      const res = createRes();
+      await service.adminRejectIngestionProposal(
+        createAdminReq({
+          params: { proposalId: proposal.id },
+          body: { reason: "duplicate resource" },
+        }),
+        res,
+      );
+
+      const rejected = res.json.mock.calls[0][0];
+      expect(rejected.status).toBe("rejected");
+      expect(rejected.history[1]).toEqual(
+        expect.objectContaining({
+          action: "rejected",
+          operatorId: "alice",
+          reason: "duplicate resource",
+        }),
+      );
+    });
+
+    test("should return 404 for an unknown proposal", async () => {
+      const res = createRes();
+      await service.adminGetIngestionProposal(
+        createAdminReq({ params: { proposalId: "missing" } }),
+        res,
+      );
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    test("should list proposals filtered by status", async () => {
+      await submitProposal();
+
+      const res = createRes();
+      await service.adminListIngestionProposals(
+        createAdminReq({ query: { status: "pending" } }),
+        res,
+      );
+
+      const { proposals } = res.json.mock.calls[0][0];
+      expect(proposals.length).toBeGreaterThan(0);
+      expect(proposals.every((p) => p.status === "pending")).toBe(true);
+    });
+
+    test("should persist proposals and write an audit trail", async () => {
+      const proposal = await submitProposal();
+
+      const saved = JSON.parse(
+        fs.readFileSync(process.env.INGESTION_STORE_PATH, "utf8"),
+      );
+      expect(saved.map((p) => p.id)).toContain(proposal.id);
+
+      const auditEntries = fs
+        .readFileSync(process.env.ADMIN_AUDIT_LOG_PATH, "utf8")
+        .trim()
+        .split("\n")
+        .map((line) => JSON.parse(line));
+      expect(auditEntries).toContainEqual(
+        expect.objectContaining({
+          operatorId: "alice",
+          action: "ingestion_proposed",
+          proposalId: proposal.id,
+          timestamp: expect.any(String),
+        }),
+      );
+    });
+  });
+
+  describe("requireAdmin middleware", () => {
+    const { requireAdmin } = require("../services/admin/adminAuth");
+    const createAuthReq = (authorization) => ({
+      get: jest.fn(() => authorization),
+      originalUrl: "/admin/ingestion/proposals",
+    });
+
+    afterEach(() => {
+      delete process.env.ADMIN_API_TOKENS;
+    });
+
+    test("should attach the operator id for a valid token", () => {
+      process.env.ADMIN_API_TOKENS = "alice:token-a, bob:token-b";
+      const req = createAuthReq("Bearer token-b");
+      const next = jest.fn();
+
+      requireAdmin(req, createRes(), next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.operatorId).toBe("bob");
+    });
+
+    test("should return 401 for an invalid token", () => {
+      process.env.ADMIN_API_TOKENS = "alice:token-a";
+      const res = createRes();
+      const next = jest.fn();
+
+      requireAdmin(createAuthReq("Bearer wrong"), res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test("should ignore token entries without an operator id", () => {
+      process.env.ADMIN_API_TOKENS = "secret, alice:token-a";
+      const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+      const res = createRes();
+      const next = jest.fn();
+
+      requireAdmin(createAuthReq("Bearer secret"), res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(next).not.toHaveBeenCalled();
+      expect(warn).toHaveBeenCalledWith(
+        expect.stringContaining("[parseAdminTokens]"),
+      );
+      warn.mockRestore();
+    });
+
+    test("should return 503 when no admin tokens are configured", () => {
+      const res = createRes();
+
+      requireAdmin(createAuthReq("Bearer token-a"), res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(503);
+    });
+  });
+});
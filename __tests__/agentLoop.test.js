@@ -0,0 +1,275 @@
+/**
+ * Tests for the multi-step chat agent loop
+ * Tests sequential tool calls, the step cap, the wall-clock budget and the
+ * debug.steps trace
+ */
+
+// Mock @huggingface/inference BEFORE importing service
+const mockChatCompletion = jest.fn();
+jest.mock("@huggingface/inference", () => {
+  return {
+    InferenceClient: jest.fn().mockImplementation(() => ({
+      chatCompletion: mockChatCompletion,
+    })),
+  };
+});
+
+// Mock neo4j-driver BEFORE importing service
+jest.mock("neo4j-driver", () => {
+  const mockSession = {
+    executeRead: jest.fn(),
+    close: jest.fn(),
+  };
+
+  const mockDriver = {
+    session: jest.fn(() => mockSession),
+    verifyAuthentication: jest.fn().mockResolvedValue(undefined),
+    close: jest.fn().mockResolvedValue(undefined),
+  };
+
+  return {
+    driver: jest.fn(() => mockDriver),
+    auth: {
+      basic: jest.fn((user, pass) => ({ user, pass })),
+    },
+    session: { READ: "READ", WRITE: "WRITE" },
+    int: jest.fn((value) => value),
+  };
+});
+
+jest.mock("@xenova/transformers", () => ({
+  pipeline: jest.fn(() => {
+    const {
+      createNormalizedEmbedding,
+    } = require("./helpers/chatbotChat.helpers");
+    const embedding = createNormalizedEmbedding();
+    return jest.fn(() => Promise.resolve({ data: embedding }));
+  }),
+}));
+
+const {
+  createFinalResponse,
+  createNormalizedEmbedding,
+  createReq,
+  createRes,
+  createToolCallResponse,
+  mockSearchReads,
+} = require("./helpers/chatbotChat.helpers");
+
+const searchCall = (query) =>
+  createToolCallResponse("search_materials", { query });
+
+describe("Chat agent loop", () => {
+  let service;
+  let agentLoop;
+  let mockSession;
+
+  const chat = async (body = {}) => {
+    const res = createRes();
+    await service.chatbotChat(
+      createReq({ sessionId: undefined, ...body }),
+      res,
+    );
+    return res;
+  };
+
+  const toolResultsSentOnCall = (callIndex) =>
+    mockChatCompletion.mock.calls[callIndex][0].messages.filter((msg) =>
+      msg.content.startsWith("Tool result for"),
+    );
+
+  beforeAll(() => {
+    jest.resetModules();
+    service = require("../services/service");
+    agentLoop = require("../services/chatbot/agentLoop");
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockChatCompletion.mockReset();
+    require("../services/embeddings/searchService").invalidateSearchIndex();
+    require("../services/sessions/sessionStore").resetSessionStore();
+    const neo4j = require("neo4j-driver");
+    mockSession = neo4j.driver().session();
+    mockSession.executeRead.mockReset();
+    mockSearchReads(mockSession, [
+      {
+        node: { id: "hooks", name: "React hooks", type: "Skill" },
+        embedding: createNormalizedEmbedding(),
+      },
+    ]);
+  });
+
+  afterEach(() => {
+    delete process.env.CHAT_MAX_TOOL_STEPS;
+  });
+
+  test("should run several tool calls in sequence before the final answer", async () => {
+    mockChatCompletion
+      .mockResolvedValueOnce(searchCall("react"))
+      .mockResolvedValueOnce(searchCall("react hooks"))
+      .mockResolvedValueOnce(createFinalResponse({ message: "Try hooks." }));
+
+    const res = await chat();
+
+    expect(mockChatCompletion).toHaveBeenCalledTimes(3);
+    expect(toolResultsSentOnCall(1)).toHaveLength(1);
+    expect(toolResultsSentOnCall(2)).toHaveLength(2);
+    const response = res.json.mock.calls[0][0];
+    expect(response.message).toBe("Try hooks.");
+    expect(response).not.toHaveProperty("debug");
+
+    const session = await require("../services/sessions/sessionStore")
+      .getSessionStore()
+      .getSession(response.conversationState.sessionId);
+    expect(
+      session.turns
+        .filter((turn) => turn.role === "tool")
+        .map((turn) => turn.args.query),
+    ).toEqual(["react", "react hooks"]);
+  });
+
+  test("should return the step trace when debug is requested", async () => {
+    mockChatCompletion
+      .mockResolvedValueOnce(searchCall("react hooks"))
+      .mockResolvedValueOnce(createFinalResponse({ message: "Try hooks." }));
+
+    const res = await chat({ debug: true });
+
+    const { debug } = res.json.mock.calls[0][0];
+    expect(debug.stopReason).toBe("final");
+    expect(debug.steps).toEqual([
+      {
+        step: 1,
+        type: "tool_call",
+        tool: "search_materials",
+        args: { query: "react hooks" },
+        output: expect.objectContaining({ results: expect.any(Array) }),
+        durationMs: expect.any(Number),
+      },
+      { step: 2, type: "final", durationMs: expect.any(Number) },
+    ]);
+  });
+
+  test("should ask for a final answer once the step cap is reached", async () => {
+    process.env.CHAT_MAX_TOOL_STEPS = "2";
+    mockChatCompletion
+      .mockResolvedValueOnce(searchCall("a"))
+      .mockResolvedValueOnce(searchCall("b"))
+      .mockResolvedValueOnce(searchCall("c"))
+      .mockResolvedValueOnce(createFinalResponse({ message: "Best I found." }));
+
+    const res = await chat({ debug: true });
+
+    expect(mockChatCompletion).toHaveBeenCalledTimes(4);
+    const lastMessages = mockChatCompletion.mock.calls[3][0].messages;
+    expect(lastMessages.at(-1)).toEqual({
+      role: "system",
+      content: expect.stringContaining("used all available tool calls"),
+    });
+    const response = res.json.mock.calls[0][0];
+    expect(response.message).toBe("Best I found.");
+    expect(response.debug.stopReason).toBe("max_steps");
+    expect(
+      response.debug.steps.filter((step) => step.type === "tool_call"),
+    ).toHaveLength(2);
+  });
+
+  test("should fall back to the canned message if the LLM keeps calling tools", async () => {
+    process.env.CHAT_MAX_TOOL_STEPS = "1";
+    mockChatCompletion
+      .mockResolvedValueOnce(searchCall("a"))
+      .mockResolvedValueOnce(searchCall("b"))
+      .mockResolvedValueOnce(searchCall("c"));
+
+    const res = await chat();
+
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({
+        message: expect.stringContaining("unable to complete that request"),
+      }),
+    );
+  });
+
+  test("should stop calling tools once the time budget is spent", async () => {
+    let now = 0;
+    const complete = jest
+      .fn()
+      .mockResolvedValue(
+        JSON.stringify({ type: "tool_call", tool: "search_materials" }),
+      );
+    const executeTool = jest.fn(async () => {
+      now += 600;
+      return { results: [] };
+    });
+
+    const result = await agentLoop.runAgentLoop(
+      { message: "hooks", conversationHistory: [], customInstructions: null },
+      {
+        complete,
+        executeTool,
+        maxToolSteps: 10,
+        timeBudgetMs: 1000,
+        now: () => now,
+      },
+    );
+
+    expect(executeTool).toHaveBeenCalledTimes(2);
+    expect(result.stopReason).toBe("time_budget");
+    expect(result.toolTurns).toHaveLength(2);
+    expect(result.llmResponse.message).toContain("unable to complete");
+  });
+
+  test("should abort an LLM call that outlives the time budget and answer from the tool results", async () => {
+    const signals = [];
+    const complete = jest.fn((messages, { signal }) => {
+      signals.push(signal);
+      switch (complete.mock.calls.length) {
+        case 1:
+          return Promise.resolve(
+            JSON.stringify({
+              type: "tool_call",
+              tool: "search_materials",
+              args: { query: "hooks" },
+            }),
+          );
+        case 2:
+          return new Promise((resolve, reject) =>
+            signal.addEventListener("abort", () =>
+              reject(
+                Object.assign(new Error("aborted"), { name: "AbortError" }),
+              ),
+            ),
+          );
+        default:
+          return Promise.resolve(
+            JSON.stringify({
+              type: "final",
+              message: "Best I found.",
+              relatedMaterials: [],
+              suggestedActions: [],
+            }),
+          );
+      }
+    });
+
+    const result = await agentLoop.runAgentLoop(
+      { message: "hooks", conversationHistory: [], customInstructions: null },
+      {
+        complete,
+        executeTool: jest.fn().mockResolvedValue({ results: [] }),
+        timeBudgetMs: 20,
+      },
+    );
+
+    expect(signals[1].aborted).toBe(true);
+    // The final answer call is not bound to the spent budget
+    expect(signals[2]).toBeUndefined();
+    expect(complete.mock.calls[2][0].at(-1).content).toContain(
+      "used all available tool calls",
+    );
+    expect(result.stopReason).toBe("time_budget");
+    expect(result.toolTurns).toHaveLength(1);
+    expect(result.llmResponse.message).toBe("Best I found.");
+  });
+});
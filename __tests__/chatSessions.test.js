@@ -0,0 +1,371 @@
+/**
+ * Tests for server-side chat sessions
+ * Tests session ids, stored turns feeding the LLM history, the
+ * GET/DELETE /chatbot/sessions/:sessionId endpoints, TTL expiry and the
+ * file backend
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Mock @huggingface/inference BEFORE importing service
+const mockChatCompletion = jest.fn();
+jest.mock("@huggingface/inference", () => {
+  return {
+    InferenceClient: jest.fn().mockImplementation(() => ({
+      chatCompletion: mockChatCompletion,
+    })),
+  };
+});
+
+// Mock neo4j-driver BEFORE importing service
+jest.mock("neo4j-driver", () => {
+  const mockSession = {
+    executeRead: jest.fn(),
+    close: jest.fn(),
+  };
+
+  const mockDriver = {
+    session: jest.fn(() => mockSession),
+    verifyAuthentication: jest.fn().mockResolvedValue(undefined),
+    close: jest.fn().mockResolvedValue(undefined),
+  };
+
+  return {
+    driver: jest.fn(() => mockDriver),
+    auth: {
+      basic: jest.fn((user, pass) => ({ user, pass })),
+    },
+    session: { READ: "READ", WRITE: "WRITE" },
+    int: jest.fn((value) => value),
+  };
+});
+
+jest.mock("@xenova/transformers", () => ({
+  pipeline: jest.fn(() => {
+    const {
+      createNormalizedEmbedding,
+    } = require("./helpers/chatbotChat.helpers");
+    const embedding = createNormalizedEmbedding();
+    return jest.fn(() => Promise.resolve({ data: embedding }));
+  }),
+}));
+
+const {
+  createFinalResponse,
+  createNormalizedEmbedding,
+  createReq,
+  createRes,
+  createToolCallResponse,
+  mockSearchReads,
+} = require("./helpers/chatbotChat.helpers");
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+describe("Chat sessions", () => {
+  let service;
+  let sessionStore;
+  let mockSession;
+
+  // Send a chat message and return the response body
+  const chat = async (body) => {
+    const res = createRes();
+    await service.chatbotChat(
+      createReq({ sessionId: undefined, ...body }),
+      res,
+    );
+    return res.json.mock.calls[0][0];
+  };
+
+  beforeAll(() => {
+    jest.resetModules();
+    service = require("../services/service");
+    sessionStore = require("../services/sessions/sessionStore");
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockChatCompletion.mockReset();
+    require("../services/embeddings/searchService").invalidateSearchIndex();
+    sessionStore.resetSessionStore();
+    const neo4j = require("neo4j-driver");
+    mockSession = neo4j.driver().session();
+    mockSession.executeRead.mockReset();
+  });
+
+  describe("Chat turns", () => {
+    test("should start sessions with distinct random ids", async () => {
+      mockChatCompletion.mockResolvedValue(
+        createFinalResponse({ message: "Hello!" }),
+      );
+
+      const first = await chat({});
+      const second = await chat({});
+
+      expect(first.conversationState.sessionId).toMatch(UUID_PATTERN);
+      expect(second.conversationState.sessionId).toMatch(UUID_PATTERN);
+      expect(second.conversationState.sessionId).not.toBe(
+        first.conversationState.sessionId,
+      );
+    });
+
+    test("should store user, tool and assistant turns with search results", async () => {
+      mockSearchReads(mockSession, [
+        {
+          node: { id: "hooks", name: "React hooks", type: "Skill" },
+          embedding: createNormalizedEmbedding(),
+        },
+      ]);
+      mockChatCompletion
+        .mockResolvedValueOnce(
+          createToolCallResponse("search_materials", { query: "hooks" }),
+        )
+        .mockResolvedValueOnce(createFinalResponse({ message: "Try hooks." }));
+
+      const response = await chat({ message: "Teach me hooks" });
+
+      const session = await sessionStore
+        .getSessionStore()
+        .getSession(response.conversationState.sessionId);
+      expect(session.turns.map((turn) => turn.role)).toEqual([
+        "user",
+        "tool",
+        "assistant",
+      ]);
+      expect(session.turns[0].content).toBe("Teach me hooks");
+      expect(session.turns[1]).toEqual(
+        expect.objectContaining({
+          tool: "search_materials",
+          args: { query: "hooks" },
+        }),
+      );
+      expect(session.turns[1].output.results[0].node.id).toBe("hooks");
+      expect(session.turns[2].content).toBe("Try hooks.");
+    });
+
+    test("should build LLM history from the stored session", async () => {
+      mockSearchReads(mockSession, []);
+      mockChatCompletion
+        .mockResolvedValueOnce(
+          createToolCallResponse("search_materials", { query: "hooks" }),
+        )
+        .mockResolvedValueOnce(createFinalResponse({ message: "Try hooks." }))
+        .mockResolvedValueOnce(createFinalResponse({ message: "Sure." }));
+      const { conversationState } = await chat({ message: "Teach me hooks" });
+
+      await chat({
+        message: "And useEffect?",
+        sessionId: conversationState.sessionId,
+        conversationHistory: [],
+      });
+
+      const messages = mockChatCompletion.mock.calls[2][0].messages;
+      expect(
+        messages
+          .filter((msg) => msg.role !== "system")
+          .map((msg) => [msg.role, msg.content.slice(0, 30)]),
+      ).toEqual([
+        ["user", "Teach me hooks"],
+        ["assistant", expect.stringContaining('"type":"tool_call"')],
+        ["user", expect.stringContaining("Tool result for search_")],
+        ["assistant", "Try hooks."],
+        ["user", "And useEffect?"],
+      ]);
+    });
+
+    test("should not adopt a session id the server did not issue", async () => {
+      mockChatCompletion.mockResolvedValue(
+        createFinalResponse({ message: "Hello!" }),
+      );
+      const legacyId = "session_1700000000000";
+
+      const first = await chat({
+        message: "Secret question",
+        sessionId: legacyId,
+      });
+      const second = await chat({ message: "Hi", sessionId: legacyId });
+
+      expect(first.conversationState.sessionId).toMatch(UUID_PATTERN);
+      expect(second.conversationState.sessionId).toMatch(UUID_PATTERN);
+      expect(second.conversationState.sessionId).not.toBe(
+        first.conversationState.sessionId,
+      );
+      const messages = mockChatCompletion.mock.calls[1][0].messages;
+      expect(JSON.stringify(messages)).not.toContain("Secret question");
+
+      const res = createRes();
+      await service.chatbotGetSession({ params: { sessionId: legacyId } }, res);
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    test("should return 400 for a malformed sessionId", async () => {
+      const res = createRes();
+
+      await service.chatbotChat(
+        createReq({ sessionId: "../../etc/passwd" }),
+        res,
+      );
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(mockChatCompletion).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Session endpoints", () => {
+    test("should return a stored session", async () => {
+      mockChatCompletion.mockResolvedValueOnce(
+        createFinalResponse({ message: "Hello!" }),
+      );
+      const { conversationState } = await chat({ message: "Hi" });
+      const res = createRes();
+
+      await service.chatbotGetSession(
+        { params: { sessionId: conversationState.sessionId } },
+        res,
+      );
+
+      expect(res.json).toHaveBeenCalledWith({
+        sessionId: conversationState.sessionId,
+        turns: [
+          expect.objectContaining({ role: "user", content: "Hi" }),
+          expect.objectContaining({ role: "assistant", content: "Hello!" }),
+        ],
+        createdAt: expect.any(String),
+        updatedAt: conversationState.lastUpdated,
+        expiresAt: expect.any(String),
+      });
+    });
+
+    test("should delete a session", async () => {
+      mockChatCompletion.mockResolvedValueOnce(
+        createFinalResponse({ message: "Hello!" }),
+      );
+      const { conversationState } = await chat({ message: "Hi" });
+      const params = { sessionId: conversationState.sessionId };
+
+      const deleteRes = createRes();
+      deleteRes.end = jest.fn();
+      await service.chatbotDeleteSession({ params }, deleteRes);
+      const getRes = createRes();
+      await service.chatbotGetSession({ params }, getRes);
+
+      expect(deleteRes.status).toHaveBeenCalledWith(204);
+      expect(getRes.status).toHaveBeenCalledWith(404);
+    });
+
+    test("should return 404 for unknown sessions", async () => {
+      const getRes = createRes();
+      const deleteRes = createRes();
+
+      await service.chatbotGetSession(
+        { params: { sessionId: "nope" } },
+        getRes,
+      );
+      await service.chatbotDeleteSession(
+        { params: { sessionId: "nope" } },
+        deleteRes,
+      );
+
+      expect(getRes.status).toHaveBeenCalledWith(404);
+      expect(deleteRes.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe("Session store", () => {
+    test("should expire sessions after the TTL and extend it on update", async () => {
+      let now = 0;
+      const store = sessionStore.createSessionStore({
+        ttlMs: 1000,
+        now: () => now,
+      });
+      const { sessionId } = await store.getOrCreateSession();
+
+      now = 900;
+      await store.appendTurns(sessionId, [{ role: "user", content: "Hi" }]);
+      now = 1800;
+      expect(await store.getSession(sessionId)).not.toBeNull();
+
+      now = 1900;
+      expect(await store.getSession(sessionId)).toBeNull();
+    });
+
+    test("should purge expired sessions", async () => {
+      let now = 0;
+      const store = sessionStore.createSessionStore({
+        ttlMs: 1000,
+        now: () => now,
+      });
+      await store.getOrCreateSession();
+      await store.getOrCreateSession();
+
+      now = 5000;
+
+      expect(await store.purgeExpired()).toBe(2);
+    });
+
+    test("should keep only the most recent turns", async () => {
+      const store = sessionStore.createSessionStore();
+      const { sessionId } = await store.getOrCreateSession();
+      const turns = Array.from(
+        { length: sessionStore.MAX_SESSION_TURNS + 5 },
+        (_, i) => ({ role: "user", content: `message ${i}` }),
+      );
+
+      const session = await store.appendTurns(sessionId, turns);
+
+      expect(session.turns).toHaveLength(sessionStore.MAX_SESSION_TURNS);
+      expect(session.turns[0].content).toBe("message 5");
+    });
+
+    test("should persist sessions with the file backend", async () => {
+      const {
+        createFileSessionBackend,
+      } = require("../services/sessions/sessionBackends");
+      const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "sessions-"));
+      const filePath = path.join(tmpDir, "sessions.json");
+
+      try {
+        const store = sessionStore.createSessionStore({
+          backend: createFileSessionBackend(filePath),
+        });
+        const { sessionId } = await store.getOrCreateSession();
+        await store.appendTurns(sessionId, [{ role: "user", content: "Hi" }]);
+
+        const reopened = sessionStore.createSessionStore({
+          backend: createFileSessionBackend(filePath),
+        });
+        const session = await reopened.getSession(sessionId);
+
+        expect(reopened.backend).toBe("file");
+        expect(session.turns).toEqual([
+          expect.objectContaining({ role: "user", content: "Hi" }),
+        ]);
+      } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+      }
+    });
+
+    test("should load the session file once for concurrent first requests", async () => {
+      const {
+        createFileSessionBackend,
+      } = require("../services/sessions/sessionBackends");
+      const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "sessions-"));
+
+      try {
+        const backend = createFileSessionBackend(
+          path.join(tmpDir, "sessions.json"),
+        );
+        await Promise.all([
+          backend.set({ sessionId: "a", turns: [] }),
+          backend.set({ sessionId: "b", turns: [] }),
+        ]);
+
+        expect(await backend.values()).toHaveLength(2);
+      } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -3,6 +3,10 @@
  * Tests LLM orchestration with tool calling and conversation flow
  */
 
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
 // Mock @huggingface/inference BEFORE importing service
 const mockChatCompletion = jest.fn();
 jest.mock("@huggingface/inference", () => {
@@ -22,7 +26,7 @@ jest.mock("neo4j-driver", () => {
 
   const mockDriver = {
     session: jest.fn(() => mockSession),
-    verifyAuthentication: Promise.resolve(),
+    verifyAuthentication: jest.fn().mockResolvedValue(undefined),
     close: jest.fn().mockResolvedValue(undefined),
   };
 
@@ -31,6 +35,8 @@ jest.mock("neo4j-driver", () => {
     auth: {
       basic: jest.fn((user, pass) => ({ user, pass })),
     },
+    session: { READ: "READ", WRITE: "WRITE" },
+    int: jest.fn((value) => value),
   };
 });
 
@@ -41,7 +47,7 @@ const {
   createRes,
   createToolCallResponse,
   createFinalResponse,
-  mockNeo4jSearchResults,
+  mockSearchReads,
 } = require("./helpers/chatbotChat.helpers");
 
 // Mock @xenova/transformers for search_materials tool
@@ -73,11 +79,16 @@ describe("POST /chatbot/chat Endpoint", () => {
   beforeEach(() => {
     jest.clearAllMocks();
     mockChatCompletion.mockClear();
+    // Each test supplies its own graph: force the search index to reload
+    require("../services/embeddings/searchService").invalidateSearchIndex();
+    // Each test starts a fresh conversation
+    require("../services/sessions/sessionStore").resetSessionStore();
 
     // Setup mock Neo4j session
     const neo4j = require("neo4j-driver");
     const mockDriver = neo4j.driver();
     mockSession = mockDriver.session();
+    mockSession.executeRead.mockReset();
 
     // Setup mock Express req/res
     req = createReq();
@@ -103,7 +114,7 @@ describe("POST /chatbot/chat Endpoint", () => {
           relatedMaterials: [],
           suggestedActions: ["Learn useState", "Learn useEffect"],
           conversationState: expect.objectContaining({
-            sessionId: "test-session-123",
+            sessionId: expect.stringMatching(/^[0-9a-f-]{36}$/),
           }),
         }),
       );
@@ -119,18 +130,16 @@ describe("POST /chatbot/chat Endpoint", () => {
       );
 
       // Mock Neo4j search results
-      mockSession.executeRead.mockResolvedValueOnce(
-        mockNeo4jSearchResults([
-          {
-            node: {
-              id: "uuid-1",
-              name: "https://reactjs.org/docs/hooks-intro",
-              type: "URL",
-            },
-            embedding: createNormalizedEmbedding(),
+      mockSearchReads(mockSession, [
+        {
+          node: {
+            id: "uuid-1",
+            name: "https://reactjs.org/docs/hooks-intro",
+            type: "URL",
           },
-        ]),
-      );
+          embedding: createNormalizedEmbedding(),
+        },
+      ]);
 
       // Mock LLM second response - final answer after tool execution
       mockChatCompletion.mockResolvedValueOnce(
@@ -173,7 +182,7 @@ describe("POST /chatbot/chat Endpoint", () => {
       );
 
       // Mock search results (no relevant materials found)
-      mockSession.executeRead.mockResolvedValueOnce(mockNeo4jSearchResults([]));
+      mockSearchReads(mockSession, []);
 
       // Mock LLM second response - no relevant results, asking for contributions
       mockChatCompletion.mockResolvedValueOnce(
@@ -205,8 +214,9 @@ describe("POST /chatbot/chat Endpoint", () => {
       );
 
       // Mock search results from database
-      mockSession.executeRead.mockResolvedValueOnce(
-        mockNeo4jSearchResults([
+      mockSearchReads(
+        mockSession,
+        [
           {
             node: {
               id: "uuid-ts",
@@ -215,7 +225,17 @@ describe("POST /chatbot/chat Endpoint", () => {
             },
             embedding: createNormalizedEmbedding(),
           },
-        ]),
+        ],
+        [
+          {
+            node: {
+              id: "uuid-ts",
+              name: "https://www.typescriptlang.org/docs/",
+              type: "URL",
+            },
+            score: 2.5,
+          },
+        ],
       );
 
       // Mock final response
@@ -236,6 +256,22 @@ describe("POST /chatbot/chat Endpoint", () => {
         msg.content.includes("Tool result for search_materials"),
       );
       expect(toolResultMessage).toBeDefined();
+
+      // search_materials defaults to hybrid search with per-signal scores
+      const toolResult = JSON.parse(
+        toolResultMessage.content.replace(/^[^{]*/, ""),
+      );
+      expect(toolResult.mode).toBe("hybrid");
+      expect(toolResult.results[0]).toEqual(
+        expect.objectContaining({
+          node: expect.objectContaining({ id: "uuid-ts" }),
+          scores: {
+            semantic: expect.any(Number),
+            keyword: 2.5,
+            fused: expect.any(Number),
+          },
+        }),
+      );
     });
 
     test("should handle conversation history in request", async () => {
@@ -316,16 +352,15 @@ describe("POST /chatbot/chat Endpoint", () => {
       await chatbotChat(req, res);
 
       expect(res.status).toHaveBeenCalledWith(500);
-      expect(res.json).toHaveBeenCalledWith(
-        expect.objectContaining({
-          error: "Chat request failed",
-          message: "HF API timeout",
-        }),
-      );
+      expect(res.json).toHaveBeenCalledWith({
+        error: "Chat request failed",
+        message:
+          "Something went wrong while generating a response. Please try again.",
+      });
     });
 
     test("should handle malformed LLM JSON response", async () => {
-      mockChatCompletion.mockResolvedValueOnce({
+      const malformed = {
         choices: [
           {
             message: {
@@ -333,17 +368,21 @@ describe("POST /chatbot/chat Endpoint", () => {
             },
           },
         ],
-      });
+      };
+      mockChatCompletion
+        .mockResolvedValueOnce(malformed)
+        .mockResolvedValueOnce(malformed);
 
       await chatbotChat(req, res);
 
-      // Should return apology message when JSON parsing fails
+      // One repair attempt, then an apology once it fails too
+      expect(mockChatCompletion).toHaveBeenCalledTimes(2);
       expect(res.json).toHaveBeenCalledWith(
         expect.objectContaining({
           message:
-            "I apologize, but I encountered an error processing your request. The administrators have been notified and will investigate this issue. Please try again later or contact support if the problem persists.",
+            "I'm sorry, I ran into an error processing your request. Please try again or rephrase your question.",
           relatedMaterials: [],
-          suggestedActions: ["try_again", "contact_support"],
+          suggestedActions: ["try_again"],
         }),
       );
     });
@@ -353,8 +392,8 @@ describe("POST /chatbot/chat Endpoint", () => {
         createToolCallResponse("search_materials", { query: "test", limit: 5 }),
       );
 
-      // Mock search failure
-      mockSession.executeRead.mockRejectedValueOnce(
+      // Mock search failure (both search signals hit the database)
+      mockSession.executeRead.mockRejectedValue(
         new Error("Database connection failed"),
       );
 
@@ -390,40 +429,192 @@ describe("POST /chatbot/chat Endpoint", () => {
       expect(res.json).toHaveBeenCalledWith(
         expect.objectContaining({
           conversationState: expect.objectContaining({
-            sessionId: expect.stringMatching(/^session_\d+$/),
+            sessionId: expect.stringMatching(
+              /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/,
+            ),
           }),
         }),
       );
     });
 
-    test("should preserve provided sessionId", async () => {
+    test("should preserve a server-issued sessionId", async () => {
+      mockChatCompletion.mockResolvedValue(
+        createFinalResponse({ message: "Hello!" }),
+      );
+      await chatbotChat(req, res);
+      const { sessionId } = res.json.mock.calls[0][0].conversationState;
+
+      const next = createRes();
+      await chatbotChat(createReq({ sessionId }), next);
+
+      expect(next.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          conversationState: expect.objectContaining({ sessionId }),
+        }),
+      );
+    });
+
+    test("should issue a new sessionId for an unknown one", async () => {
       mockChatCompletion.mockResolvedValueOnce(
         createFinalResponse({ message: "Hello!" }),
       );
 
       await chatbotChat(req, res);
 
+      expect(res.json.mock.calls[0][0].conversationState.sessionId).not.toBe(
+        "test-session-123",
+      );
+    });
+
+    test("should include timestamp in conversationState", async () => {
+      mockChatCompletion.mockResolvedValueOnce(
+        createFinalResponse({ message: "Hi" }),
+      );
+
+      await chatbotChat(req, res);
+
       expect(res.json).toHaveBeenCalledWith(
         expect.objectContaining({
           conversationState: expect.objectContaining({
-            sessionId: "test-session-123",
+            lastUpdated: expect.any(String),
           }),
         }),
       );
     });
+  });
 
-    test("should include timestamp in conversationState", async () => {
+  describe("request_material_addition tool", () => {
+    let tmpDir;
+
+    beforeAll(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "perk-material-"));
+      process.env.MATERIAL_REQUEST_STORE_PATH = path.join(
+        tmpDir,
+        "material-requests.json",
+      );
+    });
+
+    afterAll(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+      delete process.env.MATERIAL_REQUEST_STORE_PATH;
+    });
+
+    const readStoredRequests = () =>
+      JSON.parse(
+        fs.readFileSync(process.env.MATERIAL_REQUEST_STORE_PATH, "utf8"),
+      );
+
+    test("should file the request and feed the acknowledgement back to the LLM", async () => {
       mockChatCompletion.mockResolvedValueOnce(
-        createFinalResponse({ message: "Hi" }),
+        createToolCallResponse("request_material_addition", {
+          topic: "SolidJS",
+          user_context: "Frontend developer moving from React",
+          suggested_resources: ["https://www.solidjs.com/tutorial"],
+        }),
+      );
+      mockChatCompletion.mockResolvedValueOnce(
+        createFinalResponse({
+          message: "I've filed a request for SolidJS materials.",
+        }),
       );
 
       await chatbotChat(req, res);
 
+      expect(mockChatCompletion).toHaveBeenCalledTimes(2);
+      const messages = mockChatCompletion.mock.calls[1][0].messages;
+      const toolResultMessage = messages.find((msg) =>
+        msg.content.startsWith("Tool result for request_material_addition"),
+      );
+      expect(toolResultMessage).toBeDefined();
+
+      const acknowledgement = JSON.parse(
+        toolResultMessage.content.replace(/^[^{]*/, ""),
+      );
+      expect(acknowledgement).toEqual({
+        requestId: expect.any(String),
+        status: "queued",
+        topic: "SolidJS",
+      });
+
+      const stored = readStoredRequests().find(
+        (request) => request.requestId === acknowledgement.requestId,
+      );
+      expect(stored).toEqual(
+        expect.objectContaining({
+          topic: "SolidJS",
+          userContext: "Frontend developer moving from React",
+          suggestedResources: ["https://www.solidjs.com/tutorial"],
+          sessionId: expect.stringMatching(/^[0-9a-f-]{36}$/),
+          status: "queued",
+        }),
+      );
+
       expect(res.json).toHaveBeenCalledWith(
         expect.objectContaining({
-          conversationState: expect.objectContaining({
-            lastUpdated: expect.any(String),
+          message: "I've filed a request for SolidJS materials.",
+        }),
+      );
+    });
+
+    test("should generate unique request ids", async () => {
+      for (let i = 0; i < 2; i++) {
+        mockChatCompletion.mockResolvedValueOnce(
+          createToolCallResponse("request_material_addition", {
+            topic: "Rust",
           }),
+        );
+        mockChatCompletion.mockResolvedValueOnce(
+          createFinalResponse({ message: "Filed." }),
+        );
+        await chatbotChat(createReq(), createRes());
+      }
+
+      const rustIds = readStoredRequests()
+        .filter((request) => request.topic === "Rust")
+        .map((request) => request.requestId);
+      expect(rustIds).toHaveLength(2);
+      expect(new Set(rustIds).size).toBe(2);
+    });
+
+    test("should report a missing topic to the LLM without filing a request", async () => {
+      mockChatCompletion.mockResolvedValueOnce(
+        createToolCallResponse("request_material_addition", {
+          user_context: "no topic given",
+        }),
+      );
+      mockChatCompletion.mockResolvedValueOnce(
+        createFinalResponse({ message: "Which topic should I request?" }),
+      );
+
+      await chatbotChat(req, res);
+
+      const messages = mockChatCompletion.mock.calls[1][0].messages;
+      expect(messages[messages.length - 1].content).toContain(
+        "topic is required",
+      );
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ message: "Which topic should I request?" }),
+      );
+    });
+
+    test("should reject unknown tool names cleanly", async () => {
+      const unknownTool = createToolCallResponse("delete_everything", {
+        confirm: true,
+      });
+      mockChatCompletion
+        .mockResolvedValueOnce(unknownTool)
+        .mockResolvedValueOnce(unknownTool);
+
+      await chatbotChat(req, res);
+
+      // One repair attempt naming the available tools, never executed
+      expect(mockChatCompletion).toHaveBeenCalledTimes(2);
+      expect(mockSession.executeRead).not.toHaveBeenCalled();
+      expect(res.status).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          message: expect.stringContaining("unable to complete that request"),
+          relatedMaterials: [],
         }),
       );
     });
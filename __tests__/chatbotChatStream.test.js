@@ -0,0 +1,287 @@
+/**
+ * Tests for streamed chat (POST /chatbot/chat/stream)
+ * Tests Server-Sent Event order, message token deltas, Accept negotiation
+ * and aborting the LLM call when the client disconnects
+ */
+
+const { EventEmitter } = require("events");
+
+// Mock @huggingface/inference BEFORE importing service
+const mockChatCompletionStream = jest.fn();
+jest.mock("@huggingface/inference", () => {
+  return {
+    InferenceClient: jest.fn().mockImplementation(() => ({
+      chatCompletionStream: mockChatCompletionStream,
+    })),
+  };
+});
+
+// Mock neo4j-driver BEFORE importing service
+jest.mock("neo4j-driver", () => {
+  const mockSession = {
+    executeRead: jest.fn(),
+    close: jest.fn(),
+  };
+
+  const mockDriver = {
+    session: jest.fn(() => mockSession),
+    verifyAuthentication: jest.fn().mockResolvedValue(undefined),
+    close: jest.fn().mockResolvedValue(undefined),
+  };
+
+  return {
+    driver: jest.fn(() => mockDriver),
+    auth: {
+      basic: jest.fn((user, pass) => ({ user, pass })),
+    },
+    session: { READ: "READ", WRITE: "WRITE" },
+    int: jest.fn((value) => value),
+  };
+});
+
+jest.mock("@xenova/transformers", () => ({
+  pipeline: jest.fn(() => {
+    const {
+      createNormalizedEmbedding,
+    } = require("./helpers/chatbotChat.helpers");
+    const embedding = createNormalizedEmbedding();
+    return jest.fn(() => Promise.resolve({ data: embedding }));
+  }),
+}));
+
+const {
+  createNormalizedEmbedding,
+  createReq,
+  mockSearchReads,
+} = require("./helpers/chatbotChat.helpers");
+
+// Stream a raw LLM reply in fixed-size content chunks
+const streamOf = (content, chunkSize = 7) =>
+  async function* () {
+    for (let i = 0; i < content.length; i += chunkSize) {
+      yield {
+        choices: [{ delta: { content: content.slice(i, i + chunkSize) } }],
+      };
+    }
+  };
+
+const finalReply = (message, relatedMaterials = []) =>
+  JSON.stringify({
+    type: "final",
+    message,
+    relatedMaterials,
+    suggestedActions: [],
+  });
+
+// Response double recording written events
+const createStreamRes = () => {
+  const res = new EventEmitter();
+  res.status = jest.fn().mockReturnValue(res);
+  res.set = jest.fn().mockReturnValue(res);
+  res.json = jest.fn();
+  res.flushHeaders = jest.fn();
+  res.write = jest.fn();
+  res.end = jest.fn();
+  res.events = () =>
+    res.write.mock.calls.map(([chunk]) => {
+      const [, event, data] = chunk.match(/^event: (.+)\ndata: (.+)\n\n$/);
+      return { event, data: JSON.parse(data) };
+    });
+  return res;
+};
+
+describe("POST /chatbot/chat/stream Endpoint", () => {
+  let service;
+  let llmOrchestrator;
+  let mockSession;
+
+  beforeAll(() => {
+    jest.resetModules();
+    service = require("../services/service");
+    llmOrchestrator = require("../services/chatbot/llmOrchestrator");
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockChatCompletionStream.mockReset();
+    require("../services/embeddings/searchService").invalidateSearchIndex();
+    require("../services/sessions/sessionStore").resetSessionStore();
+    const neo4j = require("neo4j-driver");
+    mockSession = neo4j.driver().session();
+    mockSession.executeRead.mockReset();
+  });
+
+  test("should stream the message of a direct reply as tokens, then final", async () => {
+    mockChatCompletionStream.mockImplementationOnce(
+      streamOf(finalReply('Hi! Say "hooks" to start.')),
+    );
+    const res = createStreamRes();
+
+    await service.chatbotChatStream(createReq({ message: "Hello" }), res);
+
+    expect(res.set).toHaveBeenCalledWith(
+      expect.objectContaining({ "Content-Type": "text/event-stream" }),
+    );
+    const events = res.events();
+    const tokens = events.filter(({ event }) => event === "token");
+    expect(tokens.length).toBeGreaterThan(1);
+    expect(tokens.map(({ data }) => data.delta).join("")).toBe(
+      'Hi! Say "hooks" to start.',
+    );
+    expect(events.at(-1)).toEqual({
+      event: "final",
+      data: expect.objectContaining({
+        message: 'Hi! Say "hooks" to start.',
+        relatedMaterials: [],
+        suggestedActions: [],
+      }),
+    });
+    expect(res.end).toHaveBeenCalled();
+  });
+
+  test("should emit tool_call and search_results before the final answer", async () => {
+    mockSearchReads(mockSession, [
+      {
+        node: { id: "hooks", name: "React hooks", type: "Skill" },
+        embedding: createNormalizedEmbedding(),
+      },
+    ]);
+    mockChatCompletionStream
+      .mockImplementationOnce(
+        streamOf(
+          JSON.stringify({
+            type: "tool_call",
+            tool: "search_materials",
+            args: { query: "React hooks" },
+          }),
+        ),
+      )
+      .mockImplementationOnce(
+        streamOf(
+          finalReply("Found one.", [
+            { nodeId: "hooks", name: "React hooks", type: "skill" },
+          ]),
+        ),
+      );
+    const res = createStreamRes();
+
+    await service.chatbotChatStream(createReq(), res);
+
+    const events = res.events();
+    expect([...new Set(events.map(({ event }) => event))]).toEqual([
+      "tool_call",
+      "search_results",
+      "token",
+      "final",
+    ]);
+    expect(events[0].data).toEqual({
+      tool: "search_materials",
+      args: { query: "React hooks" },
+    });
+    expect(events[1].data.results[0].node.id).toBe("hooks");
+    expect(events.at(-1).data.relatedMaterials).toEqual([
+      { nodeId: "hooks", name: "React hooks", type: "skill" },
+    ]);
+  });
+
+  test("should stream from POST /chatbot/chat when the client accepts text/event-stream", async () => {
+    mockChatCompletionStream.mockImplementationOnce(
+      streamOf(finalReply("Hello")),
+    );
+    const req = createReq({ message: "Hi" });
+    req.headers = { accept: "text/event-stream" };
+    const res = createStreamRes();
+
+    await service.chatbotChat(req, res);
+
+    expect(res.json).not.toHaveBeenCalled();
+    expect(res.events().at(-1).event).toBe("final");
+  });
+
+  test("should return 400 JSON without opening a stream for a missing message", async () => {
+    const res = createStreamRes();
+
+    await service.chatbotChatStream(createReq({ message: "" }), res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({
+      error: "message is required and must be a string",
+    });
+    expect(res.flushHeaders).not.toHaveBeenCalled();
+    expect(mockChatCompletionStream).not.toHaveBeenCalled();
+  });
+
+  test("should abort the in-flight LLM call when the client disconnects", async () => {
+    const res = createStreamRes();
+    let signal;
+    mockChatCompletionStream.mockImplementationOnce(
+      async function* (request, options) {
+        signal = options.signal;
+        yield { choices: [{ delta: { content: '{"type":"final","mess' } }] };
+        res.emit("close");
+        if (signal.aborted) {
+          throw Object.assign(new Error("aborted"), { name: "AbortError" });
+        }
+      },
+    );
+
+    await service.chatbotChatStream(createReq(), res);
+
+    expect(signal.aborted).toBe(true);
+    expect(res.events().map(({ event }) => event)).not.toContain("final");
+    expect(res.events().map(({ event }) => event)).not.toContain("error");
+    expect(res.end).not.toHaveBeenCalled();
+  });
+
+  test("should send an error event when the LLM call fails", async () => {
+    mockChatCompletionStream.mockImplementationOnce(async function* () {
+      yield* [];
+      throw new Error("HF API unavailable");
+    });
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const res = createStreamRes();
+
+    await service.chatbotChatStream(createReq(), res);
+
+    console.error.mockRestore();
+    expect(res.events()).toEqual([
+      {
+        event: "error",
+        data: {
+          error: "Chat request failed",
+          message:
+            "Something went wrong while generating a response. Please try again.",
+        },
+      },
+    ]);
+    expect(res.end).toHaveBeenCalled();
+  });
+
+  describe("createMessageDeltaDecoder", () => {
+    const decodeAll = (chunks) => {
+      const decode = llmOrchestrator.createMessageDeltaDecoder();
+      return chunks.map((chunk) => decode(chunk)).join("");
+    };
+
+    test("should decode escapes split across chunks", () => {
+      expect(
+        decodeAll(['{"type":"final","message":"a\\', "nb \\u00", 'e9"}']),
+      ).toBe("a\nb é");
+    });
+
+    test("should stop at the end of the message field", () => {
+      expect(
+        decodeAll(['{"message":"done",', '"suggestedActions":["x"]}']),
+      ).toBe("done");
+    });
+
+    test("should skip think blocks and yield nothing for tool calls", () => {
+      expect(
+        decodeAll(['<think>"message":"no"</think>', '{"message":"yes"}']),
+      ).toBe("yes");
+      expect(
+        decodeAll(['{"type":"tool_call","tool":"search_materials"}']),
+      ).toBe("");
+    });
+  });
+});
@@ -0,0 +1,282 @@
+/**
+ * Tests for GET /chatbot/find-path endpoint
+ * Tests multi-path ranking strategies and path metrics
+ */
+
+// Mock neo4j-driver BEFORE importing service
+jest.mock("neo4j-driver", () => {
+  const mockSession = {
+    executeRead: jest.fn(),
+    close: jest.fn(),
+  };
+
+  const mockDriver = {
+    session: jest.fn(() => mockSession),
+    verifyAuthentication: jest.fn().mockResolvedValue(undefined),
+    close: jest.fn().mockResolvedValue(undefined),
+  };
+
+  return {
+    driver: jest.fn(() => mockDriver),
+    auth: {
+      basic: jest.fn((user, pass) => ({ user, pass })),
+    },
+    session: { READ: "READ", WRITE: "WRITE" },
+    int: jest.fn((value) => value),
+  };
+});
+
+const mockRecords = (rows) => ({
+  records: rows.map((row) => ({
+    get: jest.fn((key) => row[key]),
+  })),
+});
+
+const FROM_ID = "0b6f6a3e-5f1d-4c7a-9a52-1d2e3f4a5b6c";
+const TO_ID = "9c8b7a6d-5e4f-4a3b-8c2d-1e0f9a8b7c6d";
+
+const existsResult = (fromExists = true, toExists = true) =>
+  mockRecords([{ fromExists, toExists }]);
+
+// Build a candidate path record: skill -> url (-> skill -> url)* -> skill
+const pathRecord = (ids, urlMetadata = {}) => ({
+  pathNodes: ids.map((id) => ({
+    id,
+    name: `Node ${id}`,
+    type: id.startsWith("u") ? "url" : "skill",
+    ...(urlMetadata[id] || {}),
+  })),
+  pathEdges: ids.slice(1).map((id, idx) => ({
+    id: `r-${ids[idx]}-${id}`,
+    source: ids[idx],
+    target: id,
+    type: id.startsWith("u") ? "IS_PREREQUISITE_TO" : "TEACHES",
+  })),
+});
+
+describe("GET /chatbot/find-path Endpoint", () => {
+  let chatbotFindPath;
+  let mockDriver;
+  let mockSession;
+
+  const createRes = () => ({
+    json: jest.fn().mockReturnThis(),
+    status: jest.fn().mockReturnThis(),
+  });
+
+  const createReq = (query = {}) => ({
+    query: { fromNodeId: FROM_ID, toNodeId: TO_ID, ...query },
+  });
+
+  // Short but slow, long but fast and well rated
+  const shortSlowPath = pathRecord(["s1", "u1", "s9"], {
+    u1: { estimatedTimeMinutes: 120, rating: 3 },
+  });
+  const longFastPath = pathRecord(["s1", "u2", "s2", "u3", "s9"], {
+    u2: { estimatedTimeMinutes: 10, rating: 5 },
+    u3: { estimatedTimeMinutes: 15, rating: 4.5 },
+  });
+
+  beforeAll(() => {
+    jest.resetModules();
+    const service = require("../services/service");
+    chatbotFindPath = service.chatbotFindPath;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    const neo4j = require("neo4j-driver");
+    mockDriver = neo4j.driver();
+    mockSession = mockDriver.session();
+  });
+
+  test("should return ranked paths with metrics", async () => {
+    mockSession.executeRead
+      .mockResolvedValueOnce(existsResult())
+      .mockResolvedValueOnce(mockRecords([shortSlowPath, longFastPath]));
+
+    const res = createRes();
+    await chatbotFindPath(createReq(), res);
+
+    const response = res.json.mock.calls[0][0];
+    expect(response.paths).toHaveLength(2);
+    expect(response.paths[0]).toEqual(
+      expect.objectContaining({
+        totalSteps: 2,
+        totalEstimatedTimeMinutes: 120,
+        averageRating: 3,
+        rank: 1,
+        preferred: true,
+        explanation: "shortest_hops",
+      }),
+    );
+    expect(response.paths[1]).toEqual(
+      expect.objectContaining({
+        totalSteps: 4,
+        totalEstimatedTimeMinutes: 25,
+        averageRating: 4.75,
+        rank: 2,
+        preferred: false,
+      }),
+    );
+    expect(response.paths[0].nodes[1]).toEqual({
+      nodeId: "u1",
+      name: "Node u1",
+      type: "url",
+      metadata: { estimatedTimeMinutes: 120, rating: 3 },
+    });
+  });
+
+  test("should open sessions with read intent and parameterized ids", async () => {
+    mockSession.executeRead
+      .mockResolvedValueOnce(existsResult())
+      .mockResolvedValueOnce(mockRecords([shortSlowPath]));
+
+    await chatbotFindPath(createReq(), createRes());
+
+    expect(mockDriver.session).toHaveBeenCalledWith({
+      defaultAccessMode: "READ",
+    });
+
+    const mockTx = { run: jest.fn() };
+    const pathCallback = mockSession.executeRead.mock.calls[1][0];
+    pathCallback(mockTx);
+    const [cypher, params] = mockTx.run.mock.calls[0];
+    expect(cypher).not.toContain(FROM_ID);
+    expect(params).toEqual(
+      expect.objectContaining({ fromNodeId: FROM_ID, toNodeId: TO_ID }),
+    );
+    expect(mockSession.close).toHaveBeenCalled();
+  });
+
+  test.each([
+    ["shortest_hops", 2],
+    ["shortest_time", 4],
+    ["highest_rating", 4],
+    ["balanced", 4],
+  ])("should rank by %s strategy", async (sort, preferredSteps) => {
+    mockSession.executeRead
+      .mockResolvedValueOnce(existsResult())
+      .mockResolvedValueOnce(mockRecords([shortSlowPath, longFastPath]));
+
+    const res = createRes();
+    await chatbotFindPath(createReq({ sort }), res);
+
+    const response = res.json.mock.calls[0][0];
+    expect(response.sort).toBe(sort);
+    expect(response.paths[0].totalSteps).toBe(preferredSteps);
+    expect(response.paths[0].explanation).toBe(sort);
+    expect(response.paths[1].explanation).toBe(`${sort}_alternative`);
+  });
+
+  test("should respect the limit parameter", async () => {
+    mockSession.executeRead
+      .mockResolvedValueOnce(existsResult())
+      .mockResolvedValueOnce(mockRecords([shortSlowPath, longFastPath]));
+
+    const res = createRes();
+    await chatbotFindPath(createReq({ limit: "1" }), res);
+
+    const response = res.json.mock.calls[0][0];
+    expect(response.paths).toHaveLength(1);
+    expect(response.paths[0].explanation).toBe("only_available_path");
+  });
+
+  test("should mark a single candidate as only_available_path", async () => {
+    mockSession.executeRead
+      .mockResolvedValueOnce(existsResult())
+      .mockResolvedValueOnce(mockRecords([pathRecord(["s1", "u1", "s9"])]));
+
+    const res = createRes();
+    await chatbotFindPath(createReq(), res);
+
+    const [path] = res.json.mock.calls[0][0].paths;
+    expect(path.explanation).toBe("only_available_path");
+    expect(path.totalEstimatedTimeMinutes).toBeNull();
+    expect(path.averageRating).toBeNull();
+  });
+
+  test("should return empty paths when no path exists", async () => {
+    mockSession.executeRead
+      .mockResolvedValueOnce(existsResult())
+      .mockResolvedValueOnce(mockRecords([]));
+
+    const res = createRes();
+    await chatbotFindPath(createReq(), res);
+
+    const response = res.json.mock.calls[0][0];
+    expect(response.paths).toEqual([]);
+    expect(response.message).toBeDefined();
+  });
+
+  test("should return 404 when a node does not exist", async () => {
+    mockSession.executeRead.mockResolvedValueOnce(existsResult(true, false));
+
+    const res = createRes();
+    await chatbotFindPath(createReq(), res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({ missing: [TO_ID] }),
+    );
+    expect(mockSession.executeRead).toHaveBeenCalledTimes(1);
+  });
+
+  test("should return 400 when node ids are missing", async () => {
+    const res = createRes();
+    await chatbotFindPath({ query: { fromNodeId: FROM_ID } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(mockSession.executeRead).not.toHaveBeenCalled();
+  });
+
+  test("should return 400 for malformed node ids", async () => {
+    const res = createRes();
+    await chatbotFindPath(createReq({ toNodeId: '"}) DETACH DELETE (n' }), res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({ invalidIds: ['"}) DETACH DELETE (n'] }),
+    );
+    expect(mockSession.executeRead).not.toHaveBeenCalled();
+  });
+
+  test("should accept the entry node id", async () => {
+    mockSession.executeRead
+      .mockResolvedValueOnce(existsResult())
+      .mockResolvedValueOnce(mockRecords([]));
+
+    const res = createRes();
+    await chatbotFindPath(createReq({ fromNodeId: "E" }), res);
+
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  test("should return 400 for an unknown sort strategy", async () => {
+    const res = createRes();
+    await chatbotFindPath(createReq({ sort: "fastest" }), res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  test("should return 400 for an invalid limit", async () => {
+    const res = createRes();
+    await chatbotFindPath(createReq({ limit: "zero" }), res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  test("should handle database errors gracefully", async () => {
+    mockSession.executeRead.mockRejectedValueOnce(
+      new Error("Database connection failed"),
+    );
+
+    const res = createRes();
+    await chatbotFindPath(createReq(), res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({ error: "Path finding failed" }),
+    );
+  });
+});
@@ -12,7 +12,7 @@ jest.mock("neo4j-driver", () => {
 
   const mockDriver = {
     session: jest.fn(() => mockSession),
-    verifyAuthentication: Promise.resolve(),
+    verifyAuthentication: jest.fn().mockResolvedValue(undefined),
     close: jest.fn().mockResolvedValue(undefined),
   };
 
@@ -21,6 +21,7 @@ jest.mock("neo4j-driver", () => {
     auth: {
       basic: jest.fn((user, pass) => ({ user, pass })),
     },
+    session: { READ: "READ", WRITE: "WRITE" },
   };
 });
 
@@ -58,17 +59,26 @@ jest.mock("@xenova/transformers", () => ({
 
 describe("Chatbot Search Endpoint", () => {
   let chatbotSearch;
+  let chatbotSearchStats;
   let mockSession;
 
+  const createRes = () => ({
+    json: jest.fn().mockReturnThis(),
+    status: jest.fn().mockReturnThis(),
+  });
+
   beforeAll(() => {
     // Clear modules and re-import with mocked dependencies
     jest.resetModules();
     const service = require("../services/service");
     chatbotSearch = service.chatbotSearch;
+    chatbotSearchStats = service.chatbotSearchStats;
   });
 
   beforeEach(() => {
     jest.clearAllMocks();
+    // Each test supplies its own graph: force the search index to reload
+    require("../services/embeddings/searchService").invalidateSearchIndex();
     const neo4j = require("neo4j-driver");
     const mockDriver = neo4j.driver();
     mockSession = mockDriver.session();
@@ -284,4 +294,169 @@ describe("Chatbot Search Endpoint", () => {
       );
     }
   });
+
+  test("should serve repeat searches from the in-memory index", async () => {
+    const emb = new Float32Array(384).fill(0.1);
+    mockSession.executeRead.mockResolvedValue({
+      records: [
+        {
+          get: jest.fn((key) =>
+            key === "node"
+              ? { id: "uuid-1", name: "JavaScript Basics", type: "Skill" }
+              : emb,
+          ),
+        },
+      ],
+    });
+    const { pipeline } = require("@xenova/transformers");
+
+    const res = createRes();
+    await chatbotSearch({ body: { query: "JavaScript" } }, res);
+    await chatbotSearch({ body: { query: "Closures" } }, res);
+
+    expect(mockSession.executeRead).toHaveBeenCalledTimes(1);
+    expect(pipeline.mock.calls.length).toBeLessThanOrEqual(1);
+    expect(res.json.mock.calls[1][0].results).toHaveLength(1);
+  });
+
+  test("should report index stats", async () => {
+    const emb = new Float32Array(384).fill(0.1);
+    mockSession.executeRead.mockResolvedValue({
+      records: [
+        {
+          get: jest.fn((key) =>
+            key === "node"
+              ? { id: "uuid-1", name: "HTML", type: "Skill" }
+              : emb,
+          ),
+        },
+      ],
+    });
+    await chatbotSearch({ body: { query: "HTML" } }, createRes());
+
+    const res = createRes();
+    chatbotSearchStats({}, res);
+
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({
+        size: 1,
+        dimensions: 384,
+        lastRefreshedAt: expect.any(String),
+        modelName: "Xenova/all-MiniLM-L6-v2",
+      }),
+    );
+  });
+});
+
+describe("Search index", () => {
+  const { createSearchIndex } = require("../services/embeddings/searchIndex");
+
+  const unit = (index, size = 4) => {
+    const vector = new Array(size).fill(0);
+    vector[index] = 1;
+    return vector;
+  };
+
+  const createDriver = (...resultSets) => {
+    const executeRead = jest.fn();
+    resultSets.forEach((rows) =>
+      executeRead.mockResolvedValueOnce({
+        records: rows.map((row) => ({ get: jest.fn((key) => row[key]) })),
+      }),
+    );
+    return {
+      executeRead,
+      session: jest.fn(() => ({ executeRead, close: jest.fn() })),
+    };
+  };
+
+  const row = (id, embedding) => ({
+    node: { id, name: `Node ${id}`, type: "Skill" },
+    embedding,
+  });
+
+  test("should return the top-k nodes by cosine similarity", async () => {
+    const driver = createDriver([
+      row("a", unit(0)),
+      row("b", [0.5, 0.5, 0, 0]),
+      row("c", unit(2)),
+    ]);
+    const index = createSearchIndex();
+
+    await index.ensureFresh(driver);
+    const results = index.query(unit(0), 2);
+
+    expect(results.map((result) => result.node.id)).toEqual(["a", "b"]);
+    expect(results[0].similarity).toBeCloseTo(1);
+    expect(results[1].similarity).toBeCloseTo(Math.SQRT1_2);
+  });
+
+  test("should reload fully once the TTL expires", async () => {
+    let clock = 0;
+    const driver = createDriver([row("a", unit(0))], [row("b", unit(1))]);
+    const index = createSearchIndex({ ttlMs: 1000, now: () => clock });
+
+    await index.ensureFresh(driver);
+    clock = 500;
+    await index.ensureFresh(driver);
+    expect(driver.executeRead).toHaveBeenCalledTimes(1);
+
+    clock = 1000;
+    await index.ensureFresh(driver);
+    expect(driver.executeRead).toHaveBeenCalledTimes(2);
+    expect(index.query(unit(1), 5).map((result) => result.node.id)).toEqual([
+      "b",
+    ]);
+  });
+
+  test("should refresh invalidated nodes incrementally", async () => {
+    const driver = createDriver(
+      [row("a", unit(0)), row("b", unit(1)), row("c", unit(2))],
+      [row("b", unit(3)), row("d", unit(2))],
+    );
+    const index = createSearchIndex();
+    await index.ensureFresh(driver);
+
+    // "b" changed, "c" lost its embedding, "d" is new
+    index.invalidate(["b", "c", "d"]);
+    expect(index.getStats().pendingUpdates).toBe(3);
+    await index.ensureFresh(driver);
+
+    const [, params] = driver.executeRead.mock.calls[1][0]({
+      run: jest.fn((...args) => args),
+    });
+    expect(params).toEqual({ ids: ["b", "c", "d"] });
+    expect(index.getStats()).toEqual(
+      expect.objectContaining({ size: 3, pendingUpdates: 0 }),
+    );
+    expect(index.query(unit(3), 1)[0].node.id).toBe("b");
+    expect(index.query(unit(2), 1)[0].node.id).toBe("d");
+  });
+
+  test("should keep invalidations that arrive during a full reload", async () => {
+    const driver = createDriver(
+      [row("a", unit(0))],
+      [row("a", unit(1)), row("b", unit(2))],
+    );
+    const index = createSearchIndex();
+
+    const reload = index.ensureFresh(driver);
+    index.invalidate(["b"]);
+    await reload;
+    expect(index.getStats().pendingUpdates).toBe(1);
+
+    index.invalidate();
+    await index.ensureFresh(driver);
+    expect(driver.executeRead).toHaveBeenCalledTimes(2);
+    expect(index.query(unit(2), 1)[0].node.id).toBe("b");
+  });
+
+  test("should share one refresh between concurrent callers", async () => {
+    const driver = createDriver([row("a", unit(0))]);
+    const index = createSearchIndex();
+
+    await Promise.all([index.ensureFresh(driver), index.ensureFresh(driver)]);
+
+    expect(driver.executeRead).toHaveBeenCalledTimes(1);
+  });
 });
@@ -0,0 +1,256 @@
+/**
+ * Tests for graph-aware search results
+ * Tests teaching URLs, prerequisites and entry distance attached to hits on
+ * POST /chatbot/search, searchNodesBySimilarity and the search_materials tool
+ */
+
+// Mock @huggingface/inference BEFORE importing service
+const mockChatCompletion = jest.fn();
+jest.mock("@huggingface/inference", () => {
+  return {
+    InferenceClient: jest.fn().mockImplementation(() => ({
+      chatCompletion: mockChatCompletion,
+    })),
+  };
+});
+
+// Mock neo4j-driver BEFORE importing service
+jest.mock("neo4j-driver", () => {
+  const mockSession = {
+    executeRead: jest.fn(),
+    close: jest.fn(),
+  };
+
+  const mockDriver = {
+    session: jest.fn(() => mockSession),
+    verifyAuthentication: jest.fn().mockResolvedValue(undefined),
+    close: jest.fn().mockResolvedValue(undefined),
+  };
+
+  return {
+    driver: jest.fn(() => mockDriver),
+    auth: {
+      basic: jest.fn((user, pass) => ({ user, pass })),
+    },
+    session: { READ: "READ", WRITE: "WRITE" },
+    int: jest.fn((value) => value),
+  };
+});
+
+jest.mock("@xenova/transformers", () => ({
+  pipeline: jest.fn(() => {
+    const {
+      createNormalizedEmbedding,
+    } = require("./helpers/chatbotChat.helpers");
+    const embedding = createNormalizedEmbedding();
+    return jest.fn(() => Promise.resolve({ data: embedding }));
+  }),
+}));
+
+const {
+  createFinalResponse,
+  createNormalizedEmbedding,
+  createReq,
+  createRes,
+  createToolCallResponse,
+  mockNeo4jSearchResults,
+  mockSearchReads,
+} = require("./helpers/chatbotChat.helpers");
+
+const hooks = { id: "skill-hooks", name: "React hooks", type: "Skill" };
+const hooksGuide = { id: "url-hooks-guide", name: "Hooks guide", type: "URL" };
+const components = {
+  id: "skill-components",
+  name: "Components",
+  type: "Skill",
+};
+
+const embeddingRows = [
+  { node: hooks, embedding: createNormalizedEmbedding() },
+  { node: hooksGuide, embedding: createNormalizedEmbedding() },
+];
+
+const graphContextRows = [
+  {
+    id: hooks.id,
+    teaches: [],
+    taughtBy: [hooksGuide],
+    prerequisites: [],
+    unlocks: [],
+    distanceFromEntry: { toNumber: () => 4 },
+  },
+  {
+    id: hooksGuide.id,
+    teaches: [hooks],
+    taughtBy: [],
+    prerequisites: [components],
+    unlocks: [],
+    distanceFromEntry: null,
+  },
+];
+
+describe("Graph-aware search results", () => {
+  let service;
+  let searchService;
+  let mockSession;
+
+  const search = async (body) => {
+    const res = createRes();
+    await service.chatbotSearch({ body: { query: "hooks", ...body } }, res);
+    return res;
+  };
+
+  const graphContextQueries = () => {
+    const queries = [];
+    mockSession.executeRead.mock.calls.forEach(([work]) => {
+      work({
+        run: jest.fn((query, params) => {
+          if (query.includes("distanceFromEntry")) {
+            queries.push({ query, params });
+          }
+          return mockNeo4jSearchResults([]);
+        }),
+      });
+    });
+    return queries;
+  };
+
+  beforeAll(() => {
+    jest.resetModules();
+    service = require("../services/service");
+    searchService = require("../services/embeddings/searchService");
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    searchService.invalidateSearchIndex();
+    require("../services/sessions/sessionStore").resetSessionStore();
+    const neo4j = require("neo4j-driver");
+    mockSession = neo4j.driver().session();
+    mockSession.executeRead.mockReset();
+    mockSearchReads(mockSession, embeddingRows, [], graphContextRows);
+  });
+
+  test("should attach teaching URLs to Skill hits and prerequisites to URL hits", async () => {
+    const res = await search({ includeGraphContext: true });
+
+    const { results } = res.json.mock.calls[0][0];
+    const byId = Object.fromEntries(
+      results.map((result) => [result.node.id, result.graph]),
+    );
+    expect(byId[hooks.id]).toEqual({
+      teaches: [],
+      taughtBy: [hooksGuide],
+      prerequisites: [],
+      unlocks: [],
+      distanceFromEntry: 4,
+    });
+    expect(byId[hooksGuide.id]).toEqual({
+      teaches: [hooks],
+      taughtBy: [],
+      prerequisites: [components],
+      unlocks: [],
+      distanceFromEntry: null,
+    });
+  });
+
+  test("should look up all hits in one query measured from the entry node", async () => {
+    await search({ includeGraphContext: true });
+
+    const queries = graphContextQueries();
+    expect(queries).toHaveLength(1);
+    expect(queries[0].query).toContain("shortestPath");
+    // Label lookups and a bounded path, no full node scan
+    expect(queries[0].query).toContain("MATCH (n:Skill|URL {id: nodeId})");
+    expect(queries[0].query).toContain("(entry:Skill|URL {id: $entryId})");
+    expect(queries[0].query).toContain("TEACHES*0..12]");
+    expect(queries[0].params).toEqual({
+      ids: expect.arrayContaining([hooks.id, hooksGuide.id]),
+      entryId: "E",
+    });
+  });
+
+  test("should set graph to null for hits missing from the graph", async () => {
+    mockSearchReads(mockSession, embeddingRows, [], [graphContextRows[0]]);
+
+    const res = await search({ includeGraphContext: true });
+
+    const { results } = res.json.mock.calls[0][0];
+    expect(
+      results.find((result) => result.node.id === hooksGuide.id).graph,
+    ).toBeNull();
+  });
+
+  test("should not fetch graph context unless requested", async () => {
+    const res = await search({});
+
+    const { results } = res.json.mock.calls[0][0];
+    expect(results[0]).not.toHaveProperty("graph");
+    expect(graphContextQueries()).toHaveLength(0);
+  });
+
+  test("should return 400 when includeGraphContext is not a boolean", async () => {
+    const res = await search({ includeGraphContext: "yes" });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(mockSession.executeRead).not.toHaveBeenCalled();
+  });
+
+  test("should still return hits when the graph lookup fails", async () => {
+    mockSession.executeRead.mockImplementation((work) =>
+      work({
+        run: jest.fn((query) =>
+          query.includes("distanceFromEntry")
+            ? Promise.reject(new Error("Neo4j unavailable"))
+            : mockNeo4jSearchResults(embeddingRows),
+        ),
+      }),
+    );
+    jest.spyOn(console, "error").mockImplementationOnce(() => {});
+
+    const res = await search({ includeGraphContext: true });
+
+    const response = res.json.mock.calls[0][0];
+    expect(res.status).not.toHaveBeenCalled();
+    expect(response.results).toHaveLength(2);
+    expect(response.note).toContain("Graph context unavailable");
+  });
+
+  test("should enrich searchNodesBySimilarity hits when the option is set", async () => {
+    const driver = require("neo4j-driver").driver();
+
+    const { results } = await searchService.searchNodesBySimilarity(
+      driver,
+      "hooks",
+      1,
+      { includeGraphContext: true },
+    );
+
+    expect(results).toHaveLength(1);
+    expect(results[0].graph).toEqual(
+      expect.objectContaining({ taughtBy: expect.any(Array) }),
+    );
+  });
+
+  test("should include graph context in search_materials tool results", async () => {
+    mockChatCompletion
+      .mockResolvedValueOnce(
+        createToolCallResponse("search_materials", { query: "hooks" }),
+      )
+      .mockResolvedValueOnce(createFinalResponse({ message: "Done" }));
+
+    await service.chatbotChat(createReq(), createRes());
+
+    const messages = mockChatCompletion.mock.calls[1][0].messages;
+    const toolResultMessage = messages.find((msg) =>
+      msg.content.startsWith("Tool result for search_materials"),
+    );
+    const toolResult = JSON.parse(
+      toolResultMessage.content.replace(/^[^{]*/, ""),
+    );
+    expect(
+      toolResult.results.find((result) => result.node.id === hooks.id).graph
+        .taughtBy,
+    ).toEqual([hooksGuide]);
+  });
+});
@@ -0,0 +1,298 @@
+/**
+ * Tests for the chatbot tool registry and the graph tools
+ * Tests argument validation, get_node_details, get_prerequisites and the
+ * tool descriptions in the system prompt
+ */
+
+// Mock @huggingface/inference BEFORE importing service
+const mockChatCompletion = jest.fn();
+jest.mock("@huggingface/inference", () => {
+  return {
+    InferenceClient: jest.fn().mockImplementation(() => ({
+      chatCompletion: mockChatCompletion,
+    })),
+  };
+});
+
+// Mock neo4j-driver BEFORE importing service
+jest.mock("neo4j-driver", () => {
+  const mockSession = {
+    executeRead: jest.fn(),
+    close: jest.fn(),
+  };
+
+  const mockDriver = {
+    session: jest.fn(() => mockSession),
+    verifyAuthentication: jest.fn().mockResolvedValue(undefined),
+    close: jest.fn().mockResolvedValue(undefined),
+  };
+
+  return {
+    driver: jest.fn(() => mockDriver),
+    auth: {
+      basic: jest.fn((user, pass) => ({ user, pass })),
+    },
+    session: { READ: "READ", WRITE: "WRITE" },
+    int: jest.fn((value) => value),
+  };
+});
+
+const {
+  createFinalResponse,
+  createReq,
+  createRes,
+  createToolCallResponse,
+  mockNeo4jSearchResults,
+} = require("./helpers/chatbotChat.helpers");
+
+const HOOKS_ID = "7f1c2b9e-3d4a-4c5b-8e6f-0a1b2c3d4e5f";
+const COMPONENTS_ID = "0b2d4f6a-8c1e-4a3b-9d5f-7e9a1c3b5d7f";
+const GUIDE_ID = "5a6b7c8d-9e0f-4a1b-8c2d-3e4f5a6b7c8d";
+
+const hooksNode = {
+  properties: {
+    id: HOOKS_ID,
+    name: "React hooks",
+    description: "State and effects in function components",
+    estimatedTimeMinutes: { toNumber: () => 45 },
+    embedding: [0.1, 0.2],
+  },
+};
+
+const hooksContext = {
+  id: HOOKS_ID,
+  teaches: [],
+  taughtBy: [{ id: GUIDE_ID, name: "Hooks guide", type: "URL" }],
+  prerequisites: [],
+  unlocks: [],
+  distanceFromEntry: { toNumber: () => 4 },
+};
+
+const hooksPrerequisites = {
+  node: { id: HOOKS_ID, name: "React hooks", type: "Skill" },
+  prerequisites: [
+    { id: GUIDE_ID, name: "Hooks guide", type: "URL", distance: 1 },
+    {
+      id: COMPONENTS_ID,
+      name: "Components",
+      type: "Skill",
+      distance: { toNumber: () => 2 },
+    },
+  ],
+};
+
+describe("Chatbot graph tools", () => {
+  let service;
+  let tools;
+  let mockSession;
+  let runs;
+
+  // Answer reads by query: node lookups, graph context and prerequisites
+  const mockGraphReads = ({
+    node = null,
+    context = null,
+    prerequisites = null,
+  }) => {
+    mockSession.executeRead.mockImplementation((work) =>
+      work({
+        run: jest.fn((query, params) => {
+          runs.push({ query, params });
+          if (query.includes("distanceFromEntry")) {
+            return mockNeo4jSearchResults(context ? [context] : []);
+          }
+          if (query.includes("OPTIONAL MATCH path")) {
+            return mockNeo4jSearchResults(prerequisites ? [prerequisites] : []);
+          }
+          return mockNeo4jSearchResults(
+            node ? [{ n: node, type: "Skill" }] : [],
+          );
+        }),
+      }),
+    );
+  };
+
+  // Run a chat turn where the LLM calls one tool, and return the tool result
+  // sent back to the LLM
+  const callToolViaChat = async (tool, args) => {
+    mockChatCompletion
+      .mockResolvedValueOnce(createToolCallResponse(tool, args))
+      .mockResolvedValueOnce(createFinalResponse({ message: "Done." }));
+
+    await service.chatbotChat(createReq({ sessionId: undefined }), createRes());
+
+    const toolResult = mockChatCompletion.mock.calls[1][0].messages.at(-1);
+    const prefix = `Tool result for ${tool}: `;
+    expect(toolResult.content.startsWith(prefix)).toBe(true);
+    return JSON.parse(toolResult.content.slice(prefix.length));
+  };
+
+  beforeAll(() => {
+    jest.resetModules();
+    service = require("../services/service");
+    tools = require("../services/chatbot/tools");
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockChatCompletion.mockReset();
+    require("../services/sessions/sessionStore").resetSessionStore();
+    const neo4j = require("neo4j-driver");
+    mockSession = neo4j.driver().session();
+    mockSession.executeRead.mockReset();
+    runs = [];
+  });
+
+  describe("Tool registry", () => {
+    const { validateToolArgs } = require("../services/chatbot/toolRegistry");
+    const schema = {
+      node_id: { type: "string", required: true },
+      depth: { type: "integer", min: 1, max: 12, default: 6 },
+      mode: { type: "string", enum: ["a", "b"] },
+    };
+
+    test("should apply defaults and trim strings", () => {
+      expect(validateToolArgs(schema, { node_id: " E " })).toEqual({
+        args: { node_id: "E", depth: 6 },
+      });
+    });
+
+    test("should reject missing, mistyped and out-of-range args", () => {
+      expect(validateToolArgs(schema, { node_id: "  " })).toEqual({
+        error: "node_id is required and must be a string",
+      });
+      expect(validateToolArgs(schema, { node_id: "E", depth: 20 })).toEqual({
+        error: "depth must be an integer between 1 and 12",
+      });
+      expect(validateToolArgs(schema, { node_id: "E", depth: "2" })).toEqual({
+        error: "depth must be an integer between 1 and 12",
+      });
+      expect(validateToolArgs(schema, { node_id: "E", mode: "c" })).toEqual({
+        error: "mode must be one of: a, b",
+      });
+    });
+
+    test("should throw for tools that are not registered", async () => {
+      await expect(
+        tools.toolRegistry.execute({ tool: "drop_database", args: {} }),
+      ).rejects.toThrow("Unknown tool: drop_database");
+    });
+
+    test("should describe every tool in the system prompt", async () => {
+      mockChatCompletion.mockResolvedValueOnce(
+        createFinalResponse({ message: "Hi" }),
+      );
+
+      await service.chatbotChat(createReq(), createRes());
+
+      const systemPrompt = mockChatCompletion.mock.calls[0][0].messages[0];
+      for (const name of tools.toolRegistry.names) {
+        expect(systemPrompt.content).toContain(`- ${name}: `);
+      }
+      expect(tools.toolRegistry.names).toEqual([
+        "search_materials",
+        "get_node_details",
+        "get_prerequisites",
+        "request_material_addition",
+      ]);
+    });
+  });
+
+  describe("get_node_details", () => {
+    test("should return the node with its teaching URLs", async () => {
+      mockGraphReads({ node: hooksNode, context: hooksContext });
+
+      const output = await callToolViaChat("get_node_details", {
+        node_id: HOOKS_ID,
+      });
+
+      expect(output).toEqual({
+        node: {
+          id: HOOKS_ID,
+          name: "React hooks",
+          description: "State and effects in function components",
+          estimatedTimeMinutes: 45,
+          type: "Skill",
+        },
+        teaches: [],
+        taughtBy: [{ id: GUIDE_ID, name: "Hooks guide", type: "URL" }],
+        prerequisites: [],
+        unlocks: [],
+        distanceFromEntry: 4,
+      });
+      expect(runs[0].params).toEqual({ nodeId: HOOKS_ID });
+    });
+
+    test("should tell the LLM when the node does not exist", async () => {
+      mockGraphReads({});
+
+      const output = await callToolViaChat("get_node_details", {
+        node_id: HOOKS_ID,
+      });
+
+      expect(output.error).toContain("No node with that node_id");
+    });
+
+    test("should reject malformed node ids without querying", async () => {
+      const output = await callToolViaChat("get_node_details", {
+        node_id: "react-hooks",
+      });
+
+      expect(output).toEqual({ error: "node_id must be a node id" });
+      expect(mockSession.executeRead).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("get_prerequisites", () => {
+    test("should return the prerequisite chain with distances", async () => {
+      mockGraphReads({ prerequisites: hooksPrerequisites });
+
+      const output = await callToolViaChat("get_prerequisites", {
+        node_id: HOOKS_ID,
+        depth: 4,
+      });
+
+      expect(output).toEqual({
+        node: { id: HOOKS_ID, name: "React hooks", type: "Skill" },
+        depth: 4,
+        prerequisites: [
+          { id: GUIDE_ID, name: "Hooks guide", type: "URL", distance: 1 },
+          {
+            id: COMPONENTS_ID,
+            name: "Components",
+            type: "Skill",
+            distance: 2,
+          },
+        ],
+      });
+      // The traversal is bounded by the depth, not filtered afterwards
+      expect(runs[0].query).toContain(
+        "[:IS_PREREQUISITE_TO|TEACHES*1..4]->(target)",
+      );
+      expect(runs[0].query).not.toContain("length(path) <=");
+      expect(runs[0].params).toEqual({ nodeId: HOOKS_ID });
+    });
+
+    test("should default the depth", async () => {
+      mockGraphReads({ prerequisites: hooksPrerequisites });
+
+      const output = await callToolViaChat("get_prerequisites", {
+        node_id: HOOKS_ID,
+      });
+
+      expect(output.depth).toBe(6);
+      expect(runs[0].query).toContain("TEACHES*1..6]");
+    });
+
+    test("should report an invalid depth back to the LLM", async () => {
+      const output = await callToolViaChat("get_prerequisites", {
+        node_id: HOOKS_ID,
+        depth: 50,
+      });
+
+      expect(output).toEqual({
+        error: "depth must be an integer between 1 and 12",
+      });
+      expect(mockSession.executeRead).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,291 @@
+/**
+ * Tests for grounding the chatbot's relatedMaterials
+ * Tests canonical names and types, repaired and dropped ids, graph lookups,
+ * the re-prompt and the search-hit fallback
+ */
+
+// Mock @huggingface/inference BEFORE importing service
+const mockChatCompletion = jest.fn();
+jest.mock("@huggingface/inference", () => {
+  return {
+    InferenceClient: jest.fn().mockImplementation(() => ({
+      chatCompletion: mockChatCompletion,
+    })),
+  };
+});
+
+// Mock neo4j-driver BEFORE importing service
+jest.mock("neo4j-driver", () => {
+  const mockSession = {
+    executeRead: jest.fn(),
+    close: jest.fn(),
+  };
+
+  const mockDriver = {
+    session: jest.fn(() => mockSession),
+    verifyAuthentication: jest.fn().mockResolvedValue(undefined),
+    close: jest.fn().mockResolvedValue(undefined),
+  };
+
+  return {
+    driver: jest.fn(() => mockDriver),
+    auth: {
+      basic: jest.fn((user, pass) => ({ user, pass })),
+    },
+    session: { READ: "READ", WRITE: "WRITE" },
+    int: jest.fn((value) => value),
+  };
+});
+
+jest.mock("@xenova/transformers", () => ({
+  pipeline: jest.fn(() => {
+    const {
+      createNormalizedEmbedding,
+    } = require("./helpers/chatbotChat.helpers");
+    const embedding = createNormalizedEmbedding();
+    return jest.fn(() => Promise.resolve({ data: embedding }));
+  }),
+}));
+
+const {
+  createFinalResponse,
+  createNormalizedEmbedding,
+  createReq,
+  createRes,
+  createToolCallResponse,
+  mockNeo4jSearchResults,
+} = require("./helpers/chatbotChat.helpers");
+
+const HOOKS_ID = "7f1c2b9e-3d4a-4c5b-8e6f-0a1b2c3d4e5f";
+const GUIDE_ID = "5a6b7c8d-9e0f-4a1b-8c2d-3e4f5a6b7c8d";
+const REDUX_ID = "0b2d4f6a-8c1e-4a3b-9d5f-7e9a1c3b5d7f";
+const INVENTED_ID = "11111111-2222-4333-8444-555555555555";
+
+const hooks = { id: HOOKS_ID, name: "React hooks", type: "Skill" };
+const guide = { id: GUIDE_ID, name: "https://react.dev/hooks", type: "URL" };
+
+describe("Grounding of relatedMaterials", () => {
+  let service;
+  let mockSession;
+  let graphLookups;
+
+  // Search finds `searchNodes`; graph lookups by id know `graphNodes`
+  const mockReads = (graphNodes = [], searchNodes = [hooks, guide]) => {
+    mockSession.executeRead.mockImplementation((work) =>
+      work({
+        run: jest.fn((query, params) => {
+          if (query.includes("RETURN n.id as id, n.name as name")) {
+            graphLookups.push(params.ids);
+            return mockNeo4jSearchResults(
+              graphNodes.filter((node) => params.ids.includes(node.id)),
+            );
+          }
+          if (
+            query.includes("db.index.fulltext.queryNodes") ||
+            query.includes("distanceFromEntry")
+          ) {
+            return mockNeo4jSearchResults([]);
+          }
+          return mockNeo4jSearchResults(
+            searchNodes.map((node) => ({
+              node,
+              embedding: createNormalizedEmbedding(),
+            })),
+          );
+        }),
+      }),
+    );
+  };
+
+  // Chat turn: one search, then the given final replies
+  const chatWithSearch = async (...finalReplies) => {
+    mockChatCompletion.mockResolvedValueOnce(
+      createToolCallResponse("search_materials", { query: "hooks" }),
+    );
+    finalReplies.forEach((reply) =>
+      mockChatCompletion.mockResolvedValueOnce(createFinalResponse(reply)),
+    );
+    const res = createRes();
+    await service.chatbotChat(
+      createReq({ sessionId: undefined, debug: true }),
+      res,
+    );
+    return res.json.mock.calls[0][0];
+  };
+
+  beforeAll(() => {
+    jest.resetModules();
+    service = require("../services/service");
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockChatCompletion.mockReset();
+    require("../services/embeddings/searchService").invalidateSearchIndex();
+    require("../services/sessions/sessionStore").resetSessionStore();
+    const neo4j = require("neo4j-driver");
+    mockSession = neo4j.driver().session();
+    mockSession.executeRead.mockReset();
+    graphLookups = [];
+    mockReads();
+  });
+
+  test("should overwrite names and types with the graph's values", async () => {
+    const response = await chatWithSearch({
+      message: "Try these.",
+      relatedMaterials: [
+        { nodeId: HOOKS_ID, name: "Hooks!", type: "url" },
+        { nodeId: GUIDE_ID, name: guide.name, type: "url" },
+      ],
+    });
+
+    expect(response.relatedMaterials).toEqual([
+      { nodeId: HOOKS_ID, name: "React hooks", type: "skill" },
+      { nodeId: GUIDE_ID, name: guide.name, type: "url" },
+    ]);
+    expect(response.debug.grounding).toEqual(
+      expect.objectContaining({ checked: 2, kept: 1, corrected: 1 }),
+    );
+    expect(graphLookups).toEqual([]);
+  });
+
+  test("should drop fields the LLM added to a material", async () => {
+    const response = await chatWithSearch({
+      message: "Try these.",
+      relatedMaterials: [
+        {
+          nodeId: HOOKS_ID,
+          name: "React hooks",
+          type: "skill",
+          url: "https://phishing.example",
+        },
+      ],
+    });
+
+    expect(response.relatedMaterials).toEqual([
+      { nodeId: HOOKS_ID, name: "React hooks", type: "skill" },
+    ]);
+  });
+
+  test("should repair an invented id whose name matches a tool result", async () => {
+    const response = await chatWithSearch({
+      message: "Try hooks.",
+      relatedMaterials: [
+        { nodeId: "react-hooks-1", name: "react hooks", type: "skill" },
+      ],
+    });
+
+    expect(response.relatedMaterials).toEqual([
+      { nodeId: HOOKS_ID, name: "React hooks", type: "skill" },
+    ]);
+    expect(response.debug.grounding.repaired).toBe(1);
+  });
+
+  test("should keep ids that exist in the graph and drop the rest", async () => {
+    mockReads([{ id: REDUX_ID, name: "Redux", type: "Skill" }]);
+
+    const response = await chatWithSearch({
+      message: "Try these.",
+      relatedMaterials: [
+        { nodeId: HOOKS_ID, name: "React hooks", type: "skill" },
+        { nodeId: REDUX_ID, name: "Redux toolkit", type: "skill" },
+        { nodeId: INVENTED_ID, name: "Made-up course", type: "url" },
+        { nodeId: HOOKS_ID, name: "React hooks", type: "skill" },
+      ],
+    });
+
+    expect(graphLookups).toEqual([[REDUX_ID, INVENTED_ID]]);
+    expect(response.relatedMaterials).toEqual([
+      { nodeId: HOOKS_ID, name: "React hooks", type: "skill" },
+      { nodeId: REDUX_ID, name: "Redux", type: "skill" },
+    ]);
+    expect(response.debug.grounding).toEqual({
+      checked: 4,
+      kept: 1,
+      corrected: 1,
+      repaired: 0,
+      dropped: 2,
+      reprompted: false,
+      fallback: false,
+    });
+  });
+
+  test("should re-prompt once when every material was invented", async () => {
+    const response = await chatWithSearch(
+      {
+        message: "Take the Made-up course.",
+        relatedMaterials: [
+          { nodeId: INVENTED_ID, name: "Made-up course", type: "url" },
+        ],
+      },
+      {
+        message: "Start with the hooks guide.",
+        relatedMaterials: [{ nodeId: GUIDE_ID, name: guide.name, type: "url" }],
+      },
+    );
+
+    expect(mockChatCompletion).toHaveBeenCalledTimes(3);
+    const retryMessages = mockChatCompletion.mock.calls[2][0].messages;
+    expect(retryMessages.at(-1)).toEqual({
+      role: "system",
+      content: expect.stringContaining("None of the relatedMaterials"),
+    });
+    expect(retryMessages.at(-2).content).toContain("Made-up course");
+    expect(response.message).toBe("Start with the hooks guide.");
+    expect(response.relatedMaterials).toEqual([
+      { nodeId: GUIDE_ID, name: guide.name, type: "url" },
+    ]);
+    expect(response.debug.grounding).toEqual(
+      expect.objectContaining({
+        dropped: 1,
+        reprompted: true,
+        fallback: false,
+      }),
+    );
+  });
+
+  test("should fall back to the top search hits if the re-prompt is invented too", async () => {
+    const invented = {
+      message: "Take the Made-up course.",
+      relatedMaterials: [
+        { nodeId: INVENTED_ID, name: "Made-up course", type: "url" },
+      ],
+    };
+
+    const response = await chatWithSearch(invented, invented);
+
+    expect(response.message).toBe("Take the Made-up course.");
+    expect(response.relatedMaterials).toEqual([
+      { nodeId: HOOKS_ID, name: "React hooks", type: "skill" },
+      { nodeId: GUIDE_ID, name: guide.name, type: "url" },
+    ]);
+    expect(response.debug.grounding).toEqual(
+      expect.objectContaining({ reprompted: true, fallback: true }),
+    );
+  });
+
+  test("should ground nodes without a type instead of failing the turn", async () => {
+    const untyped = { id: HOOKS_ID, name: "React hooks", type: null };
+    mockReads([], [untyped]);
+    const invented = {
+      message: "Take the Made-up course.",
+      relatedMaterials: [
+        { nodeId: INVENTED_ID, name: "Made-up course", type: "url" },
+      ],
+    };
+
+    const response = await chatWithSearch(invented, invented);
+
+    expect(response.relatedMaterials).toEqual([
+      { nodeId: HOOKS_ID, name: "React hooks", type: null },
+    ]);
+  });
+
+  test("should not re-prompt when the LLM returned no materials", async () => {
+    const response = await chatWithSearch({ message: "Nothing fits." });
+
+    expect(mockChatCompletion).toHaveBeenCalledTimes(2);
+    expect(response.relatedMaterials).toEqual([]);
+    expect(response.debug.grounding.checked).toBe(0);
+  });
+});
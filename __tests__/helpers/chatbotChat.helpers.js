@@ -67,6 +67,27 @@ const mockNeo4jSearchResults = (records) => ({
   })),
 });
 
+// Answer search reads by query type: full-text queries get keywordRecords,
+// graph context lookups get graphContextRecords, and every other read (the
+// embedding load) gets embeddingRecords
+const mockSearchReads = (
+  mockSession,
+  embeddingRecords,
+  keywordRecords = [],
+  graphContextRecords = [],
+) => {
+  const recordsFor = (query) => {
+    if (query.includes("db.index.fulltext.queryNodes")) return keywordRecords;
+    if (query.includes("distanceFromEntry")) return graphContextRecords;
+    return embeddingRecords;
+  };
+  mockSession.executeRead.mockImplementation((work) =>
+    work({
+      run: jest.fn((query) => mockNeo4jSearchResults(recordsFor(query))),
+    }),
+  );
+};
+
 module.exports = {
   EMBEDDING_SIZE,
   createNormalizedEmbedding,
@@ -75,4 +96,5 @@ module.exports = {
   createToolCallResponse,
   createFinalResponse,
   mockNeo4jSearchResults,
+  mockSearchReads,
 };
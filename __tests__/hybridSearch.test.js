@@ -0,0 +1,234 @@
+/**
+ * Tests for keyword and hybrid search on POST /chatbot/search
+ * Tests full-text queries, reciprocal-rank fusion and per-signal scores
+ */
+
+// Mock neo4j-driver BEFORE importing service
+jest.mock("neo4j-driver", () => {
+  const mockSession = {
+    executeRead: jest.fn(),
+    close: jest.fn(),
+  };
+
+  const mockDriver = {
+    session: jest.fn(() => mockSession),
+    verifyAuthentication: jest.fn().mockResolvedValue(undefined),
+    close: jest.fn().mockResolvedValue(undefined),
+  };
+
+  return {
+    driver: jest.fn(() => mockDriver),
+    auth: {
+      basic: jest.fn((user, pass) => ({ user, pass })),
+    },
+    session: { READ: "READ", WRITE: "WRITE" },
+    int: jest.fn((value) => value),
+  };
+});
+
+// Query embedding is the first unit vector
+jest.mock("@xenova/transformers", () => ({
+  pipeline: jest.fn(() => {
+    const embedding = new Float32Array(384);
+    embedding[0] = 1;
+    return jest.fn(() => Promise.resolve({ data: embedding }));
+  }),
+}));
+
+const {
+  createRes,
+  mockNeo4jSearchResults,
+  mockSearchReads,
+} = require("./helpers/chatbotChat.helpers");
+
+// Embedding pointing `alignment` of the way toward the query vector
+const embeddingWithSimilarity = (alignment) => {
+  const embedding = new Float32Array(384);
+  embedding[0] = alignment;
+  embedding[1] = Math.sqrt(1 - alignment * alignment);
+  return embedding;
+};
+
+const skill = (id, name) => ({ id, name, type: "Skill" });
+
+describe("Hybrid search", () => {
+  let chatbotSearch;
+  let searchService;
+  let keywordSearch;
+  let mockSession;
+
+  // Semantic ranking: generic "Layout" first, "CSS Grid" second
+  const embeddingRows = [
+    {
+      node: skill("layout", "Layout"),
+      embedding: embeddingWithSimilarity(0.9),
+    },
+    {
+      node: skill("grid", "CSS Grid"),
+      embedding: embeddingWithSimilarity(0.8),
+    },
+    { node: skill("forms", "Forms"), embedding: embeddingWithSimilarity(0.1) },
+  ];
+  // Keyword ranking: exact match "CSS Grid" first
+  const keywordRows = [
+    { node: skill("grid", "CSS Grid"), score: 3.2 },
+    { node: skill("flex", "CSS Flexbox"), score: 1.1 },
+  ];
+
+  const search = async (body) => {
+    const res = createRes();
+    await chatbotSearch({ body: { query: "CSS grid", ...body } }, res);
+    return res;
+  };
+
+  beforeAll(() => {
+    jest.resetModules();
+    chatbotSearch = require("../services/service").chatbotSearch;
+    searchService = require("../services/embeddings/searchService");
+    keywordSearch = require("../services/embeddings/keywordSearch");
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    searchService.invalidateSearchIndex();
+    const neo4j = require("neo4j-driver");
+    mockSession = neo4j.driver().session();
+    mockSession.executeRead.mockReset();
+  });
+
+  test("should fuse keyword and semantic rankings", async () => {
+    mockSearchReads(mockSession, embeddingRows, keywordRows);
+
+    const res = await search({ mode: "hybrid", limit: 3 });
+
+    const response = res.json.mock.calls[0][0];
+    expect(response.mode).toBe("hybrid");
+    expect(response.results.map((result) => result.node.id)).toEqual([
+      "grid",
+      "layout",
+      "flex",
+    ]);
+    expect(response.results[0].scores).toEqual({
+      semantic: expect.closeTo(0.8),
+      keyword: 3.2,
+      fused: expect.closeTo(1 / 62 + 1 / 61),
+    });
+    expect(response.results[1].scores.keyword).toBeNull();
+    expect(response.results[2].scores.semantic).toBeNull();
+  });
+
+  test("should drop keyword-only hits when minSimilarity is set", async () => {
+    mockSearchReads(mockSession, embeddingRows, keywordRows);
+
+    const res = await search({ mode: "hybrid", limit: 3, minSimilarity: 0.5 });
+
+    const response = res.json.mock.calls[0][0];
+    expect(response.results.map((result) => result.node.id)).toEqual([
+      "grid",
+      "layout",
+    ]);
+  });
+
+  test("should return keyword matches with Lucene scores in keyword mode", async () => {
+    mockSearchReads(mockSession, embeddingRows, keywordRows);
+
+    const res = await search({ mode: "keyword" });
+
+    const response = res.json.mock.calls[0][0];
+    expect(response.results).toEqual([
+      {
+        node: skill("grid", "CSS Grid"),
+        similarity: null,
+        scores: { keyword: 3.2 },
+      },
+      {
+        node: skill("flex", "CSS Flexbox"),
+        similarity: null,
+        scores: { keyword: 1.1 },
+      },
+    ]);
+
+    const mockTx = { run: jest.fn() };
+    mockSession.executeRead.mock.calls[0][0](mockTx);
+    const [query, params] = mockTx.run.mock.calls[0];
+    expect(query).toContain("db.index.fulltext.queryNodes");
+    expect(params).toEqual({
+      indexName: "node_name_fulltext",
+      searchText: "CSS grid",
+      // One past the page to detect whether another page exists
+      k: 6,
+    });
+  });
+
+  test("should report semantic scores in semantic mode", async () => {
+    mockSearchReads(mockSession, embeddingRows, keywordRows);
+
+    const res = await search({ mode: "semantic", limit: 1 });
+
+    const [result] = res.json.mock.calls[0][0].results;
+    expect(result.node.id).toBe("layout");
+    expect(result.scores).toEqual({ semantic: result.similarity });
+  });
+
+  test("should default to semantic mode", async () => {
+    mockSearchReads(mockSession, embeddingRows, keywordRows);
+
+    const res = await search({});
+
+    expect(res.json.mock.calls[0][0].mode).toBe("semantic");
+  });
+
+  test("should fall back to semantic results when the full-text index is missing", async () => {
+    mockSession.executeRead.mockImplementation((work) =>
+      work({
+        run: jest.fn((query) =>
+          query.includes("db.index.fulltext.queryNodes")
+            ? Promise.reject(
+                new Error("There is no such fulltext schema index"),
+              )
+            : mockNeo4jSearchResults(embeddingRows),
+        ),
+      }),
+    );
+    jest.spyOn(console, "error").mockImplementationOnce(() => {});
+
+    const res = await search({ mode: "hybrid", limit: 2 });
+
+    const response = res.json.mock.calls[0][0];
+    expect(response.results.map((result) => result.node.id)).toEqual([
+      "layout",
+      "grid",
+    ]);
+    expect(response.note).toContain("Keyword search unavailable");
+  });
+
+  test("should degrade keyword mode with a note when the full-text index is missing", async () => {
+    mockSession.executeRead.mockRejectedValue(
+      new Error(
+        "Failed to invoke procedure `db.index.fulltext.queryNodes`: There is no such fulltext schema index: node_name_fulltext",
+      ),
+    );
+    jest.spyOn(console, "error").mockImplementationOnce(() => {});
+
+    const res = await search({ mode: "keyword" });
+
+    expect(res.status).not.toHaveBeenCalled();
+    const response = res.json.mock.calls[0][0];
+    expect(response.results).toEqual([]);
+    expect(response.note).toContain("npm run create-vector-index");
+  });
+
+  test("should return 400 for an unknown mode", async () => {
+    const res = await search({ mode: "fuzzy" });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(mockSession.executeRead).not.toHaveBeenCalled();
+  });
+
+  test("should escape Lucene syntax in keyword queries", () => {
+    expect(keywordSearch.toLuceneQuery('c++ "react:hooks" AND')).toBe(
+      'c\\+\\+ \\"react\\:hooks\\"',
+    );
+    expect(keywordSearch.toLuceneQuery("   ")).toBeNull();
+  });
+});
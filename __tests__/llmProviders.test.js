@@ -0,0 +1,302 @@
+/**
+ * Tests for the pluggable LLM providers
+ * Tests provider selection from the environment, per-provider options, the
+ * OpenAI-compatible HTTP provider and the offline mock provider running the
+ * whole chat flow
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Mock @huggingface/inference BEFORE importing service
+const mockChatCompletion = jest.fn();
+const mockInferenceClient = jest.fn();
+jest.mock("@huggingface/inference", () => {
+  return {
+    InferenceClient: jest.fn().mockImplementation((apiKey) => {
+      mockInferenceClient(apiKey);
+      return { chatCompletion: mockChatCompletion };
+    }),
+  };
+});
+
+// Mock neo4j-driver BEFORE importing service
+jest.mock("neo4j-driver", () => {
+  const mockSession = {
+    executeRead: jest.fn(),
+    close: jest.fn(),
+  };
+
+  const mockDriver = {
+    session: jest.fn(() => mockSession),
+    verifyAuthentication: jest.fn().mockResolvedValue(undefined),
+    close: jest.fn().mockResolvedValue(undefined),
+  };
+
+  return {
+    driver: jest.fn(() => mockDriver),
+    auth: {
+      basic: jest.fn((user, pass) => ({ user, pass })),
+    },
+    session: { READ: "READ", WRITE: "WRITE" },
+    int: jest.fn((value) => value),
+  };
+});
+
+jest.mock("@xenova/transformers", () => ({
+  pipeline: jest.fn(() => {
+    const {
+      createNormalizedEmbedding,
+    } = require("./helpers/chatbotChat.helpers");
+    const embedding = createNormalizedEmbedding();
+    return jest.fn(() => Promise.resolve({ data: embedding }));
+  }),
+}));
+
+const {
+  createFinalResponse,
+  createNormalizedEmbedding,
+  createReq,
+  createRes,
+  mockSearchReads,
+} = require("./helpers/chatbotChat.helpers");
+
+const LLM_ENV_VARS = [
+  "LLM_PROVIDER",
+  "LLM_MAX_TOKENS",
+  "LLM_TEMPERATURE",
+  "LLM_TIMEOUT_MS",
+  "LLM_MOCK_RESPONSES_PATH",
+  "HF_MODEL",
+];
+
+// fetch stand-in answering with a JSON body or a list of SSE chunks
+const createFetch = ({ status = 200, json, chunks = [] }) =>
+  jest.fn(async () => ({
+    ok: status >= 200 && status < 300,
+    status,
+    json: async () => json,
+    text: async () => "upstream failure",
+    body: (async function* () {
+      for (const chunk of chunks) yield new TextEncoder().encode(chunk);
+    })(),
+  }));
+
+describe("LLM providers", () => {
+  let service;
+  let llmOrchestrator;
+  let llmProviders;
+  let mockSession;
+
+  const chat = async (body = {}) => {
+    const res = createRes();
+    await service.chatbotChat(
+      createReq({ sessionId: undefined, ...body }),
+      res,
+    );
+    return res.json.mock.calls[0][0];
+  };
+
+  beforeAll(() => {
+    jest.resetModules();
+    service = require("../services/service");
+    llmOrchestrator = require("../services/chatbot/llmOrchestrator");
+    llmProviders = require("../services/chatbot/llmProviders");
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockChatCompletion.mockReset();
+    require("../services/embeddings/searchService").invalidateSearchIndex();
+    require("../services/sessions/sessionStore").resetSessionStore();
+    llmOrchestrator.resetLlmProvider();
+    const neo4j = require("neo4j-driver");
+    mockSession = neo4j.driver().session();
+    mockSession.executeRead.mockReset();
+  });
+
+  afterEach(() => {
+    LLM_ENV_VARS.forEach((name) => delete process.env[name]);
+  });
+
+  describe("Provider selection", () => {
+    test("should use Hugging Face with the configured options by default", async () => {
+      process.env.HF_MODEL = "meta-llama/Llama-3.1-8B-Instruct";
+      process.env.LLM_MAX_TOKENS = "256";
+      process.env.LLM_TEMPERATURE = "0";
+      mockChatCompletion.mockResolvedValueOnce(
+        createFinalResponse({ message: "Hi" }),
+      );
+
+      await chat();
+
+      expect(llmOrchestrator.getLlmProvider().name).toBe("hf");
+      expect(mockChatCompletion).toHaveBeenCalledWith(
+        expect.objectContaining({
+          model: "meta-llama/Llama-3.1-8B-Instruct",
+          max_tokens: 256,
+          temperature: 0,
+        }),
+        { signal: expect.any(AbortSignal) },
+      );
+    });
+
+    test("should fall back to Hugging Face for unknown providers", () => {
+      const config = llmProviders.getLlmConfig({ LLM_PROVIDER: "gpt-9" });
+
+      expect(config).toEqual(
+        expect.objectContaining({
+          provider: "hf",
+          maxTokens: 1024,
+          temperature: 0.7,
+          timeoutMs: 60000,
+        }),
+      );
+    });
+
+    test("should abort Hugging Face calls that exceed the timeout", async () => {
+      mockChatCompletion.mockImplementationOnce(
+        (request, { signal }) =>
+          new Promise((resolve, reject) => {
+            signal.addEventListener("abort", () => reject(signal.reason));
+          }),
+      );
+      const provider = llmProviders.createHfProvider({ timeoutMs: 10 });
+
+      await expect(provider.complete([])).rejects.toThrow(/timeout/i);
+    });
+  });
+
+  describe("OpenAI-compatible provider", () => {
+    test("should post chat completions to the endpoint", async () => {
+      const fetchImpl = createFetch({
+        json: { choices: [{ message: { content: '{"type":"final"}' } }] },
+      });
+      const provider = llmProviders.createOpenAiCompatibleProvider({
+        baseUrl: "http://localhost:8000/v1/",
+        apiKey: "secret",
+        model: "qwen2.5",
+        maxTokens: 512,
+        temperature: 0.2,
+        fetchImpl,
+      });
+
+      const message = await provider.complete([
+        { role: "user", content: "Hi" },
+      ]);
+
+      expect(message.content).toBe('{"type":"final"}');
+      const [url, init] = fetchImpl.mock.calls[0];
+      expect(url).toBe("http://localhost:8000/v1/chat/completions");
+      expect(init.headers.Authorization).toBe("Bearer secret");
+      expect(JSON.parse(init.body)).toEqual({
+        model: "qwen2.5",
+        messages: [{ role: "user", content: "Hi" }],
+        max_tokens: 512,
+        temperature: 0.2,
+        stream: false,
+      });
+    });
+
+    test("should parse streamed deltas split across chunks", async () => {
+      const provider = llmProviders.createOpenAiCompatibleProvider({
+        baseUrl: "http://localhost:11434/v1",
+        model: "llama3",
+        fetchImpl: createFetch({
+          chunks: [
+            'data: {"choices":[{"delta":{"content":"Hel"}}]}\n\ndata: {"choi',
+            'ces":[{"delta":{"content":"lo"}}]}\n\n',
+            "data: [DONE]\n\n",
+          ],
+        }),
+      });
+
+      const deltas = [];
+      for await (const delta of provider.stream([])) deltas.push(delta);
+
+      expect(deltas).toEqual([{ content: "Hel" }, { content: "lo" }]);
+    });
+
+    test("should fail with the endpoint status", async () => {
+      const provider = llmProviders.createOpenAiCompatibleProvider({
+        baseUrl: "http://localhost:8000/v1",
+        model: "qwen2.5",
+        fetchImpl: createFetch({ status: 503 }),
+      });
+
+      await expect(provider.complete([])).rejects.toMatchObject({
+        message: "LLM endpoint returned 503",
+        status: 503,
+        body: "upstream failure",
+      });
+    });
+  });
+
+  describe("Mock provider", () => {
+    test("should run the chat flow offline with the search results", async () => {
+      process.env.LLM_PROVIDER = "mock";
+      mockSearchReads(mockSession, [
+        {
+          node: { id: "hooks", name: "React hooks", type: "Skill" },
+          embedding: createNormalizedEmbedding(),
+        },
+      ]);
+
+      const response = await chat({ message: "React hooks", debug: true });
+
+      expect(mockInferenceClient).not.toHaveBeenCalled();
+      expect(response.message).toBe(
+        "Here are some materials I found: React hooks.",
+      );
+      expect(response.relatedMaterials).toEqual([
+        { nodeId: "hooks", name: "React hooks", type: "skill" },
+      ]);
+      expect(response.debug.steps[0]).toEqual(
+        expect.objectContaining({
+          tool: "search_materials",
+          args: { query: "React hooks", limit: 5 },
+        }),
+      );
+    });
+
+    test("should reply with scripted responses in order", async () => {
+      const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "llm-mock-"));
+      const scriptPath = path.join(tmpDir, "responses.json");
+      fs.writeFileSync(
+        scriptPath,
+        JSON.stringify([
+          { type: "final", message: "Scripted hello" },
+          "not json at all",
+          "still not json",
+        ]),
+      );
+      process.env.LLM_PROVIDER = "mock";
+      process.env.LLM_MOCK_RESPONSES_PATH = scriptPath;
+
+      try {
+        const first = await chat();
+        const second = await chat();
+
+        expect(first.message).toBe("Scripted hello");
+        expect(second.message).toContain("error processing your request");
+      } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+      }
+    });
+
+    test("should stream its reply in pieces", async () => {
+      const provider = llmProviders.createMockProvider({
+        responses: [{ type: "final", message: "A streamed mock reply" }],
+      });
+
+      const deltas = [];
+      for await (const delta of provider.stream([])) deltas.push(delta);
+
+      expect(deltas.length).toBeGreaterThan(1);
+      expect(JSON.parse(deltas.map((delta) => delta.content).join(""))).toEqual(
+        { type: "final", message: "A streamed mock reply" },
+      );
+    });
+  });
+});
@@ -0,0 +1,299 @@
+/**
+ * Tests for the resilience around LLM calls
+ * Tests per-attempt timeouts, retries with jittered backoff, the circuit
+ * breaker, retrying streams before their first delta and the 503 with
+ * Retry-After returned by the chat endpoints
+ */
+
+const { EventEmitter } = require("events");
+
+// Mock @huggingface/inference BEFORE importing service
+const mockChatCompletion = jest.fn();
+jest.mock("@huggingface/inference", () => {
+  return {
+    InferenceClient: jest.fn().mockImplementation(() => ({
+      chatCompletion: mockChatCompletion,
+    })),
+  };
+});
+
+// Mock neo4j-driver BEFORE importing service
+jest.mock("neo4j-driver", () => {
+  const mockSession = {
+    executeRead: jest.fn(),
+    close: jest.fn(),
+  };
+
+  const mockDriver = {
+    session: jest.fn(() => mockSession),
+    verifyAuthentication: jest.fn().mockResolvedValue(undefined),
+    close: jest.fn().mockResolvedValue(undefined),
+  };
+
+  return {
+    driver: jest.fn(() => mockDriver),
+    auth: {
+      basic: jest.fn((user, pass) => ({ user, pass })),
+    },
+    session: { READ: "READ", WRITE: "WRITE" },
+    int: jest.fn((value) => value),
+  };
+});
+
+const { createReq, createRes } = require("./helpers/chatbotChat.helpers");
+
+const RESILIENCE_ENV_VARS = [
+  "LLM_MAX_RETRIES",
+  "LLM_RETRY_BASE_MS",
+  "LLM_BREAKER_THRESHOLD",
+];
+
+// Error shaped like the ones @huggingface/inference throws
+const hfError = (status) =>
+  Object.assign(new Error(`Provider returned ${status}`), {
+    httpResponse: { status },
+  });
+
+const message = (content) => ({ content });
+
+describe("LLM resilience", () => {
+  let service;
+  let llmOrchestrator;
+  let llmResilience;
+
+  // Wrap a provider with instant, recorded backoff sleeps
+  const wrap = (provider, options = {}) => {
+    const sleep = jest.fn().mockResolvedValue(undefined);
+    return {
+      sleep,
+      provider: llmResilience.withResilience(
+        { name: "test", model: "test", toolMode: "json", ...provider },
+        { retryBaseDelayMs: 100, random: () => 0.5, sleep, ...options },
+      ),
+    };
+  };
+
+  beforeAll(() => {
+    jest.resetModules();
+    service = require("../services/service");
+    llmOrchestrator = require("../services/chatbot/llmOrchestrator");
+    llmResilience = require("../services/chatbot/llmResilience");
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockChatCompletion.mockReset();
+    require("../services/sessions/sessionStore").resetSessionStore();
+    llmOrchestrator.resetLlmProvider();
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    RESILIENCE_ENV_VARS.forEach((name) => delete process.env[name]);
+    jest.restoreAllMocks();
+  });
+
+  describe("Retries", () => {
+    test("should retry retryable failures with jittered backoff", async () => {
+      const complete = jest
+        .fn()
+        .mockRejectedValueOnce(hfError(503))
+        .mockRejectedValueOnce(
+          Object.assign(new Error("Too many requests"), {
+            status: 429,
+            retryAfterMs: 2000,
+          }),
+        )
+        .mockResolvedValueOnce(message("Hello"));
+      const { provider, sleep } = wrap({ complete });
+
+      await expect(provider.complete([])).resolves.toEqual(message("Hello"));
+
+      expect(complete).toHaveBeenCalledTimes(3);
+      // Half of 100ms, then the upstream Retry-After over half of 200ms
+      expect(sleep.mock.calls).toEqual([[50], [2000]]);
+    });
+
+    test("should pass other errors through without retrying", async () => {
+      const badRequest = Object.assign(new Error("Bad request"), {
+        status: 400,
+      });
+      const complete = jest.fn().mockRejectedValue(badRequest);
+      const { provider } = wrap({ complete });
+
+      await expect(provider.complete([])).rejects.toBe(badRequest);
+      expect(complete).toHaveBeenCalledTimes(1);
+    });
+
+    test("should time out each attempt and fail with a 503", async () => {
+      let signal;
+      const complete = jest.fn((messages, options) => {
+        signal = options.signal;
+        return new Promise((resolve, reject) =>
+          signal.addEventListener("abort", () => reject(signal.reason)),
+        );
+      });
+      const { provider } = wrap({ complete }, { timeoutMs: 10, maxRetries: 1 });
+
+      await expect(provider.complete([])).rejects.toMatchObject({
+        status: 503,
+        reason: "timeout",
+        message: llmResilience.LLM_UNAVAILABLE_MESSAGE,
+        retryAfterSeconds: 1,
+      });
+      expect(complete).toHaveBeenCalledTimes(2);
+      expect(signal.reason.name).toBe("TimeoutError");
+    });
+
+    test("should not retry when the caller aborts", async () => {
+      const controller = new AbortController();
+      const complete = jest.fn(async () => {
+        controller.abort();
+        throw Object.assign(new Error("aborted"), { name: "AbortError" });
+      });
+      const { provider } = wrap({ complete });
+
+      await expect(
+        provider.complete([], { signal: controller.signal }),
+      ).rejects.toThrow("aborted");
+      expect(complete).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("Circuit breaker", () => {
+    test("should fail fast while open and close after a successful trial", async () => {
+      let now = 0;
+      const breaker = llmResilience.createCircuitBreaker({
+        threshold: 2,
+        cooldownMs: 30000,
+        now: () => now,
+      });
+      const complete = jest.fn().mockRejectedValue(hfError(502));
+      const { provider } = wrap({ complete }, { maxRetries: 5, breaker });
+
+      await expect(provider.complete([])).rejects.toMatchObject({
+        reason: "upstream_unavailable",
+        retryAfterSeconds: 30,
+      });
+      expect(complete).toHaveBeenCalledTimes(2);
+      expect(breaker.state()).toBe("open");
+
+      now = 10000;
+      await expect(provider.complete([])).rejects.toMatchObject({
+        status: 503,
+        reason: "circuit_open",
+        retryAfterSeconds: 20,
+      });
+      expect(complete).toHaveBeenCalledTimes(2);
+
+      now = 30000;
+      complete.mockResolvedValueOnce(message("Back"));
+      await expect(provider.complete([])).resolves.toEqual(message("Back"));
+      expect(breaker.state()).toBe("closed");
+    });
+
+    test("should free the trial slot when the caller aborts the trial call", async () => {
+      let now = 0;
+      const breaker = llmResilience.createCircuitBreaker({
+        threshold: 1,
+        cooldownMs: 30000,
+        now: () => now,
+      });
+      const complete = jest.fn().mockRejectedValueOnce(hfError(503));
+      const { provider } = wrap({ complete }, { maxRetries: 0, breaker });
+      await expect(provider.complete([])).rejects.toMatchObject({
+        status: 503,
+      });
+
+      now = 30000;
+      const controller = new AbortController();
+      complete.mockImplementationOnce(async () => {
+        controller.abort();
+        throw Object.assign(new Error("aborted"), { name: "AbortError" });
+      });
+      await expect(
+        provider.complete([], { signal: controller.signal }),
+      ).rejects.toThrow("aborted");
+      expect(breaker.state()).toBe("half_open");
+
+      complete.mockResolvedValueOnce(message("Back"));
+      await expect(provider.complete([])).resolves.toEqual(message("Back"));
+      expect(breaker.state()).toBe("closed");
+    });
+  });
+
+  describe("Streams", () => {
+    test("should retry before the first delta but not after it", async () => {
+      const stream = jest
+        .fn()
+        .mockImplementationOnce(async function* () {
+          yield* [];
+          throw hfError(503);
+        })
+        .mockImplementationOnce(async function* () {
+          yield { content: "Hel" };
+          throw hfError(503);
+        });
+      const { provider } = wrap({ stream });
+
+      const deltas = [];
+      await expect(async () => {
+        for await (const delta of provider.stream([])) deltas.push(delta);
+      }).rejects.toMatchObject({ status: 503 });
+
+      expect(stream).toHaveBeenCalledTimes(2);
+      expect(deltas).toEqual([{ content: "Hel" }]);
+    });
+  });
+
+  describe("Chat endpoints", () => {
+    beforeEach(() => {
+      process.env.LLM_MAX_RETRIES = "1";
+      process.env.LLM_RETRY_BASE_MS = "1";
+      process.env.LLM_BREAKER_THRESHOLD = "2";
+      mockChatCompletion.mockRejectedValue(hfError(503));
+    });
+
+    test("should answer upstream outages with a 503 and Retry-After", async () => {
+      const res = { ...createRes(), set: jest.fn() };
+
+      await service.chatbotChat(createReq({ sessionId: undefined }), res);
+
+      expect(mockChatCompletion).toHaveBeenCalledTimes(2);
+      expect(res.status).toHaveBeenCalledWith(503);
+      expect(res.set).toHaveBeenCalledWith("Retry-After", "30");
+      expect(res.json).toHaveBeenCalledWith({
+        error: "Assistant unavailable",
+        message: llmResilience.LLM_UNAVAILABLE_MESSAGE,
+        reason: "upstream_unavailable",
+        retryAfterSeconds: 30,
+      });
+
+      const next = { ...createRes(), set: jest.fn() };
+      await service.chatbotChat(createReq({ sessionId: undefined }), next);
+
+      expect(mockChatCompletion).toHaveBeenCalledTimes(2);
+      expect(next.json.mock.calls[0][0].reason).toBe("circuit_open");
+    });
+
+    test("should refuse to open a stream while the circuit is open", async () => {
+      await service.chatbotChat(createReq({ sessionId: undefined }), {
+        ...createRes(),
+        set: jest.fn(),
+      });
+
+      const res = new EventEmitter();
+      Object.assign(res, {
+        ...createRes(),
+        set: jest.fn(),
+        flushHeaders: jest.fn(),
+      });
+      await service.chatbotChatStream(createReq({ sessionId: undefined }), res);
+
+      expect(res.status).toHaveBeenCalledWith(503);
+      expect(res.json.mock.calls[0][0].reason).toBe("circuit_open");
+      expect(res.flushHeaders).not.toHaveBeenCalled();
+    });
+  });
+});
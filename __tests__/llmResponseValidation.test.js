@@ -0,0 +1,194 @@
+/**
+ * Tests for LLM reply validation
+ * Tests the tool_call/final schemas, concatenated JSON, the repair
+ * re-prompt, failure classification and GET /chatbot/llm/stats
+ */
+
+// Mock @huggingface/inference BEFORE importing service
+const mockChatCompletion = jest.fn();
+jest.mock("@huggingface/inference", () => {
+  return {
+    InferenceClient: jest.fn().mockImplementation(() => ({
+      chatCompletion: mockChatCompletion,
+    })),
+  };
+});
+
+// Mock neo4j-driver BEFORE importing service
+jest.mock("neo4j-driver", () => {
+  const mockSession = {
+    executeRead: jest.fn(),
+    close: jest.fn(),
+  };
+
+  const mockDriver = {
+    session: jest.fn(() => mockSession),
+    verifyAuthentication: jest.fn().mockResolvedValue(undefined),
+    close: jest.fn().mockResolvedValue(undefined),
+  };
+
+  return {
+    driver: jest.fn(() => mockDriver),
+    auth: {
+      basic: jest.fn((user, pass) => ({ user, pass })),
+    },
+    session: { READ: "READ", WRITE: "WRITE" },
+    int: jest.fn((value) => value),
+  };
+});
+
+const { createReq, createRes } = require("./helpers/chatbotChat.helpers");
+
+// LLM reply with raw content
+const rawReply = (content) => ({ choices: [{ message: { content } }] });
+
+describe("LLM reply validation", () => {
+  let service;
+  let responseValidator;
+
+  const chat = async () => {
+    const res = createRes();
+    await service.chatbotChat(createReq({ sessionId: undefined }), res);
+    return res.json.mock.calls[0][0];
+  };
+
+  const stats = () => {
+    const res = createRes();
+    service.chatbotLlmStats({}, res);
+    return res.json.mock.calls[0][0];
+  };
+
+  // Instruction sent with the repair re-prompt
+  const repairInstruction = () =>
+    mockChatCompletion.mock.calls[1][0].messages.at(-1);
+
+  beforeAll(() => {
+    jest.resetModules();
+    service = require("../services/service");
+    responseValidator = require("../services/chatbot/responseValidator");
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockChatCompletion.mockReset();
+    require("../services/sessions/sessionStore").resetSessionStore();
+    responseValidator.resetLlmResponseStats();
+  });
+
+  describe("Parsing", () => {
+    test("should take the first valid object of concatenated JSON", () => {
+      const { response } = responseValidator.validateLlmOutput(
+        '<think>plan {"type":"final"}</think>{"type":"answer"}\n{"type":"final","message":"Use {hooks} \\"now\\""}{"type":"final","message":"B"}',
+      );
+
+      expect(response).toEqual({
+        type: "final",
+        message: 'Use {hooks} "now"',
+      });
+    });
+
+    test("should classify failures", () => {
+      const { validateLlmOutput } = responseValidator;
+
+      expect(validateLlmOutput("Sure! Here you go.").failure.kind).toBe(
+        "not_json",
+      );
+      expect(validateLlmOutput("{not: json}").failure.kind).toBe("not_json");
+      expect(
+        validateLlmOutput(
+          '{"type":"final","message":"Hi","relatedMaterials":[{"name":"x"}]}',
+        ).failure,
+      ).toEqual({
+        kind: "schema_violation",
+        errors: ["response.relatedMaterials[0].nodeId is required"],
+      });
+      expect(
+        validateLlmOutput('{"type":"tool_call","tool":"rm_rf","args":{}}')
+          .failure.kind,
+      ).toBe("unknown_tool");
+    });
+  });
+
+  describe("Repair re-prompt", () => {
+    test("should send the validation errors and use the repaired reply", async () => {
+      mockChatCompletion
+        .mockResolvedValueOnce(
+          rawReply('{"type":"final","suggestedActions":"none"}'),
+        )
+        .mockResolvedValueOnce(
+          rawReply('{"type":"final","message":"Fixed reply"}'),
+        );
+
+      const response = await chat();
+
+      expect(repairInstruction()).toEqual({
+        role: "system",
+        content: expect.stringContaining(
+          "invalid (schema_violation): response.message is required; response.suggestedActions must be an array",
+        ),
+      });
+      expect(mockChatCompletion.mock.calls[1][0].messages.at(-2)).toEqual({
+        role: "assistant",
+        content: '{"type":"final","suggestedActions":"none"}',
+      });
+      expect(response.message).toBe("Fixed reply");
+      expect(stats()).toEqual({
+        responses: 1,
+        valid: 0,
+        repaired: 1,
+        fallbacks: 0,
+        failures: { not_json: 0, schema_violation: 1, unknown_tool: 0 },
+      });
+    });
+
+    test("should name the available tools after an unknown tool call", async () => {
+      mockChatCompletion
+        .mockResolvedValueOnce(
+          rawReply('{"type":"tool_call","tool":"web_search","args":{}}'),
+        )
+        .mockResolvedValueOnce(
+          rawReply('{"type":"final","message":"No web search, sorry."}'),
+        );
+
+      const response = await chat();
+
+      expect(repairInstruction().content).toContain(
+        "Available tools: search_materials, get_node_details",
+      );
+      expect(response.message).toBe("No web search, sorry.");
+      expect(stats().failures.unknown_tool).toBe(1);
+    });
+
+    test("should fall back after one failed repair", async () => {
+      mockChatCompletion
+        .mockResolvedValueOnce(rawReply("I think you should learn React."))
+        .mockResolvedValueOnce(rawReply('{"type":"final"}'));
+
+      const response = await chat();
+
+      expect(mockChatCompletion).toHaveBeenCalledTimes(2);
+      expect(response.message).toContain("error processing your request");
+      expect(stats()).toEqual(
+        expect.objectContaining({
+          responses: 1,
+          fallbacks: 1,
+          failures: { not_json: 1, schema_violation: 0, unknown_tool: 0 },
+        }),
+      );
+    });
+
+    test("should count valid replies without re-prompting", async () => {
+      mockChatCompletion.mockResolvedValueOnce(
+        rawReply('```json\n{"type":"final","message":"Hello"}\n```'),
+      );
+
+      const response = await chat();
+
+      expect(mockChatCompletion).toHaveBeenCalledTimes(1);
+      expect(response.message).toBe("Hello");
+      expect(stats()).toEqual(
+        expect.objectContaining({ responses: 1, valid: 1 }),
+      );
+    });
+  });
+});
@@ -0,0 +1,330 @@
+/**
+ * Tests for material request delivery
+ * Tests the outbox, the webhook dispatcher (against a local HTTP stand-in)
+ * and the material request endpoints
+ */
+
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+// Mock neo4j-driver BEFORE importing service
+jest.mock("neo4j-driver", () => {
+  const mockDriver = {
+    session: jest.fn(),
+    verifyAuthentication: jest.fn().mockResolvedValue(undefined),
+    close: jest.fn().mockResolvedValue(undefined),
+  };
+
+  return {
+    driver: jest.fn(() => mockDriver),
+    auth: {
+      basic: jest.fn((user, pass) => ({ user, pass })),
+    },
+    session: { READ: "READ", WRITE: "WRITE" },
+  };
+});
+
+const { createRes } = require("./helpers/chatbotChat.helpers");
+
+describe("Material request delivery", () => {
+  let tmpDir;
+  let server;
+  let webhookUrl;
+  let webhookResponses;
+  let receivedPayloads;
+  let store;
+  let createMaterialRequestDispatcher;
+
+  // Each incoming webhook call takes the next queued status (default 204)
+  const startWebhookStandIn = () =>
+    new Promise((resolve) => {
+      server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => {
+          body += chunk;
+        });
+        req.on("end", () => {
+          receivedPayloads.push(JSON.parse(body));
+          const { status = 204, headers = {} } = webhookResponses.shift() || {};
+          res.writeHead(status, headers);
+          res.end();
+        });
+      });
+      server.listen(0, "127.0.0.1", () => {
+        webhookUrl = `http://127.0.0.1:${server.address().port}/webhook`;
+        resolve();
+      });
+    });
+
+  const createDispatcher = (overrides = {}) =>
+    createMaterialRequestDispatcher({
+      webhookUrl,
+      maxAttempts: 3,
+      baseBackoffMs: 1000,
+      random: () => 0,
+      ...overrides,
+    });
+
+  const later = (ms) => new Date(Date.now() + ms);
+
+  beforeAll(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "perk-outbox-"));
+    process.env.MATERIAL_REQUEST_STORE_PATH = path.join(
+      tmpDir,
+      "material-requests.json",
+    );
+
+    jest.resetModules();
+    store = require("../services/materials/materialRequestStore");
+    ({
+      createMaterialRequestDispatcher,
+    } = require("../services/materials/materialRequestDispatcher"));
+
+    await startWebhookStandIn();
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    delete process.env.MATERIAL_REQUEST_STORE_PATH;
+  });
+
+  beforeEach(async () => {
+    webhookResponses = [];
+    receivedPayloads = [];
+    // Drain anything left over from a previous test
+    await createDispatcher().dispatchDue(later(24 * 60 * 60 * 1000));
+    receivedPayloads = [];
+  });
+
+  describe("Dispatcher", () => {
+    test("should deliver a queued request as a Discord embed", async () => {
+      const request = await store.createMaterialRequest({
+        topic: "GraphQL",
+        userContext: "Backend developer",
+        suggestedResources: ["https://graphql.org/learn/"],
+        sessionId: "session-1",
+      });
+
+      await createDispatcher().dispatchDue();
+
+      expect(receivedPayloads).toHaveLength(1);
+      const [embed] = receivedPayloads[0].embeds;
+      expect(embed.title).toBe("Material request: GraphQL");
+      expect(embed.description).toBe("Backend developer");
+      expect(embed.fields).toEqual(
+        expect.arrayContaining([
+          { name: "Request ID", value: request.requestId },
+          {
+            name: "Suggested resources",
+            value: "• https://graphql.org/learn/",
+          },
+        ]),
+      );
+
+      const delivered = await store.getMaterialRequest(request.requestId);
+      expect(delivered.status).toBe("sent");
+      expect(delivered.attempts).toBe(1);
+      expect(delivered.sentAt).toEqual(expect.any(String));
+    });
+
+    test("should send a client-supplied embed as-is", async () => {
+      const embed = { title: "Custom embed", color: 123 };
+      await store.createMaterialRequest({ topic: "Vue", embed });
+
+      await createDispatcher().dispatchDue();
+
+      expect(receivedPayloads[0]).toEqual({ embeds: [embed] });
+    });
+
+    test("should retry with backoff after a server error", async () => {
+      webhookResponses.push({ status: 500 });
+      const request = await store.createMaterialRequest({ topic: "Svelte" });
+      const dispatcher = createDispatcher();
+
+      await dispatcher.dispatchDue();
+      let current = await store.getMaterialRequest(request.requestId);
+      expect(current.status).toBe("retrying");
+      expect(current.attempts).toBe(1);
+      expect(current.lastError).toContain("HTTP 500");
+
+      // Not yet due: nothing is sent
+      await dispatcher.dispatchDue(new Date());
+      expect(receivedPayloads).toHaveLength(1);
+
+      await dispatcher.dispatchDue(later(1000));
+      current = await store.getMaterialRequest(request.requestId);
+      expect(current.status).toBe("sent");
+      expect(current.attempts).toBe(2);
+      expect(receivedPayloads).toHaveLength(2);
+    });
+
+    test("should honor Retry-After on 429 responses", async () => {
+      webhookResponses.push({ status: 429, headers: { "Retry-After": "60" } });
+      const request = await store.createMaterialRequest({ topic: "Deno" });
+
+      await createDispatcher().dispatchDue();
+
+      const current = await store.getMaterialRequest(request.requestId);
+      expect(current.status).toBe("retrying");
+      expect(
+        new Date(current.nextAttemptAt).getTime() - Date.now(),
+      ).toBeGreaterThan(55 * 1000);
+    });
+
+    test("should move requests that keep failing to dead_letter", async () => {
+      webhookResponses.push({ status: 503 }, { status: 503 }, { status: 503 });
+      const request = await store.createMaterialRequest({ topic: "Elm" });
+      const dispatcher = createDispatcher();
+
+      await dispatcher.dispatchDue();
+      await dispatcher.dispatchDue(later(60 * 1000));
+      await dispatcher.dispatchDue(later(120 * 1000));
+
+      const current = await store.getMaterialRequest(request.requestId);
+      expect(current.status).toBe("dead_letter");
+      expect(current.attempts).toBe(3);
+      expect(current.nextAttemptAt).toBeNull();
+
+      await dispatcher.dispatchDue(later(24 * 60 * 60 * 1000));
+      expect(receivedPayloads).toHaveLength(3);
+    });
+
+    test("should dead-letter immediately when the webhook rejects the payload", async () => {
+      webhookResponses.push({ status: 400 });
+      const request = await store.createMaterialRequest({ topic: "Haskell" });
+
+      await createDispatcher().dispatchDue();
+
+      const current = await store.getMaterialRequest(request.requestId);
+      expect(current.status).toBe("dead_letter");
+      expect(current.attempts).toBe(1);
+    });
+
+    test("should retry when the webhook is unreachable", async () => {
+      const request = await store.createMaterialRequest({ topic: "Zig" });
+
+      await createDispatcher({
+        webhookUrl: "http://127.0.0.1:1/unreachable",
+      }).dispatchDue();
+
+      const current = await store.getMaterialRequest(request.requestId);
+      expect(current.status).toBe("retrying");
+      expect(current.lastError).toContain("Webhook request failed");
+    });
+
+    test("should persist the outbox to disk", async () => {
+      const request = await store.createMaterialRequest({ topic: "Go" });
+
+      const saved = JSON.parse(
+        fs.readFileSync(process.env.MATERIAL_REQUEST_STORE_PATH, "utf8"),
+      );
+      expect(saved).toContainEqual(
+        expect.objectContaining({
+          requestId: request.requestId,
+          status: "queued",
+        }),
+      );
+    });
+
+    test("should load the outbox once for concurrent first requests", async () => {
+      const storePath = process.env.MATERIAL_REQUEST_STORE_PATH;
+      process.env.MATERIAL_REQUEST_STORE_PATH = path.join(tmpDir, "fresh.json");
+      try {
+        let freshStore;
+        jest.isolateModules(() => {
+          freshStore = require("../services/materials/materialRequestStore");
+        });
+
+        await Promise.all([
+          freshStore.createMaterialRequest({ topic: "Go" }),
+          freshStore.createMaterialRequest({ topic: "Rust" }),
+        ]);
+
+        expect(await freshStore.listDueMaterialRequests()).toHaveLength(2);
+      } finally {
+        process.env.MATERIAL_REQUEST_STORE_PATH = storePath;
+      }
+    });
+  });
+
+  describe("Endpoints", () => {
+    let service;
+
+    beforeAll(() => {
+      service = require("../services/service");
+    });
+
+    test("should queue requests from POST /chatbot/material-request", async () => {
+      const res = createRes();
+      await service.chatbotMaterialRequest(
+        {
+          body: {
+            embed: { title: "Request: Kotlin" },
+            request: { topic: "Kotlin", userContext: "Android dev" },
+          },
+        },
+        res,
+      );
+
+      const response = res.json.mock.calls[0][0];
+      expect(response).toEqual(
+        expect.objectContaining({
+          success: true,
+          requestId: expect.any(String),
+          status: "queued",
+        }),
+      );
+
+      const stored = await store.getMaterialRequest(response.requestId);
+      expect(stored).toEqual(
+        expect.objectContaining({
+          topic: "Kotlin",
+          userContext: "Android dev",
+          embed: { title: "Request: Kotlin" },
+        }),
+      );
+    });
+
+    test("should return 400 when embed or request is missing", async () => {
+      const res = createRes();
+      await service.chatbotMaterialRequest({ body: { embed: {} } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    test("should look up a request's delivery status", async () => {
+      webhookResponses.push({ status: 500 });
+      const request = await store.createMaterialRequest({ topic: "Scala" });
+      await createDispatcher().dispatchDue();
+
+      const res = createRes();
+      await service.chatbotMaterialRequestStatus(
+        { params: { requestId: request.requestId } },
+        res,
+      );
+
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          requestId: request.requestId,
+          status: "retrying",
+          attempts: 1,
+          lastError: expect.stringContaining("HTTP 500"),
+        }),
+      );
+      expect(res.json.mock.calls[0][0].userContext).toBeUndefined();
+    });
+
+    test("should return 404 for an unknown request id", async () => {
+      const res = createRes();
+      await service.chatbotMaterialRequestStatus(
+        { params: { requestId: "missing" } },
+        res,
+      );
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+});
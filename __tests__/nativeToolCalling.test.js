@@ -0,0 +1,326 @@
+/**
+ * Tests for native function calling
+ * Tests the per-model tool mode, tool definitions sent to the model, reading
+ * message.tool_calls (whole and streamed), "tool" result messages and the
+ * JSON protocol kept for other models
+ */
+
+// Mock @huggingface/inference BEFORE importing service
+const mockChatCompletion = jest.fn();
+const mockChatCompletionStream = jest.fn();
+jest.mock("@huggingface/inference", () => {
+  return {
+    InferenceClient: jest.fn().mockImplementation(() => ({
+      chatCompletion: mockChatCompletion,
+      chatCompletionStream: mockChatCompletionStream,
+    })),
+  };
+});
+
+// Mock neo4j-driver BEFORE importing service
+jest.mock("neo4j-driver", () => {
+  const mockSession = {
+    executeRead: jest.fn(),
+    close: jest.fn(),
+  };
+
+  const mockDriver = {
+    session: jest.fn(() => mockSession),
+    verifyAuthentication: jest.fn().mockResolvedValue(undefined),
+    close: jest.fn().mockResolvedValue(undefined),
+  };
+
+  return {
+    driver: jest.fn(() => mockDriver),
+    auth: {
+      basic: jest.fn((user, pass) => ({ user, pass })),
+    },
+    session: { READ: "READ", WRITE: "WRITE" },
+    int: jest.fn((value) => value),
+  };
+});
+
+jest.mock("@xenova/transformers", () => ({
+  pipeline: jest.fn(() => {
+    const {
+      createNormalizedEmbedding,
+    } = require("./helpers/chatbotChat.helpers");
+    const embedding = createNormalizedEmbedding();
+    return jest.fn(() => Promise.resolve({ data: embedding }));
+  }),
+}));
+
+const {
+  createFinalResponse,
+  createNormalizedEmbedding,
+  createReq,
+  createRes,
+  mockSearchReads,
+} = require("./helpers/chatbotChat.helpers");
+
+const TOOL_MODE_ENV_VARS = ["LLM_PROVIDER", "LLM_TOOL_MODE", "LLM_TOOL_MODES"];
+
+// Reply calling one tool natively
+const nativeToolCall = (name, args, id = "call_1") => ({
+  choices: [
+    {
+      message: {
+        content: "",
+        tool_calls: [
+          {
+            id,
+            type: "function",
+            function: {
+              name,
+              arguments: typeof args === "string" ? args : JSON.stringify(args),
+            },
+          },
+        ],
+      },
+    },
+  ],
+});
+
+describe("Native function calling", () => {
+  let service;
+  let llmOrchestrator;
+  let llmProviders;
+  let mockSession;
+
+  const chat = async (body = {}) => {
+    const res = createRes();
+    await service.chatbotChat(
+      createReq({ sessionId: undefined, ...body }),
+      res,
+    );
+    return res.json.mock.calls[0][0];
+  };
+
+  const sentMessages = (call) =>
+    mockChatCompletion.mock.calls[call][0].messages;
+
+  beforeAll(() => {
+    jest.resetModules();
+    service = require("../services/service");
+    llmOrchestrator = require("../services/chatbot/llmOrchestrator");
+    llmProviders = require("../services/chatbot/llmProviders");
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockChatCompletion.mockReset();
+    mockChatCompletionStream.mockReset();
+    require("../services/embeddings/searchService").invalidateSearchIndex();
+    require("../services/sessions/sessionStore").resetSessionStore();
+    llmOrchestrator.resetLlmProvider();
+    const neo4j = require("neo4j-driver");
+    mockSession = neo4j.driver().session();
+    mockSession.executeRead.mockReset();
+    mockSearchReads(mockSession, [
+      {
+        node: { id: "hooks", name: "React hooks", type: "Skill" },
+        embedding: createNormalizedEmbedding(),
+      },
+    ]);
+    process.env.LLM_TOOL_MODES = "openai/gpt-oss-120b=native";
+  });
+
+  afterEach(() => {
+    TOOL_MODE_ENV_VARS.forEach((name) => delete process.env[name]);
+  });
+
+  describe("Configuration", () => {
+    test("should choose the tool mode per model", () => {
+      const config = llmProviders.getLlmConfig({
+        LLM_TOOL_MODE: "native",
+        LLM_TOOL_MODES: "qwen2.5=json, llama3=native,broken,x=xml",
+      });
+
+      expect(config.toolMode).toBe("native");
+      expect(config.toolModes).toEqual({ "qwen2.5": "json", llama3: "native" });
+      expect(
+        llmProviders.createLlmProvider({
+          ...config,
+          provider: "openai",
+          openai: { baseUrl: "http://localhost:8000/v1", model: "qwen2.5" },
+        }).toolMode,
+      ).toBe("json");
+      expect(
+        llmProviders.createLlmProvider({
+          ...config,
+          hf: { model: "mistralai/Mistral-7B-Instruct-v0.3" },
+        }).toolMode,
+      ).toBe("native");
+    });
+
+    test("should describe tool args as JSON Schema", () => {
+      const { toolRegistry } = require("../services/chatbot/tools");
+      const definition = toolRegistry
+        .toFunctionDefinitions()
+        .find(({ function: fn }) => fn.name === "get_prerequisites");
+
+      expect(definition.type).toBe("function");
+      expect(definition.function.parameters).toEqual({
+        type: "object",
+        properties: {
+          node_id: {
+            type: "string",
+            description: "Node id from a tool result",
+          },
+          depth: { type: "integer", minimum: 1, maximum: 12, default: 6 },
+        },
+        required: ["node_id"],
+      });
+    });
+  });
+
+  describe("Chat flow", () => {
+    test("should declare the tools and answer tool_calls with tool messages", async () => {
+      mockChatCompletion
+        .mockResolvedValueOnce(
+          nativeToolCall("search_materials", { query: "hooks" }),
+        )
+        .mockResolvedValueOnce(
+          createFinalResponse({
+            message: "Learn React hooks.",
+            relatedMaterials: [{ nodeId: "hooks", name: "React hooks" }],
+          }),
+        );
+
+      const response = await chat({ debug: true });
+
+      const request = mockChatCompletion.mock.calls[0][0];
+      expect(request.tools.map(({ function: fn }) => fn.name)).toEqual([
+        "search_materials",
+        "get_node_details",
+        "get_prerequisites",
+        "request_material_addition",
+      ]);
+      expect(request.messages[0].content).toContain("Use the provided tools");
+
+      const [assistant, toolResult] = sentMessages(1).slice(-2);
+      expect(assistant).toEqual({
+        role: "assistant",
+        content: "",
+        tool_calls: [
+          {
+            id: "call_1",
+            type: "function",
+            function: {
+              name: "search_materials",
+              arguments: '{"query":"hooks"}',
+            },
+          },
+        ],
+      });
+      expect(toolResult).toEqual({
+        role: "tool",
+        tool_call_id: "call_1",
+        content: expect.stringContaining('"name":"React hooks"'),
+      });
+      expect(response.message).toBe("Learn React hooks.");
+      expect(response.relatedMaterials).toEqual([
+        { nodeId: "hooks", name: "React hooks", type: "skill" },
+      ]);
+      expect(response.debug.steps[0]).toEqual(
+        expect.objectContaining({
+          tool: "search_materials",
+          args: { query: "hooks" },
+        }),
+      );
+    });
+
+    test("should replay earlier tool calls natively on the next message", async () => {
+      mockChatCompletion
+        .mockResolvedValueOnce(
+          nativeToolCall("search_materials", { query: "hooks" }, "call_abc"),
+        )
+        .mockResolvedValueOnce(createFinalResponse({ message: "Found it." }))
+        .mockResolvedValueOnce(createFinalResponse({ message: "Sure." }));
+
+      const first = await chat();
+      await chat({
+        sessionId: first.conversationState.sessionId,
+        message: "Tell me more",
+      });
+
+      const replayed = sentMessages(2);
+      expect(replayed.map(({ role }) => role)).toEqual([
+        "system",
+        "user",
+        "assistant",
+        "tool",
+        "assistant",
+        "user",
+      ]);
+      expect(replayed[2].tool_calls[0].id).toBe("call_abc");
+      expect(replayed[3].tool_call_id).toBe("call_abc");
+    });
+
+    test("should ask for a repair when tool arguments are not JSON", async () => {
+      mockChatCompletion
+        .mockResolvedValueOnce(nativeToolCall("search_materials", '{"query":'))
+        .mockResolvedValueOnce(createFinalResponse({ message: "Hello" }));
+
+      const response = await chat();
+
+      expect(sentMessages(1).at(-1).content).toContain(
+        "response.args must be an object",
+      );
+      expect(response.message).toBe("Hello");
+    });
+
+    test("should keep the JSON protocol for other models", async () => {
+      process.env.LLM_TOOL_MODES = "llama3=native";
+      mockChatCompletion.mockResolvedValueOnce(
+        createFinalResponse({ message: "Hello" }),
+      );
+
+      await chat();
+
+      const request = mockChatCompletion.mock.calls[0][0];
+      expect(request.tools).toBeUndefined();
+      expect(request.messages[0].content).toContain(
+        "Do NOT attempt to use any native function calls",
+      );
+    });
+
+    test("should run natively with the mock provider", async () => {
+      process.env.LLM_PROVIDER = "mock";
+      process.env.LLM_TOOL_MODE = "native";
+
+      const response = await chat({ message: "React hooks" });
+
+      expect(mockChatCompletion).not.toHaveBeenCalled();
+      expect(response.message).toBe(
+        "Here are some materials I found: React hooks.",
+      );
+    });
+  });
+
+  describe("Streaming", () => {
+    test("should assemble tool calls streamed in pieces", async () => {
+      mockChatCompletionStream.mockImplementationOnce(async function* () {
+        const chunk = (toolCall) => ({
+          choices: [{ delta: { tool_calls: [{ index: 0, ...toolCall }] } }],
+        });
+        yield chunk({
+          id: "call_9",
+          type: "function",
+          function: { name: "get_node_details", arguments: '{"node' },
+        });
+        yield chunk({ function: { arguments: '_id":"hooks"}' } });
+      });
+
+      const raw = await llmOrchestrator.streamLlmChat([]);
+
+      expect(mockChatCompletionStream.mock.calls[0][0].tools).toHaveLength(4);
+      expect(JSON.parse(raw)).toEqual({
+        type: "tool_call",
+        tool: "get_node_details",
+        args: { node_id: "hooks" },
+        toolCallId: "call_9",
+      });
+    });
+  });
+});
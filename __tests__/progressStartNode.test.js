@@ -0,0 +1,197 @@
+/**
+ * Tests for POST /progress/start-node endpoint
+ * Tests terminal computation and start node selection
+ */
+
+// Mock neo4j-driver BEFORE importing service
+jest.mock("neo4j-driver", () => {
+  const mockSession = {
+    executeRead: jest.fn(),
+    close: jest.fn(),
+  };
+
+  const mockDriver = {
+    session: jest.fn(() => mockSession),
+    verifyAuthentication: jest.fn().mockResolvedValue(undefined),
+    close: jest.fn().mockResolvedValue(undefined),
+  };
+
+  return {
+    driver: jest.fn(() => mockDriver),
+    auth: {
+      basic: jest.fn((user, pass) => ({ user, pass })),
+    },
+    session: { READ: "READ", WRITE: "WRITE" },
+    int: jest.fn((value) => value),
+  };
+});
+
+// Skill ids are UUIDs; the suffix keeps them readable in assertions
+const S1 = "00000000-0000-4000-8000-000000000001";
+const S2 = "00000000-0000-4000-8000-000000000002";
+const S3 = "00000000-0000-4000-8000-000000000003";
+const S9 = "00000000-0000-4000-8000-000000000009";
+
+const mockRecords = (rows) => ({
+  records: rows.map((row) => ({
+    get: jest.fn((key) => row[key]),
+  })),
+});
+
+describe("POST /progress/start-node Endpoint", () => {
+  let progressStartNode;
+  let mockDriver;
+  let mockSession;
+
+  const createRes = () => ({
+    json: jest.fn().mockReturnThis(),
+    status: jest.fn().mockReturnThis(),
+  });
+
+  beforeAll(() => {
+    jest.resetModules();
+    const service = require("../services/service");
+    progressStartNode = service.progressStartNode;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    const neo4j = require("neo4j-driver");
+    mockDriver = neo4j.driver();
+    mockSession = mockDriver.session();
+  });
+
+  test("should compute terminals from completed skills", async () => {
+    mockSession.executeRead
+      .mockResolvedValueOnce(mockRecords([{ id: S2 }, { id: S3 }]))
+      .mockResolvedValueOnce(
+        mockRecords([
+          { id: S2, descendants: 4 },
+          { id: S3, descendants: 1 },
+        ]),
+      );
+
+    const res = createRes();
+    await progressStartNode({ body: { doneIds: [S1, S2, S3] } }, res);
+
+    expect(res.json).toHaveBeenCalledWith({
+      terminals: [S2, S3],
+      startNodeId: S2,
+      strategy: "most_descendants",
+    });
+
+    const mockTx = { run: jest.fn() };
+    mockSession.executeRead.mock.calls[0][0](mockTx);
+    expect(mockTx.run.mock.calls[0][1]).toEqual({
+      doneIds: [S1, S2, S3],
+    });
+    expect(mockDriver.session).toHaveBeenCalledWith({
+      defaultAccessMode: "READ",
+    });
+    expect(mockSession.close).toHaveBeenCalled();
+  });
+
+  test("should prefer the terminal closest to the target", async () => {
+    mockSession.executeRead
+      .mockResolvedValueOnce(mockRecords([{ id: S2 }, { id: S3 }]))
+      .mockResolvedValueOnce(
+        mockRecords([
+          { id: S2, descendants: 4 },
+          { id: S3, descendants: 1 },
+        ]),
+      )
+      .mockResolvedValueOnce(
+        mockRecords([
+          { id: S2, distance: 6 },
+          { id: S3, distance: 2 },
+        ]),
+      );
+
+    const res = createRes();
+    await progressStartNode({ body: { doneIds: [S2, S3], targetId: S9 } }, res);
+
+    expect(res.json).toHaveBeenCalledWith({
+      terminals: [S2, S3],
+      startNodeId: S3,
+      strategy: "closest_to_target",
+    });
+  });
+
+  test("should fall back to descendants when no terminal reaches the target", async () => {
+    mockSession.executeRead
+      .mockResolvedValueOnce(mockRecords([{ id: S2 }, { id: S3 }]))
+      .mockResolvedValueOnce(
+        mockRecords([
+          { id: S2, descendants: 1 },
+          { id: S3, descendants: 5 },
+        ]),
+      )
+      .mockResolvedValueOnce(
+        mockRecords([
+          { id: S2, distance: null },
+          { id: S3, distance: null },
+        ]),
+      );
+
+    const res = createRes();
+    await progressStartNode({ body: { doneIds: [S2, S3], targetId: S9 } }, res);
+
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({
+        startNodeId: S3,
+        strategy: "most_descendants",
+      }),
+    );
+  });
+
+  test("should return empty terminals and the entry node for empty doneIds", async () => {
+    const res = createRes();
+    await progressStartNode({ body: { doneIds: [] } }, res);
+
+    expect(res.json).toHaveBeenCalledWith({
+      terminals: [],
+      startNodeId: "E",
+      strategy: "entry_node",
+    });
+    expect(mockSession.executeRead).not.toHaveBeenCalled();
+  });
+
+  test("should return 400 when doneIds is not an array", async () => {
+    const res = createRes();
+    await progressStartNode({ body: { doneIds: S1 } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  test("should return 400 when targetId is not a string", async () => {
+    const res = createRes();
+    await progressStartNode({ body: { doneIds: [S1], targetId: 5 } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  test("should return 400 for malformed node ids", async () => {
+    const res = createRes();
+    await progressStartNode({ body: { doneIds: [S1, "s2"] } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({ invalidIds: ["s2"] }),
+    );
+    expect(mockSession.executeRead).not.toHaveBeenCalled();
+  });
+
+  test("should handle database errors gracefully", async () => {
+    mockSession.executeRead.mockRejectedValueOnce(
+      new Error("Database connection failed"),
+    );
+
+    const res = createRes();
+    await progressStartNode({ body: { doneIds: [S1] } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({ error: "Start node computation failed" }),
+    );
+  });
+});
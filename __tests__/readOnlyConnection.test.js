@@ -0,0 +1,246 @@
+/**
+ * Tests for the read-only Neo4j connection layer
+ * Proves chat and search handlers cannot reach a write session
+ */
+
+// Mock @huggingface/inference BEFORE importing service
+const mockChatCompletion = jest.fn();
+jest.mock("@huggingface/inference", () => {
+  return {
+    InferenceClient: jest.fn().mockImplementation(() => ({
+      chatCompletion: mockChatCompletion,
+    })),
+  };
+});
+
+// Mock neo4j-driver: one driver per credential pair so read and admin
+// connections can be told apart
+jest.mock("neo4j-driver", () => {
+  const createMockDriver = (auth) => {
+    const mockTx = { run: jest.fn() };
+    const mockSession = {
+      executeRead: jest.fn((work) => work(mockTx)),
+      executeWrite: jest.fn((work) => work(mockTx)),
+      run: jest.fn(),
+      close: jest.fn(),
+    };
+    return {
+      auth,
+      mockTx,
+      mockSession,
+      session: jest.fn(() => mockSession),
+      verifyAuthentication: jest.fn().mockResolvedValue(undefined),
+      close: jest.fn().mockResolvedValue(undefined),
+    };
+  };
+
+  return {
+    driver: jest.fn((uri, auth) => createMockDriver(auth)),
+    auth: {
+      basic: jest.fn((user, pass) => ({ user, pass })),
+    },
+    session: { READ: "READ", WRITE: "WRITE" },
+    int: jest.fn((value) => value),
+  };
+});
+
+jest.mock("@xenova/transformers", () => ({
+  pipeline: jest.fn(() => {
+    const {
+      createNormalizedEmbedding,
+    } = require("./helpers/chatbotChat.helpers");
+    return jest.fn(() =>
+      Promise.resolve({ data: createNormalizedEmbedding() }),
+    );
+  }),
+}));
+
+const {
+  createFinalResponse,
+  createNormalizedEmbedding,
+  createReq,
+  createRes,
+  createToolCallResponse,
+  mockNeo4jSearchResults,
+} = require("./helpers/chatbotChat.helpers");
+
+describe("Read-only Neo4j connection", () => {
+  let neo4j;
+  let service;
+  let connection;
+  let readDriver;
+  let consoleErrorSpy;
+
+  beforeAll(() => {
+    process.env.NEO4J_READ_USER = "reader";
+    process.env.NEO4J_READ_PASSWORD = "reader-pass";
+    process.env.NEO4J_ADMIN_USER = "admin";
+    process.env.NEO4J_ADMIN_PASSWORD = "admin-pass";
+
+    jest.resetModules();
+    neo4j = require("neo4j-driver");
+    service = require("../services/service");
+    connection = require("../services/neo4j/connection");
+    readDriver = neo4j.driver.mock.results[0].value;
+  });
+
+  afterAll(() => {
+    delete process.env.NEO4J_READ_USER;
+    delete process.env.NEO4J_READ_PASSWORD;
+    delete process.env.NEO4J_ADMIN_USER;
+    delete process.env.NEO4J_ADMIN_PASSWORD;
+  });
+
+  beforeEach(() => {
+    mockChatCompletion.mockReset();
+    // Each test supplies its own graph: force the search index to reload
+    require("../services/embeddings/searchService").invalidateSearchIndex();
+    readDriver.session.mockClear();
+    readDriver.mockSession.executeRead.mockClear();
+    readDriver.mockSession.executeWrite.mockClear();
+    readDriver.mockTx.run.mockReset();
+    consoleErrorSpy = jest.spyOn(console, "error").mockImplementation();
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+  });
+
+  describe("Drivers", () => {
+    test("should connect public routes with the read-only user", () => {
+      expect(readDriver.auth).toEqual({ user: "reader", pass: "reader-pass" });
+    });
+
+    test("should use a separate admin driver for operator flows", () => {
+      const adminDriver = connection.getAdminDriver();
+
+      expect(adminDriver).not.toBe(readDriver);
+      expect(adminDriver.auth).toEqual({ user: "admin", pass: "admin-pass" });
+    });
+
+    test("should force READ access mode on every session", () => {
+      connection
+        .getReadDriver()
+        .session({ defaultAccessMode: neo4j.session.WRITE });
+
+      expect(readDriver.session).toHaveBeenCalledWith({
+        defaultAccessMode: "READ",
+      });
+    });
+  });
+
+  describe("Handlers", () => {
+    test("chatbotSearch should only open READ sessions", async () => {
+      readDriver.mockTx.run.mockResolvedValueOnce(
+        mockNeo4jSearchResults([
+          {
+            node: { id: "uuid-1", name: "CSS Grid", type: "Skill" },
+            embedding: createNormalizedEmbedding(),
+          },
+        ]),
+      );
+
+      const res = createRes();
+      await service.chatbotSearch({ body: { query: "grid" } }, res);
+
+      expect(res.json.mock.calls[0][0].results).toHaveLength(1);
+      expect(readDriver.session).toHaveBeenCalled();
+      readDriver.session.mock.calls.forEach(([options]) => {
+        expect(options.defaultAccessMode).toBe("READ");
+      });
+      expect(readDriver.mockSession.executeWrite).not.toHaveBeenCalled();
+    });
+
+    test("chatbotChat should only open READ sessions", async () => {
+      mockChatCompletion
+        .mockResolvedValueOnce(
+          createToolCallResponse("search_materials", { query: "grid" }),
+        )
+        .mockResolvedValueOnce(createFinalResponse({ message: "Done" }));
+      readDriver.mockTx.run.mockResolvedValueOnce(mockNeo4jSearchResults([]));
+
+      const res = createRes();
+      await service.chatbotChat(createReq(), res);
+
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ message: "Done" }),
+      );
+      expect(readDriver.session).toHaveBeenCalled();
+      readDriver.session.mock.calls.forEach(([options]) => {
+        expect(options.defaultAccessMode).toBe("READ");
+      });
+      expect(readDriver.mockSession.executeWrite).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Write protection", () => {
+    test("should reject write transactions on read sessions", async () => {
+      const session = connection.getReadDriver().session();
+
+      await expect(
+        session.executeWrite((tx) => tx.run("MATCH (n) RETURN n")),
+      ).rejects.toMatchObject({ status: 403 });
+      expect(readDriver.mockSession.executeWrite).not.toHaveBeenCalled();
+      expect(consoleErrorSpy).toHaveBeenCalledWith(
+        expect.stringContaining("[security]"),
+        expect.any(String),
+      );
+    });
+
+    test.each([
+      "MATCH (n {id: $id}) SET n.name = 'x'",
+      "CREATE (n:Skill {id: 'x'})",
+      "MERGE (n:Skill {id: 'x'})",
+      "MATCH (n) DETACH DELETE n",
+      "MATCH (n) REMOVE n.embedding",
+      "LOAD CSV FROM 'file:///x' AS row RETURN row",
+      "CALL apoc.periodic.iterate('', '', {})",
+    ])("should reject write query: %s", async (query) => {
+      const session = connection.getReadDriver().session();
+
+      await expect(
+        session.executeRead((tx) => tx.run(query)),
+      ).rejects.toMatchObject({ status: 403 });
+      expect(readDriver.mockTx.run).not.toHaveBeenCalled();
+    });
+
+    test("should allow read queries with write-like property names", async () => {
+      readDriver.mockTx.run.mockResolvedValueOnce({ records: [] });
+      const session = connection.getReadDriver().session();
+
+      await session.executeRead((tx) =>
+        tx.run("MATCH (n) WHERE n.createdAt IS NOT NULL RETURN n.settings"),
+      );
+
+      expect(readDriver.mockTx.run).toHaveBeenCalled();
+    });
+
+    test("should allow read queries with write keywords as property names", async () => {
+      readDriver.mockTx.run.mockResolvedValueOnce({ records: [] });
+      const session = connection.getReadDriver().session();
+
+      await session.executeRead((tx) =>
+        tx.run("MATCH (n)-[r]->() RETURN n.set, n.delete, r.remove"),
+      );
+
+      expect(readDriver.mockTx.run).toHaveBeenCalled();
+    });
+
+    test("should log permission denied errors", async () => {
+      const forbidden = Object.assign(
+        new Error("Permission denied: write is not allowed for user 'reader'"),
+        { code: "Neo.ClientError.Security.Forbidden" },
+      );
+      readDriver.mockTx.run.mockRejectedValueOnce(forbidden);
+      const session = connection.getReadDriver().session();
+
+      await expect(
+        session.executeRead((tx) => tx.run("MATCH (n) RETURN n")),
+      ).rejects.toBe(forbidden);
+      expect(consoleErrorSpy).toHaveBeenCalledWith(
+        "[security] permission denied on read connection:",
+        expect.stringContaining("Neo.ClientError.Security.Forbidden"),
+      );
+    });
+  });
+});
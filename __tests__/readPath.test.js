@@ -0,0 +1,169 @@
+/**
+ * Tests for GET /paths/:startNodeId/:targetNodeId endpoint
+ * Tests node id validation and parameterized query building
+ */
+
+// Mock neo4j-driver BEFORE importing service
+jest.mock("neo4j-driver", () => {
+  const mockSession = {
+    executeRead: jest.fn(),
+    close: jest.fn(),
+  };
+
+  const mockDriver = {
+    session: jest.fn(() => mockSession),
+    verifyAuthentication: jest.fn().mockResolvedValue(undefined),
+    close: jest.fn().mockResolvedValue(undefined),
+  };
+
+  return {
+    driver: jest.fn(() => mockDriver),
+    auth: {
+      basic: jest.fn((user, pass) => ({ user, pass })),
+    },
+    session: { READ: "READ", WRITE: "WRITE" },
+  };
+});
+
+const { cypher, isValidNodeId } = require("../services/neo4j/queryBuilder");
+
+const START_ID = "3f2b1c4d-5e6f-4a7b-8c9d-0e1f2a3b4c5d";
+const TARGET_ID = "7a6b5c4d-3e2f-4a1b-9c8d-7e6f5a4b3c2d";
+
+describe("GET /paths/:startNodeId/:targetNodeId Endpoint", () => {
+  let readPath;
+  let mockSession;
+
+  const createRes = () => ({
+    json: jest.fn().mockReturnThis(),
+    status: jest.fn().mockReturnThis(),
+  });
+
+  const pathResult = (distinctNodes = [], distinctLinks = []) => ({
+    records: [
+      {
+        get: jest.fn((key) =>
+          key === "distinctNodes" ? distinctNodes : distinctLinks,
+        ),
+      },
+    ],
+  });
+
+  beforeAll(() => {
+    jest.resetModules();
+    readPath = require("../services/service").readPath;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    const neo4j = require("neo4j-driver");
+    mockSession = neo4j.driver().session();
+  });
+
+  test("should pass node ids as query parameters", async () => {
+    mockSession.executeRead.mockResolvedValueOnce(
+      pathResult([{ uuid: START_ID, type: "skill" }]),
+    );
+
+    const res = createRes();
+    await readPath(
+      { params: { startNodeId: START_ID, targetNodeId: TARGET_ID } },
+      res,
+    );
+
+    expect(res.json).toHaveBeenCalledWith({
+      nodes: [{ uuid: START_ID, type: "skill" }],
+      links: [],
+    });
+
+    const mockTx = { run: jest.fn() };
+    mockSession.executeRead.mock.calls[0][0](mockTx);
+    const [query, params] = mockTx.run.mock.calls[0];
+    expect(query).not.toContain(START_ID);
+    expect(query).not.toContain(TARGET_ID);
+    expect(Object.values(params)).toEqual([START_ID, TARGET_ID]);
+  });
+
+  test("should accept the entry node id", async () => {
+    mockSession.executeRead.mockResolvedValueOnce(pathResult());
+
+    const res = createRes();
+    await readPath(
+      { params: { startNodeId: "E", targetNodeId: TARGET_ID } },
+      res,
+    );
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(mockSession.executeRead).toHaveBeenCalled();
+  });
+
+  test("should return empty nodes and links when no path was found", async () => {
+    mockSession.executeRead.mockResolvedValueOnce({ records: [] });
+
+    const res = createRes();
+    await readPath(
+      { params: { startNodeId: START_ID, targetNodeId: TARGET_ID } },
+      res,
+    );
+
+    expect(res.json).toHaveBeenCalledWith({ nodes: [], links: [] });
+    expect(mockSession.close).toHaveBeenCalled();
+  });
+
+  test("should return 500 and close the session when the query fails", async () => {
+    mockSession.executeRead.mockRejectedValueOnce(new Error("Neo4j down"));
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    const res = createRes();
+    await readPath(
+      { params: { startNodeId: START_ID, targetNodeId: TARGET_ID } },
+      res,
+    );
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.json).toHaveBeenCalledWith({
+      error: "Reading path failed",
+      message: "Neo4j down",
+    });
+    expect(mockSession.close).toHaveBeenCalled();
+    console.error.mockRestore();
+  });
+
+  test.each([['abc"})-[*]->() DETACH DELETE (n'], ["not-a-uuid"], [""]])(
+    "should return 400 for malformed id %p",
+    async (badId) => {
+      const res = createRes();
+      await readPath(
+        { params: { startNodeId: badId, targetNodeId: TARGET_ID } },
+        res,
+      );
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        error: "Malformed node id",
+        invalidIds: [badId],
+      });
+      expect(mockSession.executeRead).not.toHaveBeenCalled();
+    },
+  );
+});
+
+describe("Query builder", () => {
+  test("should turn interpolated values into parameters", () => {
+    const name = "x'}) DETACH DELETE n //";
+    const { query, params } =
+      cypher`MATCH (n {name: ${name}, id: ${"E"}}) RETURN n`;
+
+    expect(query).toBe("MATCH (n {name: $p0, id: $p1}) RETURN n");
+    expect(params).toEqual({ p0: name, p1: "E" });
+  });
+
+  test("should only accept UUIDs and the entry node id", () => {
+    expect(isValidNodeId(START_ID)).toBe(true);
+    expect(isValidNodeId(START_ID.toUpperCase())).toBe(true);
+    expect(isValidNodeId("E")).toBe(true);
+    expect(isValidNodeId("e")).toBe(false);
+    expect(isValidNodeId(`${START_ID} `)).toBe(false);
+    expect(isValidNodeId(42)).toBe(false);
+  });
+});
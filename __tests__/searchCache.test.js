@@ -0,0 +1,274 @@
+/**
+ * Tests for the search cache
+ * Tests LRU eviction and TTL expiry, cached query embeddings and search
+ * results, the Cache-Control bypass, invalidation after graph changes and
+ * the hit counters in GET /chatbot/search/stats
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Mock @huggingface/inference BEFORE importing service
+jest.mock("@huggingface/inference", () => {
+  return {
+    InferenceClient: jest.fn().mockImplementation(() => ({
+      chatCompletion: jest.fn(),
+    })),
+  };
+});
+
+// Mock neo4j-driver BEFORE importing service
+jest.mock("neo4j-driver", () => {
+  const mockSession = {
+    executeRead: jest.fn(),
+    close: jest.fn(),
+  };
+
+  const mockDriver = {
+    session: jest.fn(() => mockSession),
+    verifyAuthentication: jest.fn().mockResolvedValue(undefined),
+    close: jest.fn().mockResolvedValue(undefined),
+  };
+
+  return {
+    driver: jest.fn(() => mockDriver),
+    auth: {
+      basic: jest.fn((user, pass) => ({ user, pass })),
+    },
+    session: { READ: "READ", WRITE: "WRITE" },
+    int: jest.fn((value) => value),
+  };
+});
+
+jest.mock("@xenova/transformers", () => ({
+  pipeline: jest.fn(() => {
+    const {
+      createNormalizedEmbedding,
+    } = require("./helpers/chatbotChat.helpers");
+    const embedding = createNormalizedEmbedding();
+    return jest.fn(() => Promise.resolve({ data: embedding }));
+  }),
+}));
+
+const {
+  createNormalizedEmbedding,
+  createReq,
+  createRes,
+  mockSearchReads,
+} = require("./helpers/chatbotChat.helpers");
+
+const REACT_NODE = { id: "react-1", name: "React Hooks", type: "Skill" };
+
+describe("Search cache", () => {
+  let service;
+  let searchCache;
+  let mockSession;
+
+  const search = async (body, headers = {}) => {
+    const res = createRes();
+    await service.chatbotSearch({ body, headers }, res);
+    return res.json.mock.calls[0][0];
+  };
+
+  const cacheStats = () => {
+    const res = createRes();
+    service.chatbotSearchStats({}, res);
+    return res.json.mock.calls[0][0].cache;
+  };
+
+  beforeAll(() => {
+    jest.resetModules();
+    service = require("../services/service");
+    searchCache = require("../services/embeddings/searchCache");
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    require("../services/embeddings/searchService").invalidateSearchIndex();
+    searchCache.resetSearchCache();
+    mockSession = require("neo4j-driver").driver().session();
+    mockSearchReads(mockSession, [
+      { node: REACT_NODE, embedding: createNormalizedEmbedding() },
+    ]);
+  });
+
+  describe("createLruCache", () => {
+    test("should evict the least recently used entry", () => {
+      const cache = searchCache.createLruCache({ maxEntries: 2, ttlMs: 1000 });
+      cache.set("a", 1);
+      cache.set("b", 2);
+      cache.get("a");
+      cache.set("c", 3);
+
+      expect(cache.get("b")).toBeUndefined();
+      expect(cache.get("a")).toBe(1);
+      expect(cache.get("c")).toBe(3);
+      expect(cache.getStats()).toEqual(
+        expect.objectContaining({ size: 2, hits: 3, misses: 1, evictions: 1 }),
+      );
+    });
+
+    test("should expire entries after the TTL", () => {
+      let now = 0;
+      const cache = searchCache.createLruCache({
+        maxEntries: 10,
+        ttlMs: 1000,
+        now: () => now,
+      });
+      cache.set("a", 1);
+
+      now = 999;
+      expect(cache.get("a")).toBe(1);
+      now = 1000;
+      expect(cache.get("a")).toBeUndefined();
+      expect(cache.getStats().size).toBe(0);
+    });
+  });
+
+  test("should serve repeated queries from the cache", async () => {
+    const first = await search({ query: "Learn  React", mode: "hybrid" });
+    const reads = mockSession.executeRead.mock.calls.length;
+    const second = await search({ query: " learn react ", mode: "hybrid" });
+
+    expect(second.results).toEqual(first.results);
+    expect(mockSession.executeRead).toHaveBeenCalledTimes(reads);
+    expect(cacheStats()).toEqual(
+      expect.objectContaining({
+        results: expect.objectContaining({ hits: 1, misses: 1, hitRatio: 0.5 }),
+        queryEmbeddings: expect.objectContaining({ misses: 1, size: 1 }),
+      }),
+    );
+  });
+
+  test("should cache searches with different filters separately", async () => {
+    await search({ query: "react", types: ["Skill"] });
+    await search({ query: "react", types: ["URL"] });
+
+    expect(cacheStats().results).toEqual(
+      expect.objectContaining({ hits: 0, misses: 2, size: 2 }),
+    );
+    // The query embedding is shared
+    expect(cacheStats().queryEmbeddings.hits).toBe(1);
+  });
+
+  test("should bypass cached results with Cache-Control: no-cache", async () => {
+    await search({ query: "react" });
+    mockSearchReads(mockSession, [
+      {
+        node: { id: "react-2", name: "React Router", type: "Skill" },
+        embedding: createNormalizedEmbedding(),
+      },
+    ]);
+    require("../services/embeddings/searchIndex").getSearchIndex().invalidate();
+
+    const fresh = await search(
+      { query: "react" },
+      { "cache-control": "no-cache" },
+    );
+    const cached = await search({ query: "react" });
+
+    expect(fresh.results[0].node.id).toBe("react-2");
+    expect(cached.results[0].node.id).toBe("react-2");
+    expect(cacheStats().results).toEqual(
+      expect.objectContaining({ bypassed: 1, hits: 1 }),
+    );
+  });
+
+  test("should not cache degraded results", async () => {
+    mockSearchReads(mockSession, []);
+
+    await search({ query: "react" });
+    await search({ query: "react" });
+
+    expect(cacheStats().results).toEqual(
+      expect.objectContaining({ hits: 0, misses: 2, size: 0 }),
+    );
+  });
+
+  test("should clear the cache when the search is invalidated", async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "search-cache-"));
+    process.env.ADMIN_AUDIT_LOG_PATH = path.join(tmpDir, "audit.log");
+
+    try {
+      await search({ query: "react" });
+      const res = createRes();
+      await service.adminInvalidateSearch(
+        { body: {}, operatorId: "alice" },
+        res,
+      );
+      await search({ query: "react" });
+
+      expect(res.json.mock.calls[0][0].cache.lastClearedAt).toEqual(
+        expect.any(String),
+      );
+      expect(cacheStats().results).toEqual(
+        expect.objectContaining({ hits: 0, misses: 2 }),
+      );
+      expect(
+        JSON.parse(fs.readFileSync(process.env.ADMIN_AUDIT_LOG_PATH, "utf8")),
+      ).toEqual(
+        expect.objectContaining({ action: "search_invalidated", ids: null }),
+      );
+    } finally {
+      delete process.env.ADMIN_AUDIT_LOG_PATH;
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+
+  test("should not store results of a search the cache was cleared during", async () => {
+    const staleSearch = jest.fn(async () => {
+      searchCache.clearSearchCache();
+      return { results: ["stale"] };
+    });
+    const staleEmbed = jest.fn(async () => {
+      searchCache.clearSearchCache();
+      return [0.1];
+    });
+
+    await searchCache.cachedSearchResult("key", staleSearch);
+    await searchCache.cachedQueryEmbedding("react", staleEmbed);
+    await searchCache.cachedSearchResult("key", staleSearch);
+    await searchCache.cachedQueryEmbedding("react", staleEmbed);
+
+    expect(staleSearch).toHaveBeenCalledTimes(2);
+    expect(staleEmbed).toHaveBeenCalledTimes(2);
+    expect(cacheStats().results.size).toBe(0);
+    expect(cacheStats().queryEmbeddings.size).toBe(0);
+  });
+
+  test("should reject invalid ids when invalidating", async () => {
+    const res = createRes();
+
+    await service.adminInvalidateSearch(
+      { body: { ids: "react-1" }, operatorId: "alice" },
+      res,
+    );
+
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  test("should cache search_materials results across chat turns", async () => {
+    process.env.LLM_PROVIDER = "mock";
+    require("../services/chatbot/llmOrchestrator").resetLlmProvider();
+    require("../services/sessions/sessionStore").resetSessionStore();
+    const chat = (headers = {}) =>
+      service.chatbotChat(
+        { ...createReq({ sessionId: undefined }), headers },
+        createRes(),
+      );
+
+    try {
+      await chat();
+      await chat();
+      await chat({ "cache-control": "no-cache" });
+
+      expect(cacheStats().results).toEqual(
+        expect.objectContaining({ hits: 1, misses: 1, bypassed: 1 }),
+      );
+    } finally {
+      delete process.env.LLM_PROVIDER;
+      require("../services/chatbot/llmOrchestrator").resetLlmProvider();
+    }
+  });
+});
@@ -0,0 +1,287 @@
+/**
+ * Tests for search filters and pagination
+ * Tests types, minSimilarity, excludeIds, withinReachOf, offset/cursor and
+ * their validation on POST /chatbot/search and the search_materials tool
+ */
+
+// Mock @huggingface/inference BEFORE importing service
+const mockChatCompletion = jest.fn();
+jest.mock("@huggingface/inference", () => {
+  return {
+    InferenceClient: jest.fn().mockImplementation(() => ({
+      chatCompletion: mockChatCompletion,
+    })),
+  };
+});
+
+// Mock neo4j-driver BEFORE importing service
+jest.mock("neo4j-driver", () => {
+  const mockSession = {
+    executeRead: jest.fn(),
+    close: jest.fn(),
+  };
+
+  const mockDriver = {
+    session: jest.fn(() => mockSession),
+    verifyAuthentication: jest.fn().mockResolvedValue(undefined),
+    close: jest.fn().mockResolvedValue(undefined),
+  };
+
+  return {
+    driver: jest.fn(() => mockDriver),
+    auth: {
+      basic: jest.fn((user, pass) => ({ user, pass })),
+    },
+    session: { READ: "READ", WRITE: "WRITE" },
+    int: jest.fn((value) => value),
+  };
+});
+
+// Query embedding is the first unit vector
+jest.mock("@xenova/transformers", () => ({
+  pipeline: jest.fn(() => {
+    const embedding = new Float32Array(384);
+    embedding[0] = 1;
+    return jest.fn(() => Promise.resolve({ data: embedding }));
+  }),
+}));
+
+const {
+  createFinalResponse,
+  createReq,
+  createRes,
+  createToolCallResponse,
+  mockNeo4jSearchResults,
+} = require("./helpers/chatbotChat.helpers");
+
+const nodeId = (n) => `00000000-0000-4000-8000-${String(n).padStart(12, "0")}`;
+
+// Embedding with the given cosine similarity to the query
+const embeddingWithSimilarity = (similarity) => {
+  const embedding = new Float32Array(384);
+  embedding[0] = similarity;
+  embedding[1] = Math.sqrt(1 - similarity * similarity);
+  return embedding;
+};
+
+// Six nodes ranked by similarity: 1 (0.9) ... 6 (0.4); odd ids are URLs
+const embeddingRows = [0.9, 0.8, 0.7, 0.6, 0.5, 0.4].map((similarity, i) => ({
+  node: {
+    id: nodeId(i + 1),
+    name: `Node ${i + 1}`,
+    type: i % 2 === 0 ? "URL" : "Skill",
+  },
+  embedding: embeddingWithSimilarity(similarity),
+}));
+
+describe("Search filters", () => {
+  let service;
+  let mockSession;
+  let descendantIds;
+  let mockRun;
+
+  const resultIds = (res) =>
+    res.json.mock.calls[0][0].results.map((result) => result.node.id);
+
+  const search = async (body) => {
+    const res = createRes();
+    await service.chatbotSearch({ body: { query: "nodes", ...body } }, res);
+    return res;
+  };
+
+  beforeAll(() => {
+    jest.resetModules();
+    service = require("../services/service");
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    require("../services/embeddings/searchService").invalidateSearchIndex();
+    require("../services/sessions/sessionStore").resetSessionStore();
+    const neo4j = require("neo4j-driver");
+    mockSession = neo4j.driver().session();
+    mockSession.executeRead.mockReset();
+
+    descendantIds = [];
+    mockRun = jest.fn((query) => {
+      if (query.includes("descendant")) {
+        return mockNeo4jSearchResults([{ ids: descendantIds }]);
+      }
+      if (query.includes("db.index.fulltext.queryNodes")) {
+        return mockNeo4jSearchResults([]);
+      }
+      return mockNeo4jSearchResults(embeddingRows);
+    });
+    mockSession.executeRead.mockImplementation((work) =>
+      work({ run: mockRun }),
+    );
+  });
+
+  describe("Filtering", () => {
+    test("should only return the requested node types", async () => {
+      const res = await search({ types: ["url"], limit: 10 });
+
+      expect(resultIds(res)).toEqual([nodeId(1), nodeId(3), nodeId(5)]);
+    });
+
+    test("should drop results below minSimilarity", async () => {
+      const res = await search({ minSimilarity: 0.65, limit: 10 });
+
+      expect(resultIds(res)).toEqual([nodeId(1), nodeId(2), nodeId(3)]);
+    });
+
+    test("should exclude the given ids", async () => {
+      const res = await search({
+        excludeIds: [nodeId(1), nodeId(2)],
+        limit: 2,
+      });
+
+      expect(resultIds(res)).toEqual([nodeId(3), nodeId(4)]);
+    });
+
+    test("should limit results to descendants of withinReachOf", async () => {
+      descendantIds = [nodeId(4), nodeId(6)];
+
+      const res = await search({ withinReachOf: nodeId(2), limit: 10 });
+
+      expect(resultIds(res)).toEqual([nodeId(4), nodeId(6)]);
+      const [, params] = mockRun.mock.calls.find(([query]) =>
+        query.includes("descendant"),
+      );
+      expect(params).toEqual({ nodeId: nodeId(2) });
+    });
+
+    test("should combine filters in hybrid mode", async () => {
+      const res = await search({
+        mode: "hybrid",
+        types: ["Skill"],
+        minSimilarity: 0.55,
+        excludeIds: [nodeId(2)],
+        limit: 10,
+      });
+
+      expect(resultIds(res)).toEqual([nodeId(4)]);
+    });
+  });
+
+  describe("Pagination", () => {
+    test("should page with offset and return a cursor to the next page", async () => {
+      const res = await search({ limit: 2, offset: 2 });
+
+      const response = res.json.mock.calls[0][0];
+      expect(resultIds(res)).toEqual([nodeId(3), nodeId(4)]);
+      expect(response.offset).toBe(2);
+      expect(response.nextCursor).toEqual(expect.any(String));
+    });
+
+    test("should continue from a cursor until the last page", async () => {
+      const first = await search({ limit: 4 });
+      const { nextCursor } = first.json.mock.calls[0][0];
+
+      const second = await search({ limit: 4, cursor: nextCursor });
+
+      expect(resultIds(second)).toEqual([nodeId(5), nodeId(6)]);
+      expect(second.json.mock.calls[0][0].nextCursor).toBeNull();
+    });
+  });
+
+  describe("Validation", () => {
+    test.each([
+      ["unknown types", { types: ["Video"] }],
+      ["empty types", { types: [] }],
+      ["minSimilarity out of range", { minSimilarity: 2 }],
+      ["negative offset", { offset: -1 }],
+      ["offset and cursor together", { offset: 1, cursor: "abc" }],
+      ["malformed cursor", { cursor: "not-a-cursor" }],
+      ["offset above the maximum", { offset: 1e9 }],
+      [
+        "cursor past the maximum offset",
+        {
+          cursor: Buffer.from(JSON.stringify({ offset: 1e9 })).toString(
+            "base64url",
+          ),
+        },
+      ],
+      ["malformed excludeIds", { excludeIds: ['x"}) DETACH DELETE (n'] }],
+      ["malformed withinReachOf", { withinReachOf: "node-1" }],
+      ["limit above the maximum", { limit: 500 }],
+      [
+        "minSimilarity in keyword mode",
+        { mode: "keyword", minSimilarity: 0.5 },
+      ],
+    ])("should return 400 for %s", async (_label, body) => {
+      const res = await search(body);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(mockSession.executeRead).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("search_materials tool", () => {
+    const toolResultFor = () => {
+      const messages = mockChatCompletion.mock.calls[1][0].messages;
+      const toolResultMessage = messages.find((msg) =>
+        msg.content.startsWith("Tool result for search_materials"),
+      );
+      return JSON.parse(toolResultMessage.content.replace(/^[^{]*/, ""));
+    };
+
+    test("should apply snake_case filter args", async () => {
+      mockChatCompletion
+        .mockResolvedValueOnce(
+          createToolCallResponse("search_materials", {
+            query: "nodes",
+            mode: "semantic",
+            types: ["URL"],
+            exclude_ids: [nodeId(1)],
+            min_similarity: 0.6,
+          }),
+        )
+        .mockResolvedValueOnce(createFinalResponse({ message: "Done" }));
+
+      await service.chatbotChat(createReq(), createRes());
+
+      expect(toolResultFor().results.map((result) => result.node.id)).toEqual([
+        nodeId(3),
+      ]);
+    });
+
+    test("should report invalid filter args back to the LLM", async () => {
+      mockChatCompletion
+        .mockResolvedValueOnce(
+          createToolCallResponse("search_materials", {
+            query: "nodes",
+            within_reach_of: "not-an-id",
+          }),
+        )
+        .mockResolvedValueOnce(createFinalResponse({ message: "Sorry" }));
+
+      const res = createRes();
+      await service.chatbotChat(createReq(), res);
+
+      expect(toolResultFor()).toEqual({
+        error: "withinReachOf must be a node id",
+      });
+      expect(mockSession.executeRead).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ message: "Sorry" }),
+      );
+    });
+
+    test("should refuse offsets past the maximum", async () => {
+      mockChatCompletion
+        .mockResolvedValueOnce(
+          createToolCallResponse("search_materials", {
+            query: "nodes",
+            offset: 1e9,
+          }),
+        )
+        .mockResolvedValueOnce(createFinalResponse({ message: "Sorry" }));
+
+      await service.chatbotChat(createReq(), createRes());
+
+      expect(toolResultFor().error).toEqual(expect.stringContaining("offset"));
+      expect(mockSession.executeRead).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * Tests for GET /tree endpoint
+ * Tests the single-query snapshot, ETag and If-None-Match handling,
+ * rebuilding only after the graph changed and closing the session on errors
+ */
+
+// Mock neo4j-driver BEFORE importing service
+jest.mock("neo4j-driver", () => {
+  const mockSession = {
+    executeRead: jest.fn(),
+    close: jest.fn(),
+  };
+
+  const mockDriver = {
+    session: jest.fn(() => mockSession),
+    verifyAuthentication: jest.fn().mockResolvedValue(undefined),
+    close: jest.fn().mockResolvedValue(undefined),
+  };
+
+  return {
+    driver: jest.fn(() => mockDriver),
+    auth: {
+      basic: jest.fn((user, pass) => ({ user, pass })),
+    },
+    session: { READ: "READ", WRITE: "WRITE" },
+    int: jest.fn((value) => value),
+  };
+});
+
+const SKILL = { uuid: "skill-1", name: "React", embedding: [0.1, 0.2] };
+const URL_NODE = { uuid: "url-1", title: "React docs", type: "url" };
+const PREREQUISITE_LINK = { uuid: "r-1", source: "skill-1", target: "url-1" };
+const TEACHES_LINK = { uuid: "r-2", source: "url-1", target: "skill-1" };
+
+describe("GET /tree Endpoint", () => {
+  let readUniversalTree;
+  let treeSnapshot;
+  let mockSession;
+  let tx;
+
+  const createRes = () => ({
+    set: jest.fn().mockReturnThis(),
+    status: jest.fn().mockReturnThis(),
+    type: jest.fn().mockReturnThis(),
+    send: jest.fn().mockReturnThis(),
+    json: jest.fn().mockReturnThis(),
+    end: jest.fn().mockReturnThis(),
+  });
+
+  const treeResult = ({ skills = [SKILL], urls = [URL_NODE] } = {}) => {
+    const columns = {
+      skills,
+      urls,
+      prerequisiteLinks: [PREREQUISITE_LINK],
+      teachesLinks: [TEACHES_LINK],
+    };
+    return { records: [{ get: (key) => columns[key] }] };
+  };
+
+  const getTree = async (headers = {}) => {
+    const res = createRes();
+    await readUniversalTree({ headers }, res);
+    return res;
+  };
+
+  const treeReads = () =>
+    tx.run.mock.calls.filter(([query]) => query === treeSnapshot.TREE_QUERY)
+      .length;
+
+  beforeAll(() => {
+    jest.resetModules();
+    readUniversalTree = require("../services/service").readUniversalTree;
+    treeSnapshot = require("../services/graph/treeSnapshot");
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    treeSnapshot.resetTreeSnapshot();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+
+    tx = { run: jest.fn().mockResolvedValue(treeResult()) };
+    mockSession = require("neo4j-driver").driver().session();
+    mockSession.executeRead.mockImplementation((work) => work(tx));
+  });
+
+  afterEach(() => {
+    delete process.env.TREE_SNAPSHOT_REVALIDATE_MS;
+    delete process.env.TREE_CACHE_MAX_AGE_SECONDS;
+    jest.restoreAllMocks();
+  });
+
+  test("should read the graph in a single query", async () => {
+    const res = await getTree();
+
+    expect(mockSession.executeRead).toHaveBeenCalledTimes(1);
+    expect(treeReads()).toBe(1);
+    expect(mockSession.close).toHaveBeenCalled();
+    expect(res.type).toHaveBeenCalledWith("application/json");
+    expect(JSON.parse(res.send.mock.calls[0][0])).toEqual({
+      nodes: [URL_NODE, { uuid: "skill-1", name: "React", type: "skill" }],
+      links: [PREREQUISITE_LINK, TEACHES_LINK],
+    });
+  });
+
+  test("should send an ETag and Cache-Control", async () => {
+    process.env.TREE_CACHE_MAX_AGE_SECONDS = "30";
+
+    const res = await getTree();
+
+    expect(res.set).toHaveBeenCalledWith({
+      ETag: expect.stringMatching(/^"[\w-]+"$/),
+      "Cache-Control": "public, max-age=30, must-revalidate",
+      "X-Graph-Version": "1",
+    });
+  });
+
+  test("should answer a matching If-None-Match with a 304", async () => {
+    const { ETag: etag } = (await getTree()).set.mock.calls[0][0];
+
+    const res = await getTree({ "if-none-match": `"other", W/${etag}` });
+
+    expect(res.status).toHaveBeenCalledWith(304);
+    expect(res.end).toHaveBeenCalled();
+    expect(res.send).not.toHaveBeenCalled();
+
+    const changed = await getTree({ "if-none-match": '"other"' });
+    expect(changed.send).toHaveBeenCalled();
+  });
+
+  test("should serve the snapshot without re-reading an unchanged graph", async () => {
+    await getTree();
+    await getTree();
+
+    expect(treeReads()).toBe(1);
+  });
+
+  test("should rebuild the snapshot after it is invalidated", async () => {
+    const first = (await getTree()).set.mock.calls[0][0];
+
+    tx.run.mockResolvedValue(
+      treeResult({ skills: [SKILL, { uuid: "skill-2", name: "Redux" }] }),
+    );
+    treeSnapshot.invalidateTreeSnapshot();
+    const second = (await getTree()).set.mock.calls[0][0];
+
+    expect(treeReads()).toBe(2);
+    expect(second.ETag).not.toBe(first.ETag);
+    expect(second["X-Graph-Version"]).toBe("2");
+  });
+
+  test("should keep the version when revalidation finds no change", async () => {
+    process.env.TREE_SNAPSHOT_REVALIDATE_MS = "0";
+
+    const first = (await getTree()).set.mock.calls[0][0];
+    const second = (await getTree()).set.mock.calls[0][0];
+
+    expect(treeReads()).toBe(2);
+    expect(second).toEqual(first);
+  });
+
+  test("should keep the ETag when the graph is read back in another order", async () => {
+    process.env.TREE_SNAPSHOT_REVALIDATE_MS = "0";
+    const REDUX = { uuid: "skill-2", name: "Redux" };
+    tx.run.mockResolvedValueOnce(treeResult({ skills: [SKILL, REDUX] }));
+    const first = (await getTree()).set.mock.calls[0][0];
+
+    tx.run.mockResolvedValueOnce(treeResult({ skills: [REDUX, SKILL] }));
+    const second = (await getTree()).set.mock.calls[0][0];
+
+    expect(treeReads()).toBe(2);
+    expect(second).toEqual(first);
+  });
+
+  test("should close the session and answer 500 when the read fails", async () => {
+    mockSession.executeRead.mockRejectedValueOnce(new Error("Neo4j down"));
+
+    const res = await getTree();
+
+    expect(mockSession.close).toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.json).toHaveBeenCalledWith({
+      error: "Reading tree failed",
+      message: "Neo4j down",
+    });
+  });
+
+  test("should keep serving the last snapshot when a rebuild fails", async () => {
+    const first = (await getTree()).set.mock.calls[0][0];
+
+    treeSnapshot.invalidateTreeSnapshot();
+    mockSession.executeRead.mockRejectedValueOnce(new Error("Neo4j down"));
+    const res = await getTree();
+
+    expect(res.set.mock.calls[0][0].ETag).toBe(first.ETag);
+    expect(res.send).toHaveBeenCalled();
+    // Still stale, so the next request retries the read
+    await getTree();
+    expect(treeReads()).toBe(2);
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * Tests for the Neo4j vector index search backend
+ * Tests index detection, vector index queries and the in-memory fallback
+ */
+
+// Mock neo4j-driver BEFORE importing service
+jest.mock("neo4j-driver", () => {
+  const mockSession = {
+    executeRead: jest.fn(),
+    close: jest.fn(),
+  };
+
+  const mockDriver = {
+    session: jest.fn(() => mockSession),
+    verifyAuthentication: jest.fn().mockResolvedValue(undefined),
+    close: jest.fn().mockResolvedValue(undefined),
+  };
+
+  return {
+    driver: jest.fn(() => mockDriver),
+    auth: {
+      basic: jest.fn((user, pass) => ({ user, pass })),
+    },
+    session: { READ: "READ", WRITE: "WRITE" },
+    int: jest.fn((value) => value),
+  };
+});
+
+jest.mock("@xenova/transformers", () => ({
+  pipeline: jest.fn(() => {
+    const {
+      createNormalizedEmbedding,
+    } = require("./helpers/chatbotChat.helpers");
+    return jest.fn(() =>
+      Promise.resolve({ data: createNormalizedEmbedding() }),
+    );
+  }),
+}));
+
+const {
+  createNormalizedEmbedding,
+  createRes,
+  mockNeo4jSearchResults,
+} = require("./helpers/chatbotChat.helpers");
+
+describe("Vector index search backend", () => {
+  let service;
+  let searchService;
+  let vectorIndexBackend;
+  let mockDriver;
+  let mockSession;
+
+  const indexStatus = (states) =>
+    mockNeo4jSearchResults(
+      Object.entries(states).map(([name, state]) => ({ name, state })),
+    );
+
+  const bothOnline = () =>
+    indexStatus({
+      skill_embedding_index: "ONLINE",
+      url_embedding_index: "ONLINE",
+    });
+
+  beforeAll(() => {
+    jest.resetModules();
+    service = require("../services/service");
+    searchService = require("../services/embeddings/searchService");
+    vectorIndexBackend = require("../services/embeddings/vectorIndexBackend");
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    searchService.invalidateSearchIndex();
+    const neo4j = require("neo4j-driver");
+    mockDriver = neo4j.driver();
+    mockSession = mockDriver.session();
+    jest.spyOn(console, "log").mockImplementation();
+    jest.spyOn(console, "error").mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("Detection", () => {
+    test("should use the vector index when every index is online", async () => {
+      mockSession.executeRead.mockResolvedValueOnce(bothOnline());
+
+      await expect(searchService.detectSearchBackend(mockDriver)).resolves.toBe(
+        "vector_index",
+      );
+    });
+
+    test("should fall back when an index is missing or populating", async () => {
+      mockSession.executeRead.mockResolvedValueOnce(
+        indexStatus({
+          skill_embedding_index: "ONLINE",
+          url_embedding_index: "POPULATING",
+        }),
+      );
+
+      await expect(searchService.detectSearchBackend(mockDriver)).resolves.toBe(
+        "in_memory",
+      );
+    });
+
+    test("should fall back when the server does not support vector indexes", async () => {
+      mockSession.executeRead.mockRejectedValueOnce(
+        new Error("Invalid input 'VECTOR'"),
+      );
+
+      await expect(searchService.detectSearchBackend(mockDriver)).resolves.toBe(
+        "in_memory",
+      );
+      expect(mockSession.close).toHaveBeenCalled();
+    });
+  });
+
+  describe("Search", () => {
+    test("should query db.index.vector.queryNodes and report cosine similarity", async () => {
+      mockSession.executeRead
+        .mockResolvedValueOnce(bothOnline())
+        .mockResolvedValueOnce(
+          mockNeo4jSearchResults([
+            {
+              node: { id: "uuid-1", name: "CSS Grid", type: "Skill" },
+              score: 0.95,
+            },
+          ]),
+        );
+      await searchService.detectSearchBackend(mockDriver);
+
+      const res = createRes();
+      await service.chatbotSearch({ body: { query: "grid", limit: 3 } }, res);
+
+      const [result] = res.json.mock.calls[0][0].results;
+      expect(result.node.id).toBe("uuid-1");
+      expect(result.similarity).toBeCloseTo(0.9);
+
+      const mockTx = { run: jest.fn() };
+      mockSession.executeRead.mock.calls[1][0](mockTx);
+      const [query, params] = mockTx.run.mock.calls[0];
+      expect(query).toContain("db.index.vector.queryNodes");
+      expect(params).toEqual(
+        expect.objectContaining({
+          skillIndex: "skill_embedding_index",
+          urlIndex: "url_embedding_index",
+          // One past the page to detect whether another page exists
+          k: 4,
+          embedding: expect.any(Array),
+        }),
+      );
+      expect(params.embedding).toHaveLength(384);
+    });
+
+    test("should fall back to in-memory search when the index query fails", async () => {
+      mockSession.executeRead
+        .mockResolvedValueOnce(bothOnline())
+        .mockRejectedValueOnce(
+          new Error("There is no such vector schema index"),
+        )
+        .mockResolvedValueOnce(
+          mockNeo4jSearchResults([
+            {
+              node: { id: "uuid-2", name: "Flexbox", type: "Skill" },
+              embedding: createNormalizedEmbedding(),
+            },
+          ]),
+        );
+      await searchService.detectSearchBackend(mockDriver);
+
+      const res = createRes();
+      await service.chatbotSearch({ body: { query: "flex" } }, res);
+
+      expect(res.json.mock.calls[0][0].results[0].node.id).toBe("uuid-2");
+    });
+
+    test("should use the in-memory index when vector indexes are unsupported", async () => {
+      mockSession.executeRead
+        .mockRejectedValueOnce(new Error("Unsupported"))
+        .mockResolvedValueOnce(
+          mockNeo4jSearchResults([
+            {
+              node: { id: "uuid-3", name: "Promises", type: "Skill" },
+              embedding: createNormalizedEmbedding(),
+            },
+          ]),
+        );
+      await searchService.detectSearchBackend(mockDriver);
+
+      const res = createRes();
+      await service.chatbotSearch({ body: { query: "async" } }, res);
+
+      expect(res.json.mock.calls[0][0].results[0].node.id).toBe("uuid-3");
+      expect(searchService.getSearchIndexStats().backend).toBe("in_memory");
+    });
+  });
+
+  describe("Index schema", () => {
+    test("should create one cosine index per label with the given dimension", () => {
+      const queries = vectorIndexBackend.buildCreateVectorIndexQueries(384);
+
+      expect(queries).toHaveLength(2);
+      expect(queries[0]).toContain(
+        "CREATE VECTOR INDEX skill_embedding_index IF NOT EXISTS",
+      );
+      expect(queries[0]).toContain("FOR (n:Skill) ON (n.embedding)");
+      expect(queries[1]).toContain("FOR (n:URL) ON (n.embedding)");
+      queries.forEach((query) => {
+        expect(query).toContain("`vector.dimensions`: 384");
+        expect(query).toContain('`vector.similarity_function`: "cosine"');
+      });
+    });
+
+    test("should drop every index when rebuilding", () => {
+      expect(vectorIndexBackend.buildDropVectorIndexQueries()).toEqual([
+        "DROP INDEX skill_embedding_index IF EXISTS",
+        "DROP INDEX url_embedding_index IF EXISTS",
+      ]);
+    });
+  });
+});
@@ -18,7 +18,7 @@ const allowedOrigins = process.env.ALLOWED_ORIGINS
 app.use(
   cors({
     origin: allowedOrigins,
-    methods: ["GET", "POST", "OPTIONS"],
+    methods: ["GET", "POST", "DELETE", "OPTIONS"],
   }),
 );
 app.use(compression());
@@ -36,12 +36,70 @@ app.get("/paths/:startNodeId/:targetNodeId", cors(), neo4jService.readPath);
 
 // Chatbot endpoints
 app.post("/chatbot/chat", cors(), neo4jService.chatbotChat);
+app.post("/chatbot/chat/stream", cors(), neo4jService.chatbotChatStream);
+app.get("/chatbot/sessions/:sessionId", cors(), neo4jService.chatbotGetSession);
+app.delete(
+  "/chatbot/sessions/:sessionId",
+  cors(),
+  neo4jService.chatbotDeleteSession,
+);
 app.post("/chatbot/search", cors(), neo4jService.chatbotSearch);
+app.get("/chatbot/search/stats", cors(), neo4jService.chatbotSearchStats);
+app.get("/chatbot/llm/stats", cors(), neo4jService.chatbotLlmStats);
+app.get("/chatbot/guard/stats", cors(), neo4jService.chatbotGuardStats);
+app.get("/chatbot/find-path", cors(), neo4jService.chatbotFindPath);
+
+// Learner progress endpoints
+app.post("/progress/start-node", cors(), neo4jService.progressStartNode);
 app.post(
   "/chatbot/material-request",
   cors(),
   neo4jService.chatbotMaterialRequest,
 );
+app.get(
+  "/chatbot/material-request/:requestId",
+  cors(),
+  neo4jService.chatbotMaterialRequestStatus,
+);
+
+// Admin ingestion endpoints (operator token required)
+const { requireAdmin } = require("./services/admin/adminAuth");
+
+app.post(
+  "/admin/ingestion/proposals",
+  requireAdmin,
+  neo4jService.adminCreateIngestionProposal,
+);
+app.get(
+  "/admin/ingestion/proposals",
+  requireAdmin,
+  neo4jService.adminListIngestionProposals,
+);
+app.get(
+  "/admin/ingestion/proposals/:proposalId",
+  requireAdmin,
+  neo4jService.adminGetIngestionProposal,
+);
+app.post(
+  "/admin/ingestion/proposals/:proposalId/approve",
+  requireAdmin,
+  neo4jService.adminApproveIngestionProposal,
+);
+app.post(
+  "/admin/ingestion/proposals/:proposalId/reject",
+  requireAdmin,
+  neo4jService.adminRejectIngestionProposal,
+);
+app.post(
+  "/admin/ingestion/proposals/:proposalId/execute",
+  requireAdmin,
+  neo4jService.adminExecuteIngestionProposal,
+);
+app.post(
+  "/admin/search/invalidate",
+  requireAdmin,
+  neo4jService.adminInvalidateSearch,
+);
 
 app.set("trust proxy", 1);
 
@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+
+/**
+ * Vector Index Script
+ * Creates (or rebuilds) the Neo4j vector indexes over Skill and URL embeddings
+ * used by the vector index search backend, and the full-text index over node
+ * names used by keyword and hybrid search
+ *
+ * Usage:
+ *   node scripts/createVectorIndex.js            # create missing indexes
+ *   node scripts/createVectorIndex.js --rebuild  # drop and recreate
+ *
+ * Requirements:
+ *   - Environment variables: NEO4J_URI, NEO4J_ADMIN_USER, NEO4J_ADMIN_PASSWORD
+ *     (falls back to NEO4J_USERNAME, NEO4J_PASSWORD)
+ *   - Neo4j 5.13+ (vector index support)
+ *   - Embeddings generated with `npm run generate-embeddings`
+ */
+
+require("dotenv").config();
+const neo4j = require("neo4j-driver");
+const {
+  EMBEDDING_DIMENSIONS,
+  EMBEDDING_MODEL,
+} = require("../services/embeddings/searchIndex");
+const {
+  VECTOR_INDEXES,
+  VECTOR_SIMILARITY_FUNCTION,
+  buildCreateVectorIndexQueries,
+  buildDropVectorIndexQueries,
+} = require("../services/embeddings/vectorIndexBackend");
+const {
+  FULLTEXT_INDEX_NAME,
+  buildCreateFulltextIndexQuery,
+  buildDropFulltextIndexQuery,
+} = require("../services/embeddings/keywordSearch");
+
+const REBUILD = process.argv.includes("--rebuild");
+
+let driver;
+
+/**
+ * Initialize Neo4j driver (schema changes need write privileges)
+ */
+async function initDriver() {
+  try {
+    driver = neo4j.driver(
+      process.env.NEO4J_URI,
+      neo4j.auth.basic(
+        process.env.NEO4J_ADMIN_USER || process.env.NEO4J_USERNAME,
+        process.env.NEO4J_ADMIN_PASSWORD || process.env.NEO4J_PASSWORD,
+      ),
+    );
+    await driver.verifyAuthentication();
+    console.log("✓ Connected to Neo4j");
+    return driver;
+  } catch (error) {
+    console.error("✗ Failed to connect to Neo4j:", error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Read the dimension of stored embeddings so the index matches the data
+ */
+async function getStoredEmbeddingDimensions() {
+  const session = driver.session();
+  try {
+    const result = await session.executeRead((tx) => {
+      return tx.run(`
+        MATCH (n:Skill|URL)
+        WHERE n.embedding IS NOT NULL
+        RETURN size(n.embedding) as dimensions
+        LIMIT 1
+      `);
+    });
+
+    const record = result.records[0];
+    return record ? record.get("dimensions").toNumber() : null;
+  } finally {
+    session.close();
+  }
+}
+
+/**
+ * Run schema statements one by one (schema changes cannot share a transaction)
+ */
+async function runSchemaQueries(queries) {
+  const session = driver.session({ defaultAccessMode: neo4j.session.WRITE });
+  try {
+    for (const query of queries) {
+      await session.run(query);
+    }
+  } finally {
+    session.close();
+  }
+}
+
+/**
+ * Wait for the indexes to finish populating
+ */
+async function awaitIndexes() {
+  const session = driver.session();
+  try {
+    await session.run("CALL db.awaitIndexes(300)");
+  } finally {
+    session.close();
+  }
+}
+
+/**
+ * Main execution
+ */
+async function main() {
+  console.log(`
+╔════════════════════════════════════════════════╗
+║     Neo4j Vector Index Script                  ║
+║     Model: ${EMBEDDING_MODEL}           ║
+║     Mode: ${REBUILD ? "rebuild" : "create "}                                ║
+╚════════════════════════════════════════════════╝
+  `);
+
+  try {
+    await initDriver();
+
+    const storedDimensions = await getStoredEmbeddingDimensions();
+    const dimensions = storedDimensions || EMBEDDING_DIMENSIONS;
+    if (storedDimensions === null) {
+      console.log(
+        `\nNo embeddings found yet; using the model dimension (${dimensions}).`,
+      );
+    } else if (storedDimensions !== EMBEDDING_DIMENSIONS) {
+      console.warn(
+        `\n⚠ Stored embeddings have ${storedDimensions} dimensions but ${EMBEDDING_MODEL} produces ${EMBEDDING_DIMENSIONS}. Regenerate embeddings before searching.`,
+      );
+    }
+
+    if (REBUILD) {
+      console.log("\nDropping existing search indexes...");
+      await runSchemaQueries([
+        ...buildDropVectorIndexQueries(),
+        buildDropFulltextIndexQuery(),
+      ]);
+    }
+
+    console.log(
+      `\nCreating vector indexes (${dimensions} dimensions, ${VECTOR_SIMILARITY_FUNCTION} similarity)...`,
+    );
+    await runSchemaQueries(buildCreateVectorIndexQueries(dimensions));
+
+    console.log("Creating full-text index over node names...");
+    await runSchemaQueries([buildCreateFulltextIndexQuery()]);
+
+    console.log("Waiting for indexes to come online...");
+    await awaitIndexes();
+
+    console.log(`
+✓ Search indexes ready:
+${VECTOR_INDEXES.map(({ name, label }) => `  ${name} on :${label}(embedding)`).join("\n")}
+  ${FULLTEXT_INDEX_NAME} on :Skill|URL(name, description)
+    `);
+  } catch (error) {
+    console.error("\n✗ Error creating vector indexes:", error);
+    process.exit(1);
+  } finally {
+    if (driver) {
+      await driver.close();
+      console.log("✓ Neo4j connection closed");
+    }
+  }
+}
+
+// Run the script
+main();
@@ -10,6 +10,9 @@
  * Requirements:
  *   - Environment variables: NEO4J_URI, NEO4J_USERNAME, NEO4J_PASSWORD
  *   - @xenova/transformers installed
+ *
+ * Optional: API_BASE_URL and ADMIN_API_TOKEN to make a running API drop its
+ * search cache and reload its search index once the embeddings are stored.
  */
 
 require("dotenv").config();
@@ -137,6 +140,35 @@ async function getNodeStats() {
   }
 }
 
+/**
+ * Ask a running API to drop its search cache and reload its search index
+ */
+async function invalidateApiSearchCache() {
+  const { API_BASE_URL: baseUrl, ADMIN_API_TOKEN: token } = process.env;
+  if (!baseUrl || !token) {
+    console.log(
+      "ℹ API_BASE_URL or ADMIN_API_TOKEN not set: a running API sees the new embeddings once its search cache and index expire",
+    );
+    return;
+  }
+
+  try {
+    const response = await fetch(
+      `${baseUrl.replace(/\/+$/, "")}/admin/search/invalidate`,
+      { method: "POST", headers: { Authorization: `Bearer ${token}` } },
+    );
+    if (!response.ok) {
+      throw new Error(`API returned ${response.status}`);
+    }
+    console.log("✓ API search cache invalidated");
+  } catch (error) {
+    console.error(
+      "✗ Failed to invalidate the API search cache:",
+      error.message,
+    );
+  }
+}
+
 /**
  * Main execution
  */
@@ -209,6 +241,8 @@ async function main() {
   With embeddings: ${stats.withEmbeddings}
   Coverage: ${((stats.withEmbeddings / stats.total) * 100).toFixed(1)}%
     `);
+
+    await invalidateApiSearchCache();
   } catch (error) {
     console.error("\n✗ Error during embedding generation:", error);
     process.exit(1);
@@ -0,0 +1,76 @@
+/**
+ * Admin authentication middleware.
+ * Operators authenticate with a bearer token configured in ADMIN_API_TOKENS
+ * as comma-separated "operatorId:token" pairs. The matched operator ID is
+ * attached to the request for the audit trail.
+ */
+
+const crypto = require("crypto");
+
+function parseAdminTokens(value = process.env.ADMIN_API_TOKENS) {
+  if (!value) return [];
+
+  return value
+    .split(",")
+    .map((pair) => pair.trim())
+    .filter(Boolean)
+    .flatMap((pair) => {
+      const separator = pair.indexOf(":");
+      if (separator === -1) {
+        console.warn(
+          '[parseAdminTokens] Ignoring ADMIN_API_TOKENS entry without "operatorId:"',
+        );
+        return [];
+      }
+      return [
+        {
+          operatorId: pair.slice(0, separator),
+          token: pair.slice(separator + 1),
+        },
+      ];
+    })
+    .filter(({ operatorId, token }) => operatorId && token);
+}
+
+function tokensMatch(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Express middleware that rejects requests without a valid admin token.
+ */
+function requireAdmin(req, res, next) {
+  const operators = parseAdminTokens();
+
+  if (operators.length === 0) {
+    return res.status(503).json({
+      error: "Admin API is not configured",
+    });
+  }
+
+  const header = req.get("authorization") || "";
+  const [scheme, token] = header.split(" ");
+  const operator =
+    scheme === "Bearer" && token
+      ? operators.find((candidate) => tokensMatch(candidate.token, token))
+      : null;
+
+  if (!operator) {
+    console.warn(
+      `[requireAdmin] Rejected admin request to ${req.originalUrl || req.url}`,
+    );
+    return res.status(401).json({
+      error: "Valid admin credentials are required",
+    });
+  }
+
+  req.operatorId = operator.operatorId;
+  next();
+}
+
+module.exports = {
+  parseAdminTokens,
+  requireAdmin,
+};
@@ -0,0 +1,36 @@
+/**
+ * Audit trail for admin operations.
+ * Every admin action is logged with timestamp, operator ID and (when a query
+ * is involved) the exact Cypher that was executed.
+ */
+
+const path = require("path");
+const { appendJsonLine } = require("../storage/jsonFileStore");
+
+function getAuditLogPath() {
+  return (
+    process.env.ADMIN_AUDIT_LOG_PATH ||
+    path.join(__dirname, "../../data/admin-audit.log")
+  );
+}
+
+/**
+ * Record an admin action to the console and the append-only audit log.
+ */
+async function recordAdminAction({ operatorId, action, ...details }) {
+  const entry = {
+    timestamp: new Date().toISOString(),
+    operatorId,
+    action,
+    ...details,
+  };
+
+  console.log("[audit]", JSON.stringify(entry));
+  await appendJsonLine(getAuditLogPath(), entry);
+
+  return entry;
+}
+
+module.exports = {
+  recordAdminAction,
+};
@@ -0,0 +1,282 @@
+/**
+ * Admin URL ingestion.
+ * Asks the LLM to analyze a resource and propose the skills it teaches and
+ * requires, then renders a parameterized Cypher proposal for operator review.
+ * Nothing here runs automatically: proposals are only executed through
+ * executeIngestion after an operator has approved them.
+ */
+
+const crypto = require("crypto");
+const neo4j = require("neo4j-driver");
+const {
+  callLlmChat,
+  extractJsonObject,
+} = require("../chatbot/llmOrchestrator");
+const { searchNodesBySimilarity } = require("../embeddings/searchService");
+const { toNumber } = require("../neo4j/neo4jHelpers");
+
+// Number of existing skills offered to the LLM as match candidates
+const CANDIDATE_SKILL_LIMIT = 15;
+
+// Upper bound on relationship hops when checking prerequisite chains
+const MAX_PATH_DEPTH = 12;
+
+// Ingestion only ever adds content; these never belong in a proposal
+const DESTRUCTIVE_CYPHER_PATTERN =
+  /\b(DELETE|DETACH|REMOVE|DROP|LOAD\s+CSV|CALL\s+apoc|CALL\s+dbms)\b/i;
+
+const INGESTION_PROMPT = `You are a curriculum analyst for the Web Brain Project, a graph of skills and the learning resources (URLs) that teach them.
+
+Given a learning resource URL and title, identify:
+- objectiveSkills: the skills a learner gains from this resource.
+- prerequisiteSkills: the skills a learner must already have before using this resource. List only the most advanced prerequisites: if skill A is needed to learn skill B, list only B.
+
+You will be given a list of existing skills with their IDs. Whenever a proposed skill means the same thing as an existing skill, set existingNodeId to that skill's ID. Otherwise set existingNodeId to null.
+NEVER invent IDs. Only use IDs from the existing skills list.
+
+Respond ONLY with ONE JSON object, no markdown, no extra text:
+{"objectiveSkills":[{"name":"...","existingNodeId":"...|null"}],"prerequisiteSkills":[{"name":"...","existingNodeId":"...|null"}],"notes":"<short rationale for the reviewer>"}`;
+
+/**
+ * Check that a submitted resource URL is an absolute http(s) URL.
+ */
+function isValidResourceUrl(value) {
+  if (typeof value !== "string") return false;
+  try {
+    const parsed = new URL(value);
+    return parsed.protocol === "http:" || parsed.protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Fetch existing Skill nodes semantically close to the resource.
+ */
+async function findCandidateSkills(driver, url, title) {
+  const { results } = await searchNodesBySimilarity(
+    driver,
+    `${title} ${url}`,
+    CANDIDATE_SKILL_LIMIT,
+  );
+
+  return results
+    .filter((result) => result.node.type === "Skill")
+    .map((result) => ({ id: result.node.id, name: result.node.name }));
+}
+
+/**
+ * Normalize LLM-proposed skills. Matches are kept only when the ID was
+ * offered as a candidate, and then take the canonical graph name; anything
+ * else becomes a new skill with a fresh id.
+ */
+function normalizeProposedSkills(skills, candidates) {
+  if (!Array.isArray(skills)) return [];
+
+  const candidatesById = new Map(
+    candidates.map((candidate) => [candidate.id, candidate]),
+  );
+  const seen = new Set();
+
+  return skills
+    .filter((skill) => skill && typeof skill.name === "string")
+    .map((skill) => {
+      const match = candidatesById.get(skill.existingNodeId);
+      return match
+        ? { id: match.id, name: match.name, existing: true }
+        : { id: crypto.randomUUID(), name: skill.name.trim(), existing: false };
+    })
+    .filter((skill) => {
+      const key = skill.existing ? skill.id : skill.name.toLowerCase();
+      if (!skill.name || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Drop prerequisites that are themselves prerequisites of another proposed
+ * prerequisite, so only terminal prerequisites remain. Only existing skills
+ * can be checked against the graph; new skills are always kept.
+ */
+async function filterTerminalPrerequisites(driver, prerequisites) {
+  const existingIds = prerequisites
+    .filter((skill) => skill.existing)
+    .map((skill) => skill.id);
+
+  if (existingIds.length < 2) return prerequisites;
+
+  const session = driver.session({ defaultAccessMode: neo4j.session.READ });
+
+  try {
+    const result = await session.executeRead((tx) => {
+      return tx.run(
+        `
+        MATCH (a:Skill)-[:IS_PREREQUISITE_TO|TEACHES*1..${MAX_PATH_DEPTH}]->(b:Skill)
+        WHERE a.id IN $ids AND b.id IN $ids AND a <> b
+        RETURN DISTINCT a.id as id
+        `,
+        { ids: existingIds },
+      );
+    });
+
+    const nonTerminalIds = new Set(
+      result.records.map((record) => record.get("id")),
+    );
+
+    return prerequisites.filter((skill) => !nonTerminalIds.has(skill.id));
+  } finally {
+    session.close();
+  }
+}
+
+/**
+ * Render the proposal as a single parameterized Cypher statement.
+ * The statement only MERGEs: existing nodes are matched by id, the URL node
+ * is matched by its address, and relationships are created once.
+ */
+function buildIngestionCypher({
+  url,
+  title,
+  objectiveSkills,
+  prerequisiteSkills,
+}) {
+  const toParam = (skill) => ({
+    id: skill.id,
+    name: skill.name,
+    relId: crypto.randomUUID(),
+  });
+
+  const cypher = `MERGE (u:URL {name: $url})
+ON CREATE SET u.id = $urlId, u.uuid = $urlId, u.title = $title
+WITH u
+CALL {
+  WITH u
+  UNWIND $objectiveSkills AS skill
+  MERGE (s:Skill {id: skill.id})
+  ON CREATE SET s.uuid = skill.id, s.name = skill.name
+  MERGE (u)-[r:TEACHES]->(s)
+  ON CREATE SET r.id = skill.relId, r.uuid = skill.relId
+  RETURN count(*) AS taught
+}
+CALL {
+  WITH u
+  UNWIND $prerequisiteSkills AS skill
+  MERGE (s:Skill {id: skill.id})
+  ON CREATE SET s.uuid = skill.id, s.name = skill.name
+  MERGE (s)-[r:IS_PREREQUISITE_TO]->(u)
+  ON CREATE SET r.id = skill.relId, r.uuid = skill.relId
+  RETURN count(*) AS prerequisites
+}
+RETURN u.id AS urlId, taught, prerequisites`;
+
+  return {
+    cypher,
+    params: {
+      url,
+      urlId: crypto.randomUUID(),
+      title,
+      objectiveSkills: objectiveSkills.map(toParam),
+      prerequisiteSkills: prerequisiteSkills.map(toParam),
+    },
+  };
+}
+
+/**
+ * Reject Cypher containing destructive keywords (defense-in-depth).
+ */
+function assertSafeIngestionCypher(cypher) {
+  const match = cypher.match(DESTRUCTIVE_CYPHER_PATTERN);
+  if (match) {
+    throw new Error(
+      `Refusing to execute ingestion Cypher containing "${match[0]}"`,
+    );
+  }
+}
+
+/**
+ * Analyze a resource with the LLM and build a reviewable proposal.
+ * Returns { objectiveSkills, prerequisiteSkills, proposedCypher, proposedParams, notes }.
+ */
+async function proposeIngestion(driver, { url, title }) {
+  const candidates = await findCandidateSkills(driver, url, title);
+
+  const messages = [
+    { role: "system", content: INGESTION_PROMPT },
+    {
+      role: "user",
+      content: JSON.stringify({ url, title, existingSkills: candidates }),
+    },
+  ];
+
+  const raw = await callLlmChat(messages, { withTools: false });
+  const analysis = extractJsonObject(raw);
+
+  const objectiveSkills = normalizeProposedSkills(
+    analysis.objectiveSkills,
+    candidates,
+  );
+  if (objectiveSkills.length === 0) {
+    throw new Error("LLM analysis did not propose any objective skills");
+  }
+
+  const objectiveIds = new Set(objectiveSkills.map((skill) => skill.id));
+  const prerequisiteSkills = await filterTerminalPrerequisites(
+    driver,
+    normalizeProposedSkills(analysis.prerequisiteSkills, candidates).filter(
+      (skill) => !objectiveIds.has(skill.id),
+    ),
+  );
+
+  const { cypher, params } = buildIngestionCypher({
+    url,
+    title,
+    objectiveSkills,
+    prerequisiteSkills,
+  });
+
+  return {
+    objectiveSkills,
+    prerequisiteSkills,
+    proposedCypher: cypher,
+    proposedParams: params,
+    notes: typeof analysis.notes === "string" ? analysis.notes : "",
+  };
+}
+
+/**
+ * Execute an approved proposal's Cypher with the admin driver.
+ */
+async function executeIngestion(adminDriver, proposal) {
+  assertSafeIngestionCypher(proposal.proposedCypher);
+
+  const session = adminDriver.session({
+    defaultAccessMode: neo4j.session.WRITE,
+  });
+
+  try {
+    const result = await session.executeWrite((tx) => {
+      return tx.run(proposal.proposedCypher, proposal.proposedParams);
+    });
+
+    const record = result.records[0];
+    return record
+      ? {
+          urlId: record.get("urlId"),
+          taught: toNumber(record.get("taught")),
+          prerequisites: toNumber(record.get("prerequisites")),
+        }
+      : {};
+  } finally {
+    session.close();
+  }
+}
+
+module.exports = {
+  assertSafeIngestionCypher,
+  buildIngestionCypher,
+  executeIngestion,
+  filterTerminalPrerequisites,
+  isValidResourceUrl,
+  proposeIngestion,
+};
@@ -0,0 +1,149 @@
+/**
+ * Review queue for ingestion proposals.
+ * Proposals move through pending → approved → executing → executed (or
+ * rejected) and keep their full history of operator actions. A proposal is
+ * moved to executing before its Cypher runs, so only one execution can
+ * start; a failed execution moves it back to approved.
+ */
+
+const crypto = require("crypto");
+const path = require("path");
+const createError = require("http-errors");
+const { createJsonFileStore } = require("../storage/jsonFileStore");
+
+const PROPOSAL_STATUSES = [
+  "pending",
+  "approved",
+  "executing",
+  "rejected",
+  "executed",
+];
+
+// Allowed status transitions; anything else is a 409
+const TRANSITIONS = {
+  pending: ["approved", "rejected"],
+  approved: ["executing", "rejected"],
+  executing: ["executed", "approved"],
+  rejected: [],
+  executed: [],
+};
+
+let store = null;
+let proposals = null;
+// First load in flight, shared by concurrent callers
+let loading = null;
+
+function getStore() {
+  if (!store) {
+    store = createJsonFileStore(
+      process.env.INGESTION_STORE_PATH ||
+        path.join(__dirname, "../../data/ingestion-proposals.json"),
+    );
+  }
+  return store;
+}
+
+async function ensureLoaded() {
+  if (!loading) {
+    loading = getStore()
+      .load([])
+      .then((saved) => {
+        proposals = new Map(saved.map((proposal) => [proposal.id, proposal]));
+        return proposals;
+      });
+    // A failed load is retried by the next caller
+    loading.catch(() => {
+      loading = null;
+    });
+  }
+  return loading;
+}
+
+async function persist() {
+  await getStore().save([...proposals.values()]);
+}
+
+/**
+ * Add a new pending proposal to the queue.
+ */
+async function createProposal(data, operatorId) {
+  await ensureLoaded();
+
+  const now = new Date().toISOString();
+  const proposal = {
+    id: crypto.randomUUID(),
+    status: "pending",
+    ...data,
+    createdBy: operatorId,
+    createdAt: now,
+    updatedAt: now,
+    history: [{ action: "proposed", operatorId, timestamp: now }],
+  };
+
+  proposals.set(proposal.id, proposal);
+  await persist();
+
+  return proposal;
+}
+
+/**
+ * Get a proposal by id, or throw a 404.
+ */
+async function getProposal(id) {
+  await ensureLoaded();
+
+  const proposal = proposals.get(id);
+  if (!proposal) {
+    throw createError(404, `Proposal ${id} not found`);
+  }
+  return proposal;
+}
+
+/**
+ * List proposals, newest first, optionally filtered by status.
+ */
+async function listProposals({ status } = {}) {
+  await ensureLoaded();
+
+  return [...proposals.values()]
+    .filter((proposal) => !status || proposal.status === status)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Move a proposal to a new status and record the action in its history.
+ * The status is checked and changed without yielding, so of concurrent
+ * callers only the first can make a given transition; the others get a 409.
+ * `details` are added to the history entry and may override its action.
+ */
+async function transitionProposal(id, toStatus, operatorId, details = {}) {
+  const proposal = await getProposal(id);
+
+  if (!TRANSITIONS[proposal.status].includes(toStatus)) {
+    throw createError(
+      409,
+      `Cannot move proposal from ${proposal.status} to ${toStatus}`,
+    );
+  }
+
+  const now = new Date().toISOString();
+  proposal.status = toStatus;
+  proposal.updatedAt = now;
+  proposal.history.push({
+    action: toStatus,
+    operatorId,
+    timestamp: now,
+    ...details,
+  });
+  await persist();
+
+  return proposal;
+}
+
+module.exports = {
+  PROPOSAL_STATUSES,
+  createProposal,
+  getProposal,
+  listProposals,
+  transitionProposal,
+};
@@ -0,0 +1,205 @@
+/**
+ * Multi-step agent loop for a chat turn.
+ * The LLM may call tools several times in sequence (refine a query, search a
+ * prerequisite, file a request) before giving its final answer. Each tool
+ * result is appended to the messages for the next call. The loop is bounded
+ * by a number of tool steps and a wall-clock budget; an LLM call still
+ * running when the budget is spent is aborted. Either way the LLM is then
+ * asked for a final answer from the tool results gathered so far.
+ */
+
+const { buildMessages, requestLlmResponse } = require("./llmOrchestrator");
+const { toolRegistry } = require("./tools");
+
+const DEFAULT_MAX_TOOL_STEPS = 4;
+const DEFAULT_TIME_BUDGET_MS = 30000;
+
+// Sent once the step cap or time budget is reached so the LLM answers with
+// what it has
+const FINAL_ANSWER_INSTRUCTION =
+  "You have used all available tool calls for this message. Respond now with a final JSON response based on the tool results above.";
+
+const UNABLE_TO_COMPLETE_RESPONSE = {
+  type: "final",
+  message:
+    "I'm unable to complete that request right now. Please try a different query or ask for help.",
+  relatedMaterials: [],
+  suggestedActions: ["try_search_again", "contact_support"],
+};
+
+const UNEXPECTED_RESPONSE = {
+  type: "final",
+  message:
+    "I encountered an unexpected issue while processing your request. Please try again.",
+  relatedMaterials: [],
+  suggestedActions: ["try_search_again"],
+};
+
+/**
+ * Loop limits from the environment (CHAT_MAX_TOOL_STEPS,
+ * CHAT_TIME_BUDGET_MS).
+ */
+function getAgentLimits() {
+  return {
+    maxToolSteps:
+      Number(process.env.CHAT_MAX_TOOL_STEPS) || DEFAULT_MAX_TOOL_STEPS,
+    timeBudgetMs:
+      Number(process.env.CHAT_TIME_BUDGET_MS) || DEFAULT_TIME_BUDGET_MS,
+  };
+}
+
+/**
+ * Run the agent loop for one user message.
+ *
+ * `complete(messages, { signal })` performs an LLM call and resolves with
+ * its raw reply, aborting when `signal` does (the time budget runs out);
+ * `executeTool(toolCall)` runs a tool and resolves with its output;
+ * `onEvent(event, data)` is told when each tool call starts and finishes.
+ *
+ * Returns { llmResponse, toolTurns, steps, stopReason } where toolTurns are
+ * the { tool, args, output, toolCallId? } calls made (toolCallId for native
+ * tool calls), steps is the per-step trace and
+ * stopReason is "final", "max_steps", "time_budget" or "unexpected_response".
+ */
+async function runAgentLoop(
+  { message, conversationHistory, customInstructions, historySummary },
+  {
+    complete,
+    executeTool,
+    onEvent = () => {},
+    maxToolSteps = DEFAULT_MAX_TOOL_STEPS,
+    timeBudgetMs = DEFAULT_TIME_BUDGET_MS,
+    now = Date.now,
+  },
+) {
+  const startedAt = now();
+  const toolTurns = [];
+  const steps = [];
+  const finish = (llmResponse, stopReason) => ({
+    llmResponse,
+    toolTurns,
+    steps,
+    stopReason,
+  });
+
+  // Aborts the LLM call in flight once the budget is spent
+  const budget = new AbortController();
+  const budgetTimer = setTimeout(() => budget.abort(), timeBudgetMs);
+
+  const askLlm = async (extraInstruction, signal) => {
+    const messages = buildMessages(
+      message,
+      conversationHistory,
+      customInstructions,
+      toolTurns,
+      { historySummary },
+    );
+    if (extraInstruction) {
+      messages.push({ role: "system", content: extraInstruction });
+    }
+    return requestLlmResponse(messages, (llmMessages) =>
+      complete(llmMessages, { signal }),
+    );
+  };
+
+  // The final answer call runs outside the budget: it is the one call
+  // left, bounded by the provider's own timeout
+  const askForFinalAnswer = async (stepStartedAt, stopReason) => {
+    const finalResponse = await askLlm(FINAL_ANSWER_INSTRUCTION);
+    steps.push({
+      step: steps.length + 1,
+      type: "final",
+      durationMs: now() - stepStartedAt,
+    });
+    return finish(
+      finalResponse.type === "final"
+        ? finalResponse
+        : UNABLE_TO_COMPLETE_RESPONSE,
+      stopReason,
+    );
+  };
+
+  const timeBudgetSpent = () => {
+    console.warn(
+      `[runAgentLoop] Time budget of ${timeBudgetMs}ms spent after ${toolTurns.length} tool steps, asking for a final answer`,
+    );
+  };
+
+  try {
+    for (;;) {
+      const stepStartedAt = now();
+      let llmResponse;
+      try {
+        llmResponse = await askLlm(null, budget.signal);
+      } catch (error) {
+        if (!budget.signal.aborted) throw error;
+        timeBudgetSpent();
+        return askForFinalAnswer(stepStartedAt, "time_budget");
+      }
+      console.log(
+        `[runAgentLoop] Step ${steps.length + 1} response type:`,
+        llmResponse.type,
+      );
+
+      if (llmResponse.type === "final") {
+        steps.push({
+          step: steps.length + 1,
+          type: "final",
+          durationMs: now() - stepStartedAt,
+        });
+        return finish(llmResponse, "final");
+      }
+
+      if (
+        llmResponse.type !== "tool_call" ||
+        !toolRegistry.has(llmResponse.tool)
+      ) {
+        console.warn(
+          "[runAgentLoop] Unexpected response type:",
+          llmResponse.type,
+        );
+        return finish(UNEXPECTED_RESPONSE, "unexpected_response");
+      }
+
+      if (budget.signal.aborted || now() - startedAt >= timeBudgetMs) {
+        timeBudgetSpent();
+        return askForFinalAnswer(stepStartedAt, "time_budget");
+      }
+
+      if (toolTurns.length >= maxToolSteps) {
+        console.warn(
+          `[runAgentLoop] Reached ${maxToolSteps} tool steps, asking for a final answer`,
+        );
+        return askForFinalAnswer(stepStartedAt, "max_steps");
+      }
+
+      const { tool, args } = llmResponse;
+      onEvent("tool_call", { tool, args });
+      const output = await executeTool(llmResponse);
+      onEvent(tool === "search_materials" ? "search_results" : "tool_result", {
+        tool,
+        ...output,
+      });
+
+      const { toolCallId } = llmResponse;
+      toolTurns.push({ tool, args, output, ...(toolCallId && { toolCallId }) });
+      steps.push({
+        step: steps.length + 1,
+        type: "tool_call",
+        tool,
+        args,
+        output,
+        durationMs: now() - stepStartedAt,
+      });
+    }
+  } finally {
+    clearTimeout(budgetTimer);
+  }
+}
+
+module.exports = {
+  DEFAULT_MAX_TOOL_STEPS,
+  DEFAULT_TIME_BUDGET_MS,
+  getAgentLimits,
+  runAgentLoop,
+};
@@ -0,0 +1,227 @@
+/**
+ * Token budget for the conversation history sent to the LLM.
+ * The most recent exchanges (a user message with its tool calls and reply)
+ * are kept verbatim while they fit the model's budget; older ones are
+ * folded into a rolling summary written by the LLM. If summarizing fails
+ * they are dropped instead.
+ *
+ * Token counts are estimates (about four characters per token, plus a
+ * small overhead per message), good enough to stay clear of the context
+ * window without a tokenizer per model.
+ */
+
+const { parsePerModelSetting } = require("./llmProviders");
+
+const DEFAULT_HISTORY_TOKEN_BUDGET = 4000;
+
+const CHARS_PER_TOKEN = 4;
+const TOKENS_PER_MESSAGE = 4;
+
+// Roles clients may send in conversationHistory
+const CLIENT_HISTORY_ROLES = ["user", "assistant"];
+
+const SUMMARY_PROMPT = `You summarize conversations between a user and the Web Brain Project learning assistant.
+Write a short plain-text summary (at most 150 words) of what the user wants to learn, what they already know, and which materials (with their node ids) were discussed or recommended.
+If a previous summary is given, merge it with the new turns. Reply with the summary only.`;
+
+/**
+ * History token budget for a model: CHAT_HISTORY_TOKEN_BUDGETS
+ * ("<model>=<tokens>,...") or CHAT_HISTORY_TOKEN_BUDGET (default 4000).
+ */
+function getHistoryTokenBudget(model, env = process.env) {
+  const budgets = parsePerModelSetting(
+    env.CHAT_HISTORY_TOKEN_BUDGETS,
+    "CHAT_HISTORY_TOKEN_BUDGETS",
+    (tokens) => (Number(tokens) > 0 ? Number(tokens) : undefined),
+  );
+  return (
+    budgets[model] ||
+    Number(env.CHAT_HISTORY_TOKEN_BUDGET) ||
+    DEFAULT_HISTORY_TOKEN_BUDGET
+  );
+}
+
+/**
+ * Approximate token count of a text.
+ */
+function estimateTokens(text) {
+  return Math.ceil(String(text ?? "").length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Text a history turn is sent to the LLM as.
+ */
+function turnText(turn) {
+  return turn.role === "tool"
+    ? JSON.stringify({ tool: turn.tool, args: turn.args, output: turn.output })
+    : turn.content;
+}
+
+/**
+ * Approximate token count of a history turn. Tool turns are replayed as two
+ * messages.
+ */
+function estimateTurnTokens(turn) {
+  const messages = turn.role === "tool" ? 2 : 1;
+  return estimateTokens(turnText(turn)) + messages * TOKENS_PER_MESSAGE;
+}
+
+/**
+ * Validate client-supplied conversationHistory. Returns an error message or
+ * null.
+ */
+function validateClientHistory(conversationHistory) {
+  if (conversationHistory === undefined || conversationHistory === null) {
+    return null;
+  }
+  if (!Array.isArray(conversationHistory)) {
+    return "conversationHistory must be an array";
+  }
+  const invalid = conversationHistory.some(
+    (turn) =>
+      !CLIENT_HISTORY_ROLES.includes(turn?.role) ||
+      typeof turn.content !== "string",
+  );
+  return invalid
+    ? `conversationHistory turns must have a role of ${CLIENT_HISTORY_ROLES.join(" or ")} and a string content`
+    : null;
+}
+
+/**
+ * Split history turns into exchanges, each starting at a user turn.
+ */
+function groupExchanges(turns) {
+  const exchanges = [];
+  for (const turn of turns) {
+    if (turn.role === "user" || exchanges.length === 0) {
+      exchanges.push([]);
+    }
+    exchanges.at(-1).push(turn);
+  }
+  return exchanges;
+}
+
+/**
+ * Ask the LLM to fold `turns` into the previous summary.
+ * `complete(messages)` performs the LLM call and resolves with its text.
+ */
+async function summarizeTurns(turns, previousSummary, complete) {
+  const transcript = turns
+    .map((turn) =>
+      turn.role === "tool"
+        ? `Tool ${turn.tool}: ${JSON.stringify(turn.output)}`
+        : `${turn.role}: ${turn.content}`,
+    )
+    .join("\n");
+
+  const raw = await complete([
+    { role: "system", content: SUMMARY_PROMPT },
+    {
+      role: "user",
+      content: `Previous summary: ${previousSummary || "(none)"}\n\nNew turns:\n${transcript}`,
+    },
+  ]);
+  const summary = String(raw ?? "")
+    .replace(/<think>[\s\S]*?<\/think>/g, "")
+    .trim();
+  if (!summary) {
+    throw new Error("The LLM returned an empty summary");
+  }
+  return summary;
+}
+
+/**
+ * Fit history turns into a token budget.
+ *
+ * `summary` ({ text, summarizedTurns } or null) is the rolling summary so
+ * far, covering the first `summarizedTurns` turns ever recorded; `offset`
+ * is how many recorded turns came before `turns[0]` (sessions drop their
+ * oldest turns). Turns the summary covers are never sent again.
+ * `complete(messages)` is used to summarize turns that no longer fit; leave
+ * it out to drop them instead.
+ *
+ * Returns { turns, summary, report } where turns are the turns to send
+ * verbatim, summary the (possibly updated) rolling summary and report the
+ * metadata returned to the client:
+ * { strategy, tokenBudget, estimatedTokens, keptTurns, omittedTurns }.
+ * strategy is "full" (everything sent verbatim), "summarized" (older turns
+ * sent as the summary) or "truncated" (older turns dropped).
+ */
+async function fitHistory(
+  turns = [],
+  { tokenBudget, summary = null, offset = 0, complete } = {},
+) {
+  const start = Math.min(
+    Math.max((summary?.summarizedTurns ?? 0) - offset, 0),
+    turns.length,
+  );
+  const exchanges = groupExchanges(turns.slice(start));
+  const summaryTokens = summary
+    ? estimateTokens(summary.text) + TOKENS_PER_MESSAGE
+    : 0;
+
+  // Keep the newest exchanges that fit next to the summary
+  let usedTokens = summaryTokens;
+  let keptExchanges = 0;
+  for (const exchange of [...exchanges].reverse()) {
+    const tokens = exchange.reduce(
+      (total, turn) => total + estimateTurnTokens(turn),
+      0,
+    );
+    if (usedTokens + tokens > tokenBudget) break;
+    usedTokens += tokens;
+    keptExchanges += 1;
+  }
+
+  const kept = exchanges.slice(exchanges.length - keptExchanges).flat();
+  const overflow = exchanges.slice(0, exchanges.length - keptExchanges).flat();
+  const result = (strategy, currentSummary) => ({
+    turns: kept,
+    summary: currentSummary,
+    report: {
+      strategy,
+      tokenBudget,
+      estimatedTokens:
+        kept.reduce((total, turn) => total + estimateTurnTokens(turn), 0) +
+        (currentSummary
+          ? estimateTokens(currentSummary.text) + TOKENS_PER_MESSAGE
+          : 0),
+      keptTurns: kept.length,
+      omittedTurns: turns.length - kept.length,
+    },
+  });
+
+  if (overflow.length === 0) {
+    return result(summary ? "summarized" : "full", summary);
+  }
+
+  if (complete) {
+    try {
+      const text = await summarizeTurns(overflow, summary?.text, complete);
+      console.log(
+        `[fitHistory] Summarized ${overflow.length} turns to stay within ${tokenBudget} tokens`,
+      );
+      return result("summarized", {
+        text,
+        summarizedTurns: offset + start + overflow.length,
+      });
+    } catch (error) {
+      console.warn(
+        `[fitHistory] Summary failed, dropping ${overflow.length} turns:`,
+        error.message,
+      );
+    }
+  }
+
+  return result("truncated", summary);
+}
+
+module.exports = {
+  CLIENT_HISTORY_ROLES,
+  DEFAULT_HISTORY_TOKEN_BUDGET,
+  estimateTokens,
+  estimateTurnTokens,
+  fitHistory,
+  getHistoryTokenBudget,
+  validateClientHistory,
+};
@@ -0,0 +1,54 @@
+/**
+ * Server-Sent Events helper for streaming chat responses.
+ */
+
+/**
+ * Switch a response to an event stream.
+ * `onDisconnect` runs if the client goes away before the stream is ended.
+ * Returns { send(event, data), end() }; sends after a disconnect are dropped.
+ */
+function openEventStream(res, { onDisconnect } = {}) {
+  let open = true;
+
+  res.status(200);
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    // Stop reverse proxies from buffering events
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  res.on("close", () => {
+    if (!open) return;
+    open = false;
+    onDisconnect?.();
+  });
+
+  return {
+    send(event, data) {
+      if (!open) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      // compression() buffers writes until flushed
+      res.flush?.();
+    },
+    end() {
+      if (!open) return;
+      open = false;
+      res.end();
+    },
+  };
+}
+
+/**
+ * Whether the client asked for an event stream via the Accept header.
+ */
+function acceptsEventStream(req) {
+  return (req.headers?.accept || "").includes("text/event-stream");
+}
+
+module.exports = {
+  acceptsEventStream,
+  openEventStream,
+};
@@ -0,0 +1,215 @@
+/**
+ * Grounding of the relatedMaterials in a final LLM response.
+ * Every material must be a node from this turn's tool results or, failing
+ * that, a node that exists in the graph. Materials are rebuilt from the
+ * node's id, name and type; invented ones are repaired by name when a tool
+ * result has a node of that name, and dropped otherwise. When every material
+ * was dropped the LLM is asked once more, then the top search hits are used.
+ */
+
+const { isValidNodeId } = require("../neo4j/queryBuilder");
+const { getNodesByIds } = require("../graph/nodeLookup");
+
+// Materials used when the LLM's could not be grounded
+const MAX_FALLBACK_MATERIALS = 3;
+
+const GROUNDING_RETRY_INSTRUCTION =
+  "None of the relatedMaterials you returned appear in the tool results. Respond again with a final JSON response whose relatedMaterials only use nodeId, name and type values copied from the tool results above.";
+
+/**
+ * Client-facing material for a graph node. Nodes may have no type.
+ */
+function toMaterial(node) {
+  return {
+    nodeId: node.id,
+    name: node.name,
+    type: node.type?.toLowerCase() ?? null,
+  };
+}
+
+/**
+ * Every node ({ id, name, type }) appearing anywhere in the tool outputs:
+ * search hits, their graph neighbours, node details and prerequisites.
+ */
+function collectToolNodes(toolTurns) {
+  const nodes = new Map();
+  const visit = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(visit);
+      return;
+    }
+    if (!value || typeof value !== "object") return;
+    const { id, name, type } = value;
+    if (
+      typeof id === "string" &&
+      typeof name === "string" &&
+      typeof type === "string" &&
+      !nodes.has(id)
+    ) {
+      nodes.set(id, { id, name, type });
+    }
+    Object.values(value).forEach(visit);
+  };
+  toolTurns.forEach(({ output }) => visit(output));
+  return nodes;
+}
+
+/**
+ * Top search_materials hits of the turn, as materials.
+ */
+function topSearchHits(toolTurns) {
+  const hits = new Map();
+  for (const { tool, output } of toolTurns) {
+    if (tool !== "search_materials") continue;
+    for (const { node } of output?.results || []) {
+      if (node && !hits.has(node.id)) hits.set(node.id, toMaterial(node));
+    }
+  }
+  return [...hits.values()].slice(0, MAX_FALLBACK_MATERIALS);
+}
+
+/**
+ * Ground a list of materials against the tool nodes, then the graph.
+ * Returns { materials, counts } where counts has checked, kept (already
+ * canonical), corrected (name/type overwritten), repaired (nodeId replaced
+ * by a name match) and dropped.
+ */
+async function groundMaterials(materials, toolNodes, driver) {
+  const counts = {
+    checked: materials.length,
+    kept: 0,
+    corrected: 0,
+    repaired: 0,
+    dropped: 0,
+  };
+
+  const unknownIds = [
+    ...new Set(
+      materials
+        .map((material) => material?.nodeId)
+        .filter((id) => !toolNodes.has(id) && isValidNodeId(id)),
+    ),
+  ];
+  let graphNodes = new Map();
+  if (unknownIds.length > 0) {
+    try {
+      graphNodes = await getNodesByIds(driver, unknownIds);
+    } catch (error) {
+      console.warn(
+        "[groundMaterials] Graph lookup failed, using tool results only:",
+        error.message,
+      );
+    }
+  }
+
+  const toolNodesByName = new Map();
+  for (const node of toolNodes.values()) {
+    const key = node.name.trim().toLowerCase();
+    if (!toolNodesByName.has(key)) toolNodesByName.set(key, node);
+  }
+  const findByName = (name) =>
+    typeof name === "string"
+      ? toolNodesByName.get(name.trim().toLowerCase())
+      : undefined;
+
+  const grounded = [];
+  const seen = new Set();
+  for (const material of materials) {
+    let node =
+      toolNodes.get(material?.nodeId) || graphNodes.get(material?.nodeId);
+    const repaired = !node;
+    if (repaired) {
+      node = findByName(material?.name) || findByName(material?.nodeId);
+    }
+
+    if (!node || seen.has(node.id)) {
+      counts.dropped += 1;
+      continue;
+    }
+    seen.add(node.id);
+
+    // Only the node's own fields: anything else the LLM wrote is dropped
+    const canonical = toMaterial(node);
+    if (repaired) {
+      counts.repaired += 1;
+    } else if (
+      material.name !== canonical.name ||
+      material.type !== canonical.type
+    ) {
+      counts.corrected += 1;
+    } else {
+      counts.kept += 1;
+    }
+    grounded.push(canonical);
+  }
+
+  return { materials: grounded, counts };
+}
+
+/**
+ * Ground the relatedMaterials of a final LLM response.
+ *
+ * `toolTurns` are the turn's { tool, args, output } calls. `reprompt(
+ * instruction)` asks the LLM once more and resolves with its parsed reply;
+ * it is used only when every material was dropped.
+ *
+ * Returns { llmResponse, grounding } where grounding holds the counts of the
+ * first pass plus `reprompted` and `fallback` flags.
+ */
+async function groundLlmResponse(llmResponse, { driver, toolTurns, reprompt }) {
+  const toolNodes = collectToolNodes(toolTurns);
+  const materials = Array.isArray(llmResponse.relatedMaterials)
+    ? llmResponse.relatedMaterials
+    : [];
+
+  const { materials: grounded, counts } = await groundMaterials(
+    materials,
+    toolNodes,
+    driver,
+  );
+  const grounding = { ...counts, reprompted: false, fallback: false };
+  let result = { ...llmResponse, relatedMaterials: grounded };
+
+  if (materials.length > 0 && grounded.length === 0) {
+    let retried = null;
+    if (reprompt) {
+      grounding.reprompted = true;
+      try {
+        const retry = await reprompt(GROUNDING_RETRY_INSTRUCTION);
+        if (retry.type === "final" && Array.isArray(retry.relatedMaterials)) {
+          const regrounded = await groundMaterials(
+            retry.relatedMaterials,
+            toolNodes,
+            driver,
+          );
+          if (regrounded.materials.length > 0) {
+            retried = { ...retry, relatedMaterials: regrounded.materials };
+          }
+        }
+      } catch (error) {
+        console.warn("[groundLlmResponse] Re-prompt failed:", error.message);
+      }
+    }
+
+    if (retried) {
+      result = retried;
+    } else {
+      result.relatedMaterials = topSearchHits(toolTurns);
+      grounding.fallback = result.relatedMaterials.length > 0;
+    }
+  }
+
+  if (counts.checked > 0) {
+    console.log(
+      `[groundLlmResponse] relatedMaterials checked=${counts.checked} kept=${counts.kept} corrected=${counts.corrected} repaired=${counts.repaired} dropped=${counts.dropped} reprompted=${grounding.reprompted} fallback=${grounding.fallback}`,
+    );
+  }
+
+  return { llmResponse: result, grounding };
+}
+
+module.exports = {
+  GROUNDING_RETRY_INSTRUCTION,
+  collectToolNodes,
+  groundLlmResponse,
+};
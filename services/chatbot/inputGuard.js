@@ -0,0 +1,311 @@
+/**
+ * Input guard in front of the chatbot LLM.
+ * Checks the user message, client-supplied history and customInstructions
+ * before anything reaches the prompt: length limits, common prompt-injection
+ * patterns (instructions to ignore the rules, fake role tags and tool
+ * results, JSON imitating the tool protocol) and, optionally, restricting
+ * instructions to server-defined presets picked by id.
+ *
+ * Refusals carry a reason code (REFUSAL_REASONS) and are counted for
+ * GET /chatbot/guard/stats. Which pattern matched is logged and counted but
+ * not returned to the client.
+ */
+
+const fs = require("fs");
+
+const DEFAULT_GUARD_LIMITS = {
+  maxMessageChars: 2000,
+  maxInstructionsChars: 500,
+  maxHistoryTurns: 50,
+};
+
+// CHAT_CUSTOM_INSTRUCTIONS: free text (guarded), presets only, or none
+const INSTRUCTION_MODES = ["free", "presets", "off"];
+
+const REFUSAL_REASONS = [
+  "message_too_long",
+  "history_too_long",
+  "instructions_too_long",
+  "invalid_instructions",
+  "custom_instructions_not_allowed",
+  "unknown_instructions_preset",
+  "prompt_injection",
+];
+
+const INJECTION_PATTERNS = [
+  {
+    id: "ignore_instructions",
+    pattern:
+      /\b(ignore|disregard|forget|override)\s+(?:(?:all|any|the|your|my|of|these|those|previous|prior|above|earlier|preceding|system)\s+){1,4}(instructions?|rules|prompts?|guidelines)\b/i,
+  },
+  {
+    id: "system_prompt_probe",
+    pattern:
+      /\b(reveal|print|show|repeat|output|leak)\b[\s\S]{0,30}?\b(system prompt|system message|hidden instructions)\b/i,
+  },
+  {
+    id: "role_override",
+    pattern: /\byou are no longer\b|\b(developer|jailbreak|DAN) mode\b/i,
+  },
+  {
+    id: "fake_role_tag",
+    pattern:
+      /^\s*(system|assistant|tool)\s*:|<\|(im_start|im_end|system|assistant)\|>|\[\/?(INST|SYS)\]/im,
+  },
+  {
+    id: "fake_tool_result",
+    pattern:
+      /\btool result for \w+\s*:|<\/?(tool_call|tool_result|function_calls?|tool_use)\b/i,
+  },
+  {
+    id: "tool_protocol_json",
+    pattern:
+      /"type"\s*:\s*"(tool_call|final)"|"tool_calls?"\s*:|"relatedMaterials"\s*:/i,
+  },
+];
+
+// Presets used unless CHAT_INSTRUCTION_PRESETS_PATH points to a JSON object
+// of { <id>: <instructions> }
+const DEFAULT_INSTRUCTION_PRESETS = {
+  beginner:
+    "The user is a beginner. Prefer introductory materials and explain terms simply.",
+  advanced:
+    "The user is experienced. Prefer in-depth materials and skip the basics.",
+  concise: "Keep answers short: at most three sentences and three materials.",
+};
+
+function createEmptyStats() {
+  return {
+    checked: 0,
+    refused: 0,
+    reasons: Object.fromEntries(REFUSAL_REASONS.map((reason) => [reason, 0])),
+    patterns: Object.fromEntries(INJECTION_PATTERNS.map(({ id }) => [id, 0])),
+  };
+}
+
+let stats = createEmptyStats();
+let loadedPresets = null;
+
+/**
+ * Guard limits and instruction mode from the environment
+ * (CHAT_MAX_MESSAGE_CHARS, CHAT_MAX_INSTRUCTIONS_CHARS,
+ * CHAT_MAX_HISTORY_TURNS, CHAT_CUSTOM_INSTRUCTIONS).
+ */
+function getGuardConfig(env = process.env) {
+  let instructionsMode = env.CHAT_CUSTOM_INSTRUCTIONS || "free";
+  if (!INSTRUCTION_MODES.includes(instructionsMode)) {
+    console.warn(
+      `[getGuardConfig] Unknown CHAT_CUSTOM_INSTRUCTIONS "${instructionsMode}", using free`,
+    );
+    instructionsMode = "free";
+  }
+
+  return {
+    maxMessageChars:
+      Number(env.CHAT_MAX_MESSAGE_CHARS) ||
+      DEFAULT_GUARD_LIMITS.maxMessageChars,
+    maxInstructionsChars:
+      Number(env.CHAT_MAX_INSTRUCTIONS_CHARS) ||
+      DEFAULT_GUARD_LIMITS.maxInstructionsChars,
+    maxHistoryTurns:
+      Number(env.CHAT_MAX_HISTORY_TURNS) ||
+      DEFAULT_GUARD_LIMITS.maxHistoryTurns,
+    instructionsMode,
+  };
+}
+
+/**
+ * Instruction presets by id, loaded once from CHAT_INSTRUCTION_PRESETS_PATH
+ * when set.
+ */
+function getInstructionPresets(env = process.env) {
+  const presetsPath = env.CHAT_INSTRUCTION_PRESETS_PATH || null;
+  if (loadedPresets?.path !== presetsPath) {
+    loadedPresets = {
+      path: presetsPath,
+      presets: presetsPath
+        ? JSON.parse(fs.readFileSync(presetsPath, "utf8"))
+        : DEFAULT_INSTRUCTION_PRESETS,
+    };
+  }
+  return loadedPresets.presets;
+}
+
+/**
+ * Id of the first injection pattern a text matches, or null.
+ */
+function detectInjection(text) {
+  const match = INJECTION_PATTERNS.find(({ pattern }) => pattern.test(text));
+  return match ? match.id : null;
+}
+
+/**
+ * Count and log a refusal, and build its response body.
+ */
+function refuse(reason, field, error, pattern = null) {
+  stats.refused += 1;
+  stats.reasons[reason] += 1;
+  if (pattern) stats.patterns[pattern] += 1;
+  console.warn(
+    `[guardChatInput] Refused ${field}: ${reason}${pattern ? ` (${pattern})` : ""}`,
+  );
+  return { refusal: { error, reason, field } };
+}
+
+/**
+ * Resolve the custom instructions of a request: a preset picked by
+ * `instructionsPreset`, or free-text `customInstructions` when allowed.
+ * Returns { customInstructions } or { refusal }.
+ */
+function resolveInstructions(
+  { customInstructions, instructionsPreset },
+  config,
+  env,
+) {
+  if (instructionsPreset !== undefined && instructionsPreset !== null) {
+    const presets = getInstructionPresets(env);
+    if (
+      config.instructionsMode === "off" ||
+      typeof instructionsPreset !== "string" ||
+      !Object.hasOwn(presets, instructionsPreset)
+    ) {
+      return refuse(
+        "unknown_instructions_preset",
+        "instructionsPreset",
+        `instructionsPreset must be one of: ${config.instructionsMode === "off" ? "(none)" : Object.keys(presets).join(", ")}`,
+      );
+    }
+    return { customInstructions: presets[instructionsPreset] };
+  }
+
+  if (customInstructions === undefined || customInstructions === null) {
+    return { customInstructions: null };
+  }
+  if (typeof customInstructions !== "string") {
+    return refuse(
+      "invalid_instructions",
+      "customInstructions",
+      "customInstructions must be a string",
+    );
+  }
+  if (customInstructions.trim() === "") {
+    return { customInstructions: null };
+  }
+  if (config.instructionsMode !== "free") {
+    return refuse(
+      "custom_instructions_not_allowed",
+      "customInstructions",
+      config.instructionsMode === "presets"
+        ? "Free-text customInstructions are disabled; pick an instructionsPreset instead"
+        : "customInstructions are disabled",
+    );
+  }
+  if (customInstructions.length > config.maxInstructionsChars) {
+    return refuse(
+      "instructions_too_long",
+      "customInstructions",
+      `customInstructions must be at most ${config.maxInstructionsChars} characters`,
+    );
+  }
+  const pattern = detectInjection(customInstructions);
+  if (pattern) {
+    return refuse(
+      "prompt_injection",
+      "customInstructions",
+      "customInstructions look like an attempt to override the assistant's rules",
+      pattern,
+    );
+  }
+  return { customInstructions: customInstructions.trim() };
+}
+
+/**
+ * Check a chat request body ({ message, conversationHistory,
+ * customInstructions, instructionsPreset }) that passed basic validation.
+ * Returns { customInstructions } with the instructions to send (or null),
+ * or { refusal: { error, reason, field } } for a 400 response.
+ */
+function guardChatInput(body, env = process.env) {
+  const config = getGuardConfig(env);
+  const { message, conversationHistory = [] } = body;
+  stats.checked += 1;
+
+  if (message.length > config.maxMessageChars) {
+    return refuse(
+      "message_too_long",
+      "message",
+      `message must be at most ${config.maxMessageChars} characters`,
+    );
+  }
+  const messagePattern = detectInjection(message);
+  if (messagePattern) {
+    return refuse(
+      "prompt_injection",
+      "message",
+      "message looks like an attempt to override the assistant's rules",
+      messagePattern,
+    );
+  }
+
+  const history = Array.isArray(conversationHistory) ? conversationHistory : [];
+  if (history.length > config.maxHistoryTurns) {
+    return refuse(
+      "history_too_long",
+      "conversationHistory",
+      `conversationHistory must have at most ${config.maxHistoryTurns} turns`,
+    );
+  }
+  for (const turn of history) {
+    if (turn.content.length > config.maxMessageChars) {
+      return refuse(
+        "history_too_long",
+        "conversationHistory",
+        `conversationHistory turns must be at most ${config.maxMessageChars} characters`,
+      );
+    }
+    // Assistant turns are checked too: clients can write them freely
+    const pattern = detectInjection(turn.content);
+    if (pattern) {
+      return refuse(
+        "prompt_injection",
+        "conversationHistory",
+        "conversationHistory contains an attempt to override the assistant's rules",
+        pattern,
+      );
+    }
+  }
+
+  return resolveInstructions(body, config, env);
+}
+
+/**
+ * Counters of guard checks and refusals since start.
+ */
+function getInputGuardStats() {
+  return {
+    ...stats,
+    reasons: { ...stats.reasons },
+    patterns: { ...stats.patterns },
+  };
+}
+
+/**
+ * Reset the counters and loaded presets (for tests).
+ */
+function resetInputGuard() {
+  stats = createEmptyStats();
+  loadedPresets = null;
+}
+
+module.exports = {
+  DEFAULT_GUARD_LIMITS,
+  DEFAULT_INSTRUCTION_PRESETS,
+  INJECTION_PATTERNS,
+  INSTRUCTION_MODES,
+  REFUSAL_REASONS,
+  detectInjection,
+  getGuardConfig,
+  getInputGuardStats,
+  guardChatInput,
+  resetInputGuard,
+};
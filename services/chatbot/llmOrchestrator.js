@@ -1,13 +1,22 @@
-const { InferenceClient } = require("@huggingface/inference");
+const { toolRegistry } = require("./tools");
+const { createLlmProvider, getLlmConfig } = require("./llmProviders");
+const { recordLlmResponse, validateLlmOutput } = require("./responseValidator");
 require("dotenv").config();
 
-// Hugging Face client (initialized lazily)
-let hf = null;
-function getHfClient() {
-  if (!hf) {
-    hf = new InferenceClient(process.env.HF_API_KEY);
+// LLM provider selected by LLM_PROVIDER (initialized lazily)
+let llmProvider = null;
+function getLlmProvider() {
+  if (!llmProvider) {
+    llmProvider = createLlmProvider(getLlmConfig());
   }
-  return hf;
+  return llmProvider;
+}
+
+/**
+ * Drop the shared provider so the next call re-reads the environment.
+ */
+function resetLlmProvider() {
+  llmProvider = null;
 }
 
 const SYSTEM_PROMPT = `You are a helpful learning assistant for the Web Brain Project.
@@ -19,13 +28,20 @@ Do NOT attempt to use any native function calls, tool_use tags, or function_call
 
 When the user asks about a topic, return a JSON object starting a tool_call to search for relevant materials.
 After receiving search results, if they are relevant, provide a final response with the materials.
-If search results are NOT relevant or too sparse, return a final message asking the user if they have materials they'd like to contribute to the Web Brain Project database.
+You may make further tool calls after a result before answering, for example to refine a query or to search for a prerequisite. Keep it to the few calls you need.
+If search results are NOT relevant or too sparse, return a final message asking the user if they have materials they'd like to contribute to the Web Brain Project database, or if they would like you to request materials on that topic from the administrators.
+When the user asks what to learn before a skill or wants more about a specific material, call get_prerequisites or get_node_details with a node id from an earlier tool result.
+When the user confirms they want materials on a topic added, return a tool_call to request_material_addition. After receiving its result, tell the user the request was filed and include the request ID.
+
+AVAILABLE TOOLS:
+${toolRegistry.describe()}
+Do NOT call any other tool.
 
 CRITICAL RULES:
 - NEVER make up or hallucinate node IDs, material names, or resources.
-- ONLY include relatedMaterials from the search_materials results.
+- ONLY include relatedMaterials from tool results (search_materials, get_node_details, get_prerequisites).
 - If search results don't match the user's needs, ask the user in your final message if they know of any materials on that topic they'd like to share with the community.
-- Always verify node IDs exist in search results before including them in your response.
+- Always verify node IDs exist in tool results before including them in your response or passing them to a tool.
 - NEVER invent resources or materials.
 
 RESPONSE FORMAT - CRITICAL:
@@ -51,6 +67,13 @@ Your response: {"type":"tool_call","tool":"search_materials","args":{"query":"ma
 Tool result: {"results":[]}
 Your response: {"type":"final","message":"We don't currently have materials on machine learning in the Web Brain Project database. Do you know of any good resources on this topic that you'd like to share with our community? You can contribute materials to help others learn!","relatedMaterials":[],"suggestedActions":[]}
 
+User: "Yes, please ask for machine learning materials. I'm a data analyst and the scikit-learn docs looked good."
+Your response: {"type":"tool_call","tool":"request_material_addition","args":{"topic":"machine learning","user_context":"Data analyst looking to learn machine learning","suggested_resources":["https://scikit-learn.org/stable/user_guide.html"]}}
+[System files the request and calls you again with the result]
+
+Tool result: {"requestId":"req-456","status":"queued","topic":"machine learning"}
+Your response: {"type":"final","message":"I've filed a request for machine learning materials (request ID: req-456). The administrators will review it and add resources to the Web Brain Project.","relatedMaterials":[],"suggestedActions":[]}
+
 Notice: Each response is ONE JSON object. Never combine tool_call and final in the same response.
 
 Valid response formats (return ONE):
@@ -61,64 +84,193 @@ Valid response formats (return ONE):
 2. Tool call (when you need to search for materials):
 {"type":"tool_call","tool":"search_materials","args":{"query":"<search query>","limit":5}}
 
+3. Tool call (when the user wants materials on a topic added):
+{"type":"tool_call","tool":"request_material_addition","args":{"topic":"<topic>","user_context":"<context>","suggested_resources":[]}}
+
 Return ONLY ONE valid JSON object. No markdown formatting, no extra text, no concatenation.`;
 
+// System prompt for models that call the tools natively (LLM_TOOL_MODE)
+const NATIVE_TOOLS_SYSTEM_PROMPT = `You are a helpful learning assistant for the Web Brain Project.
+Your goal is to help users discover learning materials and learning paths.
+
+Use the provided tools to look things up. When the user asks about a topic, call search_materials to find relevant materials.
+After receiving search results, if they are relevant, answer with the materials.
+You may make further tool calls after a result before answering, for example to refine a query or to search for a prerequisite. Keep it to the few calls you need.
+If search results are NOT relevant or too sparse, ask the user if they have materials they'd like to contribute to the Web Brain Project database, or if they would like you to request materials on that topic from the administrators.
+When the user asks what to learn before a skill or wants more about a specific material, call get_prerequisites or get_node_details with a node id from an earlier tool result.
+When the user confirms they want materials on a topic added, call request_material_addition. After receiving its result, tell the user the request was filed and include the request ID.
+
+ANSWER FORMAT:
+When you answer the user instead of calling a tool, reply with ONE JSON object:
+{"type":"final","message":"<your response>","relatedMaterials":[{"nodeId":"...","name":"...","type":"skill|url"}],"suggestedActions":[]}
+
+Only list relatedMaterials with node ids from tool results. No markdown formatting, no extra text, no concatenation.`;
+
+/**
+ * Messages replaying a tool call and its result to the LLM as JSON text.
+ */
+function jsonToolTurnMessages({ tool, args, output }) {
+  return [
+    {
+      role: "assistant",
+      content: JSON.stringify({ type: "tool_call", tool, args }),
+    },
+    {
+      role: "user",
+      content: `Tool result for ${tool}: ${JSON.stringify(output)}`,
+    },
+  ];
+}
+
+/**
+ * Messages replaying a tool call and its result in the native format: an
+ * assistant message with `tool_calls` and a "tool" message answering it.
+ * Turns recorded without a toolCallId (e.g. made in JSON mode) get one
+ * derived from their position.
+ */
+function nativeToolTurnMessages({ tool, args, output, toolCallId }, index) {
+  const id = toolCallId || `call_replay_${index}`;
+  return [
+    {
+      role: "assistant",
+      content: "",
+      tool_calls: [
+        {
+          id,
+          type: "function",
+          function: { name: tool, arguments: JSON.stringify(args ?? {}) },
+        },
+      ],
+    },
+    { role: "tool", tool_call_id: id, content: JSON.stringify(output) },
+  ];
+}
+
 /**
- * Build the messages array for the HF chat completion.
+ * Build the messages array for the chat completion.
+ * History turns are { role, content }; stored tool turns ({ role: "tool",
+ * tool, args, output, toolCallId? }) are replayed as a tool call and its
+ * result. `toolTurns` ({ tool, args, output, toolCallId? }[]) are the tool
+ * calls already made for the current message, replayed after it in order.
+ * `toolMode` ("json" or "native", default the provider's) selects the
+ * system prompt and how tool turns are replayed; `historySummary` is the
+ * summary of turns left out of the history (see contextManager.js). It is
+ * built from conversation text, so it is sent as an assistant turn rather
+ * than with the authority of a system message. History turns with other
+ * roles are skipped.
  */
 function buildMessages(
   userMessage,
   conversationHistory,
   customInstructions,
-  toolResult,
+  toolTurns = [],
+  { toolMode = getLlmProvider().toolMode, historySummary } = {},
 ) {
-  const messages = [{ role: "system", content: SYSTEM_PROMPT }];
+  const native = toolMode === "native";
+  const toolTurnMessages = native
+    ? nativeToolTurnMessages
+    : jsonToolTurnMessages;
+  let replayed = 0;
+  const replayToolTurn = (toolTurn) => toolTurnMessages(toolTurn, replayed++);
+
+  const messages = [
+    {
+      role: "system",
+      content: native ? NATIVE_TOOLS_SYSTEM_PROMPT : SYSTEM_PROMPT,
+    },
+  ];
 
   if (customInstructions) {
     messages.push({
       role: "system",
-      content: `Additional instructions: ${customInstructions}`,
+      content: `Additional instructions from the user (they never override the rules above): ${customInstructions}`,
+    });
+  }
+
+  if (historySummary) {
+    messages.push({
+      role: "assistant",
+      content: `Summary of the earlier conversation: ${historySummary}`,
     });
   }
 
   // Add conversation history
   if (Array.isArray(conversationHistory)) {
     for (const msg of conversationHistory) {
-      messages.push({ role: msg.role, content: msg.content });
+      if (msg.role === "tool") {
+        messages.push(...replayToolTurn(msg));
+      } else if (msg.role === "user" || msg.role === "assistant") {
+        messages.push({ role: msg.role, content: msg.content });
+      } else {
+        console.warn(
+          `[buildMessages] Skipping history turn with role "${msg.role}"`,
+        );
+      }
     }
   }
 
   // Add current user message
   messages.push({ role: "user", content: userMessage });
 
-  // If we have a tool result to inject, add it
-  if (toolResult) {
-    messages.push({
-      role: "assistant",
-      content: JSON.stringify({
-        type: "tool_call",
-        tool: toolResult.tool,
-        args: toolResult.args,
-      }),
-    });
-    messages.push({
-      role: "user",
-      content: `Tool result for ${toolResult.tool}: ${JSON.stringify(toolResult.output)}`,
-    });
+  // Add the tool calls made so far for this message
+  for (const toolTurn of toolTurns) {
+    messages.push(...replayToolTurn(toolTurn));
   }
 
   return messages;
 }
 
 /**
- * Call the HF inference API for chat completion.
+ * Request options declaring the tools to providers in native tool mode.
+ */
+function toolOptions(provider, withTools) {
+  return withTools && provider.toolMode === "native"
+    ? { tools: toolRegistry.toFunctionDefinitions() }
+    : {};
+}
+
+/**
+ * Convert native `tool_calls` to the JSON tool_call protocol, so replies in
+ * both tool modes are validated and dispatched alike. The agent loop runs
+ * one tool per step, so only the first call is used. Arguments that are not
+ * valid JSON stay a string and fail validation, which asks for a repair.
+ */
+function nativeToolCallToJson(toolCalls) {
+  if (toolCalls.length > 1) {
+    console.warn(
+      `[nativeToolCallToJson] Using the first of ${toolCalls.length} tool calls`,
+    );
+  }
+  const { id, function: call = {} } = toolCalls[0];
+  let args = call.arguments ?? {};
+  if (typeof args === "string") {
+    try {
+      args = JSON.parse(args || "{}");
+    } catch {
+      // Left as text for validation to report
+    }
+  }
+  return JSON.stringify({
+    type: "tool_call",
+    tool: call.name,
+    args,
+    toolCallId: id,
+  });
+}
+
+/**
+ * Call the configured LLM provider for chat completion.
  * The LLM returns a JSON string with instructions for the backend to execute.
  * The response always has one of two structures:
  *
  * **Tool call** - When the LLM decides the backend should execute a tool:
  * - `type` (string): Always "tool_call"
- * - `tool` (string): "search_materials"
- * - `args` (object): Parameters for the tool (e.g., {query, limit} or {topic, user_context})
+ * - `tool` (string): A tool registered in tools.js (e.g. "search_materials")
+ * - `args` (object): Parameters for the tool (e.g., {query, limit} or {node_id})
+ *
+ * In native tool mode the tools are declared to the model (unless
+ * `withTools` is false, for calls outside the chat) and its `tool_calls` are
+ * converted to the tool call structure, with the call's `toolCallId`.
  *
  * **Final response** - When the LLM has an answer for the user:
  * - `type` (string): Always "final"
@@ -126,34 +278,39 @@ function buildMessages(
  * - `relatedMaterials` (array): List of material objects with {nodeId, name, type}
  * - `suggestedActions` (array): List of suggested action strings
  *
+ * Aborting `signal` cancels the request.
+ *
  * @param {Array} messages - Message array in OpenAI format ({role, content}[])
+ * @param {{withTools?: boolean, signal?: AbortSignal}} options
  * @returns {Promise<string>} Raw JSON string from the LLM
  */
-async function callHfChat(messages) {
-  const client = getHfClient();
-  const model = process.env.HF_MODEL || "openai/gpt-oss-120b";
+async function callLlmChat(messages, { withTools = true, signal } = {}) {
+  const provider = getLlmProvider();
 
-  console.log("[callHfChat] Calling HF API with model:", model);
-  console.log("[callHfChat] Messages:", JSON.stringify(messages, null, 2));
+  console.log(
+    `[callLlmChat] Calling ${provider.name} provider with model:`,
+    provider.model,
+  );
+  console.log("[callLlmChat] Messages:", JSON.stringify(messages, null, 2));
 
   try {
-    const response = await client.chatCompletion({
-      model,
-      messages,
-      max_tokens: 1024,
-      temperature: 0.7,
+    const message = await provider.complete(messages, {
+      ...toolOptions(provider, withTools),
+      ...(signal && { signal }),
     });
 
     console.log(
-      "[callHfChat] Success! Response:",
-      JSON.stringify(response, null, 2),
+      "[callLlmChat] Success! Response:",
+      JSON.stringify(message, null, 2),
     );
-    const message = response.choices[0].message;
+    if (message.tool_calls?.length > 0) {
+      return nativeToolCallToJson(message.tool_calls);
+    }
     // Handle models with reasoning: if content is empty but reasoning exists, use reasoning
     const content = message.content || message.reasoning || "";
     return content;
   } catch (error) {
-    console.error("[callHfChat] HF API Error:", {
+    console.error(`[callLlmChat] ${provider.name} provider error:`, {
       message: error.message,
       status: error.status,
       statusCode: error.statusCode,
@@ -166,41 +323,224 @@ async function callHfChat(messages) {
 }
 
 /**
- * Parse the LLM response as JSON, with fallback handling.
+ * Streaming counterpart of callLlmChat.
+ * Calls `onDelta(text)` for each content delta as it arrives and resolves
+ * with the full raw response. Aborting `signal` cancels the request.
+ *
+ * @param {Array} messages - Message array in OpenAI format ({role, content}[])
+ * @param {{signal?: AbortSignal, onDelta?: Function}} options
+ * @returns {Promise<string>} Raw JSON string from the LLM
  */
-function parseLlmResponse(raw) {
+async function streamLlmChat(messages, { signal, onDelta } = {}) {
+  const provider = getLlmProvider();
+
+  console.log(
+    `[streamLlmChat] Streaming from ${provider.name} provider with model:`,
+    provider.model,
+  );
+
+  let content = "";
+  let reasoning = "";
+  const toolCalls = [];
   try {
-    // Try to extract JSON from the response (in case of markdown wrapping)
-    const cleaned = raw.replace(/<think>[\s\S]*?<\/think>/g, "").trim();
-    console.log("[parseLlmResponse] Cleaned LLM response:", cleaned);
-    const jsonMatch = cleaned.match(/\{[\s\S]*\}/);
-    console.log(
-      "[parseLlmResponse] Extracted JSON string:",
-      jsonMatch ? jsonMatch[0] : "none",
-    );
-    if (jsonMatch) {
-      return JSON.parse(jsonMatch[0]);
+    for await (const delta of provider.stream(messages, {
+      signal,
+      ...toolOptions(provider, true),
+    })) {
+      // Native tool calls arrive in pieces keyed by index
+      for (const part of delta.tool_calls || []) {
+        const toolCall = (toolCalls[part.index ?? 0] ??= {
+          function: { name: "", arguments: "" },
+        });
+        if (part.id) toolCall.id = part.id;
+        toolCall.function.name += part.function?.name || "";
+        toolCall.function.arguments += part.function?.arguments || "";
+      }
+
+      if (delta.content) {
+        content += delta.content;
+        onDelta?.(delta.content);
+      } else if (delta.reasoning) {
+        reasoning += delta.reasoning;
+      }
     }
-    return JSON.parse(cleaned);
   } catch (error) {
-    console.error(
-      "[parseLlmResponse] CRITICAL ERROR: Failed to parse LLM response as JSON:",
-      raw,
-    );
-    console.error("[parseLlmResponse] Parse error details:", error);
-    // Return an error response informing the user
-    return {
-      type: "final",
-      message:
-        "I apologize, but I encountered an error processing your request. The administrators have been notified and will investigate this issue. Please try again later or contact support if the problem persists.",
-      relatedMaterials: [],
-      suggestedActions: ["try_again", "contact_support"],
-    };
+    if (!signal?.aborted) {
+      console.error(`[streamLlmChat] ${provider.name} provider error:`, {
+        message: error.message,
+        status: error.status,
+        body: error.body,
+      });
+    }
+    throw error;
+  }
+
+  const streamedToolCalls = toolCalls.filter(Boolean);
+  if (streamedToolCalls.length > 0) {
+    return nativeToolCallToJson(streamedToolCalls);
+  }
+  // Same fallback as callLlmChat for models that only return reasoning
+  return content || reasoning;
+}
+
+// Decoded values of JSON single-character escape sequences
+const JSON_ESCAPES = {
+  '"': '"',
+  "\\": "\\",
+  "/": "/",
+  b: "\b",
+  f: "\f",
+  n: "\n",
+  r: "\r",
+  t: "\t",
+};
+
+/**
+ * Create a decoder for the "message" field of a streamed final response.
+ * The returned function takes raw LLM deltas and returns the newly decoded
+ * message text (empty until the field starts, and after it ends), so the
+ * user sees prose instead of JSON. Tool calls have no message and yield
+ * nothing. <think> blocks are skipped.
+ */
+function createMessageDeltaDecoder() {
+  let raw = "";
+  let position = null;
+  let done = false;
+
+  return (chunk) => {
+    raw += chunk;
+    if (done) return "";
+
+    if (position === null) {
+      const thinkEnd = raw.lastIndexOf("</think>");
+      if (raw.includes("<think>") && thinkEnd === -1) return "";
+
+      const messageStart = /"message"\s*:\s*"/g;
+      messageStart.lastIndex = Math.max(thinkEnd, 0);
+      const match = messageStart.exec(raw);
+      if (!match) return "";
+      position = match.index + match[0].length;
+    }
+
+    let text = "";
+    while (position < raw.length) {
+      const char = raw[position];
+      if (char === '"') {
+        done = true;
+        break;
+      }
+      if (char !== "\\") {
+        text += char;
+        position += 1;
+        continue;
+      }
+
+      // Wait for the rest of an escape sequence split across chunks
+      const escape = raw[position + 1];
+      if (escape === undefined) break;
+      if (escape === "u") {
+        const hex = raw.slice(position + 2, position + 6);
+        if (hex.length < 4) break;
+        text += String.fromCharCode(parseInt(hex, 16));
+        position += 6;
+      } else {
+        text += JSON_ESCAPES[escape] ?? escape;
+        position += 2;
+      }
+    }
+    return text;
+  };
+}
+
+/**
+ * Extract and parse the JSON object from a raw LLM response.
+ * Strips <think> blocks and markdown wrapping. Throws if no valid JSON is found.
+ */
+function extractJsonObject(raw) {
+  // Try to extract JSON from the response (in case of markdown wrapping)
+  const cleaned = raw.replace(/<think>[\s\S]*?<\/think>/g, "").trim();
+  console.log("[extractJsonObject] Cleaned LLM response:", cleaned);
+  const jsonMatch = cleaned.match(/\{[\s\S]*\}/);
+  console.log(
+    "[extractJsonObject] Extracted JSON string:",
+    jsonMatch ? jsonMatch[0] : "none",
+  );
+  if (jsonMatch) {
+    return JSON.parse(jsonMatch[0]);
   }
+  return JSON.parse(cleaned);
+}
+
+// Replies used when the LLM's output is still invalid after the repair
+const INVALID_RESPONSE_FALLBACK = {
+  type: "final",
+  message:
+    "I'm sorry, I ran into an error processing your request. Please try again or rephrase your question.",
+  relatedMaterials: [],
+  suggestedActions: ["try_again"],
+};
+
+const UNKNOWN_TOOL_FALLBACK = {
+  type: "final",
+  message:
+    "I'm unable to complete that request right now. Please try a different query or ask for help.",
+  relatedMaterials: [],
+  suggestedActions: ["try_search_again", "contact_support"],
+};
+
+/**
+ * Instruction asking the LLM to fix an invalid reply.
+ */
+function buildRepairInstruction({ kind, errors }) {
+  return `Your previous response was invalid (${kind}): ${errors.join("; ")}. Respond again with exactly ONE JSON object in one of the valid response formats, and nothing else.`;
+}
+
+/**
+ * Run one LLM call and return its validated reply.
+ * `complete(messages)` performs the call and resolves with the raw reply.
+ * An invalid reply (see responseValidator.js) gets one repair re-prompt
+ * listing the validation errors; if that is invalid too a canned final
+ * response is returned.
+ */
+async function requestLlmResponse(messages, complete) {
+  const raw = await complete(messages);
+  const { response, failure } = validateLlmOutput(raw);
+  if (response) {
+    recordLlmResponse("valid");
+    return response;
+  }
+
+  console.warn(
+    `[requestLlmResponse] Invalid LLM response (${failure.kind}): ${failure.errors.join("; ")}`,
+  );
+  const repairRaw = await complete([
+    ...messages,
+    { role: "assistant", content: raw },
+    { role: "system", content: buildRepairInstruction(failure) },
+  ]);
+  const repair = validateLlmOutput(repairRaw);
+  if (repair.response) {
+    console.log(`[requestLlmResponse] Repaired ${failure.kind} response`);
+    recordLlmResponse("repaired", failure.kind);
+    return repair.response;
+  }
+
+  console.error(
+    `[requestLlmResponse] Repair failed (${repair.failure.kind}): ${repair.failure.errors.join("; ")}`,
+  );
+  recordLlmResponse("fallback", failure.kind);
+  return repair.failure.kind === "unknown_tool"
+    ? UNKNOWN_TOOL_FALLBACK
+    : INVALID_RESPONSE_FALLBACK;
 }
 
 module.exports = {
   buildMessages,
-  callHfChat,
-  parseLlmResponse,
+  callLlmChat,
+  createMessageDeltaDecoder,
+  extractJsonObject,
+  getLlmProvider,
+  requestLlmResponse,
+  resetLlmProvider,
+  streamLlmChat,
 };
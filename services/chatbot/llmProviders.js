@@ -0,0 +1,450 @@
+/**
+ * LLM providers behind the chatbot and ingestion calls.
+ * Every provider has the same shape:
+ *
+ * - `name` (string) and `model` (string)
+ * - `toolMode` (string): "json" when tool calls are JSON objects in the reply
+ *   text, "native" when the model gets `tools` definitions and replies with
+ *   `tool_calls`
+ * - `complete(messages, { signal, tools })`: resolves with the reply message
+ *   ({ content, reasoning?, tool_calls? })
+ * - `stream(messages, { signal, tools })`: async iterable of deltas
+ *   ({ content?, reasoning?, tool_calls? })
+ *
+ * Implementations:
+ * - "hf": Hugging Face Inference (@huggingface/inference);
+ * - "openai": any OpenAI-compatible /chat/completions endpoint (vLLM,
+ *   llama.cpp server, Ollama, ...);
+ * - "mock": deterministic offline replies, scripted or derived from the
+ *   conversation, for local runs and CI without an API key.
+ *
+ * createLlmProvider wraps the selected provider with the timeout, retries
+ * and circuit breaker of llmResilience.js.
+ */
+
+const fs = require("fs");
+const { InferenceClient } = require("@huggingface/inference");
+const {
+  createCircuitBreaker,
+  getResilienceConfig,
+  withResilience,
+} = require("./llmResilience");
+
+const LLM_PROVIDERS = ["hf", "openai", "mock"];
+
+const TOOL_MODES = ["json", "native"];
+
+const DEFAULT_HF_MODEL = "openai/gpt-oss-120b";
+
+const DEFAULT_LLM_OPTIONS = {
+  maxTokens: 1024,
+  temperature: 0.7,
+  timeoutMs: 60000,
+};
+
+// Size of the pieces the mock provider streams its replies in
+const MOCK_STREAM_CHUNK_SIZE = 16;
+
+/**
+ * Combine a caller's abort signal with the provider timeout.
+ */
+function withTimeout(signal, timeoutMs) {
+  if (!timeoutMs) return signal;
+  const timeout = AbortSignal.timeout(timeoutMs);
+  return signal ? AbortSignal.any([signal, timeout]) : timeout;
+}
+
+/**
+ * Hugging Face Inference provider.
+ */
+function createHfProvider({
+  apiKey,
+  model = DEFAULT_HF_MODEL,
+  maxTokens = DEFAULT_LLM_OPTIONS.maxTokens,
+  temperature = DEFAULT_LLM_OPTIONS.temperature,
+  timeoutMs = DEFAULT_LLM_OPTIONS.timeoutMs,
+  toolMode = "json",
+} = {}) {
+  const client = new InferenceClient(apiKey);
+  const buildRequest = (messages, tools) => ({
+    model,
+    messages,
+    max_tokens: maxTokens,
+    temperature,
+    ...(tools && { tools }),
+  });
+
+  return {
+    name: "hf",
+    model,
+    toolMode,
+
+    async complete(messages, { signal, tools } = {}) {
+      const response = await client.chatCompletion(
+        buildRequest(messages, tools),
+        { signal: withTimeout(signal, timeoutMs) },
+      );
+      return response.choices[0].message;
+    },
+
+    async *stream(messages, { signal, tools } = {}) {
+      for await (const chunk of client.chatCompletionStream(
+        buildRequest(messages, tools),
+        { signal: withTimeout(signal, timeoutMs) },
+      )) {
+        yield chunk.choices?.[0]?.delta || {};
+      }
+    },
+  };
+}
+
+/**
+ * Provider for an OpenAI-compatible HTTP endpoint. `baseUrl` is the API
+ * root, e.g. "http://localhost:8000/v1"; `apiKey` is sent as a bearer token
+ * when set.
+ */
+function createOpenAiCompatibleProvider({
+  baseUrl,
+  apiKey,
+  model,
+  maxTokens = DEFAULT_LLM_OPTIONS.maxTokens,
+  temperature = DEFAULT_LLM_OPTIONS.temperature,
+  timeoutMs = DEFAULT_LLM_OPTIONS.timeoutMs,
+  toolMode = "json",
+  fetchImpl = fetch,
+}) {
+  if (!baseUrl) {
+    throw new Error("LLM_BASE_URL is required for the openai provider");
+  }
+  const url = `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+
+  const post = async (messages, { stream, signal, tools }) => {
+    const response = await fetchImpl(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+      },
+      body: JSON.stringify({
+        model,
+        messages,
+        max_tokens: maxTokens,
+        temperature,
+        ...(tools && { tools }),
+        stream,
+      }),
+      signal: withTimeout(signal, timeoutMs),
+    });
+
+    if (!response.ok) {
+      const error = new Error(`LLM endpoint returned ${response.status}`);
+      error.status = response.status;
+      error.body = await response.text().catch(() => "");
+      // Retry-After in seconds, honoured by the retry backoff
+      const retryAfterSeconds = Number(response.headers?.get("retry-after"));
+      if (retryAfterSeconds > 0) error.retryAfterMs = retryAfterSeconds * 1000;
+      throw error;
+    }
+    return response;
+  };
+
+  return {
+    name: "openai",
+    model,
+    toolMode,
+
+    async complete(messages, { signal, tools } = {}) {
+      const response = await post(messages, { stream: false, signal, tools });
+      const body = await response.json();
+      return body.choices[0].message;
+    },
+
+    async *stream(messages, { signal, tools } = {}) {
+      const response = await post(messages, { stream: true, signal, tools });
+      const decoder = new TextDecoder();
+      let buffer = "";
+
+      for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split("\n");
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          if (!line.startsWith("data:")) continue;
+          const data = line.slice("data:".length).trim();
+          if (data === "[DONE]") return;
+          yield JSON.parse(data).choices?.[0]?.delta || {};
+        }
+      }
+    },
+  };
+}
+
+/**
+ * Results of the latest search in the messages, replayed either as a
+ * "Tool result for search_materials: ..." user message or a native "tool"
+ * message.
+ */
+function latestSearchResults(messages) {
+  const searchPrefix = "Tool result for search_materials: ";
+  for (const msg of [...messages].reverse()) {
+    let output;
+    if (msg.role === "tool") {
+      output = msg.content;
+    } else if (msg.content?.startsWith(searchPrefix)) {
+      output = msg.content.slice(searchPrefix.length);
+    } else {
+      continue;
+    }
+    try {
+      const { results } = JSON.parse(output);
+      if (Array.isArray(results)) return results;
+    } catch {
+      // Not a search result, keep looking
+    }
+  }
+  return [];
+}
+
+/**
+ * Reply of the mock provider when no scripted response is left.
+ * A new user message gets a search_materials call for it; anything after a
+ * tool result or system instruction gets a final answer listing the latest
+ * search hits.
+ */
+function defaultMockReply(messages) {
+  const last = messages.at(-1);
+  if (last?.role === "user" && !last.content.startsWith("Tool result for ")) {
+    return {
+      type: "tool_call",
+      tool: "search_materials",
+      args: { query: last.content, limit: 5 },
+    };
+  }
+
+  const nodes = latestSearchResults(messages)
+    .map(({ node }) => node)
+    .filter(Boolean)
+    .slice(0, 3);
+
+  return {
+    type: "final",
+    message:
+      nodes.length > 0
+        ? `Here are some materials I found: ${nodes.map((node) => node.name).join(", ")}.`
+        : "I couldn't find materials on that topic. Would you like me to request some from the administrators?",
+    relatedMaterials: nodes.map((node) => ({
+      nodeId: node.id,
+      name: node.name,
+      type: String(node.type).toLowerCase(),
+    })),
+    suggestedActions: [],
+  };
+}
+
+/**
+ * Deterministic offline provider. `responses` (strings, or objects sent as
+ * JSON) are replied in order; once used up, replies come from
+ * defaultMockReply. When called with `tools`, tool_call objects are replied
+ * as native `tool_calls`.
+ */
+function createMockProvider({ responses = [], toolMode = "json" } = {}) {
+  const script = [...responses];
+  let replies = 0;
+  const reply = (messages, tools) => {
+    const next =
+      script.length > 0 ? script.shift() : defaultMockReply(messages);
+    replies += 1;
+    if (tools && next?.type === "tool_call") {
+      return {
+        content: "",
+        tool_calls: [
+          {
+            id: `call_${replies}`,
+            type: "function",
+            function: {
+              name: next.tool,
+              arguments: JSON.stringify(next.args ?? {}),
+            },
+          },
+        ],
+      };
+    }
+    return { content: typeof next === "string" ? next : JSON.stringify(next) };
+  };
+
+  return {
+    name: "mock",
+    model: "mock",
+    toolMode,
+
+    async complete(messages, { tools } = {}) {
+      return reply(messages, tools);
+    },
+
+    async *stream(messages, { signal, tools } = {}) {
+      const { content, tool_calls: toolCalls } = reply(messages, tools);
+      if (toolCalls) {
+        yield {
+          tool_calls: toolCalls.map((toolCall, index) => ({
+            index,
+            ...toolCall,
+          })),
+        };
+        return;
+      }
+      for (let i = 0; i < content.length; i += MOCK_STREAM_CHUNK_SIZE) {
+        if (signal?.aborted) throw signal.reason;
+        yield { content: content.slice(i, i + MOCK_STREAM_CHUNK_SIZE) };
+      }
+    },
+  };
+}
+
+/**
+ * Per-model settings from a "<model>=<value>,..." variable, e.g.
+ * LLM_TOOL_MODES="openai/gpt-oss-120b=native,qwen2.5=json".
+ * `parseValue` returns undefined for invalid values; those entries are
+ * skipped with a warning.
+ */
+function parsePerModelSetting(value, envName, parseValue = (text) => text) {
+  const settings = {};
+  for (const entry of (value || "").split(",")) {
+    if (!entry.trim()) continue;
+    const separator = entry.lastIndexOf("=");
+    const model = entry.slice(0, separator).trim();
+    const setting =
+      separator > 0 ? parseValue(entry.slice(separator + 1).trim()) : undefined;
+    if (!model || setting === undefined) {
+      console.warn(
+        `[parsePerModelSetting] Ignoring ${envName} entry "${entry}"`,
+      );
+      continue;
+    }
+    settings[model] = setting;
+  }
+  return settings;
+}
+
+/**
+ * Provider configuration from the environment:
+ * LLM_PROVIDER (hf, openai or mock; default hf), LLM_MAX_TOKENS,
+ * LLM_TEMPERATURE and LLM_TIMEOUT_MS for every provider, HF_API_KEY and
+ * HF_MODEL for hf, LLM_BASE_URL, LLM_API_KEY and LLM_MODEL for openai, and
+ * LLM_MOCK_RESPONSES_PATH (a JSON array of scripted replies) for mock.
+ * LLM_TOOL_MODE (json or native; default json) sets how tools are called,
+ * overridden for individual models by LLM_TOOL_MODES. Retry and circuit
+ * breaker settings come from getResilienceConfig.
+ */
+function getLlmConfig(env = process.env) {
+  let provider = env.LLM_PROVIDER || "hf";
+  if (!LLM_PROVIDERS.includes(provider)) {
+    console.warn(`[getLlmConfig] Unknown LLM_PROVIDER "${provider}", using hf`);
+    provider = "hf";
+  }
+
+  let toolMode = env.LLM_TOOL_MODE || "json";
+  if (!TOOL_MODES.includes(toolMode)) {
+    console.warn(
+      `[getLlmConfig] Unknown LLM_TOOL_MODE "${toolMode}", using json`,
+    );
+    toolMode = "json";
+  }
+
+  const temperature = parseFloat(env.LLM_TEMPERATURE);
+  return {
+    provider,
+    toolMode,
+    toolModes: parsePerModelSetting(
+      env.LLM_TOOL_MODES,
+      "LLM_TOOL_MODES",
+      (mode) => (TOOL_MODES.includes(mode) ? mode : undefined),
+    ),
+    maxTokens: Number(env.LLM_MAX_TOKENS) || DEFAULT_LLM_OPTIONS.maxTokens,
+    temperature: Number.isFinite(temperature)
+      ? temperature
+      : DEFAULT_LLM_OPTIONS.temperature,
+    timeoutMs: Number(env.LLM_TIMEOUT_MS) || DEFAULT_LLM_OPTIONS.timeoutMs,
+    resilience: getResilienceConfig(env),
+    hf: {
+      apiKey: env.HF_API_KEY,
+      model: env.HF_MODEL || DEFAULT_HF_MODEL,
+    },
+    openai: {
+      baseUrl: env.LLM_BASE_URL,
+      apiKey: env.LLM_API_KEY,
+      model: env.LLM_MODEL,
+    },
+    mock: {
+      responsesPath: env.LLM_MOCK_RESPONSES_PATH,
+    },
+  };
+}
+
+/**
+ * Create the provider selected by a config from getLlmConfig(), wrapped with
+ * timeouts, retries and a circuit breaker. The wrapper enforces `timeoutMs`
+ * per attempt.
+ */
+function createLlmProvider(config) {
+  const { timeoutMs, resilience = {} } = config;
+  return withResilience(createBaseProvider(config), {
+    timeoutMs,
+    maxRetries: resilience.maxRetries,
+    retryBaseDelayMs: resilience.retryBaseDelayMs,
+    retryMaxDelayMs: resilience.retryMaxDelayMs,
+    breaker: createCircuitBreaker({
+      threshold: resilience.breakerThreshold,
+      cooldownMs: resilience.breakerCooldownMs,
+    }),
+  });
+}
+
+/**
+ * The unwrapped provider selected by a config.
+ */
+function createBaseProvider(config) {
+  const { provider, maxTokens, temperature } = config;
+  const toolModeFor = (model) =>
+    config.toolModes?.[model] || config.toolMode || "json";
+
+  switch (provider) {
+    case "openai":
+      return createOpenAiCompatibleProvider({
+        ...config.openai,
+        maxTokens,
+        temperature,
+        timeoutMs: 0,
+        toolMode: toolModeFor(config.openai.model),
+      });
+    case "mock": {
+      const { responsesPath } = config.mock;
+      return createMockProvider({
+        responses: responsesPath
+          ? JSON.parse(fs.readFileSync(responsesPath, "utf8"))
+          : [],
+        toolMode: toolModeFor("mock"),
+      });
+    }
+    default:
+      return createHfProvider({
+        ...config.hf,
+        maxTokens,
+        temperature,
+        timeoutMs: 0,
+        toolMode: toolModeFor(config.hf.model),
+      });
+  }
+}
+
+module.exports = {
+  DEFAULT_LLM_OPTIONS,
+  LLM_PROVIDERS,
+  TOOL_MODES,
+  createHfProvider,
+  createLlmProvider,
+  createMockProvider,
+  createOpenAiCompatibleProvider,
+  getLlmConfig,
+  parsePerModelSetting,
+};
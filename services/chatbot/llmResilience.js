@@ -0,0 +1,372 @@
+/**
+ * Resilience around LLM provider calls.
+ * Wraps a provider (see llmProviders.js) with:
+ *
+ * - a per-attempt timeout, enforced with an AbortController;
+ * - bounded retries with jittered exponential backoff for retryable
+ *   failures (timeouts, network errors, 408/425/429/5xx), honouring an
+ *   upstream Retry-After;
+ * - a circuit breaker that fails fast for a cool-down period after repeated
+ *   failures, then lets one trial call through.
+ *
+ * Once retries are spent, or while the circuit is open, calls fail with a
+ * 503 http-error carrying `retryAfterSeconds` and a `reason` ("timeout",
+ * "upstream_unavailable" or "circuit_open") and a message fit for users.
+ * Errors that are not retryable (bad requests, auth) pass through unchanged.
+ */
+
+const createError = require("http-errors");
+
+const DEFAULT_RESILIENCE_OPTIONS = {
+  maxRetries: 2,
+  retryBaseDelayMs: 500,
+  retryMaxDelayMs: 8000,
+  breakerThreshold: 5,
+  breakerCooldownMs: 30000,
+};
+
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+const RETRYABLE_NETWORK_CODES = [
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+  "UND_ERR_SOCKET",
+];
+
+const LLM_UNAVAILABLE_MESSAGE =
+  "The assistant is temporarily unavailable. Please try again in a moment.";
+
+/**
+ * HTTP status of a provider error (OpenAI-compatible errors carry `status`,
+ * Hugging Face errors `httpResponse.status`).
+ */
+function getErrorStatus(error) {
+  return error?.status ?? error?.statusCode ?? error?.httpResponse?.status;
+}
+
+/**
+ * Whether a failed call is worth retrying.
+ */
+function isRetryableError(error) {
+  if (error?.name === "TimeoutError") return true;
+  if (RETRYABLE_STATUSES.includes(getErrorStatus(error))) return true;
+  const code = error?.code ?? error?.cause?.code;
+  return (
+    RETRYABLE_NETWORK_CODES.includes(code) ||
+    (error?.name === "TypeError" && /fetch failed/i.test(error.message))
+  );
+}
+
+/**
+ * Circuit breaker counting consecutive failures.
+ * "closed" lets calls through; `threshold` failures in a row open it for
+ * `cooldownMs`, after which it is "half_open" and lets one trial call
+ * through: success closes it, failure opens it again.
+ */
+function createCircuitBreaker({
+  threshold = DEFAULT_RESILIENCE_OPTIONS.breakerThreshold,
+  cooldownMs = DEFAULT_RESILIENCE_OPTIONS.breakerCooldownMs,
+  now = Date.now,
+} = {}) {
+  let failures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+
+  const state = () => {
+    if (openedAt === null) return "closed";
+    return now() - openedAt >= cooldownMs ? "half_open" : "open";
+  };
+
+  return {
+    state,
+
+    /**
+     * Whether a call may go ahead. In half_open only one trial call may.
+     */
+    allowRequest() {
+      const current = state();
+      if (current === "closed") return true;
+      if (current === "half_open" && !trialInFlight) {
+        trialInFlight = true;
+        return true;
+      }
+      return false;
+    },
+
+    /**
+     * Milliseconds until the breaker lets a call through again.
+     */
+    retryAfterMs() {
+      return openedAt === null
+        ? 0
+        : Math.max(cooldownMs - (now() - openedAt), 0);
+    },
+
+    /**
+     * Free the half_open trial slot when the trial call ended without a
+     * verdict on the provider (the caller aborted it).
+     */
+    releaseTrial() {
+      trialInFlight = false;
+    },
+
+    recordSuccess() {
+      failures = 0;
+      openedAt = null;
+      trialInFlight = false;
+    },
+
+    recordFailure() {
+      failures += 1;
+      trialInFlight = false;
+      if (openedAt !== null || failures >= threshold) {
+        if (state() !== "open") {
+          console.warn(
+            `[circuitBreaker] Opening after ${failures} consecutive LLM failures`,
+          );
+        }
+        openedAt = now();
+      }
+    },
+  };
+}
+
+/**
+ * Resilience options from the environment (LLM_MAX_RETRIES,
+ * LLM_RETRY_BASE_MS, LLM_RETRY_MAX_MS, LLM_BREAKER_THRESHOLD,
+ * LLM_BREAKER_COOLDOWN_MS).
+ */
+function getResilienceConfig(env = process.env) {
+  const maxRetries = Number.parseInt(env.LLM_MAX_RETRIES, 10);
+  return {
+    maxRetries:
+      Number.isInteger(maxRetries) && maxRetries >= 0
+        ? maxRetries
+        : DEFAULT_RESILIENCE_OPTIONS.maxRetries,
+    retryBaseDelayMs:
+      Number(env.LLM_RETRY_BASE_MS) ||
+      DEFAULT_RESILIENCE_OPTIONS.retryBaseDelayMs,
+    retryMaxDelayMs:
+      Number(env.LLM_RETRY_MAX_MS) ||
+      DEFAULT_RESILIENCE_OPTIONS.retryMaxDelayMs,
+    breakerThreshold:
+      Number(env.LLM_BREAKER_THRESHOLD) ||
+      DEFAULT_RESILIENCE_OPTIONS.breakerThreshold,
+    breakerCooldownMs:
+      Number(env.LLM_BREAKER_COOLDOWN_MS) ||
+      DEFAULT_RESILIENCE_OPTIONS.breakerCooldownMs,
+  };
+}
+
+/**
+ * The 503 raised when the LLM cannot be reached.
+ */
+function llmUnavailableError(reason, retryAfterMs, cause) {
+  return createError(503, LLM_UNAVAILABLE_MESSAGE, {
+    reason,
+    retryAfterSeconds: Math.max(Math.ceil(retryAfterMs / 1000), 1),
+    cause,
+  });
+}
+
+/**
+ * Whether an error is the 503 raised by llmUnavailableError.
+ */
+function isLlmUnavailableError(error) {
+  return error?.status === 503 && error.retryAfterSeconds !== undefined;
+}
+
+/**
+ * Abort signal for one attempt: aborted by the caller's signal or after
+ * `timeoutMs` with a TimeoutError. Call `clear()` once the attempt is over.
+ */
+function createAttemptSignal(callerSignal, timeoutMs) {
+  const controller = new AbortController();
+  const timer = timeoutMs
+    ? setTimeout(() => {
+        const error = new Error(`LLM call timed out after ${timeoutMs}ms`);
+        error.name = "TimeoutError";
+        controller.abort(error);
+      }, timeoutMs)
+    : null;
+  const onCallerAbort = () => controller.abort(callerSignal.reason);
+
+  if (callerSignal?.aborted) onCallerAbort();
+  callerSignal?.addEventListener("abort", onCallerAbort, { once: true });
+
+  return {
+    signal: controller.signal,
+    clear() {
+      clearTimeout(timer);
+      callerSignal?.removeEventListener("abort", onCallerAbort);
+    },
+  };
+}
+
+/**
+ * Wrap a provider with timeouts, retries and a circuit breaker.
+ * `sleep` and `random` are injectable for tests.
+ */
+function withResilience(
+  provider,
+  {
+    timeoutMs,
+    maxRetries = DEFAULT_RESILIENCE_OPTIONS.maxRetries,
+    retryBaseDelayMs = DEFAULT_RESILIENCE_OPTIONS.retryBaseDelayMs,
+    retryMaxDelayMs = DEFAULT_RESILIENCE_OPTIONS.retryMaxDelayMs,
+    breaker = createCircuitBreaker(),
+    sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+    random = Math.random,
+  } = {},
+) {
+  // Full jitter: a random delay up to the exponential backoff cap
+  const backoffMs = (retry, error) =>
+    Math.max(
+      error?.retryAfterMs || 0,
+      Math.round(
+        random() * Math.min(retryMaxDelayMs, retryBaseDelayMs * 2 ** retry),
+      ),
+    );
+
+  /**
+   * Run `attempt(attemptSignal)` until it succeeds, fails for good or the
+   * breaker opens. `attempt` gets the { signal, clear } of its attempt and
+   * must call `clear()` once the call is over.
+   */
+  async function run(label, callerSignal, attempt) {
+    for (let retry = 0; ; retry++) {
+      const trial = breaker.state() === "half_open";
+      if (!breaker.allowRequest()) {
+        console.warn(`[${label}] Circuit open, failing fast`);
+        throw llmUnavailableError("circuit_open", breaker.retryAfterMs());
+      }
+
+      const attemptSignal = createAttemptSignal(callerSignal, timeoutMs);
+      try {
+        const result = await attempt(attemptSignal);
+        breaker.recordSuccess();
+        return result;
+      } catch (error) {
+        attemptSignal.clear();
+        const failure = classifyFailure(
+          error,
+          attemptSignal.signal,
+          callerSignal,
+        );
+        if (!failure) throw error;
+
+        if (retry >= maxRetries || breaker.state() === "open") {
+          console.error(
+            `[${label}] ${provider.name} provider failed after ${retry + 1} attempts:`,
+            failure.cause.message,
+          );
+          throw unavailableAfter(failure, backoffMs(retry, failure.cause));
+        }
+
+        const delayMs = backoffMs(retry, failure.cause);
+        console.warn(
+          `[${label}] Attempt ${retry + 1} failed (${getErrorStatus(failure.cause) ?? failure.cause.name}), retrying in ${delayMs}ms`,
+        );
+        await sleep(delayMs);
+      } finally {
+        // However the trial ended, the next call may try again
+        if (trial) breaker.releaseTrial();
+      }
+    }
+  }
+
+  /**
+   * Record a failed attempt on the breaker. Returns { cause } for a
+   * retryable failure, or null for errors to pass through (caller aborts,
+   * bad requests).
+   */
+  function classifyFailure(error, attemptSignal, callerSignal) {
+    if (callerSignal?.aborted) return null;
+    const cause = attemptSignal.aborted ? attemptSignal.reason : error;
+    if (!isRetryableError(cause)) {
+      // The provider answered: it is up, even if the request was bad
+      breaker.recordSuccess();
+      return null;
+    }
+    breaker.recordFailure();
+    return { cause };
+  }
+
+  const unavailableAfter = ({ cause }, retryAfterMs) =>
+    llmUnavailableError(
+      cause.name === "TimeoutError" ? "timeout" : "upstream_unavailable",
+      Math.max(breaker.retryAfterMs(), retryAfterMs),
+      cause,
+    );
+
+  return {
+    ...provider,
+    breaker,
+
+    complete(messages, { signal, ...options } = {}) {
+      return run(
+        "llmComplete",
+        signal,
+        async ({ signal: attemptSignal, clear }) => {
+          try {
+            return await provider.complete(messages, {
+              ...options,
+              signal: attemptSignal,
+            });
+          } finally {
+            clear();
+          }
+        },
+      );
+    },
+
+    /**
+     * Streams are retried only until their first delta: once output has
+     * reached the caller a failed stream cannot be replayed, and fails with
+     * the 503 straight away. The timeout covers the whole stream.
+     */
+    async *stream(messages, { signal, ...options } = {}) {
+      const attempt = await run("llmStream", signal, async (attemptSignal) => {
+        const iterator = provider
+          .stream(messages, { ...options, signal: attemptSignal.signal })
+          [Symbol.asyncIterator]();
+        return { ...attemptSignal, iterator, first: await iterator.next() };
+      });
+
+      try {
+        let next = attempt.first;
+        while (!next.done) {
+          yield next.value;
+          try {
+            next = await attempt.iterator.next();
+          } catch (error) {
+            const failure = classifyFailure(error, attempt.signal, signal);
+            if (!failure) throw error;
+            console.error(
+              `[llmStream] ${provider.name} stream failed midway:`,
+              failure.cause.message,
+            );
+            throw unavailableAfter(failure, 0);
+          }
+        }
+      } finally {
+        attempt.clear();
+        // Close the provider stream when the caller stops early
+        await attempt.iterator.return?.();
+      }
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_RESILIENCE_OPTIONS,
+  LLM_UNAVAILABLE_MESSAGE,
+  createCircuitBreaker,
+  getErrorStatus,
+  getResilienceConfig,
+  isLlmUnavailableError,
+  isRetryableError,
+  llmUnavailableError,
+  withResilience,
+};
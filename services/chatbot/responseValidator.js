@@ -0,0 +1,231 @@
+/**
+ * Validation of raw LLM replies against the tool_call and final schemas.
+ * Replies may wrap the JSON in <think> blocks or markdown, or concatenate
+ * several objects; the first object that parses and validates is used.
+ * Failures are classified as "not_json", "schema_violation" or
+ * "unknown_tool" and counted for GET /chatbot/llm/stats.
+ */
+
+const { toolRegistry } = require("./tools");
+
+const FAILURE_KINDS = ["not_json", "schema_violation", "unknown_tool"];
+
+// JSON Schemas of the two reply shapes (see the system prompt)
+const LLM_RESPONSE_SCHEMAS = {
+  tool_call: {
+    type: "object",
+    required: ["type", "tool"],
+    properties: {
+      type: { const: "tool_call" },
+      tool: { type: "string", minLength: 1 },
+      args: { type: "object" },
+    },
+  },
+  final: {
+    type: "object",
+    required: ["type", "message"],
+    properties: {
+      type: { const: "final" },
+      message: { type: "string", minLength: 1 },
+      relatedMaterials: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["nodeId"],
+          properties: {
+            nodeId: { type: "string" },
+            name: { type: "string" },
+            type: { type: "string" },
+          },
+        },
+      },
+      suggestedActions: { type: "array", items: { type: "string" } },
+    },
+  },
+};
+
+const JSON_TYPE_CHECKS = {
+  object: (value) =>
+    value !== null && typeof value === "object" && !Array.isArray(value),
+  array: Array.isArray,
+  string: (value) => typeof value === "string",
+};
+
+function createEmptyStats() {
+  return {
+    responses: 0,
+    valid: 0,
+    repaired: 0,
+    fallbacks: 0,
+    failures: Object.fromEntries(FAILURE_KINDS.map((kind) => [kind, 0])),
+  };
+}
+
+let stats = createEmptyStats();
+
+/**
+ * Validate a value against the JSON Schema subset used above (type, const,
+ * required, properties, items, minLength). Returns error strings, empty when
+ * the value is valid.
+ */
+function validateSchema(schema, value, at = "response") {
+  if (schema.const !== undefined && value !== schema.const) {
+    return [`${at} must be ${JSON.stringify(schema.const)}`];
+  }
+  if (schema.type && !JSON_TYPE_CHECKS[schema.type](value)) {
+    return [
+      `${at} must be ${/^[aeiou]/.test(schema.type) ? "an" : "a"} ${schema.type}`,
+    ];
+  }
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    return [`${at} must not be empty`];
+  }
+
+  const errors = [];
+  for (const key of schema.required || []) {
+    if (value[key] === undefined) errors.push(`${at}.${key} is required`);
+  }
+  for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+    if (value[key] !== undefined) {
+      errors.push(
+        ...validateSchema(propertySchema, value[key], `${at}.${key}`),
+      );
+    }
+  }
+  if (schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(schema.items, item, `${at}[${index}]`));
+    });
+  }
+  return errors;
+}
+
+/**
+ * Top-level {...} substrings of a reply, in order. Braces inside JSON strings
+ * are ignored, so concatenated objects split correctly.
+ */
+function extractJsonCandidates(raw) {
+  const candidates = [];
+  let depth = 0;
+  let start = -1;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = 0; i < raw.length; i++) {
+    const char = raw[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === "\\") escaped = true;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      if (depth > 0) inString = true;
+    } else if (char === "{") {
+      if (depth === 0) start = i;
+      depth += 1;
+    } else if (char === "}" && depth > 0) {
+      depth -= 1;
+      if (depth === 0) candidates.push(raw.slice(start, i + 1));
+    }
+  }
+  return candidates;
+}
+
+/**
+ * Check one parsed object against the reply schemas and the tool registry.
+ * Returns null when valid, or { kind, errors }.
+ */
+function classifyParsed(parsed) {
+  const schema = LLM_RESPONSE_SCHEMAS[parsed?.type];
+  if (!schema) {
+    return {
+      kind: "schema_violation",
+      errors: ['response.type must be "tool_call" or "final"'],
+    };
+  }
+
+  const errors = validateSchema(schema, parsed);
+  if (errors.length > 0) return { kind: "schema_violation", errors };
+
+  if (parsed.type === "tool_call" && !toolRegistry.has(parsed.tool)) {
+    return {
+      kind: "unknown_tool",
+      errors: [
+        `Unknown tool "${parsed.tool}". Available tools: ${toolRegistry.names.join(", ")}`,
+      ],
+    };
+  }
+  return null;
+}
+
+/**
+ * Parse and validate a raw LLM reply.
+ * Returns { response } for the first valid object, or { failure: { kind,
+ * errors } } describing the first object that parsed (or not_json when none
+ * did).
+ */
+function validateLlmOutput(raw) {
+  const cleaned = String(raw ?? "")
+    .replace(/<think>[\s\S]*?<\/think>/g, "")
+    .trim();
+
+  let failure = null;
+  for (const candidate of extractJsonCandidates(cleaned)) {
+    let parsed;
+    try {
+      parsed = JSON.parse(candidate);
+    } catch {
+      continue;
+    }
+    const problem = classifyParsed(parsed);
+    if (!problem) return { response: parsed };
+    failure ??= problem;
+  }
+
+  return {
+    failure: failure || {
+      kind: "not_json",
+      errors: ["The response did not contain a JSON object"],
+    },
+  };
+}
+
+/**
+ * Count one LLM reply. `outcome` is "valid", "repaired" (invalid, fixed by
+ * the repair re-prompt) or "fallback" (still invalid after it);
+ * `failureKind` classifies the first invalid reply.
+ */
+function recordLlmResponse(outcome, failureKind) {
+  stats.responses += 1;
+  if (outcome === "valid") stats.valid += 1;
+  if (outcome === "repaired") stats.repaired += 1;
+  if (outcome === "fallback") stats.fallbacks += 1;
+  if (failureKind) stats.failures[failureKind] += 1;
+}
+
+/**
+ * Counters of LLM reply validation since start.
+ */
+function getLlmResponseStats() {
+  return {
+    ...stats,
+    failures: { ...stats.failures },
+  };
+}
+
+/**
+ * Reset the counters (for tests).
+ */
+function resetLlmResponseStats() {
+  stats = createEmptyStats();
+}
+
+module.exports = {
+  FAILURE_KINDS,
+  LLM_RESPONSE_SCHEMAS,
+  extractJsonCandidates,
+  getLlmResponseStats,
+  recordLlmResponse,
+  resetLlmResponseStats,
+  validateLlmOutput,
+  validateSchema,
+};
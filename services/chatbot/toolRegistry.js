@@ -0,0 +1,185 @@
+/**
+ * Registry of the tools the chatbot LLM may call.
+ * Each tool is a definition:
+ *
+ * - `name` (string): tool name the LLM uses in its tool_call
+ * - `description` (string): one-line summary for the system prompt
+ * - `args` (object): argument schema, { <name>: { type, required, default,
+ *   enum, min, max, items, description } } with type "string", "integer",
+ *   "number" or "array" (of `items`, a type name)
+ * - `example` (object): example args shown to the LLM
+ * - `notes` (string[]): extra prompt lines, optional
+ * - `execute(args, context)`: runs the tool with validated args
+ *
+ * The registry validates args against the schema before dispatching; invalid
+ * args are returned to the LLM as { error } so it can correct itself.
+ */
+
+const TYPE_LABELS = {
+  string: "a string",
+  integer: "an integer",
+  number: "a number",
+  array: "an array",
+};
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === "string",
+  integer: Number.isInteger,
+  number: (value) => typeof value === "number" && Number.isFinite(value),
+  array: Array.isArray,
+};
+
+/**
+ * Expected-value wording for an argument, e.g. "an integer between 1 and 12".
+ */
+function describeExpected(spec) {
+  const label = TYPE_LABELS[spec.type];
+  if (spec.min !== undefined && spec.max !== undefined) {
+    return `${label} between ${spec.min} and ${spec.max}`;
+  }
+  return label;
+}
+
+/**
+ * Validate tool args against an argument schema.
+ * Blank or missing optional args take their default (or are dropped); args
+ * not in the schema are passed through untouched.
+ * Returns { args } or { error }.
+ */
+function validateToolArgs(schema, args) {
+  const input =
+    args && typeof args === "object" && !Array.isArray(args) ? args : {};
+  const validated = { ...input };
+
+  for (const [name, spec] of Object.entries(schema)) {
+    const value = input[name];
+    const missing =
+      value === undefined ||
+      value === null ||
+      (typeof value === "string" && value.trim() === "");
+
+    if (missing) {
+      if (spec.required) {
+        return {
+          error: `${name} is required and must be ${describeExpected(spec)}`,
+        };
+      }
+      if (spec.default !== undefined) {
+        validated[name] = spec.default;
+      } else {
+        delete validated[name];
+      }
+      continue;
+    }
+
+    if (spec.enum && !spec.enum.includes(value)) {
+      return { error: `${name} must be one of: ${spec.enum.join(", ")}` };
+    }
+
+    const outOfRange =
+      (spec.min !== undefined && value < spec.min) ||
+      (spec.max !== undefined && value > spec.max);
+    if (!TYPE_CHECKS[spec.type](value) || outOfRange) {
+      return { error: `${name} must be ${describeExpected(spec)}` };
+    }
+
+    validated[name] = spec.type === "string" ? value.trim() : value;
+  }
+
+  return { args: validated };
+}
+
+/**
+ * Prompt text listing one tool, its example args and notes.
+ */
+function describeTool({ name, description, example, notes = [] }) {
+  return [
+    `- ${name}: ${description} Args: ${JSON.stringify(example)}`,
+    ...notes.map((note) => `  ${note}`),
+  ].join("\n");
+}
+
+/**
+ * JSON Schema of a tool's args, for native function calling.
+ */
+function toParametersSchema(args) {
+  const properties = {};
+  for (const [name, spec] of Object.entries(args)) {
+    properties[name] = {
+      type: spec.type,
+      ...(spec.description && { description: spec.description }),
+      ...(spec.items && { items: { type: spec.items } }),
+      ...(spec.enum && { enum: spec.enum }),
+      ...(spec.min !== undefined && { minimum: spec.min }),
+      ...(spec.max !== undefined && { maximum: spec.max }),
+      ...(spec.default !== undefined && { default: spec.default }),
+    };
+  }
+  return {
+    type: "object",
+    properties,
+    required: Object.keys(args).filter((name) => args[name].required),
+  };
+}
+
+/**
+ * Create a registry from tool definitions.
+ */
+function createToolRegistry(tools) {
+  const toolsByName = new Map(tools.map((tool) => [tool.name, tool]));
+
+  return {
+    names: [...toolsByName.keys()],
+
+    has(name) {
+      return toolsByName.has(name);
+    },
+
+    /**
+     * The AVAILABLE TOOLS section of the system prompt.
+     */
+    describe() {
+      return tools.map(describeTool).join("\n");
+    },
+
+    /**
+     * Tool definitions in the OpenAI `tools` format, for models that call
+     * tools natively.
+     */
+    toFunctionDefinitions() {
+      return tools.map(({ name, description, notes = [], args }) => ({
+        type: "function",
+        function: {
+          name,
+          description: [description, ...notes].join(" "),
+          parameters: toParametersSchema(args),
+        },
+      }));
+    },
+
+    /**
+     * Validate args and run a tool call ({ tool, args }).
+     * `context` carries what tools need from the request ({ driver,
+     * sessionId, bypassCache }). Throws for tools that are not registered.
+     */
+    async execute({ tool, args }, context = {}) {
+      const definition = toolsByName.get(tool);
+      if (!definition) {
+        throw new Error(`Unknown tool: ${tool}`);
+      }
+
+      const validation = validateToolArgs(definition.args, args);
+      if (validation.error) {
+        console.warn(`[${tool}] Invalid tool args: ${validation.error}`);
+        return { error: validation.error };
+      }
+
+      return definition.execute(validation.args, context);
+    },
+  };
+}
+
+module.exports = {
+  createToolRegistry,
+  validateToolArgs,
+};
@@ -0,0 +1,270 @@
+/**
+ * Tools available to the chatbot LLM (see toolRegistry.js).
+ * Args use snake_case names; handlers get validated args and a context of
+ * { driver, sessionId } from the chat request.
+ */
+
+const { createToolRegistry } = require("./toolRegistry");
+const {
+  SEARCH_MODES,
+  parseSearchRequest,
+  searchNodes,
+} = require("../embeddings/searchService");
+const {
+  MAX_SEARCH_LIMIT,
+  MAX_SEARCH_OFFSET,
+} = require("../embeddings/searchFilters");
+const { isValidNodeId } = require("../neo4j/queryBuilder");
+const {
+  DEFAULT_PREREQUISITE_DEPTH,
+  MAX_PREREQUISITE_DEPTH,
+  getNodeDetails,
+  getPrerequisites,
+} = require("../graph/nodeLookup");
+const { createMaterialRequest } = require("../materials/materialRequestStore");
+const {
+  getMaterialRequestDispatcher,
+} = require("../materials/materialRequestDispatcher");
+
+const NODE_NOT_FOUND = {
+  error: "No node with that node_id. Use an id from a tool result.",
+};
+
+/**
+ * Search the materials database.
+ * Uses hybrid search unless the LLM asks for another mode. Filter args are
+ * validated like the search endpoint's.
+ */
+async function executeSearch(args, { driver, bypassCache = false }) {
+  const {
+    query,
+    limit,
+    mode,
+    types,
+    offset,
+    cursor,
+    min_similarity: minSimilarity,
+    exclude_ids: excludeIds,
+    within_reach_of: withinReachOf,
+  } = args;
+
+  const { filters, error } = parseSearchRequest({
+    mode,
+    limit,
+    types,
+    offset,
+    cursor,
+    minSimilarity,
+    excludeIds,
+    withinReachOf,
+  });
+  if (error) {
+    console.warn(`[executeSearch] Invalid search args: ${error}`);
+    return { error };
+  }
+
+  console.log(
+    `[executeSearch] Searching for: "${query}" (limit: ${limit}, mode: ${mode})`,
+  );
+
+  // The LLM always gets graph context so it can point at teaching URLs
+  const searchResult = await searchNodes(driver, query, {
+    mode,
+    filters,
+    includeGraphContext: true,
+    bypassCache,
+  });
+  console.log(
+    `[executeSearch] Found ${searchResult.results?.length || 0} results`,
+  );
+
+  return searchResult;
+}
+
+/**
+ * File a request for administrators to add materials on a topic.
+ * Persists the request and returns an acknowledgement for the LLM.
+ */
+async function executeMaterialRequest(args, { sessionId }) {
+  const {
+    topic,
+    user_context: userContext,
+    suggested_resources: suggestedResources = [],
+  } = args;
+
+  const request = await createMaterialRequest({
+    topic,
+    userContext: userContext ?? null,
+    suggestedResources: suggestedResources.filter(
+      (resource) => typeof resource === "string",
+    ),
+    sessionId: sessionId || null,
+  });
+  getMaterialRequestDispatcher()?.kick();
+  console.log(
+    `[executeMaterialRequest] Filed request ${request.requestId} for "${request.topic}"`,
+  );
+
+  return {
+    requestId: request.requestId,
+    status: request.status,
+    topic: request.topic,
+  };
+}
+
+/**
+ * Look up a node with its teaching URLs and neighbours.
+ */
+async function executeNodeDetails({ node_id: nodeId }, { driver }) {
+  if (!isValidNodeId(nodeId)) {
+    return { error: "node_id must be a node id" };
+  }
+
+  const details = await getNodeDetails(driver, nodeId);
+  console.log(
+    `[executeNodeDetails] ${nodeId}: ${details ? "found" : "not found"}`,
+  );
+  return details || NODE_NOT_FOUND;
+}
+
+/**
+ * Look up the transitive prerequisites of a node.
+ */
+async function executePrerequisites({ node_id: nodeId, depth }, { driver }) {
+  if (!isValidNodeId(nodeId)) {
+    return { error: "node_id must be a node id" };
+  }
+
+  const result = await getPrerequisites(driver, nodeId, depth);
+  console.log(
+    `[executePrerequisites] ${nodeId} (depth ${depth}): ${result ? `${result.prerequisites.length} prerequisites` : "not found"}`,
+  );
+  return result || NODE_NOT_FOUND;
+}
+
+const CHAT_TOOLS = [
+  {
+    name: "search_materials",
+    description:
+      "search over the learning materials database. Combines keyword and semantic matching by default.",
+    args: {
+      query: {
+        type: "string",
+        required: true,
+        description: "What to search for",
+      },
+      limit: { type: "integer", min: 1, max: MAX_SEARCH_LIMIT, default: 5 },
+      mode: { type: "string", enum: SEARCH_MODES, default: "hybrid" },
+      types: {
+        type: "array",
+        items: "string",
+        description: 'Node types to return: "Skill" and/or "URL"',
+      },
+      min_similarity: {
+        type: "number",
+        min: -1,
+        max: 1,
+        description: "Minimum semantic similarity of a result",
+      },
+      exclude_ids: {
+        type: "array",
+        items: "string",
+        description: "Node ids to leave out, e.g. completed materials",
+      },
+      within_reach_of: {
+        type: "string",
+        description: "Only return materials reachable from this node id",
+      },
+      offset: {
+        type: "integer",
+        min: 0,
+        max: MAX_SEARCH_OFFSET,
+        description: "Number of results to skip",
+      },
+      cursor: {
+        type: "string",
+        description: "nextCursor from a previous result, for the next page",
+      },
+    },
+    example: { query: "<search query>", limit: 5, mode: "hybrid" },
+    notes: [
+      'mode is optional: "hybrid", "semantic" or "keyword"',
+      'Optional filters: "types":["Skill"|"URL"], "min_similarity":<-1..1>, "exclude_ids":["<node id>"] (e.g. materials the user has completed), "within_reach_of":"<node id>" (only materials reachable from that node), "offset":<n> or "cursor":"<nextCursor from a previous result>" for the next page',
+      'Each result has a "graph" field: "taughtBy" (URLs teaching a skill), "prerequisites" (skills a URL requires), "teaches", "unlocks" and "distanceFromEntry" (steps from the start of the learning tree). Use it to tell the user which resources teach a skill and what to learn first.',
+    ],
+    execute: executeSearch,
+  },
+  {
+    name: "get_node_details",
+    description:
+      "look up one node by id: its description, the URLs teaching it, its prerequisites and what it unlocks.",
+    args: {
+      node_id: {
+        type: "string",
+        required: true,
+        description: "Node id from a tool result",
+      },
+    },
+    example: { node_id: "<node id from a tool result>" },
+    execute: executeNodeDetails,
+  },
+  {
+    name: "get_prerequisites",
+    description:
+      "list what to learn before a node: the skills on learning paths into it and the URLs teaching them, each with its distance in steps.",
+    args: {
+      node_id: {
+        type: "string",
+        required: true,
+        description: "Node id from a tool result",
+      },
+      depth: {
+        type: "integer",
+        min: 1,
+        max: MAX_PREREQUISITE_DEPTH,
+        default: DEFAULT_PREREQUISITE_DEPTH,
+      },
+    },
+    example: {
+      node_id: "<node id from a tool result>",
+      depth: DEFAULT_PREREQUISITE_DEPTH,
+    },
+    notes: [
+      `depth is optional (1-${MAX_PREREQUISITE_DEPTH}): how many steps back to look. Skills and URLs alternate, so each skill level is two steps.`,
+    ],
+    execute: executePrerequisites,
+  },
+  {
+    name: "request_material_addition",
+    description:
+      "file a request for administrators to add materials on a topic.",
+    args: {
+      topic: { type: "string", required: true },
+      user_context: {
+        type: "string",
+        description: "Why the user needs materials on the topic",
+      },
+      suggested_resources: {
+        type: "array",
+        items: "string",
+        default: [],
+        description: "URLs or resource names the user suggested",
+      },
+    },
+    example: {
+      topic: "<topic>",
+      user_context: "<why the user needs it, optional>",
+      suggested_resources: [
+        "<URL or resource name the user suggested, optional>",
+      ],
+    },
+    execute: executeMaterialRequest,
+  },
+];
+
+const toolRegistry = createToolRegistry(CHAT_TOOLS);
+
+module.exports = {
+  CHAT_TOOLS,
+  toolRegistry,
+};
@@ -0,0 +1,80 @@
+/**
+ * Graph context for search hits.
+ * Attaches each hit's one-hop learning-path neighbourhood and its hop
+ * distance from the entry node, so a Skill hit lists the URLs teaching it
+ * and a URL hit lists the skills it requires.
+ */
+
+const { ENTRY_NODE_ID } = require("../neo4j/queryBuilder");
+const { toNumber } = require("../neo4j/neo4jHelpers");
+const { MAX_PATH_DEPTH } = require("../paths/pathFinder");
+
+// Neighbours returned per relationship direction
+const MAX_NEIGHBORS = 10;
+
+const neighborProjection = (variable) =>
+  `{id: ${variable}.id, name: ${variable}.name, type: labels(${variable})[0]}`;
+
+/**
+ * Fetch graph context for a set of node ids in one query.
+ * Returns a Map of id -> { teaches, taughtBy, prerequisites, unlocks,
+ * distanceFromEntry }. distanceFromEntry is null when the node cannot be
+ * reached from the entry node within MAX_PATH_DEPTH hops.
+ */
+async function fetchGraphContext(driver, ids) {
+  if (ids.length === 0) return new Map();
+
+  const session = driver.session();
+  try {
+    const result = await session.executeRead((tx) => {
+      return tx.run(
+        `UNWIND $ids as nodeId
+        MATCH (n:Skill|URL {id: nodeId})
+        OPTIONAL MATCH (entry:Skill|URL {id: $entryId})
+        OPTIONAL MATCH p = shortestPath((entry)-[:IS_PREREQUISITE_TO|TEACHES*0..${MAX_PATH_DEPTH}]->(n))
+        RETURN n.id as id,
+          [(n)-[:TEACHES]->(m) | ${neighborProjection("m")}][..${MAX_NEIGHBORS}] as teaches,
+          [(m)-[:TEACHES]->(n) | ${neighborProjection("m")}][..${MAX_NEIGHBORS}] as taughtBy,
+          [(m)-[:IS_PREREQUISITE_TO]->(n) | ${neighborProjection("m")}][..${MAX_NEIGHBORS}] as prerequisites,
+          [(n)-[:IS_PREREQUISITE_TO]->(m) | ${neighborProjection("m")}][..${MAX_NEIGHBORS}] as unlocks,
+          length(p) as distanceFromEntry`,
+        { ids, entryId: ENTRY_NODE_ID },
+      );
+    });
+
+    return new Map(
+      result.records.map((record) => [
+        record.get("id"),
+        {
+          teaches: record.get("teaches"),
+          taughtBy: record.get("taughtBy"),
+          prerequisites: record.get("prerequisites"),
+          unlocks: record.get("unlocks"),
+          distanceFromEntry: toNumber(record.get("distanceFromEntry")),
+        },
+      ]),
+    );
+  } finally {
+    session.close();
+  }
+}
+
+/**
+ * Return the hits with a `graph` field holding their graph context.
+ * Hits whose node no longer exists get `graph: null`.
+ */
+async function attachGraphContext(driver, results) {
+  const context = await fetchGraphContext(
+    driver,
+    results.map((result) => result.node.id),
+  );
+  return results.map((result) => ({
+    ...result,
+    graph: context.get(result.node.id) ?? null,
+  }));
+}
+
+module.exports = {
+  attachGraphContext,
+  fetchGraphContext,
+};
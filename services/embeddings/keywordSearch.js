@@ -0,0 +1,96 @@
+/**
+ * Keyword search over node names using a Neo4j full-text index.
+ * Catches exact matches ("CSS grid", library names) that embedding
+ * similarity ranks poorly.
+ */
+
+const neo4j = require("neo4j-driver");
+
+const FULLTEXT_INDEX_NAME = "node_name_fulltext";
+
+// Characters with special meaning in Lucene query syntax
+const LUCENE_SPECIAL_CHARACTERS = /[+\-&|!(){}[\]^"~*?:\\/]/g;
+
+/**
+ * Build the schema statement creating the full-text index over Skill and
+ * URL names and descriptions.
+ */
+function buildCreateFulltextIndexQuery() {
+  return `CREATE FULLTEXT INDEX ${FULLTEXT_INDEX_NAME} IF NOT EXISTS
+FOR (n:Skill|URL) ON EACH [n.name, n.description]`;
+}
+
+/**
+ * Build the statement dropping the full-text index (for rebuilds).
+ */
+function buildDropFulltextIndexQuery() {
+  return `DROP INDEX ${FULLTEXT_INDEX_NAME} IF EXISTS`;
+}
+
+/**
+ * Turn free text into a Lucene query matching any of its terms.
+ * Special characters are escaped so user input cannot change query syntax.
+ * Returns null when no searchable terms remain.
+ */
+function toLuceneQuery(text) {
+  const terms = text
+    .split(/\s+/)
+    .map((term) => term.replace(LUCENE_SPECIAL_CHARACTERS, "\\$&"))
+    .filter((term) => term.length > 0 && !/^(AND|OR|NOT)$/.test(term));
+
+  return terms.length > 0 ? terms.join(" ") : null;
+}
+
+/**
+ * Whether a query failed because the full-text index does not exist.
+ */
+function isMissingFulltextIndexError(error) {
+  return /no such fulltext schema index/i.test(error?.message ?? "");
+}
+
+/**
+ * Top-k nodes by full-text relevance.
+ * Returns [{ node, score }] ordered by Lucene score.
+ */
+async function searchNodesByKeyword(driver, query, limit) {
+  const searchText = toLuceneQuery(query);
+  if (!searchText) return [];
+
+  const session = driver.session();
+  try {
+    const result = await session.executeRead((tx) => {
+      return tx.run(
+        `CALL db.index.fulltext.queryNodes($indexName, $searchText)
+        YIELD node, score
+        RETURN {
+          id: node.id,
+          name: node.name,
+          type: labels(node)[0]
+        } as node, score
+        ORDER BY score DESC
+        LIMIT $k`,
+        {
+          indexName: FULLTEXT_INDEX_NAME,
+          searchText,
+          k: neo4j.int(limit),
+        },
+      );
+    });
+
+    return result.records.map((record) => ({
+      node: record.get("node"),
+      score: record.get("score"),
+    }));
+  } finally {
+    session.close();
+  }
+}
+
+module.exports = {
+  FULLTEXT_INDEX_NAME,
+  buildCreateFulltextIndexQuery,
+  buildDropFulltextIndexQuery,
+  isMissingFulltextIndexError,
+  searchNodesByKeyword,
+  toLuceneQuery,
+};
@@ -0,0 +1,240 @@
+/**
+ * Caches in front of search: query embeddings by normalized query text,
+ * and search results by normalized query plus mode, filters and graph
+ * context. Both are LRU caches whose entries also expire after a TTL.
+ *
+ * Graph writes and new embeddings make cached results stale, so both caches
+ * are cleared whenever the search index is invalidated (see
+ * invalidateSearchIndex). Hit and miss counters are reported in
+ * GET /chatbot/search/stats.
+ */
+
+const DEFAULT_SEARCH_CACHE_OPTIONS = {
+  resultsMaxEntries: 500,
+  resultsTtlMs: 5 * 60 * 1000,
+  embeddingsMaxEntries: 1000,
+  embeddingsTtlMs: 60 * 60 * 1000,
+};
+
+let caches = null;
+let lastClearedAt = null;
+// Bumped on every clear, so a search that started before a clear does not
+// store its result after it
+let generation = 0;
+
+/**
+ * Create an LRU cache holding at most `maxEntries` entries, each for at most
+ * `ttlMs`. A `maxEntries` of 0 disables caching.
+ * Options: now (clock, for tests).
+ */
+function createLruCache({ maxEntries, ttlMs, now = () => Date.now() }) {
+  // Map iteration order is insertion order: the first key is the least
+  // recently used
+  const entries = new Map();
+  const counters = { hits: 0, misses: 0, bypassed: 0, evictions: 0 };
+
+  return {
+    /**
+     * Cached value for a key, or undefined on a miss.
+     */
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry || entry.expiresAt <= now()) {
+        entries.delete(key);
+        counters.misses += 1;
+        return undefined;
+      }
+      entries.delete(key);
+      entries.set(key, entry);
+      counters.hits += 1;
+      return entry.value;
+    },
+
+    set(key, value) {
+      if (maxEntries <= 0) return;
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: now() + ttlMs });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+        counters.evictions += 1;
+      }
+    },
+
+    /**
+     * Count a lookup the caller chose to skip.
+     */
+    recordBypass() {
+      counters.bypassed += 1;
+    },
+
+    clear() {
+      entries.clear();
+    },
+
+    getStats() {
+      const lookups = counters.hits + counters.misses;
+      return {
+        size: entries.size,
+        maxEntries,
+        ttlMs,
+        ...counters,
+        hitRatio: lookups > 0 ? counters.hits / lookups : null,
+      };
+    },
+  };
+}
+
+/**
+ * Cache sizes and TTLs from the environment (SEARCH_CACHE_MAX_ENTRIES,
+ * SEARCH_CACHE_TTL_MS, QUERY_EMBEDDING_CACHE_MAX_ENTRIES,
+ * QUERY_EMBEDDING_CACHE_TTL_MS).
+ */
+function getSearchCacheConfig(env = process.env) {
+  const setting = (value, fallback) => {
+    const parsed = Number.parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+  };
+  return {
+    resultsMaxEntries: setting(
+      env.SEARCH_CACHE_MAX_ENTRIES,
+      DEFAULT_SEARCH_CACHE_OPTIONS.resultsMaxEntries,
+    ),
+    resultsTtlMs: setting(
+      env.SEARCH_CACHE_TTL_MS,
+      DEFAULT_SEARCH_CACHE_OPTIONS.resultsTtlMs,
+    ),
+    embeddingsMaxEntries: setting(
+      env.QUERY_EMBEDDING_CACHE_MAX_ENTRIES,
+      DEFAULT_SEARCH_CACHE_OPTIONS.embeddingsMaxEntries,
+    ),
+    embeddingsTtlMs: setting(
+      env.QUERY_EMBEDDING_CACHE_TTL_MS,
+      DEFAULT_SEARCH_CACHE_OPTIONS.embeddingsTtlMs,
+    ),
+  };
+}
+
+/**
+ * The shared caches, created on first use.
+ */
+function getSearchCaches() {
+  if (!caches) {
+    const config = getSearchCacheConfig();
+    caches = {
+      embeddings: createLruCache({
+        maxEntries: config.embeddingsMaxEntries,
+        ttlMs: config.embeddingsTtlMs,
+      }),
+      results: createLruCache({
+        maxEntries: config.resultsMaxEntries,
+        ttlMs: config.resultsTtlMs,
+      }),
+    };
+  }
+  return caches;
+}
+
+/**
+ * Query text as cached and embedded: trimmed, lowercased, with runs of
+ * whitespace collapsed. The embedding model is uncased, so this does not
+ * change its output.
+ */
+function normalizeQuery(query) {
+  return query.trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+/**
+ * Embedding of a query, computed with `embed(text)` on a cache miss.
+ */
+async function cachedQueryEmbedding(query, embed) {
+  const { embeddings } = getSearchCaches();
+  const text = normalizeQuery(query);
+  const cached = embeddings.get(text);
+  if (cached) return cached;
+
+  const startedIn = generation;
+  const embedding = await embed(text);
+  if (startedIn === generation) embeddings.set(text, embedding);
+  return embedding;
+}
+
+/**
+ * Cache key of a search: normalized query, mode, normalized filters and
+ * whether graph context is attached.
+ */
+function searchResultKey(query, { mode, filters, includeGraphContext }) {
+  return JSON.stringify([
+    normalizeQuery(query),
+    mode,
+    filters,
+    includeGraphContext,
+  ]);
+}
+
+/**
+ * Search result for a key, computed with `search()` on a miss. With
+ * `bypass` the cache is not read but the fresh result is still stored.
+ * Degraded results (those with a `note`, e.g. a failed signal) are not
+ * stored, nor are results of a search the cache was cleared during.
+ */
+async function cachedSearchResult(key, search, { bypass = false } = {}) {
+  const { results } = getSearchCaches();
+  if (bypass) {
+    results.recordBypass();
+  } else {
+    const cached = results.get(key);
+    if (cached) return cached;
+  }
+
+  const startedIn = generation;
+  const result = await search();
+  if (!result.note && startedIn === generation) results.set(key, result);
+  return result;
+}
+
+/**
+ * Drop every cached embedding and search result.
+ */
+function clearSearchCache() {
+  if (caches) {
+    caches.embeddings.clear();
+    caches.results.clear();
+  }
+  generation += 1;
+  lastClearedAt = new Date().toISOString();
+}
+
+/**
+ * Size, TTL and hit counters of both caches.
+ */
+function getSearchCacheStats() {
+  const { embeddings, results } = getSearchCaches();
+  return {
+    queryEmbeddings: embeddings.getStats(),
+    results: results.getStats(),
+    lastClearedAt,
+  };
+}
+
+/**
+ * Drop the caches and their counters so the next lookup re-reads the
+ * environment (for tests).
+ */
+function resetSearchCache() {
+  caches = null;
+  lastClearedAt = null;
+  generation = 0;
+}
+
+module.exports = {
+  DEFAULT_SEARCH_CACHE_OPTIONS,
+  cachedQueryEmbedding,
+  cachedSearchResult,
+  clearSearchCache,
+  createLruCache,
+  getSearchCacheConfig,
+  getSearchCacheStats,
+  normalizeQuery,
+  resetSearchCache,
+  searchResultKey,
+};
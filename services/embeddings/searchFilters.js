@@ -0,0 +1,188 @@
+/**
+ * Search filter model.
+ * Validates filters shared by POST /chatbot/search and the search_materials
+ * tool, and turns them into a predicate applied to search candidates.
+ */
+
+const { isValidNodeId } = require("../neo4j/queryBuilder");
+
+const SEARCH_NODE_TYPES = ["Skill", "URL"];
+const DEFAULT_SEARCH_LIMIT = 5;
+const MAX_SEARCH_LIMIT = 50;
+// Deepest page start: the search fetches offset + limit + 1 candidates, so
+// this bounds the size of the index queries
+const MAX_SEARCH_OFFSET = 200;
+
+// Upper bound on relationship hops when resolving withinReachOf
+const MAX_REACH_DEPTH = 12;
+
+/**
+ * Encode a result offset as an opaque pagination cursor.
+ */
+function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ offset })).toString("base64url");
+}
+
+/**
+ * Decode a pagination cursor. Returns the offset, or null if malformed or
+ * past MAX_SEARCH_OFFSET.
+ */
+function decodeCursor(cursor) {
+  try {
+    const { offset } = JSON.parse(
+      Buffer.from(cursor, "base64url").toString("utf8"),
+    );
+    return Number.isInteger(offset) &&
+      offset >= 0 &&
+      offset <= MAX_SEARCH_OFFSET
+      ? offset
+      : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Validate and normalize raw search filters.
+ * Returns { filters } on success or { error } describing the first problem.
+ * Normalized filters: { limit, offset, types, minSimilarity, excludeIds,
+ * withinReachOf } with null for filters that were not given.
+ */
+function validateSearchFilters(input = {}) {
+  const {
+    limit = DEFAULT_SEARCH_LIMIT,
+    offset,
+    cursor,
+    types,
+    minSimilarity,
+    excludeIds,
+    withinReachOf,
+  } = input;
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_LIMIT) {
+    return {
+      error: `limit must be an integer between 1 and ${MAX_SEARCH_LIMIT}`,
+    };
+  }
+
+  if (offset !== undefined && cursor !== undefined) {
+    return { error: "Use either offset or cursor, not both" };
+  }
+
+  let start = 0;
+  if (offset !== undefined) {
+    if (!Number.isInteger(offset) || offset < 0 || offset > MAX_SEARCH_OFFSET) {
+      return {
+        error: `offset must be an integer between 0 and ${MAX_SEARCH_OFFSET}`,
+      };
+    }
+    start = offset;
+  }
+  if (cursor !== undefined) {
+    start = typeof cursor === "string" ? decodeCursor(cursor) : null;
+    if (start === null) return { error: "cursor is malformed" };
+  }
+
+  let nodeTypes = null;
+  if (types !== undefined) {
+    if (!Array.isArray(types) || types.length === 0) {
+      return { error: "types must be a non-empty array" };
+    }
+    nodeTypes = types.map((type) =>
+      SEARCH_NODE_TYPES.find(
+        (nodeType) =>
+          typeof type === "string" &&
+          nodeType.toLowerCase() === type.toLowerCase(),
+      ),
+    );
+    if (nodeTypes.includes(undefined)) {
+      return {
+        error: `types may only contain: ${SEARCH_NODE_TYPES.join(", ")}`,
+      };
+    }
+  }
+
+  if (
+    minSimilarity !== undefined &&
+    (typeof minSimilarity !== "number" ||
+      minSimilarity < -1 ||
+      minSimilarity > 1)
+  ) {
+    return { error: "minSimilarity must be a number between -1 and 1" };
+  }
+
+  if (
+    excludeIds !== undefined &&
+    (!Array.isArray(excludeIds) || !excludeIds.every(isValidNodeId))
+  ) {
+    return { error: "excludeIds must be an array of node ids" };
+  }
+
+  if (withinReachOf !== undefined && !isValidNodeId(withinReachOf)) {
+    return { error: "withinReachOf must be a node id" };
+  }
+
+  return {
+    filters: {
+      limit,
+      offset: start,
+      types: nodeTypes,
+      minSimilarity: minSimilarity ?? null,
+      excludeIds: excludeIds ?? null,
+      withinReachOf: withinReachOf ?? null,
+    },
+  };
+}
+
+/**
+ * Ids of every node reachable from a node along learning-path edges.
+ */
+async function findDescendantIds(driver, nodeId) {
+  const session = driver.session();
+  try {
+    const result = await session.executeRead((tx) => {
+      return tx.run(
+        `MATCH (start {id: $nodeId})-[:IS_PREREQUISITE_TO|TEACHES*1..${MAX_REACH_DEPTH}]->(descendant)
+        RETURN collect(DISTINCT descendant.id) as ids`,
+        { nodeId },
+      );
+    });
+
+    const record = result.records[0];
+    return new Set(record ? record.get("ids") : []);
+  } finally {
+    session.close();
+  }
+}
+
+/**
+ * Build the predicate that search candidates ({ node }) must satisfy.
+ * Returns null when no node filter applies. Similarity thresholds are
+ * applied separately because they only concern semantic scores.
+ */
+async function buildNodeFilter(driver, filters) {
+  const { types, excludeIds, withinReachOf } = filters;
+  if (!types && !excludeIds && !withinReachOf) return null;
+
+  const excluded = new Set(excludeIds || []);
+  const reachable = withinReachOf
+    ? await findDescendantIds(driver, withinReachOf)
+    : null;
+
+  return ({ node }) =>
+    (!types || types.includes(node.type)) &&
+    !excluded.has(node.id) &&
+    (!reachable || reachable.has(node.id));
+}
+
+module.exports = {
+  DEFAULT_SEARCH_LIMIT,
+  MAX_SEARCH_LIMIT,
+  MAX_SEARCH_OFFSET,
+  SEARCH_NODE_TYPES,
+  buildNodeFilter,
+  decodeCursor,
+  encodeCursor,
+  findDescendantIds,
+  validateSearchFilters,
+};
@@ -0,0 +1,288 @@
+/**
+ * In-memory vector index for semantic search.
+ * Loads the embedding model once and keeps every node embedding in a single
+ * normalized Float32Array matrix, so queries need no database round trip.
+ * The index reloads fully when its TTL expires and refreshes individual
+ * nodes incrementally after they are invalidated.
+ */
+
+const EMBEDDING_MODEL = "Xenova/all-MiniLM-L6-v2";
+const EMBEDDING_DIMENSIONS = 384;
+const DEFAULT_TTL_MS = 10 * 60 * 1000;
+
+const NODE_FIELDS = `
+  RETURN {
+    id: n.id,
+    name: n.name,
+    type: labels(n)[0]
+  } as node,
+  n.embedding as embedding`;
+
+let extractorPromise = null;
+let searchIndex = null;
+
+/**
+ * Get the shared feature-extraction pipeline, creating it on first use.
+ */
+function getEmbeddingPipeline() {
+  if (!extractorPromise) {
+    const { pipeline } = require("@xenova/transformers");
+    extractorPromise = Promise.resolve(
+      pipeline("feature-extraction", EMBEDDING_MODEL),
+    ).catch((error) => {
+      extractorPromise = null;
+      throw error;
+    });
+  }
+  return extractorPromise;
+}
+
+/**
+ * Embed a text with the shared pipeline (mean pooled, normalized).
+ */
+async function embedText(text) {
+  const extractor = await getEmbeddingPipeline();
+  const result = await extractor(text, { pooling: "mean", normalize: true });
+  return Float32Array.from(result.data);
+}
+
+/**
+ * Scale a vector to unit length in place. Stored embeddings are rounded,
+ * so they drift slightly from unit length.
+ */
+function normalizeInPlace(vector) {
+  let sum = 0;
+  for (let i = 0; i < vector.length; i++) sum += vector[i] * vector[i];
+  const norm = Math.sqrt(sum);
+  if (norm > 0) {
+    for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+  }
+  return vector;
+}
+
+/**
+ * Create a vector index.
+ * Options: ttlMs (full reload interval), now (clock, for tests).
+ */
+function createSearchIndex({
+  ttlMs = DEFAULT_TTL_MS,
+  now = () => Date.now(),
+} = {}) {
+  let dimensions = EMBEDDING_DIMENSIONS;
+  let matrix = new Float32Array(0);
+  let nodes = [];
+  let rowById = new Map();
+  let lastRefreshedAt = null;
+  let needsFullReload = true;
+  let refreshing = null;
+  const pendingIds = new Set();
+
+  function ensureCapacity(rows) {
+    if (matrix.length >= rows * dimensions) return;
+    const grown = new Float32Array(
+      Math.max(rows, nodes.length * 2) * dimensions,
+    );
+    grown.set(matrix);
+    matrix = grown;
+  }
+
+  function upsert(node, embedding) {
+    let row = rowById.get(node.id);
+    if (row === undefined) {
+      row = nodes.length;
+      ensureCapacity(row + 1);
+      rowById.set(node.id, row);
+      nodes.push(node);
+    } else {
+      nodes[row] = node;
+    }
+    matrix.set(
+      normalizeInPlace(Float32Array.from(embedding)),
+      row * dimensions,
+    );
+  }
+
+  // Swap the last row into the removed slot to keep the matrix dense
+  function remove(id) {
+    const row = rowById.get(id);
+    if (row === undefined) return;
+    const lastRow = nodes.length - 1;
+    if (row !== lastRow) {
+      matrix.copyWithin(
+        row * dimensions,
+        lastRow * dimensions,
+        (lastRow + 1) * dimensions,
+      );
+      nodes[row] = nodes[lastRow];
+      rowById.set(nodes[row].id, row);
+    }
+    nodes.pop();
+    rowById.delete(id);
+  }
+
+  async function loadFull(driver) {
+    // Invalidations arriving during the read stay pending for the next
+    // refresh; the captured ones are restored if the read fails
+    const capturedIds = [...pendingIds];
+    needsFullReload = false;
+    pendingIds.clear();
+
+    const session = driver.session();
+    try {
+      const result = await session.executeRead((tx) => {
+        return tx.run(
+          `MATCH (n:Skill|URL)
+          WHERE n.embedding IS NOT NULL${NODE_FIELDS}`,
+        );
+      });
+
+      const [first] = result.records;
+      dimensions = first ? first.get("embedding").length : EMBEDDING_DIMENSIONS;
+      matrix = new Float32Array(result.records.length * dimensions);
+      nodes = [];
+      rowById = new Map();
+      result.records.forEach((record) => {
+        upsert(record.get("node"), record.get("embedding"));
+      });
+
+      lastRefreshedAt = new Date(now()).toISOString();
+    } catch (error) {
+      needsFullReload = true;
+      capturedIds.forEach((id) => pendingIds.add(id));
+      throw error;
+    } finally {
+      session.close();
+    }
+  }
+
+  async function loadPending(driver) {
+    const ids = [...pendingIds];
+    pendingIds.clear();
+
+    const session = driver.session();
+    try {
+      const result = await session.executeRead((tx) => {
+        return tx.run(
+          `MATCH (n:Skill|URL)
+          WHERE n.id IN $ids AND n.embedding IS NOT NULL${NODE_FIELDS}`,
+          { ids },
+        );
+      });
+
+      const found = new Set();
+      result.records.forEach((record) => {
+        const node = record.get("node");
+        found.add(node.id);
+        upsert(node, record.get("embedding"));
+      });
+      ids.forEach((id) => {
+        if (!found.has(id)) remove(id);
+      });
+      lastRefreshedAt = new Date(now()).toISOString();
+    } catch (error) {
+      ids.forEach((id) => pendingIds.add(id));
+      throw error;
+    } finally {
+      session.close();
+    }
+  }
+
+  function isExpired() {
+    return (
+      lastRefreshedAt === null ||
+      now() - new Date(lastRefreshedAt).getTime() >= ttlMs
+    );
+  }
+
+  /**
+   * Bring the index up to date: a full reload when empty, invalidated or
+   * expired, otherwise an incremental refresh of invalidated nodes.
+   * Concurrent callers share the same refresh.
+   */
+  function ensureFresh(driver) {
+    if (!refreshing) {
+      let work = null;
+      if (needsFullReload || isExpired()) work = loadFull(driver);
+      else if (pendingIds.size > 0) work = loadPending(driver);
+      if (!work) return Promise.resolve();
+
+      refreshing = work.finally(() => {
+        refreshing = null;
+      });
+    }
+    return refreshing;
+  }
+
+  /**
+   * Mark nodes as changed so the next query refreshes them.
+   * Without ids the whole index is reloaded.
+   */
+  function invalidate(ids) {
+    if (ids === undefined) {
+      needsFullReload = true;
+      return;
+    }
+    ids.forEach((id) => pendingIds.add(id));
+  }
+
+  /**
+   * Top-k nodes by cosine similarity (dot product of unit vectors).
+   * An optional filter ({ node, similarity }) => boolean is applied before
+   * taking the top k.
+   */
+  function query(embedding, k, filter = null) {
+    const queryVector = normalizeInPlace(Float32Array.from(embedding));
+    const scored = nodes.map((node, row) => {
+      const offset = row * dimensions;
+      let similarity = 0;
+      for (let i = 0; i < dimensions; i++) {
+        similarity += matrix[offset + i] * queryVector[i];
+      }
+      return { node, similarity };
+    });
+
+    return (filter ? scored.filter(filter) : scored)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, k);
+  }
+
+  function getStats() {
+    return {
+      size: nodes.length,
+      dimensions,
+      lastRefreshedAt,
+      modelName: EMBEDDING_MODEL,
+      ttlMs,
+      pendingUpdates: pendingIds.size,
+    };
+  }
+
+  return {
+    ensureFresh,
+    invalidate,
+    query,
+    getStats,
+  };
+}
+
+/**
+ * Get the shared search index (TTL from SEARCH_INDEX_TTL_MS).
+ */
+function getSearchIndex() {
+  if (!searchIndex) {
+    const ttlMs = parseInt(process.env.SEARCH_INDEX_TTL_MS, 10);
+    searchIndex = createSearchIndex(
+      Number.isFinite(ttlMs) && ttlMs >= 0 ? { ttlMs } : {},
+    );
+  }
+  return searchIndex;
+}
+
+module.exports = {
+  EMBEDDING_DIMENSIONS,
+  EMBEDDING_MODEL,
+  createSearchIndex,
+  embedText,
+  getEmbeddingPipeline,
+  getSearchIndex,
+};
@@ -1,76 +1,449 @@
 /**
  * Embedding and search utilities using @xenova/transformers.
  * Handles semantic search against Neo4j nodes with embeddings.
+ *
+ * Two backends answer similarity queries:
+ * - "vector_index": Neo4j native vector indexes (used when detected online);
+ * - "in_memory": the in-memory index scoring every embedding in JavaScript.
+ *
+ * Search modes combine those with keyword matches from the full-text index:
+ * "semantic", "keyword" or "hybrid" (reciprocal-rank fusion of both).
+ * Hits can optionally carry their graph neighbourhood (see graphContext.js).
+ * Query embeddings and search results are cached (see searchCache.js).
  */
 
+const { embedText, getSearchIndex } = require("./searchIndex");
+const {
+  detectVectorIndexSupport,
+  queryVectorIndexes,
+} = require("./vectorIndexBackend");
+const {
+  isMissingFulltextIndexError,
+  searchNodesByKeyword,
+} = require("./keywordSearch");
+const {
+  MAX_SEARCH_OFFSET,
+  buildNodeFilter,
+  encodeCursor,
+  validateSearchFilters,
+} = require("./searchFilters");
+const { attachGraphContext } = require("./graphContext");
+const {
+  cachedQueryEmbedding,
+  cachedSearchResult,
+  clearSearchCache,
+  getSearchCacheStats,
+  searchResultKey,
+} = require("./searchCache");
+
+const SEARCH_MODES = ["semantic", "keyword", "hybrid"];
+
+// Standard RRF damping constant: keeps top ranks from dominating the sum
+const RRF_K = 60;
+
+// Each signal contributes this many candidates per requested result, so
+// nodes ranked moderately by both signals can surface after fusion
+const HYBRID_CANDIDATE_FACTOR = 4;
+const HYBRID_MIN_CANDIDATES = 20;
+
+// Index-backed searches return the top k before filtering, so filtered
+// searches over-fetch to still fill the requested page
+const FILTER_OVERFETCH_FACTOR = 5;
+
 /**
- * Search for nodes using semantic similarity.
- * Fetches all nodes with embeddings, computes similarity with query, and returns top results.
+ * Run a top-k search and apply a candidate filter, over-fetching when a
+ * filter is set.
+ */
+async function searchFiltered(search, limit, filter) {
+  if (!filter) return search(limit);
+  const results = await search(limit * FILTER_OVERFETCH_FACTOR);
+  return results.filter(filter).slice(0, limit);
+}
+
+let searchBackend = "in_memory";
+let detection = null;
+
+/**
+ * Detect whether the database has usable vector indexes and pick the search
+ * backend accordingly. Called at startup; searches wait for it.
  */
-async function searchNodesBySimilarity(driver, query, limit = 5) {
-  const session = driver.session();
+function detectSearchBackend(driver) {
+  detection = detectVectorIndexSupport(driver).then(({ supported, reason }) => {
+    searchBackend = supported ? "vector_index" : "in_memory";
+    console.log(
+      `[detectSearchBackend] Using ${searchBackend} search backend${reason ? ` (${reason})` : ""}`,
+    );
+    return searchBackend;
+  });
+  return detection;
+}
 
+/**
+ * Embedding of a search query, cached by its normalized text.
+ */
+function embedQuery(query) {
+  return cachedQueryEmbedding(query, embedText);
+}
+
+/**
+ * Brute-force search through the in-memory index.
+ */
+async function searchInMemory(driver, query, limit, filter) {
+  const index = getSearchIndex();
+  await index.ensureFresh(driver);
+
+  // If we have no results, return empty
+  if (index.getStats().size === 0) {
+    return {
+      results: [],
+      note: "No embeddings found. Run 'npm run generate-embeddings' to populate embeddings.",
+    };
+  }
+
+  const queryEmbedding = await embedQuery(query);
+
+  return { results: index.query(queryEmbedding, limit, filter) };
+}
+
+/**
+ * Add graph context to a search result's hits. Search results are still
+ * returned if the graph lookup fails; the failure is reported in `note`.
+ */
+async function withGraphContext(driver, searchResult) {
   try {
-    // Fetch all nodes with embeddings
-    const result = await session.executeRead((tx) => {
-      return tx.run(
-        `
-        MATCH (n:Skill|URL)
-        WHERE n.embedding IS NOT NULL
-        RETURN {
-          id: n.id,
-          name: n.name,
-          type: labels(n)[0]
-        } as node,
-        n.embedding as embedding
-        `,
+    return {
+      ...searchResult,
+      results: await attachGraphContext(driver, searchResult.results),
+    };
+  } catch (error) {
+    console.error("[withGraphContext] Graph context lookup failed:", error);
+    const note = `Graph context unavailable: ${error.message}`;
+    return {
+      ...searchResult,
+      note: searchResult.note ? `${searchResult.note} ${note}` : note,
+    };
+  }
+}
+
+/**
+ * Semantic search on the detected backend, without graph context.
+ */
+async function searchBySimilarityOnBackend(driver, query, limit, filter) {
+  if (detection) await detection;
+
+  if (searchBackend === "vector_index") {
+    try {
+      const queryEmbedding = await embedQuery(query);
+      const results = await searchFiltered(
+        (k) => queryVectorIndexes(driver, queryEmbedding, k),
+        limit,
+        filter,
+      );
+      return { results };
+    } catch (error) {
+      console.error(
+        "[searchNodesBySimilarity] Vector index query failed, falling back to in-memory search:",
+        error.message,
       );
-    });
-
-    // If we have no results, return empty
-    if (result.records.length === 0) {
-      return {
-        results: [],
-        note: "No embeddings found. Run 'npm run generate-embeddings' to populate embeddings.",
-      };
     }
+  }
 
-    // Import the embedding generator to get query embedding
-    const { pipeline } = require("@xenova/transformers");
-    const extractor = await pipeline(
-      "feature-extraction",
-      "Xenova/all-MiniLM-L6-v2",
-    );
+  return searchInMemory(driver, query, limit, filter);
+}
+
+/**
+ * Search for nodes using semantic similarity.
+ * Uses the vector index backend when available and falls back to the
+ * in-memory index if it is unsupported or the index query fails.
+ * Options:
+ * - filter: ({ node, similarity }) => boolean restricting candidates;
+ * - includeGraphContext: attach each hit's one-hop TEACHES /
+ *   IS_PREREQUISITE_TO neighbours and hop distance from the entry node.
+ */
+async function searchNodesBySimilarity(
+  driver,
+  query,
+  limit = 5,
+  { filter = null, includeGraphContext = false } = {},
+) {
+  const searchResult = await searchBySimilarityOnBackend(
+    driver,
+    query,
+    limit,
+    filter,
+  );
+  return includeGraphContext
+    ? withGraphContext(driver, searchResult)
+    : searchResult;
+}
+
+/**
+ * Fuse two ranked lists with reciprocal-rank fusion.
+ * A node's fused score is the sum of 1 / (RRF_K + rank) over the lists it
+ * appears in (ranks start at 1). Per-signal scores are kept on each result.
+ */
+function fuseByReciprocalRank(semanticResults, keywordResults) {
+  const fused = new Map();
+  const entryFor = (node) => {
+    if (!fused.has(node.id)) {
+      fused.set(node.id, {
+        node,
+        similarity: null,
+        scores: { semantic: null, keyword: null, fused: 0 },
+      });
+    }
+    return fused.get(node.id);
+  };
+
+  semanticResults.forEach(({ node, similarity }, index) => {
+    const entry = entryFor(node);
+    entry.similarity = similarity;
+    entry.scores.semantic = similarity;
+    entry.scores.fused += 1 / (RRF_K + index + 1);
+  });
+  keywordResults.forEach(({ node, score }, index) => {
+    const entry = entryFor(node);
+    entry.scores.keyword = score;
+    entry.scores.fused += 1 / (RRF_K + index + 1);
+  });
+
+  return [...fused.values()].sort((a, b) => b.scores.fused - a.scores.fused);
+}
+
+/**
+ * Combine a node filter and a similarity threshold into one candidate
+ * filter for semantic results.
+ */
+function semanticFilter(nodeFilter, minSimilarity) {
+  if (minSimilarity === null) return nodeFilter;
+  return (candidate) =>
+    candidate.similarity >= minSimilarity &&
+    (!nodeFilter || nodeFilter(candidate));
+}
 
-    // Generate embedding for the query
-    const queryEmbeddingResult = await extractor(query, {
-      pooling: "mean",
-      normalize: true,
-    });
-    const queryEmbedding = Array.from(queryEmbeddingResult.data);
-
-    // Compute cosine similarity with dot product (since embeddings are normalized)
-    const scored = result.records
-      .map((record) => {
-        const nodeEmbedding = record.get("embedding");
-        const similarity = nodeEmbedding.reduce(
-          (sum, val, idx) => sum + val * queryEmbedding[idx],
-          0,
-        );
-        return {
-          node: record.get("node"),
-          similarity,
-        };
-      })
-      .sort((a, b) => b.similarity - a.similarity)
-      .slice(0, limit);
-
-    return { results: scored };
-  } finally {
-    session.close();
+const MISSING_FULLTEXT_INDEX_NOTE =
+  "Keyword search unavailable: the full-text index does not exist. Run 'npm run create-vector-index' to create it.";
+
+/**
+ * Note reported when keyword search fails.
+ */
+function keywordUnavailableNote(error) {
+  return isMissingFulltextIndexError(error)
+    ? MISSING_FULLTEXT_INDEX_NOTE
+    : `Keyword search unavailable: ${error.message}`;
+}
+
+/**
+ * Keyword search with a candidate filter applied.
+ */
+function searchKeywordFiltered(driver, query, limit, nodeFilter) {
+  return searchFiltered(
+    (k) => searchNodesByKeyword(driver, query, k),
+    limit,
+    nodeFilter,
+  );
+}
+
+/**
+ * Search in hybrid mode. If one signal fails the other still answers and
+ * the failure is reported in `note`. With `minSimilarity` only hits the
+ * semantic search found above it are kept: keyword-only hits have no
+ * similarity to check.
+ */
+async function searchHybrid(driver, query, limit, nodeFilter, minSimilarity) {
+  const candidates = Math.max(
+    limit * HYBRID_CANDIDATE_FACTOR,
+    HYBRID_MIN_CANDIDATES,
+  );
+  const [semantic, keyword] = await Promise.allSettled([
+    searchNodesBySimilarity(driver, query, candidates, {
+      filter: semanticFilter(nodeFilter, minSimilarity),
+    }),
+    searchKeywordFiltered(driver, query, candidates, nodeFilter),
+  ]);
+
+  if (semantic.status === "rejected" && keyword.status === "rejected") {
+    throw semantic.reason;
+  }
+
+  const notes = [];
+  if (semantic.status === "rejected") {
+    console.error("[searchHybrid] Semantic search failed:", semantic.reason);
+    notes.push(`Semantic search unavailable: ${semantic.reason.message}`);
+  } else if (semantic.value.note) {
+    notes.push(semantic.value.note);
   }
+  if (keyword.status === "rejected") {
+    console.error("[searchHybrid] Keyword search failed:", keyword.reason);
+    notes.push(keywordUnavailableNote(keyword.reason));
+  }
+
+  const results = fuseByReciprocalRank(
+    semantic.status === "fulfilled" ? semantic.value.results : [],
+    keyword.status === "fulfilled" ? keyword.value : [],
+  )
+    .filter((result) => minSimilarity === null || result.similarity !== null)
+    .slice(0, limit);
+
+  return {
+    results,
+    ...(notes.length > 0 ? { note: notes.join(" ") } : {}),
+  };
+}
+
+/**
+ * Run a search in one mode, returning up to `limit` ranked results.
+ */
+async function searchInMode(
+  driver,
+  query,
+  mode,
+  limit,
+  nodeFilter,
+  minSimilarity,
+) {
+  if (mode === "hybrid") {
+    return searchHybrid(driver, query, limit, nodeFilter, minSimilarity);
+  }
+
+  if (mode === "keyword") {
+    let results;
+    try {
+      results = await searchKeywordFiltered(driver, query, limit, nodeFilter);
+    } catch (error) {
+      if (!isMissingFulltextIndexError(error)) throw error;
+      console.error("[searchInMode] Full-text index missing:", error.message);
+      return { results: [], note: MISSING_FULLTEXT_INDEX_NOTE };
+    }
+    return {
+      results: results.map(({ node, score }) => ({
+        node,
+        similarity: null,
+        scores: { keyword: score },
+      })),
+    };
+  }
+
+  const searchResult = await searchNodesBySimilarity(driver, query, limit, {
+    filter: semanticFilter(nodeFilter, minSimilarity),
+  });
+  return {
+    ...searchResult,
+    results: searchResult.results.map((result) => ({
+      ...result,
+      scores: { semantic: result.similarity },
+    })),
+  };
+}
+
+/**
+ * Search nodes in the given mode ("semantic", "keyword" or "hybrid").
+ * `filters` is the normalized output of validateSearchFilters: type, id and
+ * reachability filters, a semantic similarity threshold, and offset-based
+ * pagination. Every result carries `scores` with the per-signal scores that
+ * produced it; `nextCursor` is set when another page exists. With
+ * `includeGraphContext` the hits on the returned page also carry `graph`.
+ * Results are served from the search cache unless `bypassCache` is set.
+ * They are shared between callers and must not be modified.
+ */
+async function searchNodes(
+  driver,
+  query,
+  {
+    mode = "hybrid",
+    filters = {},
+    includeGraphContext = false,
+    bypassCache = false,
+  } = {},
+) {
+  return cachedSearchResult(
+    searchResultKey(query, { mode, filters, includeGraphContext }),
+    () => searchPage(driver, query, { mode, filters, includeGraphContext }),
+    { bypass: bypassCache },
+  );
+}
+
+/**
+ * Uncached searchNodes.
+ */
+async function searchPage(
+  driver,
+  query,
+  { mode, filters, includeGraphContext },
+) {
+  const { limit = 5, offset = 0, minSimilarity = null } = filters;
+  const nodeFilter = await buildNodeFilter(driver, filters);
+
+  // One extra result tells whether another page exists
+  const { results, ...rest } = await searchInMode(
+    driver,
+    query,
+    mode,
+    offset + limit + 1,
+    nodeFilter,
+    minSimilarity,
+  );
+  // No cursor past the deepest page a request may start at
+  const hasMore =
+    results.length > offset + limit && offset + limit <= MAX_SEARCH_OFFSET;
+  const page = { ...rest, results: results.slice(offset, offset + limit) };
+
+  return {
+    ...(includeGraphContext ? await withGraphContext(driver, page) : page),
+    mode,
+    offset,
+    nextCursor: hasMore ? encodeCursor(offset + limit) : null,
+  };
+}
+
+/**
+ * Stats for the search index backing semantic search, with the search
+ * cache counters in `cache`.
+ */
+function getSearchIndexStats() {
+  return {
+    backend: searchBackend,
+    ...getSearchIndex().getStats(),
+    cache: getSearchCacheStats(),
+  };
+}
+
+/**
+ * Mark nodes as changed so the next search picks them up.
+ * Without ids the whole index is reloaded. Cached embeddings and results
+ * are dropped either way: any change can alter any result.
+ */
+function invalidateSearchIndex(ids) {
+  getSearchIndex().invalidate(ids);
+  clearSearchCache();
+}
+
+/**
+ * Validate a search mode and filters shared by the search endpoint and the
+ * search_materials tool. Returns { mode, filters } or { error }.
+ */
+function parseSearchRequest({ mode, ...filterInput }) {
+  if (!SEARCH_MODES.includes(mode)) {
+    return { error: `mode must be one of: ${SEARCH_MODES.join(", ")}` };
+  }
+
+  const { filters, error } = validateSearchFilters(filterInput);
+  if (error) return { error };
+
+  if (mode === "keyword" && filters.minSimilarity !== null) {
+    return { error: "minSimilarity requires semantic or hybrid mode" };
+  }
+
+  return { mode, filters };
 }
 
 module.exports = {
+  SEARCH_MODES,
+  detectSearchBackend,
+  fuseByReciprocalRank,
+  getSearchIndexStats,
+  invalidateSearchIndex,
+  parseSearchRequest,
+  searchNodes,
   searchNodesBySimilarity,
 };
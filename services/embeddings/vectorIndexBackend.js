@@ -0,0 +1,130 @@
+/**
+ * Neo4j native vector index search backend.
+ * Queries per-label vector indexes over Skill.embedding and URL.embedding with
+ * db.index.vector.queryNodes instead of scoring every node in JavaScript.
+ */
+
+const neo4j = require("neo4j-driver");
+const { EMBEDDING_DIMENSIONS } = require("./searchIndex");
+
+const VECTOR_SIMILARITY_FUNCTION = "cosine";
+
+// Neo4j 5 vector indexes cover a single label, so each searchable label
+// gets its own index
+const VECTOR_INDEXES = [
+  { name: "skill_embedding_index", label: "Skill" },
+  { name: "url_embedding_index", label: "URL" },
+];
+
+/**
+ * Build the schema statements creating every vector index.
+ * Index names and labels are fixed identifiers, never user input.
+ */
+function buildCreateVectorIndexQueries(dimensions = EMBEDDING_DIMENSIONS) {
+  return VECTOR_INDEXES.map(
+    ({ name, label }) => `CREATE VECTOR INDEX ${name} IF NOT EXISTS
+FOR (n:${label}) ON (n.embedding)
+OPTIONS {indexConfig: {
+  \`vector.dimensions\`: ${dimensions},
+  \`vector.similarity_function\`: "${VECTOR_SIMILARITY_FUNCTION}"
+}}`,
+  );
+}
+
+/**
+ * Build the statements dropping every vector index (for rebuilds).
+ */
+function buildDropVectorIndexQueries() {
+  return VECTOR_INDEXES.map(({ name }) => `DROP INDEX ${name} IF EXISTS`);
+}
+
+/**
+ * Whether every vector index exists and is ONLINE.
+ * Servers without vector index support fail the query, which counts as
+ * unsupported.
+ */
+async function detectVectorIndexSupport(driver) {
+  const session = driver.session();
+  try {
+    const result = await session.executeRead((tx) => {
+      return tx.run(
+        `SHOW INDEXES YIELD name, type, state
+        WHERE type = "VECTOR" AND name IN $names
+        RETURN name, state`,
+        { names: VECTOR_INDEXES.map((index) => index.name) },
+      );
+    });
+
+    const online = new Set(
+      result.records
+        .filter((record) => record.get("state") === "ONLINE")
+        .map((record) => record.get("name")),
+    );
+    const missing = VECTOR_INDEXES.filter((index) => !online.has(index.name));
+
+    return {
+      supported: missing.length === 0,
+      reason:
+        missing.length === 0
+          ? null
+          : `Vector indexes not online: ${missing.map((index) => index.name).join(", ")}`,
+    };
+  } catch (error) {
+    return { supported: false, reason: error.message };
+  } finally {
+    session.close();
+  }
+}
+
+/**
+ * Top-k nodes across all vector indexes.
+ * Neo4j reports cosine scores as (1 + cosine) / 2; they are mapped back to
+ * cosine similarity so results match the in-memory backend.
+ */
+async function queryVectorIndexes(driver, embedding, limit) {
+  const session = driver.session();
+  try {
+    const result = await session.executeRead((tx) => {
+      return tx.run(
+        `CALL {
+          CALL db.index.vector.queryNodes($skillIndex, $k, $embedding)
+          YIELD node, score
+          RETURN node, score
+          UNION ALL
+          CALL db.index.vector.queryNodes($urlIndex, $k, $embedding)
+          YIELD node, score
+          RETURN node, score
+        }
+        RETURN {
+          id: node.id,
+          name: node.name,
+          type: labels(node)[0]
+        } as node, score
+        ORDER BY score DESC
+        LIMIT $k`,
+        {
+          skillIndex: VECTOR_INDEXES[0].name,
+          urlIndex: VECTOR_INDEXES[1].name,
+          k: neo4j.int(limit),
+          embedding: Array.from(embedding),
+        },
+      );
+    });
+
+    return result.records.map((record) => ({
+      node: record.get("node"),
+      similarity: 2 * record.get("score") - 1,
+    }));
+  } finally {
+    session.close();
+  }
+}
+
+module.exports = {
+  VECTOR_INDEXES,
+  VECTOR_SIMILARITY_FUNCTION,
+  buildCreateVectorIndexQueries,
+  buildDropVectorIndexQueries,
+  detectVectorIndexSupport,
+  queryVectorIndexes,
+};
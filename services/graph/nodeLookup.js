@@ -0,0 +1,155 @@
+/**
+ * Read-only node lookups for the chatbot's graph tools.
+ */
+
+const { fetchGraphContext } = require("../embeddings/graphContext");
+const { toNumber } = require("../neo4j/neo4jHelpers");
+
+const DEFAULT_PREREQUISITE_DEPTH = 6;
+const MAX_PREREQUISITE_DEPTH = 12;
+
+// Prerequisites returned per lookup, closest first
+const MAX_PREREQUISITES = 50;
+
+/**
+ * Node properties for clients: embeddings dropped, Neo4j integers converted.
+ */
+function toNodeProperties(properties) {
+  return Object.fromEntries(
+    Object.entries(properties)
+      .filter(([key]) => key !== "embedding")
+      .map(([key, value]) => [
+        key,
+        typeof value?.toNumber === "function" ? toNumber(value) : value,
+      ]),
+  );
+}
+
+/**
+ * Look up the id, name and type of existing nodes.
+ * Returns a Map of id -> { id, name, type }; unknown ids are absent.
+ */
+async function getNodesByIds(driver, ids) {
+  if (ids.length === 0) return new Map();
+
+  const session = driver.session();
+  try {
+    const result = await session.executeRead((tx) => {
+      return tx.run(
+        `MATCH (n) WHERE n.id IN $ids
+        RETURN n.id as id, n.name as name, labels(n)[0] as type`,
+        { ids },
+      );
+    });
+
+    return new Map(
+      result.records.map((record) => [
+        record.get("id"),
+        {
+          id: record.get("id"),
+          name: record.get("name"),
+          type: record.get("type"),
+        },
+      ]),
+    );
+  } finally {
+    session.close();
+  }
+}
+
+/**
+ * A node with its properties and one-hop neighbourhood (teaching URLs,
+ * prerequisites, what it teaches and unlocks, distance from the entry node).
+ * Returns null if the node does not exist.
+ */
+async function getNodeDetails(driver, nodeId) {
+  const session = driver.session();
+  let record;
+  try {
+    const result = await session.executeRead((tx) => {
+      return tx.run(
+        `MATCH (n {id: $nodeId})
+        RETURN n, labels(n)[0] as type`,
+        { nodeId },
+      );
+    });
+    record = result.records[0];
+  } finally {
+    session.close();
+  }
+
+  if (!record) return null;
+
+  const context = await fetchGraphContext(driver, [nodeId]);
+  return {
+    node: {
+      ...toNodeProperties(record.get("n").properties),
+      type: record.get("type"),
+    },
+    ...context.get(nodeId),
+  };
+}
+
+/**
+ * Every node on a learning path into `nodeId` within `depth` relationship
+ * hops along IS_PREREQUISITE_TO / TEACHES: the skills to learn first and the
+ * URLs teaching them. Each carries its hop distance; closest first.
+ * Returns null if the node does not exist.
+ */
+async function getPrerequisites(
+  driver,
+  nodeId,
+  depth = DEFAULT_PREREQUISITE_DEPTH,
+) {
+  if (!Number.isInteger(depth) || depth < 1 || depth > MAX_PREREQUISITE_DEPTH) {
+    throw new RangeError(
+      `depth must be an integer between 1 and ${MAX_PREREQUISITE_DEPTH}`,
+    );
+  }
+
+  const session = driver.session();
+  try {
+    // Variable-length bounds cannot be parameters; `depth` is a validated
+    // integer, so the traversal itself stops at `depth` hops
+    const result = await session.executeRead((tx) => {
+      return tx.run(
+        `MATCH (target {id: $nodeId})
+        OPTIONAL MATCH path = (prerequisite)-[:IS_PREREQUISITE_TO|TEACHES*1..${depth}]->(target)
+        WITH target, prerequisite, min(length(path)) as distance
+        ORDER BY distance
+        WITH target, collect(CASE WHEN prerequisite IS NULL THEN null ELSE {
+          id: prerequisite.id,
+          name: prerequisite.name,
+          type: labels(prerequisite)[0],
+          distance: distance
+        } END)[..${MAX_PREREQUISITES}] as prerequisites
+        RETURN {id: target.id, name: target.name, type: labels(target)[0]} as node,
+          prerequisites`,
+        { nodeId },
+      );
+    });
+
+    const record = result.records[0];
+    if (!record) return null;
+
+    return {
+      node: record.get("node"),
+      depth,
+      prerequisites: record.get("prerequisites").map((prerequisite) => ({
+        ...prerequisite,
+        distance: toNumber(prerequisite.distance),
+      })),
+    };
+  } finally {
+    session.close();
+  }
+}
+
+module.exports = {
+  DEFAULT_PREREQUISITE_DEPTH,
+  MAX_PREREQUISITE_DEPTH,
+  getNodeDetails,
+  getNodesByIds,
+  getPrerequisites,
+  toNodeProperties,
+};
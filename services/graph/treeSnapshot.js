@@ -0,0 +1,216 @@
+/**
+ * Snapshot of the whole skill/URL graph served by GET /tree.
+ * The graph is read in a single query and serialized once; the serialized
+ * body is kept with its content hash, used as the ETag, until the graph
+ * changes. Writes through the API mark the snapshot stale
+ * (invalidateTreeSnapshot). Changes made outside the API are picked up by
+ * re-reading the graph every TREE_SNAPSHOT_REVALIDATE_MS: the snapshot is
+ * only replaced, and its version bumped, when the content hash differs.
+ */
+
+const crypto = require("crypto");
+const { toNodeProperties } = require("./nodeLookup");
+const { normalizeGraphNodes } = require("../neo4j/neo4jHelpers");
+
+const DEFAULT_TREE_OPTIONS = {
+  revalidateMs: 60 * 1000,
+  maxAgeSeconds: 60,
+};
+
+const TREE_QUERY = `
+  CALL {
+    MATCH (s:Skill)
+    RETURN collect(properties(s)) AS skills
+  }
+  CALL {
+    MATCH (u:URL)
+    RETURN collect(properties(u)) AS urls
+  }
+  CALL {
+    MATCH (s:Skill)-[r:IS_PREREQUISITE_TO]->(u:URL)
+    RETURN collect({ uuid: r.uuid, source: s.uuid, target: u.uuid })
+      AS prerequisiteLinks
+  }
+  CALL {
+    MATCH (u:URL)-[r:TEACHES]->(s:Skill)
+    RETURN collect({ uuid: r.uuid, source: u.uuid, target: s.uuid })
+      AS teachesLinks
+  }
+  RETURN skills, urls, prerequisiteLinks, teachesLinks`;
+
+let snapshot = null;
+let stale = true;
+let version = 0;
+let rebuilding = null;
+
+/**
+ * Snapshot revalidation interval and client max-age from the environment
+ * (TREE_SNAPSHOT_REVALIDATE_MS, TREE_CACHE_MAX_AGE_SECONDS).
+ */
+function getTreeConfig(env = process.env) {
+  const setting = (value, fallback) => {
+    const parsed = Number.parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+  };
+  return {
+    revalidateMs: setting(
+      env.TREE_SNAPSHOT_REVALIDATE_MS,
+      DEFAULT_TREE_OPTIONS.revalidateMs,
+    ),
+    maxAgeSeconds: setting(
+      env.TREE_CACHE_MAX_AGE_SECONDS,
+      DEFAULT_TREE_OPTIONS.maxAgeSeconds,
+    ),
+  };
+}
+
+/**
+ * Sort by uuid in place. Neo4j returns rows in no guaranteed order, and the
+ * serialized body must not change while the graph does not (it is hashed
+ * into the ETag).
+ */
+function sortByUuid(items) {
+  const key = (item) => `${item.uuid}|${item.source}|${item.target}`;
+  return items.sort((a, b) => {
+    const [left, right] = [key(a), key(b)];
+    if (left === right) return 0;
+    return left < right ? -1 : 1;
+  });
+}
+
+/**
+ * Read the graph as { nodes, links } for D3, URLs first, each sorted by
+ * uuid. Node embeddings are left out.
+ */
+async function readTreeGraph(driver) {
+  const session = driver.session();
+  try {
+    const result = await session.executeRead((tx) => tx.run(TREE_QUERY));
+    const [record] = result.records;
+    const nodesOf = (key, type) =>
+      sortByUuid(
+        normalizeGraphNodes(record.get(key).map(toNodeProperties), type),
+      );
+    const linksOf = (key) => sortByUuid([...record.get(key)]);
+
+    return {
+      nodes: nodesOf("urls", "url").concat(nodesOf("skills", "skill")),
+      links: linksOf("prerequisiteLinks").concat(linksOf("teachesLinks")),
+    };
+  } finally {
+    await session.close();
+  }
+}
+
+/**
+ * Read and serialize the graph, replacing the snapshot if it changed.
+ */
+async function rebuildTreeSnapshot(driver, now) {
+  // Writes during the read mark the snapshot stale again
+  stale = false;
+  let graph;
+  try {
+    graph = await readTreeGraph(driver);
+  } catch (error) {
+    stale = true;
+    throw error;
+  }
+
+  const body = JSON.stringify(graph);
+  const hash = crypto.createHash("sha256").update(body).digest("base64url");
+  const etag = `"${hash}"`;
+  if (snapshot?.etag === etag) {
+    snapshot.checkedAt = now;
+    return snapshot;
+  }
+
+  version += 1;
+  snapshot = {
+    body,
+    etag,
+    version,
+    nodeCount: graph.nodes.length,
+    linkCount: graph.links.length,
+    builtAt: new Date(now).toISOString(),
+    checkedAt: now,
+  };
+  console.log(
+    `[getTreeSnapshot] Built version ${version} (${snapshot.nodeCount} nodes, ${snapshot.linkCount} links)`,
+  );
+  return snapshot;
+}
+
+/**
+ * The current tree snapshot: { body, etag, version, nodeCount, linkCount,
+ * builtAt }. It is re-read when stale or due for revalidation; concurrent
+ * callers share the same read. If the read fails while an older snapshot
+ * exists, that one is returned.
+ */
+async function getTreeSnapshot(driver, { now = Date.now() } = {}) {
+  const { revalidateMs } = getTreeConfig();
+  if (snapshot && !stale && now - snapshot.checkedAt < revalidateMs) {
+    return snapshot;
+  }
+
+  if (!rebuilding) {
+    rebuilding = rebuildTreeSnapshot(driver, now).finally(() => {
+      rebuilding = null;
+    });
+  }
+  try {
+    return await rebuilding;
+  } catch (error) {
+    if (!snapshot) throw error;
+    console.warn(
+      `[getTreeSnapshot] Rebuild failed, serving version ${snapshot.version}:`,
+      error.message,
+    );
+    return snapshot;
+  }
+}
+
+/**
+ * Mark the snapshot stale after a graph write.
+ */
+function invalidateTreeSnapshot() {
+  stale = true;
+}
+
+/**
+ * Whether an If-None-Match header matches an ETag (weak comparison).
+ */
+function etagMatches(ifNoneMatch, etag) {
+  if (!ifNoneMatch) return false;
+  return ifNoneMatch
+    .split(",")
+    .map((tag) => tag.trim().replace(/^W\//, ""))
+    .some((tag) => tag === "*" || tag === etag);
+}
+
+/**
+ * Cache-Control for GET /tree: clients may reuse the tree for
+ * TREE_CACHE_MAX_AGE_SECONDS, then revalidate it with its ETag.
+ */
+function getTreeCacheControl(env = process.env) {
+  return `public, max-age=${getTreeConfig(env).maxAgeSeconds}, must-revalidate`;
+}
+
+/**
+ * Drop the snapshot and its version (for tests).
+ */
+function resetTreeSnapshot() {
+  snapshot = null;
+  stale = true;
+  version = 0;
+  rebuilding = null;
+}
+
+module.exports = {
+  DEFAULT_TREE_OPTIONS,
+  TREE_QUERY,
+  etagMatches,
+  getTreeCacheControl,
+  getTreeSnapshot,
+  invalidateTreeSnapshot,
+  resetTreeSnapshot,
+};
@@ -0,0 +1,255 @@
+/**
+ * Background dispatcher for the material request outbox.
+ * Posts due requests to the admin webhook in Discord embed format, retrying
+ * failures with exponential backoff and dead-lettering requests that keep
+ * failing (or that the webhook rejects outright).
+ */
+
+const {
+  listDueMaterialRequests,
+  markMaterialRequestFailed,
+  markMaterialRequestSent,
+} = require("./materialRequestStore");
+
+const DEFAULT_INTERVAL_MS = 30 * 1000;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_BASE_BACKOFF_MS = 30 * 1000;
+const DEFAULT_MAX_BACKOFF_MS = 60 * 60 * 1000;
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+
+// Discord embed limits
+const EMBED_TITLE_LIMIT = 256;
+const EMBED_DESCRIPTION_LIMIT = 4096;
+const EMBED_FIELD_LIMIT = 1024;
+const EMBED_COLOR = 0x5865f2;
+
+function truncate(text, limit) {
+  return text.length > limit ? `${text.slice(0, limit - 1)}…` : text;
+}
+
+/**
+ * Build the Discord webhook payload for a material request.
+ * A pre-built embed submitted by the client is sent as-is.
+ */
+function buildDiscordPayload(request) {
+  if (request.embed) {
+    return { embeds: [request.embed] };
+  }
+
+  const fields = [{ name: "Request ID", value: request.requestId }];
+  if (request.suggestedResources.length > 0) {
+    fields.push({
+      name: "Suggested resources",
+      value: truncate(
+        request.suggestedResources
+          .map((resource) => `• ${resource}`)
+          .join("\n"),
+        EMBED_FIELD_LIMIT,
+      ),
+    });
+  }
+  if (request.sessionId) {
+    fields.push({ name: "Session", value: request.sessionId });
+  }
+
+  return {
+    embeds: [
+      {
+        title: truncate(
+          `Material request: ${request.topic}`,
+          EMBED_TITLE_LIMIT,
+        ),
+        description: truncate(
+          request.userContext || "No additional context provided.",
+          EMBED_DESCRIPTION_LIMIT,
+        ),
+        color: EMBED_COLOR,
+        fields,
+        footer: { text: `Source: ${request.source}` },
+        timestamp: request.createdAt,
+      },
+    ],
+  };
+}
+
+/**
+ * Exponential backoff for the given attempt number (1-based), with up to
+ * 20% jitter so retries from a burst of failures do not line up.
+ */
+function computeBackoffMs(attempt, baseMs, maxMs, random = Math.random) {
+  const delay = Math.min(baseMs * 2 ** (attempt - 1), maxMs);
+  return Math.round(delay * (1 + random() * 0.2));
+}
+
+/**
+ * Webhook errors that will not succeed on retry (bad payload, bad URL).
+ */
+function isPermanentFailure(status) {
+  return status >= 400 && status < 500 && status !== 408 && status !== 429;
+}
+
+/**
+ * Create a dispatcher bound to a webhook URL.
+ */
+function createMaterialRequestDispatcher({
+  webhookUrl,
+  intervalMs = DEFAULT_INTERVAL_MS,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  baseBackoffMs = DEFAULT_BASE_BACKOFF_MS,
+  maxBackoffMs = DEFAULT_MAX_BACKOFF_MS,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  random = Math.random,
+} = {}) {
+  let timer = null;
+  let running = null;
+
+  async function deliver(request, now) {
+    let status = null;
+    let retryAfterMs = 0;
+    let errorMessage;
+
+    try {
+      const response = await fetch(webhookUrl, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(buildDiscordPayload(request)),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+
+      if (response.ok) {
+        await markMaterialRequestSent(request.requestId);
+        console.log(
+          `[materialRequestDispatcher] Delivered request ${request.requestId}`,
+        );
+        return;
+      }
+
+      status = response.status;
+      retryAfterMs = (Number(response.headers.get("retry-after")) || 0) * 1000;
+      errorMessage = `Webhook responded with HTTP ${status}`;
+    } catch (error) {
+      errorMessage = `Webhook request failed: ${error.message}`;
+    }
+
+    const attempt = request.attempts + 1;
+    const deadLetter =
+      attempt >= maxAttempts || (status !== null && isPermanentFailure(status));
+    const nextAttemptAt = deadLetter
+      ? null
+      : new Date(
+          now.getTime() +
+            Math.max(
+              retryAfterMs,
+              computeBackoffMs(attempt, baseBackoffMs, maxBackoffMs, random),
+            ),
+        );
+
+    await markMaterialRequestFailed(
+      request.requestId,
+      errorMessage,
+      nextAttemptAt,
+    );
+
+    if (deadLetter) {
+      console.error(
+        `[materialRequestDispatcher] Request ${request.requestId} moved to dead_letter after ${attempt} attempt(s): ${errorMessage}`,
+      );
+    } else {
+      console.warn(
+        `[materialRequestDispatcher] Request ${request.requestId} attempt ${attempt} failed, retrying at ${nextAttemptAt.toISOString()}: ${errorMessage}`,
+      );
+    }
+  }
+
+  /**
+   * Attempt delivery of every due request once. Concurrent calls share the
+   * same pass so a request is never posted twice at the same time.
+   */
+  function dispatchDue(now = new Date()) {
+    if (!running) {
+      running = (async () => {
+        const due = await listDueMaterialRequests(now);
+        for (const request of due) {
+          await deliver(request, now);
+        }
+        return due.length;
+      })().finally(() => {
+        running = null;
+      });
+    }
+    return running;
+  }
+
+  function runSafely() {
+    return dispatchDue().catch((error) => {
+      console.error("[materialRequestDispatcher] Dispatch pass failed:", error);
+    });
+  }
+
+  function start() {
+    if (!timer) {
+      timer = setInterval(runSafely, intervalMs);
+      timer.unref();
+      runSafely();
+    }
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  /**
+   * Trigger a dispatch pass right away (e.g. after enqueueing) when running.
+   */
+  function kick() {
+    if (timer) runSafely();
+  }
+
+  return { dispatchDue, kick, start, stop };
+}
+
+let dispatcher = null;
+
+/**
+ * Get the process-wide dispatcher configured from the environment.
+ * Returns null when no webhook is configured.
+ */
+function getMaterialRequestDispatcher() {
+  if (!dispatcher && process.env.DISCORD_WEBHOOK_URL) {
+    dispatcher = createMaterialRequestDispatcher({
+      webhookUrl: process.env.DISCORD_WEBHOOK_URL,
+      intervalMs:
+        Number(process.env.MATERIAL_REQUEST_DISPATCH_INTERVAL_MS) ||
+        DEFAULT_INTERVAL_MS,
+      maxAttempts:
+        Number(process.env.MATERIAL_REQUEST_MAX_ATTEMPTS) ||
+        DEFAULT_MAX_ATTEMPTS,
+    });
+  }
+  return dispatcher;
+}
+
+/**
+ * Start background delivery. Logs a warning and leaves requests queued when
+ * no webhook is configured.
+ */
+function startMaterialRequestDispatcher() {
+  const instance = getMaterialRequestDispatcher();
+  if (!instance) {
+    console.warn(
+      "[materialRequestDispatcher] DISCORD_WEBHOOK_URL is not set; material requests will stay queued",
+    );
+    return null;
+  }
+  instance.start();
+  return instance;
+}
+
+module.exports = {
+  buildDiscordPayload,
+  computeBackoffMs,
+  createMaterialRequestDispatcher,
+  getMaterialRequestDispatcher,
+  startMaterialRequestDispatcher,
+};
@@ -0,0 +1,174 @@
+/**
+ * Material request outbox.
+ * Persists requests for new learning materials (from the chatbot's
+ * request_material_addition tool or POST /chatbot/material-request) until the
+ * dispatcher has delivered them to the admin webhook.
+ *
+ * Status lifecycle: queued → sent, or queued → retrying → sent | dead_letter.
+ */
+
+const crypto = require("crypto");
+const path = require("path");
+const { createJsonFileStore } = require("../storage/jsonFileStore");
+
+const MATERIAL_REQUEST_STATUSES = ["queued", "retrying", "sent", "dead_letter"];
+
+let store = null;
+let requests = null;
+// First load in flight, shared by concurrent callers
+let loading = null;
+
+function getStore() {
+  if (!store) {
+    store = createJsonFileStore(
+      process.env.MATERIAL_REQUEST_STORE_PATH ||
+        path.join(__dirname, "../../data/material-requests.json"),
+    );
+  }
+  return store;
+}
+
+async function ensureLoaded() {
+  if (!loading) {
+    loading = getStore()
+      .load([])
+      .then((saved) => {
+        requests = new Map(
+          saved.map((request) => [request.requestId, request]),
+        );
+        return requests;
+      });
+    // A failed load is retried by the next caller
+    loading.catch(() => {
+      loading = null;
+    });
+  }
+  return loading;
+}
+
+async function persist() {
+  await getStore().save([...requests.values()]);
+}
+
+/**
+ * Persist a new material request in the "queued" state.
+ * An optional pre-built Discord embed is delivered as-is by the dispatcher.
+ */
+async function createMaterialRequest({
+  topic,
+  userContext = null,
+  suggestedResources = [],
+  sessionId = null,
+  source = "chatbot",
+  embed = null,
+}) {
+  await ensureLoaded();
+
+  const now = new Date().toISOString();
+  const request = {
+    requestId: crypto.randomUUID(),
+    status: "queued",
+    topic,
+    userContext,
+    suggestedResources,
+    sessionId,
+    source,
+    embed,
+    attempts: 0,
+    nextAttemptAt: now,
+    lastError: null,
+    sentAt: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  requests.set(request.requestId, request);
+  await persist();
+
+  return request;
+}
+
+/**
+ * Get a material request by id, or null if it does not exist.
+ */
+async function getMaterialRequest(requestId) {
+  await ensureLoaded();
+  return requests.get(requestId) || null;
+}
+
+/**
+ * List requests awaiting delivery whose next attempt is due, oldest first.
+ */
+async function listDueMaterialRequests(now = new Date()) {
+  await ensureLoaded();
+
+  return [...requests.values()]
+    .filter(
+      (request) =>
+        (request.status === "queued" || request.status === "retrying") &&
+        new Date(request.nextAttemptAt) <= now,
+    )
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Record a successful delivery.
+ */
+async function markMaterialRequestSent(requestId) {
+  const request = await getMaterialRequest(requestId);
+  const now = new Date().toISOString();
+
+  request.status = "sent";
+  request.attempts += 1;
+  request.sentAt = now;
+  request.nextAttemptAt = null;
+  request.lastError = null;
+  request.updatedAt = now;
+  await persist();
+
+  return request;
+}
+
+/**
+ * Record a failed delivery. The request is retried at nextAttemptAt, or
+ * moved to dead_letter when nextAttemptAt is null.
+ */
+async function markMaterialRequestFailed(requestId, error, nextAttemptAt) {
+  const request = await getMaterialRequest(requestId);
+
+  request.status = nextAttemptAt ? "retrying" : "dead_letter";
+  request.attempts += 1;
+  request.lastError = error;
+  request.nextAttemptAt = nextAttemptAt ? nextAttemptAt.toISOString() : null;
+  request.updatedAt = new Date().toISOString();
+  await persist();
+
+  return request;
+}
+
+/**
+ * Public view of a request's delivery state for the status endpoint.
+ */
+function toMaterialRequestStatus(request) {
+  return {
+    requestId: request.requestId,
+    status: request.status,
+    topic: request.topic,
+    attempts: request.attempts,
+    nextAttemptAt: request.nextAttemptAt,
+    lastError: request.lastError,
+    sentAt: request.sentAt,
+    createdAt: request.createdAt,
+    updatedAt: request.updatedAt,
+  };
+}
+
+module.exports = {
+  MATERIAL_REQUEST_STATUSES,
+  createMaterialRequest,
+  getMaterialRequest,
+  listDueMaterialRequests,
+  markMaterialRequestFailed,
+  markMaterialRequestSent,
+  toMaterialRequestStatus,
+};
@@ -0,0 +1,175 @@
+/**
+ * Neo4j connection layer.
+ * Maintains two drivers:
+ * - a read driver (NEO4J_READ_USER) used by every public route, wrapped so
+ *   sessions are always opened with READ access mode and can never write;
+ * - an admin driver (NEO4J_ADMIN_USER) used only by operator flows.
+ *
+ * DB-level RBAC on the read user is the authoritative safeguard; read intent
+ * and the write-keyword sanitizer here are defense-in-depth.
+ */
+
+const neo4j = require("neo4j-driver");
+const createError = require("http-errors");
+require("dotenv").config();
+
+// Obvious write operations that never belong in a read-only query. Words
+// after a "." are property names (n.set), not clauses
+const WRITE_KEYWORD_PATTERN =
+  /(?<![.\w])(CREATE|MERGE|SET|DELETE|REMOVE|DETACH|DROP|LOAD\s+CSV|CALL\s+apoc)\b/i;
+
+let rawReadDriver = null;
+let readDriver = null;
+let adminDriver = null;
+
+/**
+ * Log a security event. Kept in one place so alerting can hook in here.
+ */
+function alertSecurityEvent(event, details) {
+  console.error(`[security] ${event}:`, JSON.stringify(details));
+}
+
+/**
+ * Whether a Neo4j error means the user lacks privileges for the operation.
+ */
+function isPermissionDenied(error) {
+  return (
+    error?.code === "Neo.ClientError.Security.Forbidden" ||
+    /permission denied|not allowed/i.test(error?.message || "")
+  );
+}
+
+/**
+ * Throw if a query contains write keywords.
+ */
+function assertReadOnlyQuery(query) {
+  const match = query.match(WRITE_KEYWORD_PATTERN);
+  if (match) {
+    alertSecurityEvent("write keyword rejected on read connection", {
+      keyword: match[0],
+      query,
+    });
+    throw createError(
+      403,
+      `Write operation "${match[0]}" is not allowed on a read-only connection`,
+    );
+  }
+}
+
+/**
+ * Run a query through the sanitizer and log permission-denied errors.
+ */
+async function runReadOnly(runner, query, params) {
+  assertReadOnlyQuery(query);
+  try {
+    return await runner.run(query, params);
+  } catch (error) {
+    if (isPermissionDenied(error)) {
+      alertSecurityEvent("permission denied on read connection", {
+        code: error.code,
+        message: error.message,
+        query,
+      });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Wrap a READ-mode session so it only exposes read operations.
+ */
+function createReadOnlySession(session) {
+  return {
+    executeRead(work, config) {
+      return session.executeRead(
+        (tx) =>
+          work({
+            run: (query, params) => runReadOnly(tx, query, params),
+          }),
+        config,
+      );
+    },
+    run(query, params) {
+      return runReadOnly(session, query, params);
+    },
+    executeWrite() {
+      alertSecurityEvent("write transaction attempted on read connection", {});
+      return Promise.reject(
+        createError(403, "Write transactions are not allowed"),
+      );
+    },
+    close() {
+      return session.close();
+    },
+  };
+}
+
+/**
+ * Get the read-only driver used by all public routes. Every session it opens
+ * uses READ access mode regardless of the options passed.
+ * Falls back to NEO4J_USERNAME/NEO4J_PASSWORD when read credentials are unset.
+ */
+function getReadDriver() {
+  if (!readDriver) {
+    let user = process.env.NEO4J_READ_USER;
+    let password = process.env.NEO4J_READ_PASSWORD;
+
+    if (!user || !password) {
+      console.warn(
+        "[connection] NEO4J_READ_USER is not set; falling back to NEO4J_USERNAME. Configure a read-only user for production.",
+      );
+      user = process.env.NEO4J_USERNAME;
+      password = process.env.NEO4J_PASSWORD;
+    }
+
+    rawReadDriver = neo4j.driver(
+      process.env.NEO4J_URI,
+      neo4j.auth.basic(user, password),
+    );
+    readDriver = {
+      session(options = {}) {
+        return createReadOnlySession(
+          rawReadDriver.session({
+            ...options,
+            defaultAccessMode: neo4j.session.READ,
+          }),
+        );
+      },
+      verifyAuthentication() {
+        return rawReadDriver.verifyAuthentication();
+      },
+      close() {
+        return rawReadDriver.close();
+      },
+    };
+  }
+  return readDriver;
+}
+
+/**
+ * Get the admin driver used only for executing approved operator actions.
+ * Throws a 503 if admin credentials are not configured.
+ */
+function getAdminDriver() {
+  if (!adminDriver) {
+    if (!process.env.NEO4J_ADMIN_USER || !process.env.NEO4J_ADMIN_PASSWORD) {
+      throw createError(503, "Admin database credentials are not configured");
+    }
+    adminDriver = neo4j.driver(
+      process.env.NEO4J_URI,
+      neo4j.auth.basic(
+        process.env.NEO4J_ADMIN_USER,
+        process.env.NEO4J_ADMIN_PASSWORD,
+      ),
+    );
+  }
+  return adminDriver;
+}
+
+module.exports = {
+  WRITE_KEYWORD_PATTERN,
+  assertReadOnlyQuery,
+  getAdminDriver,
+  getReadDriver,
+  isPermissionDenied,
+};
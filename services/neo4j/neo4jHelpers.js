@@ -1,26 +1,8 @@
 /**
  * Neo4j helper utilities for the Web Brain Project.
- * Handles construction of Cypher queries and Neo4j data transformations.
+ * Handles Neo4j data transformations; Cypher construction lives in queryBuilder.js.
  */
 
-/**
- * Build a query for matching nodes by ID.
- */
-function buildQueryForMatchingNodesById(array) {
-  let queryString = "";
-  let returnString = "RETURN";
-
-  for (let i = 0; i < array.length; i++) {
-    queryString += `MATCH (n_${i} {id: "${array[i]}"}) `;
-    if (i < array.length - 1) returnString += ` n_${i},`;
-    else returnString += ` n_${i}`;
-  }
-
-  queryString += returnString;
-  console.log(queryString);
-  return queryString;
-}
-
 /**
  * Convert Neo4j relationship to D3-compatible link format.
  * Since I do not save source and target UUIDs into the relationships in the tree (for some reason I forgot)
@@ -52,7 +34,34 @@ function getD3CompatibleLink(link, nodesWithInternalData) {
   return rel;
 }
 
+/**
+ * Convert Neo4j integers (and plain numbers) to JS numbers.
+ * Returns null for missing or non-numeric values.
+ */
+function toNumber(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value.toNumber === "function") return value.toNumber();
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Give graph nodes for D3 a `type`, falling back to `fallbackType` when
+ * the node has none.
+ */
+function normalizeGraphNodes(nodes, fallbackType) {
+  return nodes.map((node) => {
+    const type = node.type ?? fallbackType;
+
+    return {
+      ...node,
+      ...(type ? { type } : {}),
+    };
+  });
+}
+
 module.exports = {
-  buildQueryForMatchingNodesById,
   getD3CompatibleLink,
+  normalizeGraphNodes,
+  toNumber,
 };
@@ -0,0 +1,75 @@
+/**
+ * Parameterized Cypher query building.
+ * Values never get spliced into query text: every interpolated value becomes
+ * a `$param` placeholder, so handlers cannot regress to string-built Cypher.
+ */
+
+// Entry node of the tree; the only node id that is not a UUID
+const ENTRY_NODE_ID = "E";
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Whether a value is a well-formed node id (a UUID or the entry node id).
+ */
+function isValidNodeId(id) {
+  return (
+    typeof id === "string" && (id === ENTRY_NODE_ID || UUID_PATTERN.test(id))
+  );
+}
+
+/**
+ * Return the ids that are not well-formed node ids.
+ */
+function findInvalidNodeIds(ids) {
+  return ids.filter((id) => !isValidNodeId(id));
+}
+
+/**
+ * Tagged template producing `{ query, params }`.
+ * Each `${value}` becomes a positional `$p<n>` parameter, e.g.
+ * cypher`MATCH (n {id: ${id}}) RETURN n`
+ * → { query: "MATCH (n {id: $p0}) RETURN n", params: { p0: id } }
+ */
+function cypher(strings, ...values) {
+  const params = {};
+  const query = strings.reduce((text, part, i) => {
+    if (i === 0) return part;
+    const name = `p${i - 1}`;
+    params[name] = values[i - 1];
+    return `${text}$${name}${part}`;
+  }, "");
+
+  return { query, params };
+}
+
+/**
+ * Build the query returning the distinct nodes and links on all paths
+ * between two nodes (matched by their uuid property).
+ */
+function buildPathQuery(startNodeId, targetNodeId) {
+  return cypher`MATCH p=({uuid: ${startNodeId}})-[*]->({uuid: ${targetNodeId}})
+      WITH nodes(p) as pathNodes, relationships(p) as pathRels
+      UNWIND pathNodes as n
+      UNWIND pathRels as r
+      WITH collect(distinct n {
+             .*,
+             type: CASE
+               WHEN "Skill" IN labels(n) THEN "skill"
+               WHEN "URL" IN labels(n) THEN "url"
+               ELSE n.type
+             END
+           }) as distinctNodes,
+           collect({uuid: r.uuid, source: startNode(r).uuid, target: endNode(r).uuid}) as distinctLinks
+      RETURN distinctNodes, distinctLinks`;
+}
+
+module.exports = {
+  ENTRY_NODE_ID,
+  UUID_PATTERN,
+  buildPathQuery,
+  cypher,
+  findInvalidNodeIds,
+  isValidNodeId,
+};
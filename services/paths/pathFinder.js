@@ -0,0 +1,257 @@
+/**
+ * Learning path finder for the Web Brain Project.
+ * Finds candidate paths between two nodes and ranks them by a sort strategy.
+ */
+
+const neo4j = require("neo4j-driver");
+const { toNumber } = require("../neo4j/neo4jHelpers");
+
+// Upper bound on relationship hops considered when searching for paths
+const MAX_PATH_DEPTH = 12;
+
+// Number of candidate paths pulled from Neo4j before ranking
+const CANDIDATE_LIMIT = 25;
+
+const DEFAULT_PATH_LIMIT = 3;
+
+const SORT_STRATEGIES = [
+  "shortest_hops",
+  "shortest_time",
+  "highest_rating",
+  "balanced",
+];
+
+/**
+ * Compute totalSteps, totalEstimatedTimeMinutes and averageRating for a path.
+ * Time and rating are only aggregated over nodes that carry them; a metric is
+ * null when no node on the path has it.
+ */
+function computePathMetrics(path) {
+  const times = path.nodes
+    .map((node) => node.metadata?.estimatedTimeMinutes)
+    .filter((value) => value !== undefined);
+  const ratings = path.nodes
+    .map((node) => node.metadata?.rating)
+    .filter((value) => value !== undefined);
+
+  return {
+    totalSteps: path.edges.length,
+    totalEstimatedTimeMinutes: times.length
+      ? times.reduce((sum, value) => sum + value, 0)
+      : null,
+    averageRating: ratings.length
+      ? ratings.reduce((sum, value) => sum + value, 0) / ratings.length
+      : null,
+  };
+}
+
+/**
+ * Compare two nullable numbers so that null always sorts last.
+ */
+function compareNullable(a, b, direction) {
+  if (a === null && b === null) return 0;
+  if (a === null) return 1;
+  if (b === null) return -1;
+  return direction === "asc" ? a - b : b - a;
+}
+
+/**
+ * Normalize a metric across candidates to [0, 1].
+ * Returns null for candidates without the metric.
+ */
+function normalizeMetric(values) {
+  const known = values.filter((value) => value !== null);
+  const min = Math.min(...known);
+  const max = Math.max(...known);
+
+  return values.map((value) => {
+    if (value === null) return null;
+    if (max === min) return 1;
+    return (value - min) / (max - min);
+  });
+}
+
+/**
+ * Attach a balanced score to each path: the mean of inverted hops, inverted
+ * time and rating, each normalized across the candidate set.
+ */
+function attachBalancedScores(paths) {
+  const hops = normalizeMetric(paths.map((path) => path.totalSteps));
+  const times = normalizeMetric(
+    paths.map((path) => path.totalEstimatedTimeMinutes),
+  );
+  const ratings = normalizeMetric(paths.map((path) => path.averageRating));
+
+  return paths.map((path, idx) => {
+    const components = [
+      hops[idx] === null ? null : 1 - hops[idx],
+      times[idx] === null ? null : 1 - times[idx],
+      ratings[idx],
+    ].filter((value) => value !== null);
+
+    return {
+      ...path,
+      balancedScore:
+        components.reduce((sum, value) => sum + value, 0) / components.length,
+    };
+  });
+}
+
+/**
+ * Sort paths according to the given strategy. Ties fall back to hop count.
+ */
+function sortPaths(paths, sort) {
+  const byHops = (a, b) => a.totalSteps - b.totalSteps;
+
+  switch (sort) {
+    case "shortest_time":
+      return [...paths].sort(
+        (a, b) =>
+          compareNullable(
+            a.totalEstimatedTimeMinutes,
+            b.totalEstimatedTimeMinutes,
+            "asc",
+          ) || byHops(a, b),
+      );
+    case "highest_rating":
+      return [...paths].sort(
+        (a, b) =>
+          compareNullable(a.averageRating, b.averageRating, "desc") ||
+          byHops(a, b),
+      );
+    case "balanced":
+      return attachBalancedScores(paths).sort(
+        (a, b) => b.balancedScore - a.balancedScore || byHops(a, b),
+      );
+    case "shortest_hops":
+    default:
+      return [...paths].sort(byHops);
+  }
+}
+
+/**
+ * Rank candidate paths and attach rank, preferred and explanation.
+ */
+function rankPaths(paths, sort, limit = DEFAULT_PATH_LIMIT) {
+  const withMetrics = paths.map((path) => ({
+    ...path,
+    ...computePathMetrics(path),
+  }));
+
+  return sortPaths(withMetrics, sort)
+    .slice(0, limit)
+    .map((path, idx, ranked) => {
+      let explanation = `${sort}_alternative`;
+      if (ranked.length === 1) explanation = "only_available_path";
+      else if (idx === 0) explanation = sort;
+
+      return {
+        ...path,
+        rank: idx + 1,
+        preferred: idx === 0,
+        explanation,
+      };
+    });
+}
+
+/**
+ * Shape a Neo4j path node into the client-facing node format.
+ */
+function toPathNode(node) {
+  const metadata = {};
+  const estimatedTimeMinutes = toNumber(node.estimatedTimeMinutes);
+  const rating = toNumber(node.rating);
+  if (estimatedTimeMinutes !== null) {
+    metadata.estimatedTimeMinutes = estimatedTimeMinutes;
+  }
+  if (rating !== null) metadata.rating = rating;
+
+  return {
+    nodeId: node.id,
+    name: node.name,
+    type: node.type,
+    ...(Object.keys(metadata).length ? { metadata } : {}),
+  };
+}
+
+/**
+ * Find ranked candidate paths between two nodes.
+ * Returns { fromExists, toExists, paths }.
+ */
+async function findRankedPaths(
+  driver,
+  fromNodeId,
+  toNodeId,
+  { sort = "shortest_hops", limit = DEFAULT_PATH_LIMIT } = {},
+) {
+  const session = driver.session({ defaultAccessMode: neo4j.session.READ });
+
+  try {
+    const existsResult = await session.executeRead((tx) => {
+      return tx.run(
+        `
+        OPTIONAL MATCH (from {id: $fromNodeId})
+        OPTIONAL MATCH (to {id: $toNodeId})
+        RETURN from IS NOT NULL as fromExists, to IS NOT NULL as toExists
+        `,
+        { fromNodeId, toNodeId },
+      );
+    });
+
+    const existsRecord = existsResult.records[0];
+    const fromExists = existsRecord.get("fromExists");
+    const toExists = existsRecord.get("toExists");
+
+    if (!fromExists || !toExists) {
+      return { fromExists, toExists, paths: [] };
+    }
+
+    const pathsResult = await session.executeRead((tx) => {
+      return tx.run(
+        `
+        MATCH p = (from {id: $fromNodeId})-[:IS_PREREQUISITE_TO|TEACHES*1..${MAX_PATH_DEPTH}]->(to {id: $toNodeId})
+        WITH p ORDER BY length(p) ASC LIMIT $candidateLimit
+        RETURN [n IN nodes(p) | {
+                 id: n.id,
+                 name: n.name,
+                 type: CASE
+                   WHEN "Skill" IN labels(n) THEN "skill"
+                   WHEN "URL" IN labels(n) THEN "url"
+                   ELSE n.type
+                 END,
+                 estimatedTimeMinutes: n.estimatedTimeMinutes,
+                 rating: n.rating
+               }] as pathNodes,
+               [r IN relationships(p) | {
+                 id: r.id,
+                 source: startNode(r).id,
+                 target: endNode(r).id,
+                 type: type(r)
+               }] as pathEdges
+        `,
+        { fromNodeId, toNodeId, candidateLimit: neo4j.int(CANDIDATE_LIMIT) },
+      );
+    });
+
+    const candidates = pathsResult.records.map((record) => ({
+      nodes: record.get("pathNodes").map(toPathNode),
+      edges: record.get("pathEdges"),
+    }));
+
+    return {
+      fromExists,
+      toExists,
+      paths: rankPaths(candidates, sort, limit),
+    };
+  } finally {
+    session.close();
+  }
+}
+
+module.exports = {
+  SORT_STRATEGIES,
+  DEFAULT_PATH_LIMIT,
+  MAX_PATH_DEPTH,
+  findRankedPaths,
+  rankPaths,
+};
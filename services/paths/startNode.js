@@ -0,0 +1,121 @@
+/**
+ * Start node selection for returning learners.
+ * Computes the learner's terminal completed skills and picks the most
+ * advanced one to start a learning path from.
+ */
+
+const neo4j = require("neo4j-driver");
+const { toNumber } = require("../neo4j/neo4jHelpers");
+const { ENTRY_NODE_ID } = require("../neo4j/queryBuilder");
+
+// Upper bound on relationship hops for distance and reachability queries
+const MAX_PATH_DEPTH = 12;
+
+/**
+ * Pick the recommended start node from terminal stats.
+ * Prefers the terminal closest to the target; falls back to the terminal
+ * reaching the most descendants. Ties are broken by id for stable output.
+ */
+function selectStartNode(stats) {
+  const byId = (a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+  const byDescendants = (a, b) => b.descendants - a.descendants || byId(a, b);
+
+  const reachingTarget = stats.filter((stat) => stat.distance !== null);
+  if (reachingTarget.length > 0) {
+    const [closest] = [...reachingTarget].sort(
+      (a, b) => a.distance - b.distance || byDescendants(a, b),
+    );
+    return { startNodeId: closest.id, strategy: "closest_to_target" };
+  }
+
+  const [mostAdvanced] = [...stats].sort(byDescendants);
+  return { startNodeId: mostAdvanced.id, strategy: "most_descendants" };
+}
+
+/**
+ * Compute terminal completed skills and the recommended start node.
+ * A terminal is a completed skill with no outgoing prerequisite edge
+ * (through a teaching URL) to another completed skill.
+ */
+async function computeStartNode(driver, doneIds, targetId = null) {
+  if (doneIds.length === 0) {
+    return {
+      terminals: [],
+      startNodeId: ENTRY_NODE_ID,
+      strategy: "entry_node",
+    };
+  }
+
+  const session = driver.session({ defaultAccessMode: neo4j.session.READ });
+
+  try {
+    const terminalsResult = await session.executeRead((tx) => {
+      return tx.run(
+        `
+        MATCH (s:Skill)
+        WHERE s.id IN $doneIds
+          AND NOT EXISTS {
+            MATCH (s)-[:IS_PREREQUISITE_TO]->(:URL)-[:TEACHES]->(t:Skill)
+            WHERE t.id IN $doneIds AND t <> s
+          }
+        RETURN s.id as id
+        ORDER BY id
+        `,
+        { doneIds },
+      );
+    });
+
+    const terminals = terminalsResult.records.map((record) => record.get("id"));
+
+    if (terminals.length === 0) {
+      return { terminals, startNodeId: ENTRY_NODE_ID, strategy: "entry_node" };
+    }
+
+    const descendantsResult = await session.executeRead((tx) => {
+      return tx.run(
+        `
+        UNWIND $terminals as terminalId
+        MATCH (s:Skill {id: terminalId})
+        OPTIONAL MATCH (s)-[:IS_PREREQUISITE_TO|TEACHES*1..${MAX_PATH_DEPTH}]->(d:Skill)
+        RETURN terminalId as id, count(DISTINCT d) as descendants
+        `,
+        { terminals },
+      );
+    });
+
+    const distances = new Map();
+    if (targetId) {
+      const distanceResult = await session.executeRead((tx) => {
+        return tx.run(
+          `
+          UNWIND $terminals as terminalId
+          MATCH (s:Skill {id: terminalId}), (t {id: $targetId})
+          OPTIONAL MATCH p = shortestPath((s)-[:IS_PREREQUISITE_TO|TEACHES*..${MAX_PATH_DEPTH}]->(t))
+          RETURN terminalId as id, length(p) as distance
+          `,
+          { terminals, targetId },
+        );
+      });
+
+      distanceResult.records.forEach((record) => {
+        distances.set(record.get("id"), toNumber(record.get("distance")));
+      });
+    }
+
+    const stats = descendantsResult.records.map((record) => ({
+      id: record.get("id"),
+      descendants: toNumber(record.get("descendants")) ?? 0,
+      distance: distances.get(record.get("id")) ?? null,
+    }));
+
+    return { terminals, ...selectStartNode(stats) };
+  } finally {
+    session.close();
+  }
+}
+
+module.exports = {
+  ENTRY_NODE_ID,
+  computeStartNode,
+  selectStartNode,
+};
@@ -1,35 +1,90 @@
-const neo4j = require("neo4j-driver");
 require("dotenv").config();
 
 // Import extracted modules
+const { getAdminDriver, getReadDriver } = require("./neo4j/connection");
+const { buildPathQuery, findInvalidNodeIds } = require("./neo4j/queryBuilder");
+const { normalizeGraphNodes } = require("./neo4j/neo4jHelpers");
 const {
   buildMessages,
-  callHfChat,
-  parseLlmResponse,
+  callLlmChat,
+  createMessageDeltaDecoder,
+  getLlmProvider,
+  requestLlmResponse,
+  streamLlmChat,
 } = require("./chatbot/llmOrchestrator");
-const { searchNodesBySimilarity } = require("./embeddings/searchService");
+const {
+  acceptsEventStream,
+  openEventStream,
+} = require("./chatbot/eventStream");
+const { getAgentLimits, runAgentLoop } = require("./chatbot/agentLoop");
+const {
+  fitHistory,
+  getHistoryTokenBudget,
+  validateClientHistory,
+} = require("./chatbot/contextManager");
+const { groundLlmResponse } = require("./chatbot/groundingValidator");
+const { getInputGuardStats, guardChatInput } = require("./chatbot/inputGuard");
+const {
+  isLlmUnavailableError,
+  llmUnavailableError,
+} = require("./chatbot/llmResilience");
+const { getLlmResponseStats } = require("./chatbot/responseValidator");
+const { toolRegistry } = require("./chatbot/tools");
+const {
+  detectSearchBackend,
+  getSearchIndexStats,
+  invalidateSearchIndex,
+  parseSearchRequest,
+  searchNodes,
+} = require("./embeddings/searchService");
+const {
+  DEFAULT_PATH_LIMIT,
+  SORT_STRATEGIES,
+  findRankedPaths,
+} = require("./paths/pathFinder");
+const { computeStartNode } = require("./paths/startNode");
+const {
+  etagMatches,
+  getTreeCacheControl,
+  getTreeSnapshot,
+  invalidateTreeSnapshot,
+} = require("./graph/treeSnapshot");
+const {
+  executeIngestion,
+  isValidResourceUrl,
+  proposeIngestion,
+} = require("./admin/ingestionService");
+const {
+  PROPOSAL_STATUSES,
+  createProposal,
+  getProposal,
+  listProposals,
+  transitionProposal,
+} = require("./admin/proposalStore");
+const { recordAdminAction } = require("./admin/auditLog");
+const {
+  createMaterialRequest,
+  getMaterialRequest,
+  toMaterialRequestStatus,
+} = require("./materials/materialRequestStore");
+const {
+  getMaterialRequestDispatcher,
+} = require("./materials/materialRequestDispatcher");
+const {
+  getSessionStore,
+  isValidSessionId,
+  toSessionView,
+} = require("./sessions/sessionStore");
 
+// Read-only driver: every session it opens uses READ access mode
 let driver;
 
-function normalizeGraphNodes(nodes, fallbackType) {
-  return nodes.map((node) => {
-    const type = node.type ?? fallbackType;
-
-    return {
-      ...node,
-      ...(type ? { type } : {}),
-    };
-  });
-}
-
 async function initDriver() {
   try {
-    driver = await neo4j.driver(
-      process.env.NEO4J_URI,
-      neo4j.auth.basic(process.env.NEO4J_USERNAME, process.env.NEO4J_PASSWORD),
-    );
-    await driver.verifyAuthentication;
+    driver = getReadDriver();
+    await driver.verifyAuthentication();
     console.log("connection to server established");
+    await detectSearchBackend(driver);
   } catch (err) {
     console.error(err);
   }
@@ -37,115 +92,212 @@ async function initDriver() {
 
 initDriver();
 
-// Execute transactions one by one to declare necessary variables one by one
+/**
+ * GET /tree — the whole graph for D3, served from the tree snapshot with
+ * an ETag. A matching If-None-Match gets a 304 without a body.
+ */
 async function readUniversalTree(req, res, next) {
-  const session = driver.session();
+  try {
+    const snapshot = await getTreeSnapshot(driver);
+    res.set({
+      ETag: snapshot.etag,
+      "Cache-Control": getTreeCacheControl(),
+      "X-Graph-Version": String(snapshot.version),
+    });
 
-  const getSkillsTransaction = await session.executeRead((tx) => {
-    return tx.run("MATCH (s:Skill) RETURN s");
-  });
+    if (etagMatches(req.headers?.["if-none-match"], snapshot.etag)) {
+      return res.status(304).end();
+    }
+    res.type("application/json").send(snapshot.body);
+  } catch (error) {
+    console.error("readUniversalTree error:", error);
+    res.status(500).json({
+      error: "Reading tree failed",
+      message: error.message,
+    });
+  }
+}
 
-  const skills = normalizeGraphNodes(
-    getSkillsTransaction.records.map((record) => record.get("s").properties),
-    "skill",
-  );
+/**
+ * Read a path between two nodes.
+ */
 
-  const getURLsTransaction = await session.executeRead((tx) => {
-    return tx.run("MATCH (u:URL) RETURN u");
-  });
+async function readPath(req, res, next) {
+  const startNodeId = req.params.startNodeId;
+  const targetNodeId = req.params.targetNodeId;
 
-  const urls = normalizeGraphNodes(
-    getURLsTransaction.records.map((record) => record.get("u").properties),
-    "url",
-  );
+  const invalidIds = findInvalidNodeIds([startNodeId, targetNodeId]);
+  if (invalidIds.length > 0) {
+    return res.status(400).json({
+      error: "Malformed node id",
+      invalidIds,
+    });
+  }
 
-  const getPrerequisiteLinksTransaction = await session.executeRead((tx) => {
-    return tx.run(
-      "MATCH (s:Skill)-[r:IS_PREREQUISITE_TO]->(u:URL) RETURN s,r,u",
-    );
-  });
+  const session = driver.session();
+  try {
+    const { query, params } = buildPathQuery(startNodeId, targetNodeId);
+    const pathTransaction = await session.executeRead((tx) => {
+      return tx.run(query, params);
+    });
 
-  const prereqLinks = getPrerequisiteLinksTransaction.records.map((record) => {
-    const link = {
-      uuid: record.get("r").properties.uuid,
-      source: record.get("s").properties.uuid,
-      target: record.get("u").properties.uuid,
-    };
+    const [record] = pathTransaction.records;
+    res.json({
+      nodes: record ? normalizeGraphNodes(record.get("distinctNodes")) : [],
+      links: record ? record.get("distinctLinks") : [],
+    });
+  } catch (error) {
+    console.error("readPath error:", error);
+    res.status(500).json({
+      error: "Reading path failed",
+      message: error.message,
+    });
+  } finally {
+    await session.close();
+  }
+}
 
-    return link;
-  });
+/**
+ * GET /chatbot/find-path — ranked candidate paths between two nodes.
+ * Called by the client (not the LLM) when a user picks a search result.
+ */
+async function chatbotFindPath(req, res) {
+  try {
+    const {
+      fromNodeId,
+      toNodeId,
+      sort = "shortest_hops",
+      limit = DEFAULT_PATH_LIMIT,
+    } = req.query;
 
-  const getTeachesLinksTransaction = await session.executeRead((tx) => {
-    return tx.run("MATCH (u:URL)-[r:TEACHES]->(s:Skill) RETURN u,r,s");
-  });
+    if (
+      !fromNodeId ||
+      !toNodeId ||
+      typeof fromNodeId !== "string" ||
+      typeof toNodeId !== "string"
+    ) {
+      return res.status(400).json({
+        error: "fromNodeId and toNodeId are required and must be strings",
+      });
+    }
 
-  const teachesLinks = getTeachesLinksTransaction.records.map((record) => {
-    const link = {
-      uuid: record.get("r").properties.uuid,
-      source: record.get("u").properties.uuid,
-      target: record.get("s").properties.uuid,
-    };
+    const invalidIds = findInvalidNodeIds([fromNodeId, toNodeId]);
+    if (invalidIds.length > 0) {
+      return res.status(400).json({
+        error: "Malformed node id",
+        invalidIds,
+      });
+    }
 
-    return link;
-  });
+    if (!SORT_STRATEGIES.includes(sort)) {
+      return res.status(400).json({
+        error: `sort must be one of: ${SORT_STRATEGIES.join(", ")}`,
+      });
+    }
+
+    const pathLimit = parseInt(limit, 10);
+    if (isNaN(pathLimit) || pathLimit < 1) {
+      return res.status(400).json({
+        error: "limit must be a positive integer",
+      });
+    }
 
-  const nodes = urls.concat(skills);
-  const links = prereqLinks.concat(teachesLinks);
-  res.json({ nodes, links });
+    const { fromExists, toExists, paths } = await findRankedPaths(
+      driver,
+      fromNodeId,
+      toNodeId,
+      { sort, limit: pathLimit },
+    );
 
-  session.close();
-  console.log("session closed at read");
+    if (!fromExists || !toExists) {
+      return res.status(404).json({
+        error: "Node not found",
+        missing: [
+          ...(fromExists ? [] : [fromNodeId]),
+          ...(toExists ? [] : [toNodeId]),
+        ],
+      });
+    }
+
+    res.json({
+      paths,
+      sort,
+      ...(paths.length === 0
+        ? { message: "No path exists between the given nodes" }
+        : {}),
+    });
+  } catch (error) {
+    console.error("chatbotFindPath error:", error);
+    res.status(500).json({
+      error: "Path finding failed",
+      message: error.message,
+    });
+  }
 }
 
 /**
- * Read a path between two nodes.
+ * POST /progress/start-node — the learner's most advanced starting point.
+ * Called by the client before /chatbot/find-path so returning learners
+ * do not have to walk past skills they already know.
  */
+async function progressStartNode(req, res) {
+  try {
+    const { doneIds, targetId } = req.body;
 
-async function readPath(req, res, next) {
-  const startNodeId = req.params.startNodeId;
-  const targetNodeId = req.params.targetNodeId;
+    if (
+      !Array.isArray(doneIds) ||
+      !doneIds.every((id) => typeof id === "string")
+    ) {
+      return res.status(400).json({
+        error: "doneIds is required and must be an array of strings",
+      });
+    }
 
-  const session = driver.session();
+    if (targetId !== undefined && typeof targetId !== "string") {
+      return res.status(400).json({
+        error: "targetId must be a string",
+      });
+    }
 
-  const pathTransaction = await session.executeRead((tx) => {
-    return tx.run(
-      `MATCH p=({uuid: "${startNodeId}"})-[*]->({uuid:"${targetNodeId}"})
-      WITH nodes(p) as pathNodes, relationships(p) as pathRels
-      UNWIND pathNodes as n
-      UNWIND pathRels as r
-      WITH collect(distinct n {
-             .*,
-             type: CASE
-               WHEN "Skill" IN labels(n) THEN "skill"
-               WHEN "URL" IN labels(n) THEN "url"
-               ELSE n.type
-             END
-           }) as distinctNodes,
-           collect({uuid: r.uuid, source: startNode(r).uuid, target: endNode(r).uuid}) as distinctLinks
-      RETURN distinctNodes, distinctLinks`,
+    const invalidIds = findInvalidNodeIds(
+      targetId === undefined ? doneIds : [...doneIds, targetId],
     );
-  });
-
-  const nodes = normalizeGraphNodes(
-    pathTransaction.records[0].get("distinctNodes"),
-  );
-
-  const links = pathTransaction.records[0].get("distinctLinks");
+    if (invalidIds.length > 0) {
+      return res.status(400).json({
+        error: "Malformed node id",
+        invalidIds,
+      });
+    }
 
-  res.json({
-    nodes: nodes,
-    links: links,
-  });
+    const result = await computeStartNode(driver, doneIds, targetId);
 
-  session.close();
+    res.json(result);
+  } catch (error) {
+    console.error("progressStartNode error:", error);
+    res.status(500).json({
+      error: "Start node computation failed",
+      message: error.message,
+    });
+  }
 }
 
 /**
- * Semantic search endpoint for chatbot.
+ * Search endpoint for chatbot.
+ * `mode` picks semantic (default), keyword or hybrid search. Results can be
+ * filtered by `types`, `minSimilarity`, `excludeIds` and `withinReachOf`,
+ * and paged with `offset` or the `cursor` from the previous response.
+ * `includeGraphContext` attaches each hit's teaching URLs, prerequisites and
+ * distance from the entry node. Results may come from the search cache;
+ * `Cache-Control: no-cache` asks for fresh ones.
  */
 async function chatbotSearch(req, res) {
   try {
-    const { query, limit = 5 } = req.body;
+    const {
+      query,
+      mode = "semantic",
+      includeGraphContext = false,
+      ...filterInput
+    } = req.body;
 
     if (!query || typeof query !== "string") {
       return res.status(400).json({
@@ -153,7 +305,23 @@ async function chatbotSearch(req, res) {
       });
     }
 
-    const searchResult = await searchNodesBySimilarity(driver, query, limit);
+    if (typeof includeGraphContext !== "boolean") {
+      return res.status(400).json({
+        error: "includeGraphContext must be a boolean",
+      });
+    }
+
+    const { filters, error } = parseSearchRequest({ mode, ...filterInput });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const searchResult = await searchNodes(driver, query, {
+      mode,
+      filters,
+      includeGraphContext,
+      bypassCache: bypassesSearchCache(req),
+    });
 
     res.json({
       ...searchResult,
@@ -169,26 +337,82 @@ async function chatbotSearch(req, res) {
   }
 }
 
+/**
+ * Whether a request asks for fresh search results instead of cached ones
+ * (`Cache-Control: no-cache` or `no-store`).
+ */
+function bypassesSearchCache(req) {
+  return /\bno-(cache|store)\b/i.test(req.headers?.["cache-control"] || "");
+}
+
+/**
+ * GET /chatbot/search/stats — size and freshness of the search index, and
+ * the search cache hit counters.
+ */
+function chatbotSearchStats(req, res) {
+  res.json(getSearchIndexStats());
+}
+
+/**
+ * GET /chatbot/llm/stats — LLM reply validation counters: valid, repaired
+ * and fallback replies, and failures by kind.
+ */
+function chatbotLlmStats(req, res) {
+  res.json(getLlmResponseStats());
+}
+
+/**
+ * GET /chatbot/guard/stats — input guard counters: requests checked and
+ * refused, refusals by reason and injection pattern hits.
+ */
+function chatbotGuardStats(req, res) {
+  res.json(getInputGuardStats());
+}
+
 /**
  * Material request endpoint.
+ * Queues the request in the outbox; delivery to the admin webhook happens
+ * in the background dispatcher.
  */
 async function chatbotMaterialRequest(req, res) {
   try {
     const { embed, request } = req.body;
 
-    if (!embed || !request) {
+    if (
+      !embed ||
+      !request ||
+      typeof embed !== "object" ||
+      typeof request !== "object"
+    ) {
       return res.status(400).json({
         error: "Both embed and request objects are required",
       });
     }
 
-    // TODO: Send to Discord webhook
-    // const webhookUrl = process.env.DISCORD_WEBHOOK_URL;
-    // await axios.post(webhookUrl, { embeds: [embed] });
+    const queued = await createMaterialRequest({
+      topic:
+        typeof request.topic === "string" && request.topic.trim()
+          ? request.topic.trim()
+          : embed.title || "Untitled request",
+      userContext:
+        typeof request.userContext === "string" ? request.userContext : null,
+      suggestedResources: Array.isArray(request.suggestedResources)
+        ? request.suggestedResources.filter(
+            (resource) => typeof resource === "string",
+          )
+        : [],
+      sessionId:
+        typeof request.sessionId === "string" ? request.sessionId : null,
+      source: "material-request-endpoint",
+      embed,
+    });
+    getMaterialRequestDispatcher()?.kick();
 
     res.json({
       success: true,
       message: "Material request submitted",
+      requestId: queued.requestId,
+      status: queued.status,
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
@@ -201,177 +425,238 @@ async function chatbotMaterialRequest(req, res) {
 }
 
 /**
- * Get the LLM's initial response to a user message.
- * Expects the LLM to return a tool_call (search_materials).
+ * GET /chatbot/material-request/:requestId — delivery status of a request.
  */
-async function getInitialLlmResponse(
-  userMessage,
-  conversationHistory,
-  customInstructions,
-) {
-  const messages = buildMessages(
-    userMessage,
-    conversationHistory,
-    customInstructions,
-    null,
-  );
-  const rawResponse = await callHfChat(messages);
-  const parsed = parseLlmResponse(rawResponse);
+async function chatbotMaterialRequestStatus(req, res) {
+  try {
+    const request = await getMaterialRequest(req.params.requestId);
 
-  console.log("[getInitialLlmResponse] LLM response type:", parsed.type);
+    if (!request) {
+      return res.status(404).json({
+        error: "Material request not found",
+      });
+    }
 
-  return parsed;
+    res.json(toMaterialRequestStatus(request));
+  } catch (error) {
+    console.error("chatbotMaterialRequestStatus error:", error);
+    res.status(500).json({
+      error: "Material request lookup failed",
+      message: error.message,
+    });
+  }
 }
 
 /**
- * Execute a search tool call and return results.
+ * Build the response body sent to the client from a final LLM response.
+ * `history` reports how the history was fitted into the token budget.
  */
-async function executeSearch(args) {
-  const { query, limit = 5 } = args;
-  console.log(`[executeSearch] Searching for: "${query}" (limit: ${limit})`);
-
-  const searchResult = await searchNodesBySimilarity(driver, query, limit);
-  console.log(
-    `[executeSearch] Found ${searchResult.results?.length || 0} results`,
-  );
+function toChatResponse(llmResponse, session, history) {
+  return {
+    message: llmResponse.message || "",
+    relatedMaterials: llmResponse.relatedMaterials || [],
+    suggestedActions: llmResponse.suggestedActions || [],
+    conversationState: {
+      sessionId: session.sessionId,
+      lastUpdated: session.updatedAt,
+      history,
+    },
+  };
+}
 
-  return searchResult;
+/**
+ * Validate a chat request body. Returns an error message or null.
+ */
+function validateChatRequest({ message, sessionId, conversationHistory }) {
+  if (!message || typeof message !== "string" || message.trim() === "") {
+    return "message is required and must be a string";
+  }
+  const historyError = validateClientHistory(conversationHistory);
+  if (historyError) {
+    return historyError;
+  }
+  if (sessionId !== undefined && !isValidSessionId(sessionId)) {
+    return "sessionId may only contain letters, digits, '_' and '-' (max 128)";
+  }
+  return null;
 }
 
 /**
- * Get LLM's decision after receiving search results.
- * The LLM decides whether to:
- * 1. Return a final response with relevant materials
- * 2. Ask the user if they have materials to contribute
+ * Run one chat turn against a session and return the response body for the
+ * client. History comes from the session's stored turns; clients without a
+ * stored session can still send `conversationHistory`. The LLM may call
+ * several tools in sequence (see agentLoop.js); the user message, each tool
+ * call with its output, and the reply are appended to the session. The
+ * reply's relatedMaterials are grounded against the tool results (see
+ * groundingValidator.js). History beyond the model's token budget is
+ * summarized (see contextManager.js) and the strategy used is reported in
+ * `conversationState.history`. With `debug: true` the response includes the
+ * step trace and grounding counts in `debug`.
+ *
+ * `complete(messages)` performs each LLM call (callLlmChat by default),
+ * `onEvent(event, data)` is told when a tool call starts and finishes and
+ * `bypassCache` makes searches skip cached results.
  */
-async function getLlmDecisionAfterSearch(
-  userMessage,
-  conversationHistory,
-  customInstructions,
-  searchToolCall,
-  searchResults,
+async function runChatTurn(
+  { message, sessionId, conversationHistory, customInstructions, debug },
+  { complete = callLlmChat, onEvent = () => {}, bypassCache = false } = {},
 ) {
-  const messages = buildMessages(
-    userMessage,
-    conversationHistory,
-    customInstructions,
+  const sessionStore = getSessionStore();
+  const session = await sessionStore.getOrCreateSession(sessionId);
+  const fromSession = session.turns.length > 0;
+
+  console.log(
+    `[chatbotChat] sessionId=${session.sessionId}, message="${message.slice(0, 50)}..."`,
+  );
+
+  // Recent turns within the model's token budget, older ones as a summary.
+  // Only stored sessions are summarized: the summary is kept with the
+  // session, while client-sent history would be re-summarized on every
+  // request, so it is truncated instead
+  const context = await fitHistory(
+    fromSession ? session.turns : conversationHistory,
+    {
+      tokenBudget: getHistoryTokenBudget(getLlmProvider().model),
+      summary: fromSession ? session.historySummary : null,
+      offset: fromSession
+        ? (session.turnCount ?? session.turns.length) - session.turns.length
+        : 0,
+      ...(fromSession && {
+        complete: (messages) => callLlmChat(messages, { withTools: false }),
+      }),
+    },
+  );
+  if (fromSession && context.summary !== session.historySummary) {
+    await sessionStore.setHistorySummary(session.sessionId, context.summary);
+  }
+  const history = context.turns;
+  const historySummary = context.summary?.text;
+
+  const agentResult = await runAgentLoop(
+    {
+      message,
+      conversationHistory: history,
+      customInstructions,
+      historySummary,
+    },
     {
-      tool: searchToolCall.tool,
-      args: searchToolCall.args,
-      output: searchResults,
+      complete,
+      executeTool: (toolCall) =>
+        toolRegistry.execute(toolCall, {
+          driver,
+          sessionId: session.sessionId,
+          bypassCache,
+        }),
+      onEvent,
+      ...getAgentLimits(),
     },
   );
-  const rawResponse = await callHfChat(messages);
-  const parsed = parseLlmResponse(rawResponse);
+  const { toolTurns, steps, stopReason } = agentResult;
+  console.log(
+    `[chatbotChat] Finished after ${steps.length} steps (${stopReason})`,
+  );
 
-  console.log("[getLlmDecisionAfterSearch] LLM response type:", parsed.type);
+  // Materials must come from the tool results or the graph, never the LLM
+  const { llmResponse, grounding } = await groundLlmResponse(
+    agentResult.llmResponse,
+    {
+      driver,
+      toolTurns,
+      reprompt: (instruction) =>
+        requestLlmResponse(
+          [
+            ...buildMessages(message, history, customInstructions, toolTurns, {
+              historySummary,
+            }),
+            {
+              role: "assistant",
+              content: JSON.stringify(agentResult.llmResponse),
+            },
+            { role: "system", content: instruction },
+          ],
+          complete,
+        ),
+    },
+  );
 
-  return parsed;
+  const updatedSession = await sessionStore.appendTurns(session.sessionId, [
+    { role: "user", content: message },
+    ...toolTurns.map((toolTurn) => ({ role: "tool", ...toolTurn })),
+    {
+      role: "assistant",
+      content: llmResponse.message || "",
+      relatedMaterials: llmResponse.relatedMaterials || [],
+      suggestedActions: llmResponse.suggestedActions || [],
+    },
+  ]);
+
+  return {
+    ...toChatResponse(llmResponse, updatedSession, context.report),
+    ...(debug === true ? { debug: { stopReason, steps, grounding } } : {}),
+  };
 }
 
 /**
- * POST /chatbot/chat — main chatbot orchestration endpoint.
- * Orchestrates the conversation flow:
- * 1. User sends message → LLM returns response (search tool call or final response)
- * 2. If search tool call: backend executes search → LLM receives results
- * 3. LLM returns final response (with materials if found, or asking to contribute)
+ * Response body for an LLM outage (see llmResilience.js).
  */
-async function chatbotChat(req, res) {
-  try {
-    const { message, sessionId, conversationHistory, customInstructions } =
-      req.body;
+function toLlmUnavailableBody(error) {
+  return {
+    error: "Assistant unavailable",
+    message: error.message,
+    reason: error.reason,
+    retryAfterSeconds: error.retryAfterSeconds,
+  };
+}
 
-    if (!message || typeof message !== "string" || message.trim() === "") {
-      return res
-        .status(400)
-        .json({ error: "message is required and must be a string" });
-    }
+/**
+ * Response body for any other chat failure. Provider and database errors
+ * stay in the server log.
+ */
+const CHAT_FAILED_BODY = {
+  error: "Chat request failed",
+  message:
+    "Something went wrong while generating a response. Please try again.",
+};
 
-    console.log(
-      `[chatbotChat] sessionId=${sessionId || "none"}, message="${message.slice(0, 50)}..."`,
-    );
+/**
+ * Send a 503 with Retry-After for an LLM outage.
+ */
+function sendLlmUnavailable(res, error) {
+  res.set("Retry-After", String(error.retryAfterSeconds));
+  res.status(503).json(toLlmUnavailableBody(error));
+}
 
-    // Step 1: Get initial LLM response
-    let llmResponse = await getInitialLlmResponse(
-      message,
-      conversationHistory,
-      customInstructions,
-    );
+/**
+ * POST /chatbot/chat — main chatbot orchestration endpoint.
+ * Requests with `Accept: text/event-stream` are streamed (see
+ * chatbotChatStream).
+ */
+async function chatbotChat(req, res) {
+  if (acceptsEventStream(req)) {
+    return chatbotChatStream(req, res);
+  }
 
-    console.log("[chatbotChat] Initial response type:", llmResponse.type);
-
-    // If initial response is final, use it directly
-    if (llmResponse.type === "final") {
-      const response = {
-        message: llmResponse.message || "",
-        relatedMaterials: llmResponse.relatedMaterials || [],
-        suggestedActions: llmResponse.suggestedActions || [],
-        conversationState: {
-          sessionId: sessionId || `session_${Date.now()}`,
-          lastUpdated: new Date().toISOString(),
-        },
-      };
-      return res.json(response);
+  try {
+    const validationError = validateChatRequest(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
     }
-
-    // If initial response is search tool call, execute it
-    if (
-      llmResponse.type === "tool_call" &&
-      llmResponse.tool === "search_materials"
-    ) {
-      // Step 2: Execute search
-      const searchResults = await executeSearch(llmResponse.args);
-
-      // Step 3: Get LLM decision after receiving search results
-      let decisionResponse = await getLlmDecisionAfterSearch(
-        message,
-        conversationHistory,
-        customInstructions,
-        llmResponse,
-        searchResults,
-      );
-
-      // Step 4: Validate final response
-      if (decisionResponse.type !== "final") {
-        console.warn(
-          "[chatbotChat] Expected final response, got:",
-          decisionResponse.type,
-        );
-        decisionResponse = {
-          type: "final",
-          message:
-            "I'm unable to complete that request right now. Please try a different query or ask for help.",
-          relatedMaterials: [],
-          suggestedActions: ["try_search_again", "contact_support"],
-        };
-      }
-
-      llmResponse = decisionResponse;
-    } else {
-      // Unexpected response type
-      console.warn("[chatbotChat] Unexpected response type:", llmResponse.type);
-      llmResponse = {
-        type: "final",
-        message:
-          "I encountered an unexpected issue while processing your request. Please try again.",
-        relatedMaterials: [],
-        suggestedActions: ["try_search_again"],
-      };
+    const guard = guardChatInput(req.body);
+    if (guard.refusal) {
+      return res.status(400).json(guard.refusal);
     }
 
-    // Build and return final response
-    const response = {
-      message: llmResponse.message || "",
-      relatedMaterials: llmResponse.relatedMaterials || [],
-      suggestedActions: llmResponse.suggestedActions || [],
-      conversationState: {
-        sessionId: sessionId || `session_${Date.now()}`,
-        lastUpdated: new Date().toISOString(),
-      },
-    };
-
-    res.json(response);
+    res.json(
+      await runChatTurn(
+        { ...req.body, customInstructions: guard.customInstructions },
+        { bypassCache: bypassesSearchCache(req) },
+      ),
+    );
   } catch (error) {
+    if (isLlmUnavailableError(error)) {
+      console.warn(`[chatbotChat] LLM unavailable (${error.reason})`);
+      return sendLlmUnavailable(res, error);
+    }
     console.error("[chatbotChat] Error:", error);
     console.error("[chatbotChat] Full error details:", {
       name: error.name,
@@ -381,18 +666,398 @@ async function chatbotChat(req, res) {
       status: error.response?.status,
       statusText: error.response?.statusText,
     });
+    res.status(500).json(CHAT_FAILED_BODY);
+  }
+}
+
+/**
+ * POST /chatbot/chat/stream — chat turn streamed as Server-Sent Events.
+ * Events, in order:
+ * - `tool_call` { tool, args } when the LLM starts a tool call;
+ * - `search_results` (or `tool_result` for other tools) with the tool output;
+ * - `token` { delta } for each piece of the final message text;
+ * - `final` with the same body as POST /chatbot/chat. Its `message` is
+ *   authoritative (the streamed text may differ if the reply was unusable).
+ * Failures are sent as an `error` event. While the LLM circuit breaker is
+ * open the request fails with a 503 before the stream opens. If the client
+ * disconnects the in-flight LLM call is aborted.
+ */
+async function chatbotChatStream(req, res) {
+  const validationError = validateChatRequest(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  const guard = guardChatInput(req.body);
+  if (guard.refusal) {
+    return res.status(400).json(guard.refusal);
+  }
+  const { breaker } = getLlmProvider();
+  if (breaker?.state() === "open") {
+    return sendLlmUnavailable(
+      res,
+      llmUnavailableError("circuit_open", breaker.retryAfterMs()),
+    );
+  }
+
+  const controller = new AbortController();
+  const stream = openEventStream(res, {
+    onDisconnect: () => {
+      console.log("[chatbotChatStream] Client disconnected, aborting");
+      controller.abort();
+    },
+  });
+
+  // Each LLM call streams the message text of a final reply as tokens. It is
+  // aborted when the client disconnects or the agent loop's `signal` (its
+  // time budget) fires
+  const complete = (messages, { signal } = {}) => {
+    const decodeMessageDelta = createMessageDeltaDecoder();
+    return streamLlmChat(messages, {
+      signal: signal
+        ? AbortSignal.any([controller.signal, signal])
+        : controller.signal,
+      onDelta: (delta) => {
+        const text = decodeMessageDelta(delta);
+        if (text) stream.send("token", { delta: text });
+      },
+    });
+  };
+
+  try {
+    const response = await runChatTurn(
+      { ...req.body, customInstructions: guard.customInstructions },
+      {
+        complete,
+        onEvent: stream.send,
+        bypassCache: bypassesSearchCache(req),
+      },
+    );
+    stream.send("final", response);
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    if (isLlmUnavailableError(error)) {
+      console.warn(`[chatbotChatStream] LLM unavailable (${error.reason})`);
+      stream.send("error", toLlmUnavailableBody(error));
+      return;
+    }
+    console.error("[chatbotChatStream] Error:", error);
+    stream.send("error", CHAT_FAILED_BODY);
+  } finally {
+    stream.end();
+  }
+}
+
+/**
+ * GET /chatbot/sessions/:sessionId — stored turns of a live session, so the
+ * frontend can resume a conversation.
+ */
+async function chatbotGetSession(req, res) {
+  try {
+    const session = await getSessionStore().getSession(req.params.sessionId);
+
+    if (!session) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
+    res.json(toSessionView(session));
+  } catch (error) {
+    console.error("chatbotGetSession error:", error);
     res.status(500).json({
-      error: "Chat request failed",
+      error: "Session lookup failed",
       message: error.message,
-      details: error.response?.data || error.toString(),
     });
   }
 }
 
+/**
+ * DELETE /chatbot/sessions/:sessionId — forget a conversation.
+ */
+async function chatbotDeleteSession(req, res) {
+  try {
+    const deleted = await getSessionStore().deleteSession(req.params.sessionId);
+
+    if (!deleted) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    console.error("chatbotDeleteSession error:", error);
+    res.status(500).json({
+      error: "Session deletion failed",
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Send an admin handler error, keeping http-errors statuses (404, 409, 503).
+ * LLM outages also get a Retry-After header.
+ */
+function sendAdminError(res, error, fallbackMessage) {
+  const status = error.status || 500;
+  if (isLlmUnavailableError(error)) {
+    res.set("Retry-After", String(error.retryAfterSeconds));
+  }
+  res.status(status).json({
+    error: status === 500 ? fallbackMessage : error.message,
+    message: error.message,
+  });
+}
+
+/**
+ * POST /admin/ingestion/proposals — analyze a URL and queue a proposal.
+ * The proposed Cypher is stored for review and never executed here.
+ */
+async function adminCreateIngestionProposal(req, res) {
+  try {
+    const { url, title } = req.body;
+
+    if (!isValidResourceUrl(url)) {
+      return res.status(400).json({
+        error: "url is required and must be an absolute http(s) URL",
+      });
+    }
+
+    if (!title || typeof title !== "string" || title.trim() === "") {
+      return res.status(400).json({
+        error: "title is required and must be a string",
+      });
+    }
+
+    const analysis = await proposeIngestion(driver, {
+      url,
+      title: title.trim(),
+    });
+    const proposal = await createProposal(
+      { url, title: title.trim(), ...analysis },
+      req.operatorId,
+    );
+
+    await recordAdminAction({
+      operatorId: req.operatorId,
+      action: "ingestion_proposed",
+      proposalId: proposal.id,
+      url,
+    });
+
+    res.status(201).json(proposal);
+  } catch (error) {
+    console.error("adminCreateIngestionProposal error:", error);
+    sendAdminError(res, error, "Ingestion proposal failed");
+  }
+}
+
+/**
+ * GET /admin/ingestion/proposals — list the review queue.
+ */
+async function adminListIngestionProposals(req, res) {
+  try {
+    const { status } = req.query;
+
+    if (status !== undefined && !PROPOSAL_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `status must be one of: ${PROPOSAL_STATUSES.join(", ")}`,
+      });
+    }
+
+    const proposals = await listProposals({ status });
+    res.json({ proposals });
+  } catch (error) {
+    console.error("adminListIngestionProposals error:", error);
+    sendAdminError(res, error, "Listing proposals failed");
+  }
+}
+
+/**
+ * GET /admin/ingestion/proposals/:proposalId — a single proposal with history.
+ */
+async function adminGetIngestionProposal(req, res) {
+  try {
+    const proposal = await getProposal(req.params.proposalId);
+    res.json(proposal);
+  } catch (error) {
+    console.error("adminGetIngestionProposal error:", error);
+    sendAdminError(res, error, "Reading proposal failed");
+  }
+}
+
+/**
+ * POST /admin/ingestion/proposals/:proposalId/approve
+ */
+async function adminApproveIngestionProposal(req, res) {
+  try {
+    const proposal = await transitionProposal(
+      req.params.proposalId,
+      "approved",
+      req.operatorId,
+    );
+
+    await recordAdminAction({
+      operatorId: req.operatorId,
+      action: "ingestion_approved",
+      proposalId: proposal.id,
+    });
+
+    res.json(proposal);
+  } catch (error) {
+    console.error("adminApproveIngestionProposal error:", error);
+    sendAdminError(res, error, "Approving proposal failed");
+  }
+}
+
+/**
+ * POST /admin/ingestion/proposals/:proposalId/reject
+ */
+async function adminRejectIngestionProposal(req, res) {
+  try {
+    const { reason } = req.body;
+    const proposal = await transitionProposal(
+      req.params.proposalId,
+      "rejected",
+      req.operatorId,
+      typeof reason === "string" ? { reason } : {},
+    );
+
+    await recordAdminAction({
+      operatorId: req.operatorId,
+      action: "ingestion_rejected",
+      proposalId: proposal.id,
+      reason,
+    });
+
+    res.json(proposal);
+  } catch (error) {
+    console.error("adminRejectIngestionProposal error:", error);
+    sendAdminError(res, error, "Rejecting proposal failed");
+  }
+}
+
+/**
+ * POST /admin/ingestion/proposals/:proposalId/execute
+ * Runs an approved proposal's Cypher under the admin credentials. The
+ * proposal is moved to "executing" first, so a concurrent call gets a 409
+ * instead of running it twice; a failed run moves it back to "approved".
+ */
+async function adminExecuteIngestionProposal(req, res) {
+  const { proposalId } = req.params;
+
+  try {
+    const proposal = await getProposal(proposalId);
+
+    if (proposal.status !== "approved") {
+      return res.status(409).json({
+        error: `Only approved proposals can be executed (status: ${proposal.status})`,
+      });
+    }
+
+    // Claims the proposal: a concurrent execute call now gets a 409
+    await transitionProposal(proposalId, "executing", req.operatorId);
+
+    let result;
+    try {
+      result = await executeIngestion(getAdminDriver(), proposal);
+    } catch (error) {
+      await transitionProposal(proposalId, "approved", req.operatorId, {
+        action: "execution_failed",
+        error: error.message,
+      });
+      await recordAdminAction({
+        operatorId: req.operatorId,
+        action: "ingestion_execution_failed",
+        proposalId,
+        query: proposal.proposedCypher,
+        error: error.message,
+      });
+      throw error;
+    }
+
+    const { urlId, objectiveSkills, prerequisiteSkills } =
+      proposal.proposedParams;
+    invalidateSearchIndex([
+      urlId,
+      ...objectiveSkills.map((skill) => skill.id),
+      ...prerequisiteSkills.map((skill) => skill.id),
+    ]);
+    invalidateTreeSnapshot();
+
+    const executed = await transitionProposal(
+      proposalId,
+      "executed",
+      req.operatorId,
+      { result },
+    );
+
+    await recordAdminAction({
+      operatorId: req.operatorId,
+      action: "ingestion_executed",
+      proposalId,
+      query: proposal.proposedCypher,
+      params: proposal.proposedParams,
+      result,
+    });
+
+    res.json(executed);
+  } catch (error) {
+    console.error("adminExecuteIngestionProposal error:", error);
+    sendAdminError(res, error, "Executing proposal failed");
+  }
+}
+
+/**
+ * POST /admin/search/invalidate — drop the search cache and refresh the
+ * search index after the graph or its embeddings changed outside the API
+ * (e.g. the embedding generation script). `ids` limits the index refresh
+ * to those nodes; without it the whole index is reloaded. The tree
+ * snapshot is re-read on the next GET /tree.
+ */
+async function adminInvalidateSearch(req, res) {
+  try {
+    const { ids } = req.body || {};
+    if (
+      ids !== undefined &&
+      (!Array.isArray(ids) || ids.some((id) => typeof id !== "string"))
+    ) {
+      return res.status(400).json({
+        error: "ids must be an array of node id strings",
+      });
+    }
+
+    invalidateSearchIndex(ids);
+    invalidateTreeSnapshot();
+    await recordAdminAction({
+      operatorId: req.operatorId,
+      action: "search_invalidated",
+      ids: ids ?? null,
+    });
+
+    res.json(getSearchIndexStats());
+  } catch (error) {
+    console.error("adminInvalidateSearch error:", error);
+    sendAdminError(res, error, "Search invalidation failed");
+  }
+}
+
 module.exports = {
   readUniversalTree,
   readPath,
+  chatbotFindPath,
+  progressStartNode,
   chatbotSearch,
+  chatbotSearchStats,
+  chatbotLlmStats,
+  chatbotGuardStats,
   chatbotMaterialRequest,
+  chatbotMaterialRequestStatus,
   chatbotChat,
+  chatbotChatStream,
+  chatbotGetSession,
+  chatbotDeleteSession,
+  adminCreateIngestionProposal,
+  adminListIngestionProposals,
+  adminGetIngestionProposal,
+  adminApproveIngestionProposal,
+  adminRejectIngestionProposal,
+  adminExecuteIngestionProposal,
+  adminInvalidateSearch,
 };
@@ -0,0 +1,85 @@
+/**
+ * Storage backends for chat sessions.
+ * A backend stores whole session objects keyed by sessionId:
+ * { get(sessionId), set(session), delete(sessionId), values() }, all async.
+ */
+
+const { createJsonFileStore } = require("../storage/jsonFileStore");
+
+/**
+ * Backend keeping sessions in process memory (lost on restart).
+ */
+function createMemorySessionBackend() {
+  const sessions = new Map();
+
+  return {
+    name: "memory",
+    async get(sessionId) {
+      return sessions.get(sessionId) || null;
+    },
+    async set(session) {
+      sessions.set(session.sessionId, session);
+    },
+    async delete(sessionId) {
+      return sessions.delete(sessionId);
+    },
+    async values() {
+      return [...sessions.values()];
+    },
+  };
+}
+
+/**
+ * Backend persisting all sessions to one JSON file, kept in memory after
+ * the first read.
+ */
+function createFileSessionBackend(filePath) {
+  const store = createJsonFileStore(filePath);
+  let sessions = null;
+  // First load in flight, shared by concurrent callers
+  let loading = null;
+
+  async function ensureLoaded() {
+    if (!loading) {
+      loading = store.load([]).then((saved) => {
+        sessions = new Map(
+          saved.map((session) => [session.sessionId, session]),
+        );
+        return sessions;
+      });
+      // A failed load is retried by the next caller
+      loading.catch(() => {
+        loading = null;
+      });
+    }
+    return loading;
+  }
+
+  async function persist() {
+    await store.save([...sessions.values()]);
+  }
+
+  return {
+    name: "file",
+    async get(sessionId) {
+      return (await ensureLoaded()).get(sessionId) || null;
+    },
+    async set(session) {
+      (await ensureLoaded()).set(session.sessionId, session);
+      await persist();
+    },
+    async delete(sessionId) {
+      const deleted = (await ensureLoaded()).delete(sessionId);
+      if (deleted) await persist();
+      return deleted;
+    },
+    async values() {
+      return [...(await ensureLoaded()).values()];
+    },
+  };
+}
+
+module.exports = {
+  createFileSessionBackend,
+  createMemorySessionBackend,
+};
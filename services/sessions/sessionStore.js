@@ -0,0 +1,210 @@
+/**
+ * Server-side chat sessions.
+ * Keeps each conversation's user, assistant and tool turns (including search
+ * results) so clients only send the new message and can resume later.
+ *
+ * Sessions expire SESSION_TTL_MS after their last update. The backend is
+ * picked by SESSION_STORE: "memory" (default) or "file" (SESSION_STORE_PATH).
+ */
+
+const crypto = require("crypto");
+const path = require("path");
+const {
+  createFileSessionBackend,
+  createMemorySessionBackend,
+} = require("./sessionBackends");
+
+const SESSION_BACKENDS = ["memory", "file"];
+const DEFAULT_SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Oldest turns are dropped beyond this so sessions stay bounded
+const MAX_SESSION_TURNS = 100;
+
+// Client-supplied ids: letters, digits, "_" and "-" only
+const SESSION_ID_PATTERN = /^[\w-]{1,128}$/;
+
+// Ids the server issues (crypto.randomUUID); only these are resumed
+const ISSUED_SESSION_ID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+/**
+ * Whether a client-supplied session id is acceptable.
+ */
+function isValidSessionId(sessionId) {
+  return typeof sessionId === "string" && SESSION_ID_PATTERN.test(sessionId);
+}
+
+/**
+ * Create a session store over a backend.
+ * `now` is injectable for tests.
+ */
+function createSessionStore({
+  backend = createMemorySessionBackend(),
+  ttlMs = DEFAULT_SESSION_TTL_MS,
+  now = Date.now,
+} = {}) {
+  const isExpired = (session) => new Date(session.expiresAt) <= now();
+
+  function touch(session) {
+    const timestamp = now();
+    session.updatedAt = new Date(timestamp).toISOString();
+    session.expiresAt = new Date(timestamp + ttlMs).toISOString();
+    return session;
+  }
+
+  /**
+   * Get a live session, or null if it does not exist or has expired.
+   */
+  async function getSession(sessionId) {
+    // Sessions stored under ids a client chose (before ids were
+    // server-issued) are never resumed
+    if (!ISSUED_SESSION_ID_PATTERN.test(sessionId)) return null;
+
+    const session = await backend.get(sessionId);
+    if (!session) return null;
+    if (isExpired(session)) {
+      await backend.delete(sessionId);
+      return null;
+    }
+    return session;
+  }
+
+  /**
+   * Resume a session, or start one. New sessions always get a random UUID:
+   * an unknown or expired id is not adopted, so nobody can claim a
+   * conversation by choosing its id.
+   */
+  async function getOrCreateSession(sessionId) {
+    if (sessionId) {
+      const existing = await getSession(sessionId);
+      if (existing) return existing;
+    }
+
+    await purgeExpired();
+    const session = touch({
+      sessionId: crypto.randomUUID(),
+      turns: [],
+      createdAt: new Date(now()).toISOString(),
+    });
+    await backend.set(session);
+    return session;
+  }
+
+  /**
+   * Append turns ({ role, content } or tool turns { role: "tool", tool,
+   * args, output }) to a session and extend its expiry.
+   * `turnCount` counts every turn appended, including ones since dropped.
+   */
+  async function appendTurns(sessionId, turns) {
+    const session = await getOrCreateSession(sessionId);
+    const createdAt = new Date(now()).toISOString();
+
+    session.turnCount =
+      (session.turnCount ?? session.turns.length) + turns.length;
+    session.turns.push(...turns.map((turn) => ({ ...turn, createdAt })));
+    session.turns = session.turns.slice(-MAX_SESSION_TURNS);
+    await backend.set(touch(session));
+    return session;
+  }
+
+  /**
+   * Store the rolling summary of a session's older turns ({ text,
+   * summarizedTurns }, see contextManager.js).
+   */
+  async function setHistorySummary(sessionId, historySummary) {
+    const session = await getOrCreateSession(sessionId);
+    session.historySummary = historySummary;
+    await backend.set(touch(session));
+    return session;
+  }
+
+  /**
+   * Delete a session. Returns false if it did not exist.
+   */
+  async function deleteSession(sessionId) {
+    if (!ISSUED_SESSION_ID_PATTERN.test(sessionId)) return false;
+    return backend.delete(sessionId);
+  }
+
+  /**
+   * Delete every expired session. Returns how many were removed.
+   */
+  async function purgeExpired() {
+    const expired = (await backend.values()).filter(isExpired);
+    for (const session of expired) {
+      await backend.delete(session.sessionId);
+    }
+    return expired.length;
+  }
+
+  return {
+    backend: backend.name,
+    appendTurns,
+    deleteSession,
+    getOrCreateSession,
+    getSession,
+    purgeExpired,
+    setHistorySummary,
+  };
+}
+
+let sessionStore = null;
+
+/**
+ * Shared session store configured from the environment.
+ */
+function getSessionStore() {
+  if (!sessionStore) {
+    let backendName = process.env.SESSION_STORE || "memory";
+    if (!SESSION_BACKENDS.includes(backendName)) {
+      console.warn(
+        `[getSessionStore] Unknown SESSION_STORE "${backendName}", using memory`,
+      );
+      backendName = "memory";
+    }
+
+    sessionStore = createSessionStore({
+      backend:
+        backendName === "file"
+          ? createFileSessionBackend(
+              process.env.SESSION_STORE_PATH ||
+                path.join(__dirname, "../../data/sessions.json"),
+            )
+          : createMemorySessionBackend(),
+      ttlMs: Number(process.env.SESSION_TTL_MS) || DEFAULT_SESSION_TTL_MS,
+    });
+  }
+  return sessionStore;
+}
+
+/**
+ * Drop the shared store so the next getSessionStore() starts empty and
+ * re-reads its configuration.
+ */
+function resetSessionStore() {
+  sessionStore = null;
+}
+
+/**
+ * Public view of a session for GET /chatbot/sessions/:sessionId.
+ */
+function toSessionView(session) {
+  return {
+    sessionId: session.sessionId,
+    turns: session.turns,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt,
+    expiresAt: session.expiresAt,
+  };
+}
+
+module.exports = {
+  DEFAULT_SESSION_TTL_MS,
+  MAX_SESSION_TURNS,
+  SESSION_BACKENDS,
+  createSessionStore,
+  getSessionStore,
+  isValidSessionId,
+  resetSessionStore,
+  toSessionView,
+};
@@ -0,0 +1,53 @@
+/**
+ * Minimal durable JSON storage.
+ * Persists a single JSON document per file using write-then-rename so a crash
+ * mid-write never leaves a truncated file behind.
+ */
+
+const fs = require("fs/promises");
+const path = require("path");
+
+/**
+ * Create a store bound to a JSON file.
+ * Writes are serialized so concurrent saves land in call order.
+ */
+function createJsonFileStore(filePath) {
+  let writeChain = Promise.resolve();
+
+  async function load(fallback) {
+    try {
+      const contents = await fs.readFile(filePath, "utf8");
+      return JSON.parse(contents);
+    } catch (error) {
+      if (error.code === "ENOENT") return fallback;
+      throw error;
+    }
+  }
+
+  function save(data) {
+    const write = async () => {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      const tmpPath = `${filePath}.${process.pid}.tmp`;
+      await fs.writeFile(tmpPath, JSON.stringify(data, null, 2));
+      await fs.rename(tmpPath, filePath);
+    };
+
+    writeChain = writeChain.then(write, write);
+    return writeChain;
+  }
+
+  return { filePath, load, save };
+}
+
+/**
+ * Append a single JSON line to a log file, creating it if needed.
+ */
+async function appendJsonLine(filePath, entry) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.appendFile(filePath, `${JSON.stringify(entry)}\n`);
+}
+
+module.exports = {
+  appendJsonLine,
+  createJsonFileStore,
+};